@@ -0,0 +1,180 @@
+const { InfluxDB, flux, fluxExpression } = require("@influxdata/influxdb-client");
+
+/**
+ * @notice This module reads stored APY series back out of InfluxDB for the HTTP API.
+ * @dev A "source" is any object exposing `querySeries` and `queryLatest`. The API only depends on that
+ *      interface, so tests or local development can pass an in-memory stub instead of a live bucket.
+ *      Both methods resolve to plain rows shaped as { protocol, time, apy, weight }, where `apy` is the field
+ *      named by `basis`: the adapter's native `apy` by default, or a methodology field such as `apr_7d`
+ *      (see scripts/methodology.js). The index job (scripts/bentoIndex.js) reads unaggregated points with
+ *      `queryPoints`, which also returns the TVL. The stablecoin peg series (scripts/peg.js) is read with
+ *      `queryPeg` and `queryLatestPeg`, as rows shaped as { asset, chain, time, price, deviation, supply,
+ *      chainlinkPrice, curvePrice }. The health checks
+ *      additionally call `ping()`, which rejects when the database is unreachable.
+ *      Series are grouped by protocol before aggregating, the only tag of `protocol_apy_data`.
+ */
+
+// The InfluxDB measurement name where APY data is stored.
+const MEASUREMENT = "protocol_apy_data";
+
+// The InfluxDB measurement name of the stablecoin peg, see scripts/peg.js.
+const PEG_MEASUREMENT = "stablecoin_peg";
+
+// Fields of the peg measurement returned by the peg queries.
+const PEG_FIELDS = ["price", "deviation", "supply", "chainlink_price", "curve_price"];
+
+// The field read when no basis is requested.
+const DEFAULT_BASIS = "apy";
+
+/**
+ * @notice Converts a pivoted Flux row into the row shape returned by a source.
+ * @param {Object} row - A row produced by `pivot()` with `_time`, `protocol`, basis and `weight` columns.
+ * @param {string} basis - The field returned as `apy`.
+ */
+function toRow(row, basis) {
+  return {
+    protocol: row.protocol,
+    time: row._time,
+    apy: row[basis],
+    weight: row.weight,
+  };
+}
+
+/**
+ * @notice Converts a pivoted Flux row of the peg measurement into a peg row.
+ */
+function toPegRow(row) {
+  return {
+    asset: row.asset,
+    chain: row.chain,
+    time: row._time,
+    price: row.price,
+    deviation: row.deviation,
+    supply: row.supply,
+    chainlinkPrice: row.chainlink_price,
+    curvePrice: row.curve_price,
+  };
+}
+
+// Flux predicate keeping the fields of PEG_FIELDS.
+const pegFieldFilter = fluxExpression(PEG_FIELDS.map((field) => `r._field == "${field}"`).join(" or "));
+
+/**
+ * @notice Creates a source backed by an InfluxDB bucket.
+ * @param {Object} options - Connection settings: url, token, org and bucket.
+ */
+function createInfluxSource({ url, token, org, bucket }) {
+  const queryApi = new InfluxDB({ url, token }).getQueryApi(org);
+
+  /**
+   * @notice Returns APY and weight rows aggregated into windows of `interval`.
+   * @param {Object} params - { protocol, from, to, interval, basis }. Omitting `protocol` returns every protocol.
+   * @dev `interval` is inlined as a duration literal, so callers must validate it first (see api/server.js).
+   */
+  async function querySeries({ protocol, from, to, interval, basis = DEFAULT_BASIS }) {
+    const protocolFilter = protocol
+      ? flux`|> filter(fn: (r) => r.protocol == ${protocol})`
+      : flux``;
+    const query = flux`from(bucket: ${bucket})
+      |> range(start: ${from}, stop: ${to})
+      |> filter(fn: (r) => r._measurement == ${MEASUREMENT})
+      ${protocolFilter}
+      |> filter(fn: (r) => r._field == ${basis} or r._field == "weight")
+      |> group(columns: ["protocol", "_field"])
+      |> aggregateWindow(every: ${fluxExpression(interval)}, fn: mean, createEmpty: false)
+      |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")
+      |> sort(columns: ["_time"])`;
+
+    const rows = await queryApi.collectRows(query);
+    return rows.map((row) => toRow(row, basis));
+  }
+
+  /**
+   * @notice Returns the most recent APY and weight row for every protocol.
+   * @param {Object} [params] - { basis }.
+   */
+  async function queryLatest({ basis = DEFAULT_BASIS } = {}) {
+    const query = flux`from(bucket: ${bucket})
+      |> range(start: 0)
+      |> filter(fn: (r) => r._measurement == ${MEASUREMENT})
+      |> filter(fn: (r) => r._field == ${basis} or r._field == "weight")
+      |> group(columns: ["protocol", "_field"])
+      |> sort(columns: ["_time"])
+      |> last()
+      |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")`;
+
+    const rows = await queryApi.collectRows(query);
+    return rows.map((row) => toRow(row, basis));
+  }
+
+  /**
+   * @notice Returns the raw basis and TVL points of every protocol, without aggregation.
+   * @param {Object} params - { from, to, basis }.
+   * @return {Promise<Array<Object>>} Rows shaped as { protocol, time, apy, tvl }; either value may be missing.
+   */
+  async function queryPoints({ from, to, basis = DEFAULT_BASIS }) {
+    const query = flux`from(bucket: ${bucket})
+      |> range(start: ${from}, stop: ${to})
+      |> filter(fn: (r) => r._measurement == ${MEASUREMENT})
+      |> filter(fn: (r) => r._field == ${basis} or r._field == "tvl")
+      |> group(columns: ["protocol"])
+      |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")
+      |> sort(columns: ["_time"])`;
+
+    const rows = await queryApi.collectRows(query);
+    return rows.map((row) => ({ protocol: row.protocol, time: row._time, apy: row[basis], tvl: row.tvl }));
+  }
+
+  /**
+   * @notice Returns the peg rows of an asset, aggregated into windows of `interval` when given.
+   * @param {Object} params - { asset, from, to, interval }.
+   * @dev Without `interval` every stored point is returned, so short depegs are not averaged away.
+   */
+  async function queryPeg({ asset, from, to, interval }) {
+    const aggregate = interval
+      ? flux`|> aggregateWindow(every: ${fluxExpression(interval)}, fn: mean, createEmpty: false)`
+      : flux``;
+    const query = flux`from(bucket: ${bucket})
+      |> range(start: ${from}, stop: ${to})
+      |> filter(fn: (r) => r._measurement == ${PEG_MEASUREMENT} and r.asset == ${asset})
+      |> filter(fn: (r) => ${pegFieldFilter})
+      |> group(columns: ["asset", "chain", "_field"])
+      ${aggregate}
+      |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")
+      |> sort(columns: ["_time"])`;
+
+    const rows = await queryApi.collectRows(query);
+    return rows.map(toPegRow);
+  }
+
+  /**
+   * @notice Returns the most recent peg row of every asset.
+   */
+  async function queryLatestPeg() {
+    const query = flux`from(bucket: ${bucket})
+      |> range(start: 0)
+      |> filter(fn: (r) => r._measurement == ${PEG_MEASUREMENT})
+      |> filter(fn: (r) => ${pegFieldFilter})
+      |> group(columns: ["asset", "chain", "_field"])
+      |> sort(columns: ["_time"])
+      |> last()
+      |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")`;
+
+    const rows = await queryApi.collectRows(query);
+    return rows.map(toPegRow);
+  }
+
+  /**
+   * @notice Resolves when InfluxDB reports itself healthy on its /health endpoint.
+   */
+  async function ping() {
+    const response = await fetch(`${url.replace(/\/$/, "")}/health`);
+    if (!response.ok) {
+      throw new Error(`InfluxDB health returned HTTP ${response.status}`);
+    }
+  }
+
+  return { querySeries, queryLatest, queryPoints, queryPeg, queryLatestPeg, ping };
+}
+
+module.exports = { createInfluxSource, MEASUREMENT, PEG_MEASUREMENT };
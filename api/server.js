@@ -0,0 +1,368 @@
+const express = require("express");
+const bodyParser = require("body-parser");
+const { METHODOLOGY_FIELDS } = require("../scripts/methodology");
+const { depegStats, DEFAULTS: PEG_DEFAULTS } = require("../scripts/peg");
+const { parseDuration } = require("../scripts/utils/time");
+
+/**
+ * @notice HTTP API exposing the stored APY series and the composite Bento index.
+ * @dev Routes:
+ *   - GET /apy/latest?basis                     Latest APY per protocol plus the Bento index now.
+ *   - GET /apy/:protocol?from&to&interval&basis Aggregated series for a single protocol.
+ *   - GET /index?from&to&interval&basis         Bento index every `interval` plus the per-protocol series
+ *                                               behind it.
+ *   - GET /peg/:asset?from&to&interval&basis    Stored peg points of a stablecoin, its depeg statistics over
+ *                                               the range and the series of the protocols built on it.
+ *   - GET /metrics                              Collector metrics in Prometheus text format.
+ *   - GET /healthz, GET /readyz                 Health and readiness, 503 when failing (see scripts/health.js).
+ *   - GET /jobs                                 Every job with its current and last run (see scripts/jobs.js).
+ *   - GET /jobs/:name/runs?limit                The latest recorded runs of a job, newest first.
+ *   - POST /jobs/:name/run                      Starts a job now: 202, or 409 while it is running. Requires
+ *                                               `Authorization: Bearer <token>` and is only mounted with a token.
+ *   `from` and `to` accept ISO-8601 dates or Unix timestamps in seconds; `interval` is a Flux duration
+ *   such as 8h or 1d. `basis` selects the stored figure every protocol is read as: `apy`, each adapter's
+ *   native convention (the default), or one of the methodology fields derived for every protocol alike
+ *   (apr, apy_compounded, apr_7d, apy_7d, apr_30d, apy_30d; see scripts/methodology.js), which gives the
+ *   composite index one consistent basis. The index is computed with the configured strategy exactly like the
+ *   stored `bento_index` series (see scripts/bentoIndex.js), on the grid of `interval` and, when `basis` is
+ *   omitted, on the basis of the `index` section. The peg points are returned as stored, without aggregation, so a
+ *   short depeg is not averaged away; `interval` only applies to the protocol series. The app only talks to
+ *   the injected source, see api/influxSource.js.
+ */
+
+// Defaults used when a query parameter is omitted.
+const DEFAULT_INTERVAL = "1d";
+const DEFAULT_LOOKBACK_SECONDS = 30 * 24 * 3600;
+
+// Flux duration literal, e.g. 30m, 8h, 1d, 1w.
+const INTERVAL_PATTERN = /^[1-9]\d*(ms|s|m|h|d|w|mo|y)$/;
+
+// Most grid steps GET /index computes in one request.
+const MAX_INDEX_STEPS = 10000;
+
+// Runs returned by GET /jobs/:name/runs when `limit` is omitted, and at most.
+const DEFAULT_RUNS_LIMIT = 20;
+const MAX_RUNS_LIMIT = 1000;
+
+// Fields a series can be read as: the native APY or a methodology figure.
+const BASES = ["apy", ...METHODOLOGY_FIELDS];
+
+/**
+ * @notice Error raised for malformed query parameters; rendered as HTTP 400.
+ */
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BadRequestError";
+    this.status = 400;
+  }
+}
+
+/**
+ * @notice Parses a `from`/`to` query value into a Date.
+ * @param {string|undefined} value - ISO-8601 date or Unix timestamp in seconds.
+ * @param {Date} fallback - The value returned when the parameter is omitted.
+ * @param {string} name - The parameter name, used in error messages.
+ */
+function parseTime(value, fallback, name) {
+  if (value === undefined || value === "") return fallback;
+  const date = /^\d+$/.test(value) ? new Date(Number(value) * 1000) : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new BadRequestError(`Invalid '${name}': expected an ISO-8601 date or a Unix timestamp.`);
+  }
+  return date;
+}
+
+/**
+ * @notice Parses the `basis` query value, defaulting to the native APY.
+ * @param {Object} query - The Express request query object.
+ */
+function parseBasis(query) {
+  const basis = query.basis || "apy";
+  if (!BASES.includes(basis)) {
+    throw new BadRequestError(`Invalid 'basis': '${basis}' is not one of ${BASES.join(", ")}.`);
+  }
+  return basis;
+}
+
+/**
+ * @notice Parses and validates the shared range parameters of a series request.
+ * @param {Object} query - The Express request query object.
+ */
+function parseRange(query) {
+  const now = new Date();
+  const to = parseTime(query.to, now, "to");
+  const from = parseTime(query.from, new Date(to.getTime() - DEFAULT_LOOKBACK_SECONDS * 1000), "from");
+  if (from >= to) {
+    throw new BadRequestError("'from' must be earlier than 'to'.");
+  }
+
+  const interval = query.interval || DEFAULT_INTERVAL;
+  if (!INTERVAL_PATTERN.test(interval)) {
+    throw new BadRequestError(`Invalid 'interval': '${interval}' is not a duration such as 8h or 1d.`);
+  }
+
+  return { from, to, interval, basis: parseBasis(query) };
+}
+
+/**
+ * @notice Groups flat rows by protocol and sorts every group by time.
+ * @param {Array<Object>} rows - Rows shaped as { protocol, time, apy, weight }.
+ */
+function groupByProtocol(rows) {
+  const series = {};
+  for (const row of rows) {
+    if (!series[row.protocol]) series[row.protocol] = [];
+    series[row.protocol].push({ time: row.time, apy: row.apy, weight: row.weight });
+  }
+  for (const points of Object.values(series)) {
+    points.sort((a, b) => new Date(a.time) - new Date(b.time));
+  }
+  return series;
+}
+
+/**
+ * @notice Formats a point of the index calculator for the API.
+ * @param {Object} point - { timestamp, apy, coverage, weights }, see scripts/bentoIndex.js.
+ */
+function formatIndexPoint({ timestamp, apy, coverage, weights }) {
+  return { time: new Date(timestamp * 1000).toISOString(), apy, coverage, weights };
+}
+
+/**
+ * @notice Parses the `limit` query value of GET /jobs/:name/runs.
+ * @param {Object} query - The Express request query object.
+ */
+function parseLimit(query) {
+  if (query.limit === undefined || query.limit === "") return DEFAULT_RUNS_LIMIT;
+  const limit = Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RUNS_LIMIT) {
+    throw new BadRequestError(`Invalid 'limit': expected an integer between 1 and ${MAX_RUNS_LIMIT}.`);
+  }
+  return limit;
+}
+
+/**
+ * @notice Wraps an async route handler so rejected promises reach the error middleware.
+ */
+function asyncRoute(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+/**
+ * @notice Creates the Express application.
+ * @param {Object|null} source - Data source exposing `querySeries` and `queryLatest`; without one only
+ *        the metrics and health routes are mounted.
+ * @param {Object} [options] - { registry, health, jobs, jobsToken, peg, index }: a prom-client registry served at
+ *        /metrics, the checks created by createHealthChecks, the job runner created by createJobRunner, the
+ *        validated `peg` section of the config and the index calculator created by createIndexJob; the matching
+ *        routes are only mounted when given, and /apy/latest has no index without the calculator.
+ *        POST /jobs/:name/run is only mounted with a `jobsToken`.
+ */
+function createApp(source, { registry, health, jobs, jobsToken, peg, index } = {}) {
+  const app = express();
+  app.use(bodyParser.json());
+
+  if (registry) {
+    app.get(
+      "/metrics",
+      asyncRoute(async (req, res) => {
+        res.set("Content-Type", registry.contentType);
+        res.send(await registry.metrics());
+      })
+    );
+  }
+
+  if (health) {
+    app.get(
+      "/healthz",
+      asyncRoute(async (req, res) => {
+        const result = await health.liveness();
+        res.status(result.ok ? 200 : 503).json(result);
+      })
+    );
+    app.get(
+      "/readyz",
+      asyncRoute(async (req, res) => {
+        const result = await health.readiness();
+        res.status(result.ok ? 200 : 503).json(result);
+      })
+    );
+  }
+
+  if (jobs) {
+    app.get(
+      "/jobs",
+      asyncRoute(async (req, res) => {
+        res.json({ jobs: await jobs.list() });
+      })
+    );
+
+    app.get(
+      "/jobs/:name/runs",
+      asyncRoute(async (req, res) => {
+        const { name } = req.params;
+        if (!jobs.has(name)) {
+          res.status(404).json({ error: `Unknown job '${name}'.` });
+          return;
+        }
+        res.json({ job: name, runs: await jobs.history(name, parseLimit(req.query)) });
+      })
+    );
+
+    if (jobsToken) {
+      app.post("/jobs/:name/run", (req, res) => {
+        if (req.get("Authorization") !== `Bearer ${jobsToken}`) {
+          res.status(401).json({ error: "Missing or invalid bearer token." });
+          return;
+        }
+        const { name } = req.params;
+        if (!jobs.has(name)) {
+          res.status(404).json({ error: `Unknown job '${name}'.` });
+          return;
+        }
+        if (jobs.isRunning(name)) {
+          res.status(409).json({ error: `Job '${name}' is already running.` });
+          return;
+        }
+        // The run is recorded in the job history, see GET /jobs/:name/runs
+        jobs.run(name, { trigger: "manual" }).catch((error) => console.error(`Job ${name} error:`, error));
+        res.status(202).json({ job: name, status: "started" });
+      });
+    }
+  }
+
+  if (source) {
+    app.get(
+      "/apy/latest",
+      asyncRoute(async (req, res) => {
+        const basis = parseBasis(req.query);
+        const rows = await source.queryLatest({ basis });
+        const protocols = rows
+          .map(({ protocol, time, apy, weight }) => ({ protocol, time, apy, weight }))
+          .sort((a, b) => a.protocol.localeCompare(b.protocol));
+        const point = index ? await index.latest(Math.floor(Date.now() / 1000), { basis }) : null;
+        res.json({ basis, protocols, index: point && formatIndexPoint(point) });
+      })
+    );
+
+    app.get(
+      "/apy/:protocol",
+      asyncRoute(async (req, res) => {
+        const range = parseRange(req.query);
+        const { protocol } = req.params;
+        const rows = await source.querySeries({ ...range, protocol });
+        if (!rows.length) {
+          res.status(404).json({ error: `No APY data for protocol '${protocol}' in the requested range.` });
+          return;
+        }
+        res.json({
+          protocol,
+          from: range.from.toISOString(),
+          to: range.to.toISOString(),
+          interval: range.interval,
+          basis: range.basis,
+          series: groupByProtocol(rows)[protocol] || [],
+        });
+      })
+    );
+
+    if (index) {
+      app.get(
+        "/index",
+        asyncRoute(async (req, res) => {
+          const range = { ...parseRange(req.query), ...(req.query.basis ? {} : { basis: index.basis }) };
+          const step = parseDuration(range.interval);
+          if (!step) {
+            throw new BadRequestError(`Invalid 'interval': the index needs a duration in s, m, h, d or w, not '${range.interval}'.`);
+          }
+          const from = Math.floor(range.from.getTime() / 1000);
+          const to = Math.floor(range.to.getTime() / 1000);
+          if ((to - from) / step > MAX_INDEX_STEPS) {
+            throw new BadRequestError(`'interval' ${range.interval} gives more than ${MAX_INDEX_STEPS} index points over the range.`);
+          }
+          const [points, rows] = await Promise.all([
+            index.compute(from, to, { basis: range.basis, interval: step }),
+            source.querySeries(range),
+          ]);
+          res.json({
+            from: range.from.toISOString(),
+            to: range.to.toISOString(),
+            interval: range.interval,
+            basis: range.basis,
+            strategy: index.strategy,
+            index: points.map(formatIndexPoint),
+            protocols: groupByProtocol(rows),
+          });
+        })
+      );
+    }
+
+    if (peg) {
+      app.get(
+        "/peg/:asset",
+        asyncRoute(async (req, res) => {
+          const range = parseRange(req.query);
+          const asset = peg.assets.find((candidate) => candidate.name === req.params.asset);
+          if (!asset) {
+            res.status(404).json({ error: `Unknown asset '${req.params.asset}'.` });
+            return;
+          }
+          const [rows, protocolRows] = await Promise.all([
+            source.queryPeg({ asset: asset.name, from: range.from, to: range.to }),
+            Promise.all(asset.protocols.map((protocol) => source.querySeries({ ...range, protocol }))),
+          ]);
+          const series = rows.map(({ time, price, deviation, supply, chainlinkPrice, curvePrice }) => ({
+            time,
+            price,
+            deviation,
+            supply,
+            chainlinkPrice,
+            curvePrice,
+          }));
+          const threshold = peg.threshold ?? PEG_DEFAULTS.threshold;
+          const points = series.map((point) => ({ ...point, timestamp: Math.floor(new Date(point.time).getTime() / 1000) }));
+          res.json({
+            asset: asset.name,
+            chain: asset.chain,
+            peg: asset.peg,
+            from: range.from.toISOString(),
+            to: range.to.toISOString(),
+            interval: range.interval,
+            basis: range.basis,
+            threshold,
+            stats: depegStats(points, threshold),
+            series,
+            protocols: groupByProtocol(protocolRows.flat()),
+          });
+        })
+      );
+    }
+  }
+
+  app.use((error, req, res, next) => {
+    if (error.status === 400) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    console.error("API error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  });
+
+  return app;
+}
+
+/**
+ * @notice Starts the HTTP API on the given port.
+ * @param {Object} source - Data source exposing `querySeries` and `queryLatest`.
+ * @param {number} port - The TCP port to listen on.
+ * @param {Object} [options] - { registry, health, jobs, jobsToken, peg, index }, see createApp.
+ */
+function startServer(source, port, options) {
+  const app = createApp(source, options);
+  return app.listen(port, () => {
+    console.log(`API listening on port ${port}`);
+  });
+}
+
+module.exports = { createApp, startServer, BadRequestError };
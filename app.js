@@ -1,58 +1,194 @@
 require("dotenv").config();
-const cron = require("node-cron");
 
-const { fetchEthenaApy } = require("./scripts/ethena");
-const { fetchMorphoApy } = require("./scripts/morpho");
-const { fetchMountainApy } = require("./scripts/mountain");
-const { fetchSparkApy } = require("./scripts/spark");
+const { createInfluxSource } = require("./api/influxSource");
+const { startServer } = require("./api/server");
+const { createAdapters } = require("./scripts/adapters");
+const { createAlertEngine } = require("./scripts/alerts");
+const { createAnalyticsJob } = require("./scripts/analytics");
+const { createIndexJob } = require("./scripts/bentoIndex");
+const { createHealthChecks } = require("./scripts/health");
+const { loadConfig } = require("./scripts/config");
+const { createGapJob } = require("./scripts/gaps");
+const { createJobRunner, INDEX_JOB, PEG_JOB, GAPS_JOB, ANALYTICS_JOB } = require("./scripts/jobs");
+const { createPegJob } = require("./scripts/peg");
+const { runAdapter } = require("./scripts/runner");
+const { createStreamer } = require("./scripts/stream");
+const { createSinks } = require("./scripts/sinks");
+const { configureChains } = require("./scripts/utils/chains");
+const { createCursorStore } = require("./scripts/utils/cursorStore");
+const { createJobLock } = require("./scripts/utils/jobLock");
+const { closeProvider } = require("./scripts/utils/provider");
+const { flushBlockCaches } = require("./scripts/utils/blockResolver");
+const { registry, trackAdapters } = require("./scripts/utils/metrics");
+const { createRunHistory } = require("./scripts/utils/runHistory");
 
-// Run Ethena schedule every 8 hours, starting 4AM
-cron.schedule("0 4,12,20 * * *", async () => {
-  try {
-    console.log("Ethena schedule triggered at:", new Date());
-    await fetchEthenaApy();
-  } catch (error) {
-    console.error("Ethena error cron job:", error);
-  }
-});
+// Load the protocol instances; refuse to start on an invalid config
+let config;
+let cursorStore;
+let sink;
+let jobs;
+try {
+  config = loadConfig();
+  configureChains(config.chains);
+  cursorStore = createCursorStore(config.cursorStore);
+  sink = createSinks(config.sinks);
+  // Every fetch runs as a job: never twice at once, within its timeout, and recorded in the run history
+  const jobsConfig = config.jobs || {};
+  jobs = createJobRunner({
+    lock: createJobLock(jobsConfig.lock),
+    history: createRunHistory(jobsConfig.history),
+    timeout: jobsConfig.timeout,
+    lockTtl: jobsConfig.lock && jobsConfig.lock.ttl,
+    shutdownTimeout: jobsConfig.shutdownTimeout,
+  });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+const adapters = createAdapters(config.protocols);
+trackAdapters(adapters);
 
-// Run Morpho schedule everyday 1PM
-cron.schedule("0 13 * * *", async () => {
-  try {
-    console.log("Morpho schedule triggered at:", new Date());
-    await fetchMorphoApy();
-  } catch (error) {
-    console.error("Morpho error cron job:", error);
-  }
-});
+// The HTTP API and the data-based alert rules read InfluxDB; without it only metrics and health are served
+const source = process.env.INFLUX_URL
+  ? createInfluxSource({
+    url: process.env.INFLUX_URL,
+    token: process.env.INFLUX_TOKEN,
+    org: process.env.INFLUX_ORG,
+    bucket: process.env.INFLUX_BUCKET,
+  })
+  : null;
+if (!source) {
+  console.warn("INFLUX_URL is not set: the APY routes of the HTTP API are disabled.");
+}
 
-// Run Spark schedule every 8 hours, starting 4AM
-cron.schedule("0 4,12,20 * * *", async () => {
-  try {
-    console.log("Spark schedule triggered at:", new Date());
-    await fetchSparkApy();
-  } catch (error) {
-    console.error("Spark error cron job:", error);
-  }
-});
+// The composite index is computed from the stored series, so it needs InfluxDB as well. The API and the
+// index_below rules compute it like the job, with the defaults of the `index` section when it is omitted.
+const indexJob = source
+  ? createIndexJob({ index: config.index, protocols: config.protocols, source, cursorStore, sink })
+  : null;
+if (config.index && indexJob) {
+  jobs.register({ name: INDEX_JOB, schedule: indexJob.schedule, timeout: config.index.timeout, run: (signal) => indexJob.run(undefined, { signal }) });
+} else if (config.index) {
+  console.warn("INFLUX_URL is not set: the composite index job is disabled.");
+}
+const alertEngine = createAlertEngine({ ...config.alerts, source, index: indexJob });
+
+// Gaps are found in the stored series and repaired by re-running their fetchers, which needs InfluxDB too
+if (config.gaps && source) {
+  const gapJob = createGapJob({ gaps: config.gaps, adapters, source, sink, jobs });
+  jobs.register({ name: GAPS_JOB, schedule: gapJob.schedule, timeout: config.gaps.timeout, run: (signal) => gapJob.run(undefined, { signal }) });
+} else if (config.gaps) {
+  console.warn("INFLUX_URL is not set: the gap repair job is disabled.");
+}
+
+// The series analytics are computed from the stored series as well
+if (config.analytics && source) {
+  const analyticsJob = createAnalyticsJob({ analytics: config.analytics, source, sink });
+  jobs.register({
+    name: ANALYTICS_JOB,
+    schedule: analyticsJob.schedule,
+    timeout: config.analytics.timeout,
+    run: (signal) => analyticsJob.run(undefined, { signal }),
+  });
+} else if (config.analytics) {
+  console.warn("INFLUX_URL is not set: the series analytics job is disabled.");
+}
+
+// The stablecoin peg is read on-chain; its run feeds the depeg alert rules
+if (config.peg) {
+  const pegJob = createPegJob({ peg: config.peg, cursorStore, sink });
+  jobs.register({
+    name: PEG_JOB,
+    schedule: pegJob.schedule,
+    timeout: config.peg.timeout,
+    run: async (signal) => {
+      const result = await pegJob.run(undefined, { signal });
+      await alertEngine.afterRun(PEG_JOB, result);
+      return result;
+    },
+  });
+}
 
-// Run Mountain schedule everyday 1PM
-cron.schedule("0 15 * * *", async () => {
+/**
+ * @notice Runs an adapter, then evaluates the alert rules with its outcome.
+ * @param {Object} adapter - The adapter to run.
+ * @param {AbortSignal} signal - Aborted by the job runner when the run times out.
+ */
+async function runWithAlerts(adapter, signal) {
+  const result = await runAdapter(adapter, cursorStore, sink, { signal });
+  await alertEngine.afterRun(adapter.name, result);
+  return result;
+}
+
+// Run every enabled adapter as a job on its own cron expression
+for (const adapter of adapters) {
+  jobs.register({
+    name: adapter.name,
+    schedule: adapter.schedule,
+    timeout: adapter.timeout,
+    run: (signal) => runWithAlerts(adapter, signal),
+  });
+}
+
+// Optionally process subscribed logs as they are confirmed; the cron schedules stay as a fallback
+let streamer;
+if (config.streaming && config.streaming.enabled) {
+  const names = config.streaming.protocols;
   try {
-    console.log("Mountain schedule triggered at:", new Date());
-    await fetchMountainApy();
+    streamer = createStreamer({
+      adapters: names ? adapters.filter((adapter) => names.includes(adapter.name)) : adapters,
+      cursorStore,
+      sink,
+      confirmations: config.streaming.confirmations,
+      // Confirmed logs wait for a run of the same protocol in progress rather than being skipped
+      run: (streamed, task) => jobs.run(streamed.name, {
+        trigger: "stream",
+        wait: true,
+        task: async (signal) => {
+          const result = await task(signal);
+          await alertEngine.afterRun(streamed.name, result);
+          return result;
+        },
+      }),
+    });
   } catch (error) {
-    console.error("Mountain error cron job:", error);
+    console.error(error.message);
+    process.exit(1);
   }
+}
+
+// Serve the stored APY and peg series, metrics, health checks and jobs over HTTP; runs are triggered with JOBS_TOKEN
+const server = startServer(source, Number(process.env.PORT) || 3000, {
+  registry,
+  health: createHealthChecks({ source, adapters, staleAfter: config.health && config.health.staleAfter }),
+  jobs,
+  jobsToken: process.env.JOBS_TOKEN,
+  peg: config.peg,
+  index: indexJob,
 });
 
 // Initial data collection
 (async () => {
   console.log("Initial fetch...");
-  await fetchEthenaApy();
-  await fetchMorphoApy();
-  await fetchSparkApy();
-  await fetchMountainApy();
+  for (const adapter of adapters) {
+    await jobs.run(adapter.name, { trigger: "startup" });
+  }
   console.log("Done initial fetch");
+  if (streamer) streamer.start();
 })();
 
+// Stop scheduling and streaming, wait for running jobs, then close the HTTP server, the sinks and the RPC
+// connection and write the block caches on shutdown
+async function shutdown(signal) {
+  console.log(`${signal} received, shutting down...`);
+  server.close();
+  // Streamed runs go through the job runner, which aborts them once the shutdown timeout has passed
+  await Promise.all([streamer && streamer.stop(), jobs.stop()]);
+  await sink.close();
+  await closeProvider();
+  flushBlockCaches();
+  process.exit(0);
+}
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { loadConfig } = require("../scripts/config");
+const { backfill } = require("../scripts/backfill");
+const { createAlertEngine } = require("../scripts/alerts");
+const { parseDuration } = require("../scripts/utils/time");
+const { createAnalyticsJob, toAnalyticsPoints, statsCsv, correlationCsv, ALL_WINDOW } = require("../scripts/analytics");
+const { createIndexJob, parseTimestamp } = require("../scripts/bentoIndex");
+const { createGapJob } = require("../scripts/gaps");
+const { createJobRunner } = require("../scripts/jobs");
+const { createJobLock } = require("../scripts/utils/jobLock");
+const { createRunHistory } = require("../scripts/utils/runHistory");
+const { createAdapters } = require("../scripts/adapters");
+const { configureChains } = require("../scripts/utils/chains");
+const { createSinks } = require("../scripts/sinks");
+const { toIndexPoint } = require("../scripts/utils/influx");
+const { createInfluxSource } = require("../api/influxSource");
+const { closeProvider } = require("../scripts/utils/provider");
+const { flushBlockCaches } = require("../scripts/utils/blockResolver");
+
+/**
+ * @notice Command line entry point.
+ * @dev Usage:
+ *   bento backfill --protocol <name> --from <date|cursor> [--to <date|cursor>] [--dry-run] [--output <file>]
+ *   bento alerts [--test]
+ *   bento index --from <date|timestamp> [--to <date|timestamp>] [--dry-run]
+ *   bento gaps [--repair]
+ *   bento analytics [--window <duration|all>]... [--to <date|timestamp>] [--format json|csv] [--correlation] [--write]
+ *
+ *   --dry-run prints the computed points as InfluxDB line protocol instead of writing them,
+ *   --output writes that line protocol to a file instead of stdout.
+ *   Progress messages go to stderr so stdout only carries points.
+ *
+ *   `alerts` evaluates the alert rules once against the stored data and delivers what is due;
+ *   --test instead sends a test notification to every configured channel.
+ *
+ *   `index` recomputes the composite index over a range with the `index` section of the config and writes
+ *   it to the configured sinks (or prints it as line protocol with --dry-run); the job's cursor is not moved.
+ *
+ *   `gaps` lists the gaps of the stored series over the `lookback` of the `gaps` section, one JSON line per gap;
+ *   --repair instead runs the gaps job once: the fetchers are re-run over the gaps and the resampled series is
+ *   rewritten. Every repair runs as a job of its protocol, taking the `jobs.lock` lease the collector holds while
+ *   fetching and recorded in its run history.
+ *
+ *   `analytics` computes the statistics of every stored series over the windows of the `analytics` section (or
+ *   the given --window ones), ending at the latest grid step before --to, and prints them as one JSON document or
+ *   as CSV, one line per window and series; --correlation prints the correlation matrices as CSV instead.
+ *   --write also writes them to the configured sinks, like a run of the analytics job.
+ */
+
+const USAGE = `Usage:
+  bento backfill --protocol <name> --from <date|cursor> [--to <date|cursor>] [--dry-run] [--output <file>]
+  bento alerts [--test]
+  bento index --from <date|timestamp> [--to <date|timestamp>] [--dry-run]
+  bento gaps [--repair]
+  bento analytics [--window <duration|all>]... [--to <date|timestamp>] [--format json|csv] [--correlation] [--write]`;
+
+const COMMANDS = {
+  async backfill(args) {
+    const { values } = parseArgs({
+      args,
+      options: {
+        protocol: { type: "string" },
+        from: { type: "string" },
+        to: { type: "string" },
+        "dry-run": { type: "boolean", default: false },
+        output: { type: "string" },
+      },
+    });
+    if (!values.protocol || !values.from) {
+      throw new Error(`--protocol and --from are required.\n${USAGE}`);
+    }
+
+    const output = values.output ? fs.createWriteStream(values.output) : process.stdout;
+    await backfill(loadConfig(), {
+      protocol: values.protocol,
+      from: values.from,
+      to: values.to,
+      dryRun: values["dry-run"],
+      output,
+    });
+    if (output !== process.stdout) {
+      await new Promise((resolve, reject) => output.end((error) => (error ? reject(error) : resolve())));
+    }
+  },
+
+  async alerts(args) {
+    const { values } = parseArgs({
+      args,
+      options: {
+        test: { type: "boolean", default: false },
+      },
+    });
+
+    const { alerts, index, protocols } = loadConfig();
+    if (values.test) {
+      const engine = createAlertEngine({ ...alerts, stateFile: null });
+      if (!(await engine.sendTest())) {
+        throw new Error("No channel accepted the test notification.");
+      }
+      return;
+    }
+
+    const source = createInfluxSource({
+      url: process.env.INFLUX_URL,
+      token: process.env.INFLUX_TOKEN,
+      org: process.env.INFLUX_ORG,
+      bucket: process.env.INFLUX_BUCKET,
+    });
+    const engine = createAlertEngine({ ...alerts, source, index: createIndexJob({ index, protocols, source }) });
+    const delivered = await engine.evaluate();
+    console.log(`${delivered.length} alert(s) sent.`);
+  },
+
+  async index(args) {
+    const { values } = parseArgs({
+      args,
+      options: {
+        from: { type: "string" },
+        to: { type: "string" },
+        "dry-run": { type: "boolean", default: false },
+      },
+    });
+    const from = parseTimestamp(values.from);
+    const to = values.to === undefined ? Math.floor(Date.now() / 1000) : parseTimestamp(values.to);
+    if (from === null || to === null) {
+      throw new Error(`--from (and --to) must be dates or Unix timestamps.\n${USAGE}`);
+    }
+
+    const config = loadConfig();
+    const sink = createSinks(config.sinks);
+    try {
+      const job = createIndexJob({
+        index: config.index,
+        protocols: config.protocols,
+        source: createInfluxSource({
+          url: process.env.INFLUX_URL,
+          token: process.env.INFLUX_TOKEN,
+          org: process.env.INFLUX_ORG,
+          bucket: process.env.INFLUX_BUCKET,
+        }),
+        sink,
+      });
+      const points = await job.compute(from, to);
+      if (values["dry-run"]) {
+        for (const point of points) {
+          process.stdout.write(`${toIndexPoint(point).toLineProtocol()}\n`);
+        }
+      } else {
+        await sink.writeIndex(points);
+      }
+      console.log(`Computed ${points.length} index point(s)${values["dry-run"] ? "" : `, written to ${sink.name}`}.`);
+    } finally {
+      await sink.close();
+    }
+  },
+
+  async gaps(args) {
+    const { values } = parseArgs({
+      args,
+      options: {
+        repair: { type: "boolean", default: false },
+      },
+    });
+
+    const config = loadConfig();
+    configureChains(config.chains);
+    const adapters = createAdapters(config.protocols);
+    const sink = createSinks(config.sinks);
+    // Repairs run as jobs of their protocol, so they never overlap with the collector's fetches
+    const jobsConfig = config.jobs || {};
+    const jobs = values.repair
+      ? createJobRunner({
+        lock: createJobLock(jobsConfig.lock),
+        history: createRunHistory(jobsConfig.history),
+        timeout: jobsConfig.timeout,
+        lockTtl: jobsConfig.lock && jobsConfig.lock.ttl,
+      })
+      : undefined;
+    if (jobs) {
+      for (const adapter of adapters) jobs.register({ name: adapter.name, timeout: adapter.timeout });
+    }
+    try {
+      const job = createGapJob({
+        gaps: config.gaps,
+        adapters,
+        source: createInfluxSource({
+          url: process.env.INFLUX_URL,
+          token: process.env.INFLUX_TOKEN,
+          org: process.env.INFLUX_ORG,
+          bucket: process.env.INFLUX_BUCKET,
+        }),
+        sink,
+        jobs,
+      });
+      if (values.repair) {
+        const result = await job.run();
+        if (!result.ok) throw result.error;
+        return;
+      }
+      const now = Math.floor(Date.now() / 1000);
+      const { gaps } = await job.scan(now - job.lookback, now);
+      for (const gap of gaps) {
+        const time = (timestamp) => new Date(timestamp * 1000).toISOString();
+        process.stdout.write(`${JSON.stringify({ series: gap.series, from: time(gap.from), to: time(gap.to) })}\n`);
+      }
+      console.log(`Found ${gaps.length} gap(s).`);
+    } finally {
+      if (jobs) await jobs.stop();
+      await sink.close();
+    }
+  },
+
+  async analytics(args) {
+    const { values } = parseArgs({
+      args,
+      options: {
+        window: { type: "string", multiple: true },
+        to: { type: "string" },
+        format: { type: "string", default: "json" },
+        correlation: { type: "boolean", default: false },
+        write: { type: "boolean", default: false },
+      },
+    });
+    const to = values.to === undefined ? Math.floor(Date.now() / 1000) : parseTimestamp(values.to);
+    if (to === null) {
+      throw new Error(`--to must be a date or a Unix timestamp.\n${USAGE}`);
+    }
+    if (values.window && !values.window.every((window) => window === ALL_WINDOW || parseDuration(window) !== null)) {
+      throw new Error(`--window must be a duration such as 30d, or '${ALL_WINDOW}'.\n${USAGE}`);
+    }
+    if (!["json", "csv"].includes(values.format)) {
+      throw new Error(`--format must be json or csv.\n${USAGE}`);
+    }
+
+    const config = loadConfig();
+    const sink = values.write ? createSinks(config.sinks) : null;
+    try {
+      const job = createAnalyticsJob({
+        analytics: config.analytics,
+        source: createInfluxSource({
+          url: process.env.INFLUX_URL,
+          token: process.env.INFLUX_TOKEN,
+          org: process.env.INFLUX_ORG,
+          bucket: process.env.INFLUX_BUCKET,
+        }),
+        sink,
+      });
+      const report = await job.compute(to, values.window);
+      if (values.format === "csv") {
+        process.stdout.write(values.correlation ? correlationCsv(report) : statsCsv(report));
+      } else {
+        process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+      }
+      if (sink) {
+        const points = toAnalyticsPoints(report);
+        await sink.writeAnalytics(points);
+        console.log(`Wrote the analytics of ${points.length} series window(s) to ${sink.name}.`);
+      }
+    } finally {
+      if (sink) await sink.close();
+    }
+  },
+};
+
+async function main() {
+  // Keep stdout for points: adapters log progress through console.log
+  console.log = console.error;
+
+  const [command, ...args] = process.argv.slice(2);
+  if (!COMMANDS[command]) {
+    console.error(USAGE);
+    return 1;
+  }
+  await COMMANDS[command](args);
+  return 0;
+}
+
+main()
+  .catch((error) => {
+    console.error(error.message);
+    return 1;
+  })
+  .then(async (code) => {
+    await closeProvider();
+    flushBlockCaches();
+    process.exit(code);
+  });
@@ -0,0 +1,210 @@
+const { ethers, isAddress } = require("ethers");
+const { getProvider } = require("../utils/provider");
+const { getBlockNumberByTimestamp } = require("../utils/blockResolver");
+const { read, readAtBlock, readAtBlocks } = require("../utils/multicall");
+const { parseDuration } = require("../utils/time");
+
+const ABI = [
+  "function convertToAssets(uint256 shares) view returns (uint256)",
+  "function totalAssets() view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function asset() view returns (address)",
+];
+const ASSET_ABI = ["function decimals() view returns (uint8)"];
+
+const SECONDS_PER_YEAR = 3600 * 24 * 365;
+// Sampling interval and APY windows when the config sets none
+const DEFAULT_INTERVAL = "1d";
+const DEFAULT_WINDOWS = ["1d", "7d", "30d"];
+
+// Share and asset decimals per chain and vault, read once
+const vaultDecimals = new Map();
+
+/**
+ * @notice Returns the share and asset decimals of a vault, read at a block the vault exists at.
+ * @param {Object} provider - The provider of the vault's chain.
+ * @param {Object} contract - The vault contract.
+ * @param {string} chain - The chain name, part of the cache key.
+ * @param {number} blockTag - A block to read at.
+ */
+async function getDecimals(provider, contract, chain, blockTag) {
+  const key = `${chain}:${contract.target.toLowerCase()}`;
+  if (!vaultDecimals.has(key)) {
+    const [shareDecimals, asset] = await readAtBlock(provider, [read(contract, "decimals"), read(contract, "asset")], blockTag);
+    if (shareDecimals === null || asset === null) {
+      throw new Error(`${contract.target} does not look like an ERC-4626 vault: decimals() or asset() reverted.`);
+    }
+    const [assetDecimals] = await readAtBlock(provider, [read(new ethers.Contract(asset, ASSET_ABI), "decimals")], blockTag);
+    if (assetDecimals === null) {
+      throw new Error(`Could not read the decimals of the asset ${asset} of ${contract.target}.`);
+    }
+    vaultDecimals.set(key, { shareDecimals: Number(shareDecimals), assetDecimals: Number(assetDecimals) });
+  }
+  return vaultDecimals.get(key);
+}
+
+/**
+ * @notice Annualizes the share price growth between two readings, compounded.
+ * @return {number} The APY in percent.
+ */
+function realizedApy(price, previousPrice, seconds) {
+  const growth = Number(price - previousPrice) / Number(previousPrice);
+  return (Math.pow(1 + growth, SECONDS_PER_YEAR / seconds) - 1) * 100;
+}
+
+/**
+ * @notice Returns the windows of an instance as { label, seconds }, the first one giving the sample APY.
+ */
+function windowsOf(instance) {
+  return (instance.windows || DEFAULT_WINDOWS).map((label) => ({ label, seconds: parseDuration(label) }));
+}
+
+/**
+ * @notice ERC-4626 adapter: derives realized APYs from the share price of any tokenized vault.
+ * @dev Timestamp-cursor adapter, configured with the vault `address` on the instance's `chain`, an optional
+ *      sampling `interval` (default 1d) and optional APY `windows` (default 1d, 7d, 30d). On a UTC grid of
+ *      `interval` in (from, to], every grid point reads convertToAssets(one share) and totalAssets() at its
+ *      block, and the share price one interval and one window earlier (all reads batched as multicalls).
+ *  - The realized APY over a window compounds the share price growth over it:
+ *    ((price / priceWindowAgo) ^ (YEAR / window) - 1) * 100. The sample `apy` is the one over the first window;
+ *    every window's APY is kept as the `realized_apy_<window>` input.
+ *  - The raw rate is the share price growth over the interval, see methodology.js.
+ *  Every sample keeps the share price and totalAssets() as raw inputs, totalAssets() in the vault's asset as TVL,
+ *  and the block it was read at. Grid points whose share price, or share price one first window earlier, reverts
+ *  (e.g. before the vault was deployed) are skipped. The cursor advances to the last grid point, stopping before
+ *  the first one whose reads failed.
+ *  Vaults of any kind (sUSDS, sDAI, sFRAX, Yearn V3, Morpho) are tracked with a config entry only.
+ */
+module.exports = {
+  type: "erc4626",
+  cursorType: "timestamp",
+
+  /**
+   * @notice Checks the ERC-4626 keys of a protocol entry.
+   * @param {Object} entry - The raw protocol entry.
+   * @return {Array<string>} Error messages, prefixed with the offending key.
+   */
+  validate(entry) {
+    const errors = [];
+    if (!isAddress(entry.address)) {
+      errors.push("address: expected an Ethereum address");
+    }
+    if (entry.interval !== undefined && parseDuration(entry.interval) === null) {
+      errors.push("interval: expected a duration such as 1d");
+    }
+    if (entry.windows !== undefined
+      && (!Array.isArray(entry.windows) || !entry.windows.length
+        || !entry.windows.every((window) => typeof window === "string" && parseDuration(window) !== null))) {
+      errors.push("windows: expected a non-empty array of durations such as 7d");
+    }
+    return errors;
+  },
+
+  /**
+   * @notice Returns the current Unix timestamp in seconds.
+   */
+  async getLatestCursor() {
+    return Math.floor(Date.now() / 1000);
+  },
+
+  /**
+   * @notice Computes one sample per grid point in (from, to].
+   * @param {Object} instance - The protocol entry from the config file.
+   * @param {number} from - The last fetched timestamp in seconds.
+   * @param {number} to - The current timestamp in seconds.
+   */
+  async fetchRange(instance, from, to) {
+    const interval = parseDuration(instance.interval || DEFAULT_INTERVAL);
+    const windows = windowsOf(instance);
+    const first = (Math.floor(from / interval) + 1) * interval;
+    const gridPoints = [];
+    for (let timestamp = first; timestamp <= to; timestamp += interval) {
+      gridPoints.push(timestamp);
+    }
+    if (!gridPoints.length) {
+      console.log(`No new ${instance.interval || DEFAULT_INTERVAL} grid points for ${instance.name}. Skipping.`);
+      return { samples: [], cursor: from };
+    }
+    console.log(`Processing ${gridPoints.length} grid point(s) for ${instance.name}.`);
+
+    const provider = getProvider(instance.chain);
+    const contract = new ethers.Contract(instance.address, ABI, provider);
+
+    // Resolve the block of every grid point, and of the readings one interval and one window before them
+    const timestamps = new Set();
+    for (const timestamp of gridPoints) {
+      timestamps.add(timestamp);
+      timestamps.add(timestamp - interval);
+      windows.forEach(({ seconds }) => timestamps.add(timestamp - seconds));
+    }
+    const blocks = new Map();
+    for (const timestamp of [...timestamps].sort((a, b) => a - b)) {
+      blocks.set(timestamp, await getBlockNumberByTimestamp(provider, timestamp));
+    }
+
+    const lastBlock = blocks.get(gridPoints[gridPoints.length - 1]);
+    const { shareDecimals, assetDecimals } = await getDecimals(provider, contract, instance.chain, lastBlock);
+    const oneShare = 10n ** BigInt(shareDecimals);
+
+    // Read the share price and totalAssets() at every block in batched requests
+    const states = await readAtBlocks(
+      provider,
+      [read(contract, "convertToAssets", oneShare), read(contract, "totalAssets")],
+      [...blocks.values()]
+    );
+    const priceAt = (timestamp) => {
+      const state = states.get(blocks.get(timestamp));
+      return state ? state[0] : null;
+    };
+
+    const samples = [];
+    for (const timestamp of gridPoints) {
+      const block = blocks.get(timestamp);
+      // A failed batch, unlike a revert, may succeed on the next run: stop at the previous grid point
+      const unread = [timestamp, timestamp - interval, ...windows.map(({ seconds }) => timestamp - seconds)]
+        .find((readAt) => !states.get(blocks.get(readAt)));
+      if (unread !== undefined) {
+        console.log(`Could not read ${instance.name} at block ${blocks.get(unread)} (${unread}). Stopping before ${timestamp}.`);
+        return { samples, cursor: Math.max(from, timestamp - interval) };
+      }
+      const state = states.get(block);
+      if (state[0] === null || state[1] === null) {
+        console.log(`The share price of ${instance.name} reverted at block ${block} (${timestamp}). Skipping.`);
+        continue;
+      }
+      const [price, totalAssets] = state;
+
+      const realized = {};
+      for (const { label, seconds } of windows) {
+        const previousPrice = priceAt(timestamp - seconds);
+        if (previousPrice) realized[label] = realizedApy(price, previousPrice, seconds);
+      }
+      const apy = realized[windows[0].label];
+      if (apy === undefined) {
+        console.log(`No share price of ${instance.name} ${windows[0].label} before ${timestamp}. Skipping.`);
+        continue;
+      }
+      const intervalPrice = priceAt(timestamp - interval);
+
+      console.log(`At timestamp ${timestamp}: ${instance.name} APY (${windows[0].label}) = ${apy.toFixed(2)}%, share price: ${price}`);
+
+      samples.push({
+        protocol: instance.name,
+        apy,
+        weight: instance.weight,
+        timestamp,
+        tvl: Number(ethers.formatUnits(totalAssets, assetDecimals)),
+        rate: intervalPrice ? { value: Number(price - intervalPrice) / Number(intervalPrice), period: interval } : undefined,
+        inputs: {
+          sharePrice: price.toString(),
+          totalAssets: totalAssets.toString(),
+          ...Object.fromEntries(Object.entries(realized).map(([label, value]) => [`realized_apy_${label}`, value])),
+        },
+        provenance: { chain: instance.chain, address: instance.address, block, source: "rpc" },
+      });
+    }
+
+    // Advance to the last grid point processed
+    return { samples, cursor: gridPoints[gridPoints.length - 1] };
+  },
+};
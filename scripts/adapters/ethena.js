@@ -0,0 +1,126 @@
+const { ethers } = require("ethers");
+const { getProvider } = require("../utils/provider");
+const { getConfirmedBlock } = require("../utils/finality");
+const { read, readAtBlocks, BLOCK_TIMESTAMP } = require("../utils/multicall");
+
+// Define contract details for Ethena
+const CONTRACT_ABI = ["function totalAssets() view returns (uint256)"];
+const EVENT_TOPIC = "0xbb28dd7cd6be6f61828ea9158a04c5182c716a946a6d2f31f4864edb87471aa6";
+// Rewards are distributed every 8 hours
+const REWARD_PERIOD = 8 * 3600;
+
+/**
+ * @notice Ethena adapter: derives APY from the sUSDe rewardsTransfer event.
+ * @dev Block-cursor adapter, configured with the sUSDe `address` on the instance's `chain`. The latest cursor
+ *      is the latest confirmed block (see utils/finality.js). `fetchRange` processes every rewards log in
+ *      blocks (from, to]:
+ *   1. Fetches the logs of the rewards event emitted by the sUSDe contract.
+ *   2. Reads totalAssets() and the block timestamp at every log's block in one multicall per block,
+ *      with all blocks batched together.
+ *   3. For each log, reads the transferred amount and calculates the APY at full precision. The block
+ *      timestamp is used as the sample timestamp.
+ *      Every sample keeps the rewards amount and totalAssets() as raw inputs, totalAssets() in USDe as TVL,
+ *      and the block number, block hash and transaction hash of its log. The raw rate is the rewards over totalAssets() per
+ *      8 hours, see methodology.js.
+ *      The cursor advances to `to`, or to the block before the first log whose state could not be read.
+ *      In streaming mode (see stream.js) a run is triggered as soon as a rewards log is confirmed.
+ */
+module.exports = {
+  type: "ethena",
+  cursorType: "block",
+  tvlUnit: "USD",
+
+  /**
+   * @notice Returns the latest block that is confirmed according to the instance's `confirmations`.
+   * @param {Object} instance - The protocol entry from the config file.
+   */
+  async getLatestCursor(instance) {
+    return getConfirmedBlock(getProvider(instance.chain), instance.confirmations);
+  },
+
+  /**
+   * @notice Returns the log filter of rewards distributions, used by the streaming mode.
+   * @param {Object} instance - The protocol entry from the config file.
+   */
+  subscription(instance) {
+    return { address: instance.address, topics: [EVENT_TOPIC] };
+  },
+
+  /**
+   * @notice Computes samples for every rewards log in blocks (from, to].
+   * @param {Object} instance - The protocol entry from the config file.
+   * @param {number} from - The last processed block.
+   * @param {number} to - The last block to process.
+   */
+  async fetchRange(instance, from, to) {
+    const provider = getProvider(instance.chain);
+
+    // Create a filter for logs between from+1 and to
+    const logsFilter = {
+      address: [instance.address],
+      fromBlock: from + 1,
+      toBlock: to,
+      topics: [EVENT_TOPIC],
+    };
+
+    // Retrieve logs from the provider
+    const logs = await provider.getLogs(logsFilter);
+    console.log(`Fetching ${logs.length} new log(s).`);
+
+    if (!logs.length) {
+      console.log(`No new logs found between blocks ${from + 1} and ${to}.`);
+      return { samples: [], cursor: to };
+    }
+
+    // Create a contract instance to interact with Ethena
+    const contract = new ethers.Contract(instance.address, CONTRACT_ABI, provider);
+    // Read total assets and timestamp at the block of every log
+    const states = await readAtBlocks(
+      provider,
+      [read(contract, "totalAssets"), BLOCK_TIMESTAMP],
+      logs.map((log) => log.blockNumber)
+    );
+    const samples = [];
+
+    // Process each log
+    for (const log of logs) {
+      const state = states.get(log.blockNumber);
+      if (!state || state[0] === null || state[1] === null) {
+        // Stop before the block of the failed read, so the next run processes it again
+        console.error(`Error processing log at block ${log.blockNumber}: could not read totalAssets() or timestamp.`);
+        return { samples, cursor: log.blockNumber - 1 };
+      }
+      const [totalAssetsBigInt, blockTimestamp] = state;
+
+      // Convert log data to a BigInt value
+      const dataNumber = BigInt(log.data);
+
+      // Compute APY based on a formula
+      const apy = dataNumber * 3n * 365n * 100n;
+      const eightHourApy = Number(apy) / Number(totalAssetsBigInt);
+
+      samples.push({
+        protocol: instance.name,
+        apy: eightHourApy,
+        weight: instance.weight,
+        timestamp: Number(blockTimestamp),
+        tvl: Number(ethers.formatUnits(totalAssetsBigInt, 18)),
+        rate: { value: Number(dataNumber) / Number(totalAssetsBigInt), period: REWARD_PERIOD },
+        inputs: {
+          rewardsAmount: dataNumber.toString(),
+          totalAssets: totalAssetsBigInt.toString(),
+        },
+        provenance: {
+          chain: instance.chain,
+          address: instance.address,
+          block: log.blockNumber,
+          blockHash: log.blockHash,
+          txHash: log.transactionHash,
+          source: "rpc",
+        },
+      });
+    }
+
+    return { samples, cursor: to };
+  },
+};
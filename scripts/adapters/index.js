@@ -0,0 +1,102 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @notice Registry of protocol adapter types.
+ * @dev Every other .js file in this directory is loaded as an adapter type. Adding a yield source only
+ *      requires adding a file here and an entry in the config file. An adapter type has the shape:
+ *
+ *        {
+ *          type: "spark",                          // referenced by `adapter` in the config file
+ *          cursorType: "block" | "timestamp",
+ *          tvlUnit: "USD",                         // optional unit of the samples' `tvl`; instances may set theirs
+ *          getLatestCursor(instance): Promise<number>,
+ *          fetchRange(instance, from, to): Promise<{ samples, cursor }>,
+ *          subscription(instance): { address, topics },      // optional, enables the streaming mode
+ *          fetchLogs(instance, logs): Promise<Array<Object>>, // optional, samples of subscribed logs
+ *          validate(entry): Array<string>,                    // optional, checks adapter-specific keys
+ *        }
+ *
+ *      `instance` is the validated protocol entry from the config file; on-chain adapters read through
+ *      getProvider(instance.chain) and tag their samples with `instance.chain`. `fetchRange` covers the cursor
+ *      range (from, to] and returns normalized samples plus the cursor to persist once they are written:
+ *
+ *        {
+ *          protocol, apy, weight, timestamp,        // apy in percent at full precision, timestamp in seconds
+ *          tvl,                                     // optional, in `tvlUnit` (USD for Morpho, stablecoins else)
+ *          inputs: { totalAssets: "123..." },       // optional raw inputs; big integers as decimal strings
+ *          provenance: { chain, address, block, blockHash, txHash, source: "rpc" | "graphql" },
+ *        }
+ *
+ *      In streaming mode (see stream.js), a confirmed log matching `subscription` triggers a regular run of
+ *      block-cursor adapters; timestamp-cursor adapters turn the logs into samples with `fetchLogs` instead.
+ */
+
+const REQUIRED_KEYS = ["type", "cursorType", "getLatestCursor", "fetchRange"];
+
+/**
+ * @notice Loads and validates every adapter type in this directory.
+ */
+function loadAdapterTypes() {
+  const types = {};
+  const files = fs.readdirSync(__dirname).filter((file) => file.endsWith(".js") && file !== "index.js");
+  for (const file of files.sort()) {
+    const definition = require(path.join(__dirname, file));
+    const missing = REQUIRED_KEYS.filter((key) => definition[key] === undefined);
+    if (missing.length) {
+      throw new Error(`Adapter ${file} is missing: ${missing.join(", ")}`);
+    }
+    if (types[definition.type]) {
+      throw new Error(`Duplicate adapter type: ${definition.type}`);
+    }
+    types[definition.type] = definition;
+  }
+  return types;
+}
+
+const adapterTypes = loadAdapterTypes();
+
+/**
+ * @notice Returns the adapter type registered under `type`, or undefined.
+ * @param {string} type - The adapter type, e.g. "spark" or "morpho".
+ */
+function getAdapterType(type) {
+  return Object.prototype.hasOwnProperty.call(adapterTypes, type) ? adapterTypes[type] : undefined;
+}
+
+/**
+ * @notice Binds an adapter type to a configured protocol instance.
+ * @dev The returned adapter is what the runner works with:
+ *      { name, chain, cursorType, cursorKey, schedule, timeout, startCursor, validation, reorgWindow,
+ *      getLatestCursor(), fetchRange(from, to) },
+ *      plus `subscription` and fetchLogs(logs) for adapter types supporting the streaming mode.
+ * @param {Object} instance - A validated protocol entry from the config file.
+ */
+function createAdapter(instance) {
+  const definition = getAdapterType(instance.adapter);
+  return {
+    name: instance.name,
+    chain: instance.chain,
+    cursorType: definition.cursorType,
+    cursorKey: instance.cursorKey,
+    schedule: instance.schedule,
+    timeout: instance.timeout,
+    startCursor: instance.startCursor,
+    validation: instance.validation,
+    reorgWindow: instance.reorgWindow,
+    getLatestCursor: () => definition.getLatestCursor(instance),
+    fetchRange: (from, to) => definition.fetchRange(instance, from, to),
+    subscription: definition.subscription ? definition.subscription(instance) : undefined,
+    fetchLogs: definition.fetchLogs ? (logs) => definition.fetchLogs(instance, logs) : undefined,
+  };
+}
+
+/**
+ * @notice Creates adapters for every enabled protocol instance.
+ * @param {Array<Object>} protocols - Validated protocol entries from the config file.
+ */
+function createAdapters(protocols) {
+  return protocols.filter((instance) => instance.enabled).map(createAdapter);
+}
+
+module.exports = { getAdapterType, createAdapter, createAdapters };
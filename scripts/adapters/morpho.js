@@ -0,0 +1,346 @@
+const { ApolloClient, InMemoryCache, gql } = require("@apollo/client/core");
+const { HttpLink } = require("@apollo/client/link/http");
+const fetch = require("cross-fetch");
+const { isAddress } = require("ethers");
+const { countRequests } = require("../utils/metrics");
+const { getChain } = require("../utils/chains");
+const { parseDuration } = require("../utils/time");
+
+// The Morpho API; MORPHO_API_URL points the adapter elsewhere, e.g. to a mock in tests.
+const ENDPOINT = process.env.MORPHO_API_URL || "https://blue-api.morpho.org/graphql";
+
+// Supported timeseries granularities, with their spacing in seconds.
+const INTERVALS = { HOUR: 3600, DAY: 24 * 3600 };
+// The longest range requested at once per granularity, so every response stays a few hundred points.
+const PAGE_SPANS = { HOUR: 30 * 24 * 3600, DAY: 365 * 24 * 3600 };
+// Which of the API's APYs becomes the sample's `apy`; both are kept as raw inputs.
+const APY_TYPES = ["gross", "net"];
+const YEAR = 365 * 24 * 3600;
+
+// Vaults per page of the discovery query.
+const DISCOVERY_PAGE_SIZE = 100;
+
+// Retries of a failed request after the first attempt, with exponential backoff.
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+// A request still pending after this long is aborted and retried.
+const REQUEST_TIMEOUT_MS = 30000;
+// How far behind the range end a failing vault may hold the cursor of its instance, unless it sets `maxHold`.
+const DEFAULT_MAX_HOLD = "3d";
+
+/**
+ * @notice GraphQL query for retrieving the history of a vault.
+ * @dev The query requires an address, the ID of the chain the vault lives on and a TimeseriesOptions object
+ *      containing the startTimestamp, endTimestamp and interval. The gross APY (before the performance fee),
+ *      the net APY (after fees, with rewards), the total assets and their USD value are read over the same grid.
+ */
+const GET_VAULT_HISTORY = gql`
+  query VaultHistory($address: String!, $chainId: Int, $options: TimeseriesOptions) {
+    vaultByAddress(address: $address, chainId: $chainId) {
+      address
+      symbol
+      historicalState {
+        apy(options: $options) {
+          x
+          y
+        }
+        netApy(options: $options) {
+          x
+          y
+        }
+        totalAssets(options: $options) {
+          x
+          y
+        }
+        totalAssetsUsd(options: $options) {
+          x
+          y
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * @notice GraphQL query listing the vaults of curators on a chain, one page at a time.
+ */
+const GET_CURATED_VAULTS = gql`
+  query CuratedVaults($first: Int, $skip: Int, $where: VaultFilters) {
+    vaults(first: $first, skip: $skip, where: $where) {
+      items {
+        address
+        symbol
+      }
+      pageInfo {
+        countTotal
+      }
+    }
+  }
+`;
+
+let apolloClient;
+
+/**
+ * @notice fetch() counting every GraphQL request and failure in the collector metrics, and aborting
+ *         requests after REQUEST_TIMEOUT_MS.
+ */
+async function countedFetch(url, options = {}) {
+  const timeout = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+  const signal = options.signal ? AbortSignal.any([options.signal, timeout]) : timeout;
+  try {
+    const response = await fetch(url, { ...options, signal });
+    countRequests("graphql", 1, !response.ok);
+    return response;
+  } catch (error) {
+    countRequests("graphql", 1, true);
+    throw error;
+  }
+}
+
+/**
+ * @notice Returns the shared Apollo client for the Morpho GraphQL API.
+ * @dev Results are never cached: every run and retry must reach the API.
+ */
+function getApolloClient() {
+  if (!apolloClient) {
+    apolloClient = new ApolloClient({
+      link: new HttpLink({ uri: ENDPOINT, fetch: countedFetch }),
+      cache: new InMemoryCache(),
+      defaultOptions: { query: { fetchPolicy: "no-cache" } },
+    });
+  }
+  return apolloClient;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @notice Runs a GraphQL query, retrying failures with exponential backoff.
+ * @param {Object} query - The Apollo query options.
+ * @param {string} label - What is queried, used in log messages.
+ */
+async function queryWithRetries(query, label) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { data } = await getApolloClient().query(query);
+      return data;
+    } catch (error) {
+      if (attempt >= MAX_RETRIES) throw error;
+      const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+      console.warn(`Morpho query for ${label} failed (attempt ${attempt + 1}/${MAX_RETRIES + 1}): ${error.message}. Retrying in ${delay}ms.`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * @notice Returns the vaults an instance covers: its `address`, its `vaults`, or every vault of its `curator`.
+ * @param {Object} instance - The protocol entry from the config file.
+ * @return {Promise<Array<Object>>} { address, symbol } per vault; the symbol is only known for discovered vaults.
+ */
+async function listVaults(instance) {
+  if (instance.address) return [{ address: instance.address }];
+  if (instance.vaults) return instance.vaults.map((address) => ({ address }));
+
+  const where = { curatorAddress_in: [].concat(instance.curator), chainId_in: [getChain(instance.chain).chainId] };
+  const vaults = [];
+  for (let skip = 0; ; skip += DISCOVERY_PAGE_SIZE) {
+    const data = await queryWithRetries(
+      { query: GET_CURATED_VAULTS, variables: { first: DISCOVERY_PAGE_SIZE, skip, where } },
+      `the vaults of ${instance.name}`
+    );
+    const page = data?.vaults;
+    vaults.push(...((page && page.items) || []));
+    if (!page || !page.items.length || skip + DISCOVERY_PAGE_SIZE >= page.pageInfo.countTotal) break;
+  }
+  console.log(`Discovered ${vaults.length} Morpho vault(s) for ${instance.name}.`);
+  return vaults;
+}
+
+/**
+ * @notice Reads the history of a vault in (from, to], one PAGE_SPANS window per request.
+ * @param {Object} instance - The protocol entry from the config file.
+ * @param {string} address - The vault address.
+ * @param {number} from - Unix timestamp in seconds, exclusive.
+ * @param {number} to - Unix timestamp in seconds, inclusive.
+ * @return {Promise<Object>} { symbol, points } with points { x, apy, netApy, totalAssets, totalAssetsUsd }
+ *         in ascending time; values missing from the API are undefined.
+ */
+async function fetchVaultHistory(instance, address, from, to) {
+  const interval = instance.interval || "DAY";
+  const chainId = getChain(instance.chain).chainId;
+  const points = new Map();
+  let symbol;
+
+  for (let start = from; start < to; start += PAGE_SPANS[interval]) {
+    const options = { startTimestamp: start, endTimestamp: Math.min(to, start + PAGE_SPANS[interval]), interval };
+    const data = await queryWithRetries(
+      { query: GET_VAULT_HISTORY, variables: { address, chainId, options } },
+      `vault ${address}`
+    );
+    const vault = data?.vaultByAddress;
+    if (!vault) {
+      throw new Error(`Vault ${address} not found on chain ${chainId}`);
+    }
+    symbol = vault.symbol;
+
+    const state = vault.historicalState || {};
+    for (const field of ["apy", "netApy", "totalAssets", "totalAssetsUsd"]) {
+      for (const { x, y } of state[field] || []) {
+        // The API includes the start of the range, which the previous run already covered
+        if (x <= from || x > to || y === null || y === undefined) continue;
+        if (!points.has(x)) points.set(x, { x });
+        points.get(x)[field] = y;
+      }
+    }
+  }
+  return { symbol, points: [...points.values()].sort((a, b) => a.x - b.x) };
+}
+
+/**
+ * @notice Builds the sample of a history point.
+ * @param {Object} instance - The protocol entry from the config file.
+ * @param {string} protocol - The series name, see fetchRange.
+ * @param {string} address - The vault address.
+ * @param {Object} point - { x, apy, netApy, totalAssets, totalAssetsUsd } as returned by fetchVaultHistory.
+ * @param {number} weight - The weight written with the sample, see fetchRange.
+ */
+function toSample(instance, protocol, address, point, weight) {
+  const period = INTERVALS[instance.interval || "DAY"];
+  const raw = parseFloat(instance.apyType === "net" ? point.netApy : point.apy);
+  // The per-interval return that compounds to the API's APY over a year
+  const periodRate = Math.pow(1 + raw, period / YEAR) - 1;
+  const inputs = {};
+  if (point.apy !== undefined) inputs.apy = String(point.apy);
+  if (point.netApy !== undefined) inputs.netApy = String(point.netApy);
+  if (point.totalAssets !== undefined) inputs.totalAssets = String(point.totalAssets);
+  return {
+    protocol,
+    // Convert the APY value from decimal to percentage
+    apy: raw * 100,
+    weight,
+    timestamp: point.x,
+    tvl: point.totalAssetsUsd === undefined ? undefined : Number(point.totalAssetsUsd),
+    rate: { value: periodRate, period },
+    inputs,
+    provenance: { chain: instance.chain, address, source: "graphql" },
+  };
+}
+
+/**
+ * @notice Morpho adapter: reads the historical APY of vaults from the Morpho GraphQL API.
+ * @dev Timestamp-cursor adapter. An instance covers either a single vault (`address`, written under the
+ *      instance's name), or several vaults written as `<name>-<vault symbol>`: a `vaults` list of addresses, or
+ *      every vault of a `curator` (one address or a list) on the instance's `chain`, discovered on every run.
+ *      `fetchRange`:
+ *   - Queries the history of every vault in (from, to] at the instance's `interval` (HOUR or DAY, default DAY),
+ *     in windows of PAGE_SPANS, retrying failed requests.
+ *   - Uses the gross or net APY (`apyType`, default gross) as the sample's APY, keeping both and the vault's
+ *     total assets as raw inputs and its USD TVL at the same timestamp. The API's APY is compounded, so the raw
+ *     rate is its per-interval equivalent, see methodology.js.
+ *   - Splits the instance's `weight` evenly across its vaults, so an instance weighs the same however many
+ *     vaults a curator runs.
+ *   - Isolates failures per vault: the samples of the other vaults are still returned.
+ *   - Advances the cursor to the latest timestamp returned, the earliest such timestamp across vaults when
+ *     there are several; points are keyed by timestamp, so vaults that are ahead simply rewrite their latest
+ *     points on the next run. A failing vault holds the cursor back, but no further than `maxHold` (default
+ *     3d) behind the range end, so it neither stalls the other vaults nor widens every run's range for good;
+ *     the hole it leaves is repaired by the gaps job (see gaps.js).
+ */
+module.exports = {
+  type: "morpho",
+  cursorType: "timestamp",
+  tvlUnit: "USD",
+
+  /**
+   * @notice Checks the Morpho-specific keys of a protocol entry.
+   * @param {Object} entry - The raw protocol entry.
+   * @return {Array<string>} Error messages, prefixed with the offending key.
+   */
+  validate(entry) {
+    const errors = [];
+    const sources = ["address", "vaults", "curator"].filter((key) => entry[key] !== undefined);
+    if (sources.length !== 1) {
+      errors.push("address: expected exactly one of address, vaults or curator");
+    }
+    if (entry.address !== undefined && !isAddress(entry.address)) {
+      errors.push("address: expected an Ethereum address");
+    }
+    for (const key of ["vaults", "curator"]) {
+      if (entry[key] === undefined) continue;
+      const addresses = key === "curator" ? [].concat(entry[key]) : entry[key];
+      if (!Array.isArray(addresses) || !addresses.length || !addresses.every((address) => isAddress(address))) {
+        errors.push(`${key}: expected ${key === "curator" ? "an address or " : ""}a non-empty array of addresses`);
+      }
+    }
+    if (entry.interval !== undefined && !INTERVALS[entry.interval]) {
+      errors.push(`interval: expected one of ${Object.keys(INTERVALS).join(", ")}`);
+    }
+    if (entry.apyType !== undefined && !APY_TYPES.includes(entry.apyType)) {
+      errors.push(`apyType: expected one of ${APY_TYPES.join(", ")}`);
+    }
+    if (entry.maxHold !== undefined && !(parseDuration(entry.maxHold) > 0)) {
+      errors.push("maxHold: expected a duration such as 3d");
+    }
+    return errors;
+  },
+
+  /**
+   * @notice Returns the current Unix timestamp in seconds.
+   */
+  async getLatestCursor() {
+    return Math.floor(Date.now() / 1000);
+  },
+
+  /**
+   * @notice Computes one sample per data point returned by the API in (from, to], for every vault.
+   * @param {Object} instance - The protocol entry from the config file.
+   * @param {number} from - The last fetched timestamp in seconds.
+   * @param {number} to - The end of the range in seconds.
+   */
+  async fetchRange(instance, from, to) {
+    const single = Boolean(instance.address);
+    const vaults = await listVaults(instance);
+    const weight = single ? instance.weight : instance.weight / vaults.length;
+    const samples = [];
+    const latest = [];
+    let failed = 0;
+
+    for (const vault of vaults) {
+      let history;
+      try {
+        history = await fetchVaultHistory(instance, vault.address, from, to);
+      } catch (error) {
+        if (single) throw error;
+        console.error(`Error fetching Morpho vault ${vault.address} of ${instance.name}:`, error.message);
+        failed++;
+        continue;
+      }
+      const symbol = vault.symbol || history.symbol || vault.address;
+      const protocol = single ? instance.name : `${instance.name}-${symbol}`;
+      const vaultSamples = history.points
+        .filter((point) => point[instance.apyType === "net" ? "netApy" : "apy"] !== undefined)
+        .map((point) => toSample(instance, protocol, vault.address, point, weight));
+      if (!vaultSamples.length) {
+        console.log(`No APY data returned for vault ${symbol} of ${instance.name}.`);
+        continue;
+      }
+      samples.push(...vaultSamples);
+      latest.push(vaultSamples[vaultSamples.length - 1].timestamp);
+    }
+
+    if (failed && failed === vaults.length) {
+      throw new Error(`Every Morpho vault of ${instance.name} failed`);
+    }
+    if (!latest.length) return { samples, cursor: from };
+    const reached = Math.min(...latest);
+    if (!failed) return { samples, cursor: reached };
+    const held = Math.max(from, Math.min(reached, to - parseDuration(instance.maxHold || DEFAULT_MAX_HOLD)));
+    if (held > from) {
+      console.warn(`${failed} Morpho vault(s) of ${instance.name} failed for over ${instance.maxHold || DEFAULT_MAX_HOLD}; moving the cursor past them.`);
+    }
+    return { samples, cursor: held };
+  },
+};
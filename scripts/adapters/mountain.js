@@ -0,0 +1,134 @@
+const { ethers } = require("ethers");
+const { getProvider } = require("../utils/provider");
+const { getBlockNumberByTimestamp } = require("../utils/blockResolver");
+const { read, readAtBlocks } = require("../utils/multicall");
+
+const ABI = [
+  "function rewardMultiplier() view returns (uint256)",
+  "function totalSupply() view returns (uint256)"
+];
+
+const INTERVAL = 24 * 3600;
+
+/**
+ * @notice Mountain adapter: derives APY from the growth of USDM's rewardMultiplier.
+ * @dev Timestamp-cursor adapter, configured with the USDM `address` on the instance's `chain`. For each full
+ *      24‑hour interval after `from`, reads rewardMultiplier() and totalSupply() at the closest block and compares the
+ *      multiplier with the previous interval. Both reads for every interval go out as batched multicalls.
+ *      Every sample keeps both multipliers and totalSupply() as raw inputs, totalSupply() in USDM as TVL,
+ *      and the block it was read at. The APY is stored at full precision. The raw rate is the multiplier
+ *      growth since the previous multiplier read, over the actual gap, see methodology.js. An interval without
+ *      a previous multiplier (e.g. the contract reverted before it) produces no sample, and one whose reads
+ *      reverted is skipped.
+ *      The cursor advances to the end of the last processed interval, stopping before the first interval whose
+ *      state could not be read.
+ */
+module.exports = {
+  type: "mountain",
+  cursorType: "timestamp",
+  tvlUnit: "USD",
+
+  /**
+   * @notice Returns the current Unix timestamp in seconds.
+   */
+  async getLatestCursor() {
+    return Math.floor(Date.now() / 1000);
+  },
+
+  /**
+   * @notice Computes one sample per full 24‑hour interval in (from, to].
+   * @param {Object} instance - The protocol entry from the config file.
+   * @param {number} from - The last fetched timestamp in seconds.
+   * @param {number} to - The current timestamp in seconds.
+   */
+  async fetchRange(instance, from, to) {
+    // Calculate the number of full 24-hour intervals to process
+    const intervalsToProcess = Math.floor((to - from) / INTERVAL);
+    if (intervalsToProcess <= 0) {
+      console.log("No new 24‑hour intervals to process. Skipping.");
+      return { samples: [], cursor: from };
+    }
+    console.log(`Processing ${intervalsToProcess} 24‑hour intervals for Mountain.`);
+
+    const provider = getProvider(instance.chain);
+    const contract = new ethers.Contract(instance.address, ABI, provider);
+    const samples = [];
+
+    // Resolve the block at the start of the range and at the end of every interval
+    const initialBlock = await getBlockNumberByTimestamp(provider, from);
+    const intervals = [];
+    for (let i = 1; i <= intervalsToProcess; i++) {
+      const currentTimestamp = from + i * INTERVAL; // each interval’s timestamp
+      intervals.push({ currentTimestamp, blockNum: await getBlockNumberByTimestamp(provider, currentTimestamp) });
+    }
+
+    // Read rewardMultiplier() and totalSupply() at every block in batched requests
+    const states = await readAtBlocks(
+      provider,
+      [read(contract, "rewardMultiplier"), read(contract, "totalSupply")],
+      [initialBlock, ...intervals.map(({ blockNum }) => blockNum)]
+    );
+    const initialState = states.get(initialBlock);
+    if (!initialState) {
+      console.log(`Could not read contract state for block ${initialBlock} at ${from}. Stopping before ${from + INTERVAL}.`);
+      return { samples, cursor: from };
+    }
+    // The multiplier the next sample grows from, and when it was read
+    let previousMultiplier = initialState[0];
+    let previousTimestamp = from;
+
+    for (const { currentTimestamp, blockNum } of intervals) {
+      const state = states.get(blockNum);
+      if (!state) {
+        // Stop at the end of the previous interval, so the next run reads this one again
+        console.log(`Could not read contract state for block ${blockNum}. Stopping before the interval at ${currentTimestamp}.`);
+        return { samples, cursor: currentTimestamp - INTERVAL };
+      }
+      const [rewardMultiplier, totalSupply] = state;
+      if (rewardMultiplier === null || totalSupply === null) {
+        console.log(`rewardMultiplier() or totalSupply() reverted at block ${blockNum}. Skipping interval at ${currentTimestamp}.`);
+        continue;
+      }
+      if (previousMultiplier === null) {
+        // Without a previous multiplier there is no growth to derive an APY from
+        console.log(`No previous rewardMultiplier before ${currentTimestamp}. Skipping interval.`);
+        previousMultiplier = rewardMultiplier;
+        previousTimestamp = currentTimestamp;
+        continue;
+      }
+
+      // A reverted read in between makes the growth span several intervals
+      const period = currentTimestamp - previousTimestamp;
+      const rate = { value: Number(rewardMultiplier - previousMultiplier) / Number(previousMultiplier), period };
+      const ratio = Number(rewardMultiplier) / Number(previousMultiplier);
+      const dailyApy = Number(totalSupply) * (ratio - 1) * (INTERVAL / period);
+
+      const inputs = {
+        rewardMultiplier: rewardMultiplier.toString(),
+        previousRewardMultiplier: previousMultiplier.toString(),
+        totalSupply: totalSupply.toString(),
+      };
+      previousMultiplier = rewardMultiplier;
+      previousTimestamp = currentTimestamp;
+
+      const apy = dailyApy / 1e23;
+      const toPercent = apy * 100;
+
+      console.log(`At timestamp ${currentTimestamp}: Mountain APY = ${toPercent.toFixed(2)}%, multiplier: ${rewardMultiplier}, totalSupply: ${totalSupply}`);
+
+      samples.push({
+        protocol: instance.name,
+        apy: toPercent,
+        weight: instance.weight,
+        timestamp: currentTimestamp,
+        tvl: Number(ethers.formatUnits(totalSupply, 18)),
+        rate,
+        inputs,
+        provenance: { chain: instance.chain, address: instance.address, block: blockNum, source: "rpc" },
+      });
+    }
+
+    // Advance to the last interval processed
+    return { samples, cursor: from + intervalsToProcess * INTERVAL };
+  },
+};
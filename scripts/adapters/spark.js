@@ -0,0 +1,176 @@
+const { ethers } = require("ethers");
+const { getProvider } = require("../utils/provider");
+const { getBlockNumberByTimestamp } = require("../utils/blockResolver");
+const { read, readAtBlocks, BLOCK_TIMESTAMP } = require("../utils/multicall");
+
+const ABI = [
+  "function ssr() view returns (uint256)",
+  "function totalAssets() view returns (uint256)",
+];
+
+// Define an 8‑hour interval in seconds
+const INTERVAL = 8 * 3600;
+// Define constant for seconds per year
+const SECONDS_PER_YEAR = 3600 * 24 * 365;
+// The ssr is a per-second growth factor scaled by 1e27
+const RAY = 10n ** 27n;
+// File(bytes32 indexed what, uint256 data), emitted when governance sets the ssr
+const FILE_TOPIC = "0xe986e40cc8c151830d4f61050f4fb2e4add8567caad2d5f5496f9158e91fe4c7";
+const SSR_WHAT = ethers.encodeBytes32String("ssr");
+
+/**
+ * @notice Builds the sample of an ssr reading.
+ * @param {Object} instance - The protocol entry from the config file.
+ * @param {number} timestamp - The sample timestamp in seconds.
+ * @param {bigint} ssrBig - The raw ssr.
+ * @param {bigint|null} totalAssets - totalAssets() at the same block, null when unreadable.
+ * @param {Object} provenance - The block (and transaction hash) the values were read at.
+ */
+function toSample(instance, timestamp, ssrBig, totalAssets, provenance) {
+  // Convert ssrBig to a float by dividing by 1e27
+  const ssrFloat = Number(ssrBig) / 1e27;
+
+  // Calculate the annual factor
+  // Then compute annual APY
+  const annualFactor = Math.pow(ssrFloat, SECONDS_PER_YEAR);
+  const annualApy = (annualFactor - 1) * 100;
+
+  console.log(`At timestamp ${timestamp} (block ${provenance.block}): SSR = ${ssrFloat}, APY = ${annualApy.toFixed(2)}%`);
+
+  return {
+    protocol: instance.name,
+    apy: annualApy,
+    weight: instance.weight,
+    timestamp,
+    tvl: totalAssets === null ? undefined : Number(ethers.formatUnits(totalAssets, 18)),
+    // Subtracting before converting keeps the digits a float of ssr / 1e27 would lose
+    rate: { value: Number(ssrBig - RAY) / 1e27, period: 1 },
+    inputs: { ssr: ssrBig.toString() },
+    provenance: { chain: instance.chain, address: instance.address, ...provenance, source: "rpc" },
+  };
+}
+
+/**
+ * @notice Spark adapter: samples the sUSDS savings rate at 8‑hour intervals.
+ * @dev Timestamp-cursor adapter, configured with the sUSDS `address` on the instance's `chain`. For each full
+ *      8‑hour interval after `from`:
+ *  - Finds the block number closest to the target timestamp.
+ *  - Calls the contract’s ssr() and totalAssets() functions at that block; the calls for all intervals are batched.
+ *  - Computes the annual APY as: ( (ssrFloat^SECONDS_PER_YEAR) - 1 ) * 100, at full precision.
+ *  Every sample keeps the raw ssr as input, totalAssets() in USDS as TVL, and the block it was read at.
+ *  The raw rate is ssr - 1 per second, see methodology.js.
+ *  In streaming mode (see stream.js) every ssr change (`File("ssr", data)` log) additionally produces a sample
+ *  at the block of the change, through `subscription` and `fetchLogs`.
+ *  The cursor advances to the end of the last processed interval, stopping before the first interval whose
+ *  state could not be read.
+ */
+module.exports = {
+  type: "spark",
+  cursorType: "timestamp",
+  tvlUnit: "USD",
+
+  /**
+   * @notice Returns the current Unix timestamp in seconds.
+   */
+  async getLatestCursor() {
+    return Math.floor(Date.now() / 1000);
+  },
+
+  /**
+   * @notice Computes one sample per full 8‑hour interval in (from, to].
+   * @param {Object} instance - The protocol entry from the config file.
+   * @param {number} from - The last fetched timestamp in seconds.
+   * @param {number} to - The current timestamp in seconds.
+   */
+  async fetchRange(instance, from, to) {
+    // Calculate the number of full 8‑hour intervals that have passed since the last timestamp
+    const intervalsToProcess = Math.floor((to - from) / INTERVAL);
+    if (intervalsToProcess <= 0) {
+      console.log("No new 8‑hour intervals to process. Skipping.");
+      return { samples: [], cursor: from };
+    }
+    console.log(`Processing ${intervalsToProcess} 8‑hour intervals from ${from}.`);
+
+    // Initialize the contract
+    const provider = getProvider(instance.chain);
+    const contract = new ethers.Contract(instance.address, ABI, provider);
+    const samples = [];
+
+    // Get the block number closest to the target timestamp of each 8‑hour interval
+    const intervals = [];
+    for (let i = 1; i <= intervalsToProcess; i++) {
+      const currentTimestamp = from + i * INTERVAL; // Target timestamp for this interval
+      intervals.push({ currentTimestamp, blockNum: await getBlockNumberByTimestamp(provider, currentTimestamp) });
+    }
+
+    // Call the contract's ssr() and totalAssets() functions at every block in batched requests
+    const states = await readAtBlocks(
+      provider,
+      [read(contract, "ssr"), read(contract, "totalAssets")],
+      intervals.map(({ blockNum }) => blockNum)
+    );
+
+    // Process each 8‑hour interval
+    for (const { currentTimestamp, blockNum } of intervals) {
+      const state = states.get(blockNum);
+      if (!state) {
+        // Stop at the end of the previous interval, so the next run reads this one again
+        console.log(`Error calling ssr() at block ${blockNum}. Stopping before the interval at ${currentTimestamp}.`);
+        return { samples, cursor: currentTimestamp - INTERVAL };
+      }
+      const [ssrBig, totalAssets] = state;
+
+      // If the call returns empty data, skip this interval
+      if (!ssrBig || ssrBig.toString() === "0") {
+        console.log(`ssr() returned empty data at block ${blockNum}. Skipping this interval.`);
+        continue;
+      }
+
+      samples.push(toSample(instance, currentTimestamp, ssrBig, totalAssets, { block: blockNum }));
+    }
+
+    // Advance to the end of the last processed interval
+    return { samples, cursor: from + intervalsToProcess * INTERVAL };
+  },
+
+  /**
+   * @notice Returns the log filter of ssr changes, used by the streaming mode.
+   * @param {Object} instance - The protocol entry from the config file.
+   */
+  subscription(instance) {
+    return { address: instance.address, topics: [FILE_TOPIC, SSR_WHAT] };
+  },
+
+  /**
+   * @notice Computes one sample per ssr change log, at the block of the change.
+   * @param {Object} instance - The protocol entry from the config file.
+   * @param {Array<Object>} logs - Logs matching the subscription filter.
+   */
+  async fetchLogs(instance, logs) {
+    const provider = getProvider(instance.chain);
+    const contract = new ethers.Contract(instance.address, ABI, provider);
+    const states = await readAtBlocks(
+      provider,
+      [read(contract, "totalAssets"), BLOCK_TIMESTAMP],
+      logs.map((log) => log.blockNumber)
+    );
+
+    const samples = [];
+    for (const log of logs) {
+      const state = states.get(log.blockNumber);
+      if (!state || state[1] === null) {
+        console.error(`Error processing ssr change at block ${log.blockNumber}: could not read the block timestamp.`);
+        continue;
+      }
+      const [totalAssets, blockTimestamp] = state;
+      // The new ssr is the non-indexed `data` argument
+      const ssrBig = BigInt(log.data);
+      samples.push(toSample(instance, Number(blockTimestamp), ssrBig, totalAssets, {
+        block: log.blockNumber,
+        blockHash: log.blockHash,
+        txHash: log.transactionHash,
+      }));
+    }
+    return samples;
+  },
+};
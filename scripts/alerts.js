@@ -0,0 +1,321 @@
+const path = require("path");
+const { readJson, writeJsonAtomic } = require("./utils/jsonFile");
+const { parseDuration } = require("./utils/time");
+
+/**
+ * @notice Alert engine evaluated after every adapter run.
+ * @dev Rules are declared in the `alerts` section of the config file:
+ *   - apy_change:           |latest APY - first APY in `window`| of `protocol` exceeds `threshold` points
+ *   - index_below:          the Bento index now, computed with the configured strategy (see bentoIndex.js), is
+ *                           below `threshold`
+ *   - stale:                the latest `protocol` point is older than `maxAge` (or there is none)
+ *   - consecutive_failures: the `protocol` fetcher failed at least `count` runs in a row
+ *   - depeg:                the latest |deviation| of stablecoin `asset` from its peg exceeds `threshold` percent
+ *                           (see peg.js)
+ *      Each rule is either firing or not. A notification is sent when a rule starts firing, again while it
+ *      keeps firing once `cooldown` has passed since the last one, and once when it resolves, so a flapping
+ *      or long-lasting condition does not flood the channels. Rule states and failure counters are kept in
+ *      a JSON state file so a restart neither re-sends open alerts nor forgets failures. A notification
+ *      that no channel accepted leaves the state unchanged and is retried by the next evaluation.
+ *      Channels are HTTP endpoints receiving a JSON POST: `webhook` gets the alert object, `slack` gets a
+ *      Slack-compatible `{ text }` message.
+ */
+
+// The default state file.
+const DEFAULT_STATE_FILE = path.join(__dirname, "data", "alert_state.json");
+
+// Minimum time between two notifications of a rule that keeps firing, in seconds.
+const DEFAULT_COOLDOWN = 6 * 3600;
+
+// Timeout of a single delivery.
+const DELIVERY_TIMEOUT_MS = 10000;
+
+const RULE_TYPES = ["apy_change", "index_below", "stale", "consecutive_failures", "depeg"];
+const CHANNEL_TYPES = ["webhook", "slack"];
+
+/**
+ * @notice Formats a number of seconds as hours, for messages.
+ */
+function formatHours(seconds) {
+  return `${Number((seconds / 3600).toFixed(1))}h`;
+}
+
+/**
+ * @notice Resolves a channel's URL, either inline or from the environment variable named by `urlEnv`.
+ */
+function channelUrl(channel) {
+  return channel.url || process.env[channel.urlEnv];
+}
+
+/**
+ * @notice Builds the body posted to a channel.
+ * @param {Object} channel - A channel entry from the config file.
+ * @param {Object} alert - { rule, type, status, protocol, asset, message, value, threshold, timestamp }.
+ */
+function formatPayload(channel, alert) {
+  if (channel.type === "slack") {
+    return { text: `[${alert.status.toUpperCase()}] ${alert.rule}: ${alert.message}` };
+  }
+  return alert;
+}
+
+/**
+ * @notice Posts an alert to a single channel; rejects on network errors and non-2xx responses.
+ */
+async function deliver(channel, alert) {
+  const response = await fetch(channelUrl(channel), {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(formatPayload(channel, alert)),
+    signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+}
+
+/**
+ * @notice Creates the alert engine.
+ * @param {Object} options - { rules, channels, cooldown, source, index, stateFile }. `source` exposes
+ *        querySeries, queryLatest and queryLatestPeg (see api/influxSource.js); without it only
+ *        consecutive_failures rules can be evaluated. `index` is the calculator created by createIndexJob,
+ *        required by index_below rules. Pass `stateFile: null` to keep state in memory.
+ */
+function createAlertEngine({ rules = [], channels = [], cooldown, source, index, stateFile } = {}) {
+  const file = stateFile === undefined ? DEFAULT_STATE_FILE : stateFile;
+  const defaultCooldown = parseDuration(cooldown) || DEFAULT_COOLDOWN;
+  const state = { rules: {}, failures: {}, ...((file && readJson(file)) || {}) };
+
+  // Channels whose URL variable is not set are skipped; alerts are then only logged
+  const activeChannels = channels.filter((channel, i) => {
+    if (channelUrl(channel)) return true;
+    console.warn(`Alert channel ${channel.name || i} disabled: ${channel.urlEnv} is not set.`);
+    return false;
+  });
+
+  function persist() {
+    if (file) writeJsonAtomic(file, state);
+  }
+
+  /**
+   * @notice Evaluates a single rule.
+   * @param {Object} rule - A rule entry from the config file.
+   * @param {Function} latest - Returns the (cached) latest rows of every protocol.
+   * @param {number} now - The current Unix timestamp in seconds.
+   * @param {Function} latestPeg - Returns the (cached) latest peg rows of every asset.
+   * @return {Promise<Object>} { firing, message, value }.
+   */
+  async function check(rule, latest, now, latestPeg) {
+    if (!source && rule.type !== "consecutive_failures") {
+      throw new Error("no InfluxDB source configured");
+    }
+    if (rule.type === "apy_change") {
+      const window = parseDuration(rule.window);
+      const rows = await source.querySeries({
+        protocol: rule.protocol,
+        from: new Date((now - window) * 1000),
+        to: new Date(now * 1000),
+        interval: "1m",
+      });
+      const points = rows.filter((row) => Number.isFinite(row.apy));
+      if (points.length < 2) {
+        return { firing: false, message: `Not enough ${rule.protocol} points in the last ${rule.window}` };
+      }
+      const first = points[0].apy;
+      const last = points[points.length - 1].apy;
+      const change = last - first;
+      return {
+        firing: Math.abs(change) > rule.threshold,
+        value: change,
+        message: `${rule.protocol} APY changed by ${change >= 0 ? "+" : ""}${change.toFixed(2)}pp over ${rule.window} (${first.toFixed(2)}% -> ${last.toFixed(2)}%)`,
+      };
+    }
+
+    if (rule.type === "index_below") {
+      if (!index) {
+        throw new Error("no index configured");
+      }
+      const composite = await index.latest(now);
+      if (!composite) {
+        return { firing: false, message: "No data to compute the composite index" };
+      }
+      return {
+        firing: composite.apy < rule.threshold,
+        value: composite.apy,
+        message: `Composite index at ${composite.apy.toFixed(2)}% (threshold ${rule.threshold}%)`,
+      };
+    }
+
+    if (rule.type === "stale") {
+      const row = (await latest()).find((candidate) => candidate.protocol === rule.protocol);
+      if (!row) {
+        return { firing: true, message: `No ${rule.protocol} point stored` };
+      }
+      const age = now - Math.floor(new Date(row.time).getTime() / 1000);
+      return {
+        firing: age > parseDuration(rule.maxAge),
+        value: age,
+        message: `Latest ${rule.protocol} point is ${formatHours(age)} old (max ${rule.maxAge})`,
+      };
+    }
+
+    if (rule.type === "consecutive_failures") {
+      const failures = state.failures[rule.protocol] || { count: 0 };
+      return {
+        firing: failures.count >= rule.count,
+        value: failures.count,
+        message: `${rule.protocol} fetch failed ${failures.count} time(s) in a row` +
+          (failures.error ? `, last error: ${failures.error}` : ""),
+      };
+    }
+
+    if (rule.type === "depeg") {
+      const row = (await latestPeg()).find((candidate) => candidate.asset === rule.asset);
+      if (!row || !Number.isFinite(row.deviation)) {
+        return { firing: false, message: `No ${rule.asset} peg point stored` };
+      }
+      return {
+        firing: Math.abs(row.deviation) > rule.threshold,
+        value: row.deviation,
+        message: `${rule.asset} at ${row.price.toFixed(4)}, ${row.deviation >= 0 ? "+" : ""}${row.deviation.toFixed(2)}% ` +
+          `from its peg (threshold ${rule.threshold}%)`,
+      };
+    }
+
+    throw new Error(`Unknown rule type '${rule.type}'`);
+  }
+
+  /**
+   * @notice Logs an alert and sends it to every channel.
+   * @return {Promise<boolean>} Whether at least one channel accepted it (always true without channels).
+   */
+  async function notify(alert) {
+    const log = alert.status === "firing" ? console.warn : console.log;
+    log(`Alert ${alert.status}: ${alert.rule}: ${alert.message}`);
+    if (!activeChannels.length) return true;
+
+    const results = await Promise.all(
+      activeChannels.map((channel, i) =>
+        deliver(channel, alert).then(
+          () => true,
+          (error) => {
+            console.error(`Could not deliver alert ${alert.rule} to channel ${channel.name || i}:`, error.message);
+            return false;
+          }
+        )
+      )
+    );
+    return results.some(Boolean);
+  }
+
+  /**
+   * @notice Evaluates every rule and sends the notifications that are due.
+   * @param {number} [now] - The current Unix timestamp in seconds.
+   * @return {Promise<Array<Object>>} The alerts that were delivered.
+   */
+  async function evaluate(now = Math.floor(Date.now() / 1000)) {
+    let latestRows;
+    const latest = async () => {
+      if (!latestRows) latestRows = await source.queryLatest();
+      return latestRows;
+    };
+    let latestPegRows;
+    const latestPeg = async () => {
+      if (!latestPegRows) latestPegRows = await source.queryLatestPeg();
+      return latestPegRows;
+    };
+    const delivered = [];
+
+    for (const rule of rules) {
+      let result;
+      try {
+        result = await check(rule, latest, now, latestPeg);
+      } catch (error) {
+        console.error(`Could not evaluate alert rule ${rule.name}:`, error.message);
+        continue;
+      }
+
+      const previous = state.rules[rule.name] || { firing: false };
+      const ruleCooldown = parseDuration(rule.cooldown) || defaultCooldown;
+      let status;
+      if (result.firing && (!previous.firing || now - previous.lastSentAt >= ruleCooldown)) {
+        status = "firing";
+      } else if (!result.firing && previous.firing) {
+        status = "resolved";
+      } else {
+        continue;
+      }
+
+      const alert = {
+        rule: rule.name,
+        type: rule.type,
+        status,
+        protocol: rule.protocol,
+        asset: rule.asset,
+        message: result.message,
+        value: result.value,
+        threshold: rule.threshold ?? rule.maxAge ?? rule.count,
+        timestamp: new Date(now * 1000).toISOString(),
+      };
+      if (await notify(alert)) {
+        state.rules[rule.name] = result.firing
+          ? { firing: true, since: previous.firing ? previous.since : now, lastSentAt: now }
+          : { firing: false, lastSentAt: now };
+        delivered.push(alert);
+      }
+    }
+
+    persist();
+    return delivered;
+  }
+
+  /**
+   * @notice Records the outcome of an adapter run for the consecutive failure rules.
+   * @param {string} protocol - The protocol name.
+   * @param {Object} result - { ok, error } as returned by runAdapter.
+   */
+  function recordRun(protocol, result) {
+    if (result.ok) {
+      delete state.failures[protocol];
+    } else {
+      const count = (state.failures[protocol] ? state.failures[protocol].count : 0) + 1;
+      state.failures[protocol] = { count, error: result.error ? result.error.message : undefined };
+    }
+    persist();
+  }
+
+  /**
+   * @notice Records an adapter run and evaluates the rules; never throws.
+   * @param {string} protocol - The protocol name.
+   * @param {Object} result - { ok, error } as returned by runAdapter.
+   */
+  async function afterRun(protocol, result) {
+    try {
+      recordRun(protocol, result);
+      await evaluate();
+    } catch (error) {
+      console.error("Alert evaluation error:", error);
+    }
+  }
+
+  /**
+   * @notice Sends a test notification to every channel.
+   * @return {Promise<boolean>} Whether at least one channel accepted it.
+   */
+  async function sendTest() {
+    if (!activeChannels.length) {
+      throw new Error("No alert channel is configured.");
+    }
+    return notify({
+      rule: "test",
+      type: "test",
+      status: "firing",
+      message: "Test notification from the Bento collector",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  return { evaluate, recordRun, afterRun, sendTest };
+}
+
+module.exports = { createAlertEngine, RULE_TYPES, CHANNEL_TYPES };
@@ -0,0 +1,330 @@
+const { parseDuration } = require("./utils/time");
+const { gridSteps, parseTimestamp } = require("./bentoIndex");
+const { resample } = require("./gaps");
+const { csvField } = require("./sinks/file");
+
+/**
+ * @notice Summarizes the stored APY series: level and volatility, percentiles, drawdowns, time below a threshold
+ *         and the correlation between protocols, per window.
+ * @dev Every window (`7d`, `30d`, `90d` or any duration, and `all` since `startTime`) ends at the latest grid
+ *      step of `interval`, so reports computed within the same interval match. Per series and window:
+ *        - points, latest, mean, median, min, max and the sample standard deviation of the `basis` values;
+ *        - the configured `percentiles`, interpolated linearly between the closest ranks;
+ *        - the largest drops: peak-to-trough declines in percentage points, a decline ending when the value
+ *          rises above its peak again, the `drops` deepest first;
+ *        - timeBelow, the seconds the value stayed below `threshold` (every point holding until the next one,
+ *          the last one until the end of the window), and belowShare, that time in percent of the window covered;
+ *        - the Pearson correlation of its values with every other series, both forward-filled on the grid of
+ *          `interval` (no older than `maxAge`) and compared over the steps both have a value at; null below 3
+ *          such steps or when either series is flat.
+ *      Series are the protocol tags of `protocol_apy_data`, e.g. every Morpho vault on its own; `protocols`
+ *      restricts them to configured instances. The analytics job writes the report of every run to the
+ *      `protocol_apy_analytics` series; `bento analytics` prints it as JSON or CSV.
+ */
+
+// Defaults of the `analytics` section.
+const DEFAULTS = {
+  schedule: "15 2 * * *",
+  windows: ["7d", "30d", "90d", "all"],
+  basis: "apy",
+  // APY in percent the time below is measured against
+  threshold: 4,
+  percentiles: [5, 25, 75, 95],
+  // Largest drops reported per series and window
+  drops: 3,
+  interval: "1d",
+  maxAge: "7d",
+};
+
+// The window covering every stored point since `startTime`.
+const ALL_WINDOW = "all";
+
+// Common grid steps two series need before they are correlated.
+const MIN_COMMON_STEPS = 3;
+
+/**
+ * @notice Returns the p-th percentile of ascending values, interpolated between the closest ranks.
+ */
+function percentile(sorted, p) {
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * @notice Returns the peak-to-trough declines of a series, deepest first.
+ * @param {Array<Object>} points - Points sorted by time, shaped as { timestamp, value }.
+ * @return {Array<Object>} { from, to, peak, trough, drop }: the times and values of the peak and of the lowest
+ *         point before the series rose above the peak again, and their difference.
+ */
+function findDrops(points) {
+  const drops = [];
+  let peak;
+  let trough;
+  const close = () => {
+    if (trough && trough.value < peak.value) {
+      drops.push({ from: peak.timestamp, to: trough.timestamp, peak: peak.value, trough: trough.value, drop: peak.value - trough.value });
+    }
+  };
+  for (const point of points) {
+    if (!peak || point.value > peak.value) {
+      if (peak) close();
+      peak = point;
+      trough = undefined;
+    } else if (!trough || point.value < trough.value) {
+      trough = point;
+    }
+  }
+  if (peak) close();
+  return drops.sort((a, b) => b.drop - a.drop);
+}
+
+/**
+ * @notice Summarizes a series over a window.
+ * @param {Array<Object>} points - The window's points, shaped as { timestamp, value }, in any order.
+ * @param {Object} options - { end, threshold, percentiles, drops }: the end of the window in Unix seconds, the
+ *        APY the time below is measured against, the percentiles and the number of drops to report.
+ * @return {Object|null} { points, latest, mean, median, min, max, stdDev, percentiles, drops, maxDrop, timeBelow,
+ *         belowShare }; `percentiles` maps `p<percentile>` to its value; null without points.
+ */
+function seriesStats(points, { end, threshold = DEFAULTS.threshold, percentiles = DEFAULTS.percentiles, drops = DEFAULTS.drops }) {
+  const usable = points.filter((point) => Number.isFinite(point.value)).sort((a, b) => a.timestamp - b.timestamp);
+  if (!usable.length) return null;
+
+  const values = usable.map((point) => point.value);
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.length > 1
+    ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)
+    : 0;
+
+  let timeBelow = 0;
+  usable.forEach((point, i) => {
+    const until = i + 1 < usable.length ? usable[i + 1].timestamp : end;
+    if (point.value < threshold) timeBelow += until - point.timestamp;
+  });
+  const covered = end - usable[0].timestamp;
+  const largest = findDrops(usable);
+
+  return {
+    points: usable.length,
+    latest: values[values.length - 1],
+    mean,
+    median: percentile(sorted, 50),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    stdDev: Math.sqrt(variance),
+    percentiles: Object.fromEntries(percentiles.map((p) => [`p${p}`, percentile(sorted, p)])),
+    drops: largest.slice(0, drops),
+    maxDrop: largest.length ? largest[0].drop : 0,
+    timeBelow,
+    belowShare: covered > 0 ? (timeBelow / covered) * 100 : 0,
+  };
+}
+
+/**
+ * @notice Returns the Pearson correlation of two equally long arrays, or null when either is flat.
+ * @dev Clamped to [-1, 1], which rounding errors can otherwise overshoot for linearly related series.
+ */
+function pearson(xs, ys) {
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+  if (!(varianceX > 0 && varianceY > 0)) return null;
+  return Math.max(-1, Math.min(1, covariance / Math.sqrt(varianceX * varianceY)));
+}
+
+/**
+ * @notice Correlates every pair of series on a grid.
+ * @param {Map} series - Series name -> points as { timestamp, value }, including `maxAge` before the first step.
+ * @param {Array<number>} steps - Ascending grid steps in Unix seconds.
+ * @param {number} maxAge - Oldest value, in seconds, a step may carry.
+ * @return {Object} { name: { other: correlation|null } } for every pair of series, 1 on the diagonal.
+ */
+function correlationMatrix(series, steps, maxAge) {
+  const gridded = new Map();
+  for (const [name, points] of series) {
+    gridded.set(name, new Map(resample(points, steps, maxAge).map((point) => [point.timestamp, point.value])));
+  }
+
+  const names = [...series.keys()].sort();
+  const matrix = Object.fromEntries(names.map((name) => [name, {}]));
+  names.forEach((a, i) => {
+    matrix[a][a] = 1;
+    for (const b of names.slice(i + 1)) {
+      const common = steps.filter((step) => gridded.get(a).has(step) && gridded.get(b).has(step));
+      const correlation = common.length >= MIN_COMMON_STEPS
+        ? pearson(common.map((step) => gridded.get(a).get(step)), common.map((step) => gridded.get(b).get(step)))
+        : null;
+      matrix[a][b] = correlation;
+      matrix[b][a] = correlation;
+    }
+  });
+  return matrix;
+}
+
+/**
+ * @notice Flattens a report into one row per window and series, for CSV output and materialization.
+ * @param {Object} report - A report as returned by the job's compute().
+ * @return {Array<Object>} { protocol, window, basis, timestamp, ...stats, correlation } with `timestamp` the
+ *         end of the report and `correlation` the series' row of the matrix, itself left out.
+ */
+function toAnalyticsPoints(report) {
+  const points = [];
+  for (const window of report.windows) {
+    for (const [protocol, stats] of Object.entries(window.protocols)) {
+      const correlation = { ...window.correlation[protocol] };
+      delete correlation[protocol];
+      points.push({ protocol, window: window.window, basis: report.basis, timestamp: report.timestamp, ...stats, correlation });
+    }
+  }
+  return points;
+}
+
+/**
+ * @notice Formats the statistics of a report as CSV, one line per window and series after a header line.
+ * @param {Object} report - A report as returned by the job's compute().
+ */
+function statsCsv(report) {
+  const percentileKeys = report.percentiles.map((p) => `p${p}`);
+  const columns = ["window", "protocol", "points", "latest", "mean", "median", "min", "max", "std_dev",
+    ...percentileKeys, "max_drop", "time_below", "below_share"];
+  const lines = toAnalyticsPoints(report).map((point) => [
+    point.window, point.protocol, point.points, point.latest, point.mean, point.median, point.min, point.max,
+    point.stdDev, ...percentileKeys.map((key) => point.percentiles[key]), point.maxDrop, point.timeBelow,
+    point.belowShare,
+  ]);
+  return [columns, ...lines].map((line) => `${line.map(csvField).join(",")}\n`).join("");
+}
+
+/**
+ * @notice Formats the correlation matrices of a report as CSV: per window, one line per series with its
+ *         correlation to every series in the column order of the header line.
+ * @param {Object} report - A report as returned by the job's compute().
+ */
+function correlationCsv(report) {
+  const names = [...new Set(report.windows.flatMap((window) => Object.keys(window.correlation)))].sort();
+  const lines = [];
+  for (const window of report.windows) {
+    for (const [protocol, row] of Object.entries(window.correlation)) {
+      lines.push([window.window, protocol, ...names.map((name) => row[name])]);
+    }
+  }
+  return [["window", "protocol", ...names], ...lines].map((line) => `${line.map(csvField).join(",")}\n`).join("");
+}
+
+/**
+ * @notice Creates the analytics job.
+ * @param {Object} options - { analytics, source, sink }: the validated `analytics` section, a source exposing
+ *        queryPoints (see api/influxSource.js) and a sink exposing writeAnalytics (see sinks/index.js).
+ */
+function createAnalyticsJob({ analytics = {}, source, sink }) {
+  const settings = { ...DEFAULTS, ...analytics };
+  const interval = parseDuration(settings.interval);
+  const maxAge = parseDuration(settings.maxAge);
+  const start = settings.startTime !== undefined ? parseTimestamp(settings.startTime) : 0;
+
+  /**
+   * @notice Returns whether a series belongs to the configured protocols: named like one, or a Morpho vault of
+   *         one (`<instance>-<symbol>`, see adapters/morpho.js).
+   */
+  function included(series) {
+    return !settings.protocols
+      || settings.protocols.some((name) => series === name || series.startsWith(`${name}-`));
+  }
+
+  /**
+   * @notice Computes the report of every window ending at the latest grid step.
+   * @param {number} [now] - Unix timestamp in seconds; defaults to the current time.
+   * @param {Array<string>} [windows] - The windows to compute; defaults to the configured ones.
+   * @return {Promise<Object>} { timestamp, basis, threshold, percentiles, windows }, every window shaped as
+   *         { window, from, to, protocols: { series: stats }, correlation: { series: { series: correlation } } }.
+   */
+  async function compute(now = Math.floor(Date.now() / 1000), windows = settings.windows) {
+    const to = Math.floor(now / interval) * interval;
+    const fromOf = (window) => (window === ALL_WINDOW ? start : Math.max(start, to - parseDuration(window)));
+    const earliest = Math.min(...windows.map(fromOf));
+    const rows = await source.queryPoints({
+      // Read far enough back for the first correlation step to be forward-filled
+      from: new Date(Math.max(0, earliest - maxAge) * 1000),
+      // The range stop is exclusive
+      to: new Date((to + 1) * 1000),
+      basis: settings.basis,
+    });
+
+    const series = new Map();
+    for (const row of rows) {
+      if (!included(row.protocol) || !Number.isFinite(row.apy)) continue;
+      if (!series.has(row.protocol)) series.set(row.protocol, []);
+      series.get(row.protocol).push({ timestamp: Math.floor(new Date(row.time).getTime() / 1000), value: row.apy });
+    }
+
+    const report = [];
+    for (const window of windows) {
+      const from = fromOf(window);
+      const protocols = {};
+      const correlated = new Map();
+      let first = to;
+      for (const name of [...series.keys()].sort()) {
+        const points = series.get(name);
+        const inWindow = points.filter((point) => point.timestamp > from && point.timestamp <= to);
+        const stats = seriesStats(inWindow, {
+          end: to,
+          threshold: settings.threshold,
+          percentiles: settings.percentiles,
+          drops: settings.drops,
+        });
+        if (!stats) continue;
+        protocols[name] = stats;
+        correlated.set(name, points.filter((point) => point.timestamp <= to));
+        first = inWindow.reduce((earliest, point) => Math.min(earliest, point.timestamp), first);
+      }
+      // `all` starts at the first point in it rather than at startTime
+      const steps = gridSteps(Math.max(from, first - 1), to, interval);
+      report.push({ window, from, to, protocols, correlation: correlationMatrix(correlated, steps, maxAge) });
+    }
+    return { timestamp: to, basis: settings.basis, threshold: settings.threshold, percentiles: settings.percentiles, windows: report };
+  }
+
+  /**
+   * @notice Computes the report and writes it to the `protocol_apy_analytics` series.
+   * @param {number} [now] - Unix timestamp in seconds; defaults to the current time.
+   * @param {Object} [options] - { signal }: an AbortSignal checked before writing (see jobs.js).
+   * @return {Promise<Object>} { ok, points, error }; errors are logged, never thrown.
+   */
+  async function run(now = Math.floor(Date.now() / 1000), { signal } = {}) {
+    try {
+      const report = await compute(now);
+      if (signal) signal.throwIfAborted();
+      const points = toAnalyticsPoints(report);
+      await sink.writeAnalytics(points);
+      console.log(`Computed the analytics of ${points.length} series window(s) on ${settings.basis}.`);
+      return { ok: true, points: points.length };
+    } catch (error) {
+      console.error("Analytics error:", error);
+      return { ok: false, error };
+    }
+  }
+
+  return { schedule: settings.schedule, windows: settings.windows, compute, run };
+}
+
+module.exports = {
+  createAnalyticsJob,
+  seriesStats,
+  findDrops,
+  correlationMatrix,
+  toAnalyticsPoints,
+  statsCsv,
+  correlationCsv,
+  ALL_WINDOW,
+  DEFAULTS,
+};
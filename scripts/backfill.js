@@ -0,0 +1,96 @@
+const { createAdapter } = require("./adapters");
+const { checkSamples } = require("./runner");
+const { createSinks } = require("./sinks");
+const { toPoint, toQuarantinePoint } = require("./utils/influx");
+const { getProvider } = require("./utils/provider");
+const { getBlockNumberByTimestamp } = require("./utils/blockResolver");
+const { configureChains } = require("./utils/chains");
+
+/**
+ * @notice Re-ingests history for one protocol over an explicit range.
+ * @dev Reuses the adapter's `fetchRange` exactly like a live run, but the range comes from the caller and
+ *      the live cursors are neither read nor moved. Samples go through the same validation as live runs and
+ *      are written to the configured sinks.
+ *      `from` behaves like a stored cursor: the first
+ *      sample is the first one after it. Range bounds are given as:
+ *        - a date (e.g. 2024-09-18 or 2024-09-18T04:00:00Z), resolved to a block on the protocol's chain for
+ *          block-cursor adapters;
+ *        - an integer, taken as a block number or Unix timestamp depending on the adapter's cursor type.
+ */
+
+/**
+ * @notice Converts a Unix timestamp into the adapter's cursor unit: the latest block at or before it for
+ *         block-cursor adapters, the timestamp itself otherwise.
+ * @param {Object} adapter - An adapter created from the config file.
+ * @param {number} timestamp - Unix timestamp in seconds.
+ */
+async function timestampToCursor(adapter, timestamp) {
+  if (adapter.cursorType === "block") {
+    return getBlockNumberByTimestamp(getProvider(adapter.chain), timestamp);
+  }
+  return timestamp;
+}
+
+/**
+ * @notice Resolves a range bound into the adapter's cursor unit.
+ * @param {Object} adapter - An adapter created from the config file.
+ * @param {string} value - A date or an integer block number / Unix timestamp.
+ * @param {string} name - The option name, used in error messages.
+ */
+async function resolveBound(adapter, value, name) {
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid --${name} '${value}': expected a date, block number or Unix timestamp.`);
+  }
+  return timestampToCursor(adapter, Math.floor(time / 1000));
+}
+
+/**
+ * @notice Runs a backfill for a configured protocol instance.
+ * @param {Object} config - The validated config.
+ * @param {Object} options - { protocol, from, to, dryRun, output } where `output` receives line protocol
+ *                           in dry-run mode (a writable stream, defaults to stdout).
+ * @return {Promise<Array<Object>>} The computed samples.
+ */
+async function backfill(config, { protocol, from, to, dryRun = false, output = process.stdout }) {
+  const instance = config.protocols.find((entry) => entry.name === protocol);
+  if (!instance) {
+    const names = config.protocols.map((entry) => entry.name).join(", ");
+    throw new Error(`Unknown protocol '${protocol}'. Configured protocols: ${names}`);
+  }
+  configureChains(config.chains);
+  const adapter = createAdapter(instance);
+
+  const fromCursor = await resolveBound(adapter, from, "from");
+  const toCursor = to === undefined ? await adapter.getLatestCursor() : await resolveBound(adapter, to, "to");
+  if (toCursor <= fromCursor) {
+    throw new Error(`Empty range: --from (${fromCursor}) must be before --to (${toCursor}).`);
+  }
+
+  console.log(`Backfilling ${adapter.name} over ${adapter.cursorType} range (${fromCursor}, ${toCursor}]${dryRun ? " (dry run)" : ""}.`);
+  const { samples } = await adapter.fetchRange(fromCursor, toCursor);
+  const sink = createSinks(config.sinks);
+  try {
+    const checked = await checkSamples(adapter, samples, sink);
+    if (dryRun) {
+      for (const sample of checked.accepted) {
+        output.write(`${toPoint(sample).toLineProtocol()}\n`);
+      }
+      for (const entry of checked.quarantined) {
+        output.write(`${toQuarantinePoint(entry).toLineProtocol()}\n`);
+      }
+    } else {
+      await sink.write(checked);
+    }
+    console.log(`Backfill of ${adapter.name} computed ${checked.accepted.length} point(s) and ${checked.quarantined.length} quarantined${dryRun ? "" : `, written to ${sink.name}`}.`);
+  } finally {
+    await sink.close();
+  }
+  return samples;
+}
+
+module.exports = { backfill, timestampToCursor };
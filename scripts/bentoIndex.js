@@ -0,0 +1,281 @@
+const { parseDuration } = require("./utils/time");
+
+/**
+ * @notice Computes the composite Bento index on a regular UTC grid and stores it as the `bento_index` series.
+ * @dev At every grid step (multiples of `interval` since the Unix epoch, e.g. 00:00, 08:00 and 16:00 UTC for
+ *      8h) each protocol contributes its latest stored value of the `basis` field at or before the step, as
+ *      long as it is no older than `maxAge`. The weights come from the configured strategy:
+ *        - fixed:      `strategy.weights` ({ protocol: weight }), or each enabled protocol's configured `weight`;
+ *        - tvl:        each protocol's latest TVL at or before the step (Ethena totalAssets, Spark totalAssets,
+ *                      Mountain totalSupply, Morpho vault TVL), over `strategy.protocols`, or every enabled
+ *                      protocol with a non-zero `weight`; the `<instance>-<symbol>` vault series of a Morpho
+ *                      instance count as that instance. The config loader rejects baskets mixing TVL units;
+ *        - allocation: the entry of `strategy.allocations` ([{ from, weights }]) in effect at the step; steps
+ *                      before the first entry have no index.
+ *      Every point carries the APY, the weights actually used (normalized to 100 over the contributing
+ *      protocols) and the coverage: the share of the strategy's total weight that had a value.
+ *      Data arrives late for some protocols (Morpho once a day), so every run recomputes the steps of the last
+ *      `recompute` window; points are keyed by timestamp, so recomputed steps overwrite.
+ *      The HTTP API (GET /index, /apy/latest) and the `index_below` alert rule compute the index the same way.
+ */
+
+const STRATEGY_TYPES = ["fixed", "tvl", "allocation"];
+
+// The cursor key of the last computed step.
+const INDEX_CURSOR_KEY = "bento_index";
+
+// Defaults of the `index` section.
+const DEFAULTS = {
+  schedule: "30 0,8,16 * * *",
+  interval: "8h",
+  basis: "apy",
+  strategy: { type: "fixed" },
+  maxAge: "7d",
+  recompute: "1d",
+  // How far back the first run starts when no startTime is configured
+  lookback: "30d",
+};
+
+/**
+ * @notice Parses a start time given as an ISO-8601 date or Unix timestamp in seconds.
+ * @return {number|null} The Unix timestamp in seconds, or null when invalid.
+ */
+function parseTimestamp(value) {
+  if (Number.isSafeInteger(value) && value >= 0) return value;
+  if (typeof value === "string" && /^\d+$/.test(value)) return Number(value);
+  const time = typeof value === "string" ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+/**
+ * @notice Returns the grid steps in (from, to].
+ * @param {number} from - Unix timestamp in seconds, exclusive.
+ * @param {number} to - Unix timestamp in seconds, inclusive.
+ * @param {number} interval - Grid spacing in seconds.
+ */
+function gridSteps(from, to, interval) {
+  const steps = [];
+  for (let step = (Math.floor(from / interval) + 1) * interval; step <= to; step += interval) {
+    steps.push(step);
+  }
+  return steps;
+}
+
+/**
+ * @notice Returns the configured instance a series belongs to: the one named like it, or the Morpho `vaults` or
+ *         `curator` instance it is a vault of (`<instance>-<symbol>`, see adapters/morpho.js).
+ * @param {string} series - The series name.
+ * @param {Array<string>} names - The instance names.
+ */
+function instanceOf(series, names) {
+  return names
+    .filter((name) => series === name || series.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+}
+
+/**
+ * @notice Returns the instances the tvl strategy weighs: `strategy.protocols`, or every enabled instance with a
+ *         non-zero weight, which leaves out cross-check instances reading a vault already counted.
+ * @param {Object} strategy - The `strategy` of the index section.
+ * @param {Array<Object>} protocols - The configured protocol instances.
+ * @return {Array<string>} The instance names.
+ */
+function tvlProtocols(strategy, protocols) {
+  return strategy.protocols
+    || protocols.filter((protocol) => protocol.enabled && protocol.weight > 0).map((protocol) => protocol.name);
+}
+
+/**
+ * @notice Creates the weight function of a strategy.
+ * @param {Object} strategy - The validated `strategy` of the index section.
+ * @param {Array<Object>} protocols - The configured protocol instances.
+ * @return {Function} (step, latest) => { protocol: rawWeight } | null, where `latest` maps every protocol to
+ *                    its latest { apy, tvl } at the step.
+ */
+function createWeights(strategy, protocols) {
+  const enabled = protocols.filter((protocol) => protocol.enabled);
+  if (strategy.type === "fixed") {
+    const weights = strategy.weights
+      || Object.fromEntries(enabled.map((protocol) => [protocol.name, protocol.weight]));
+    return () => weights;
+  }
+  if (strategy.type === "tvl") {
+    const names = tvlProtocols(strategy, protocols);
+    const instances = [...new Set([...protocols.map((protocol) => protocol.name), ...names])];
+    return (step, latest) => Object.fromEntries(
+      Object.keys(latest)
+        .filter((series) => names.includes(instanceOf(series, instances)) && latest[series].tvl > 0)
+        .map((series) => [series, latest[series].tvl])
+    );
+  }
+  if (strategy.type === "allocation") {
+    const allocations = strategy.allocations
+      .map((allocation) => ({ from: parseTimestamp(allocation.from), weights: allocation.weights }))
+      .sort((a, b) => a.from - b.from);
+    return (step) => {
+      const current = allocations.filter((allocation) => allocation.from <= step).pop();
+      return current ? current.weights : null;
+    };
+  }
+  throw new Error(`Unknown index strategy '${strategy.type}'`);
+}
+
+/**
+ * @notice Computes the index at grid steps from raw points.
+ * @param {Array<Object>} rows - Points shaped as { protocol, time, apy, tvl } covering `maxAge` before the
+ *                               first step; either value may be missing.
+ * @param {Array<number>} steps - Ascending grid steps in Unix seconds.
+ * @param {Function} weightsAt - The strategy's weight function, see createWeights.
+ * @param {number} maxAge - Oldest value, in seconds, a protocol may contribute.
+ * @return {Array<Object>} Points shaped as { timestamp, apy, coverage, weights }; steps without any
+ *                         contribution are skipped.
+ */
+function computeIndex(rows, steps, weightsAt, maxAge) {
+  // Values per protocol and field, ascending in time
+  const series = {};
+  for (const row of rows) {
+    const timestamp = Math.floor(new Date(row.time).getTime() / 1000);
+    if (!series[row.protocol]) series[row.protocol] = { apy: [], tvl: [] };
+    for (const field of ["apy", "tvl"]) {
+      if (Number.isFinite(row[field])) series[row.protocol][field].push({ timestamp, value: row[field] });
+    }
+  }
+  for (const fields of Object.values(series)) {
+    fields.apy.sort((a, b) => a.timestamp - b.timestamp);
+    fields.tvl.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // Steps ascend, so every series is walked once: `next` is the index of its first value after the last step
+  const next = new Map();
+  const lastAt = (values, step) => {
+    let i = next.get(values) || 0;
+    while (i < values.length && values[i].timestamp <= step) i++;
+    next.set(values, i);
+    const found = values[i - 1];
+    return found && step - found.timestamp <= maxAge ? found.value : undefined;
+  };
+
+  const points = [];
+  for (const step of steps) {
+    const latest = {};
+    for (const [protocol, fields] of Object.entries(series)) {
+      latest[protocol] = { apy: lastAt(fields.apy, step), tvl: lastAt(fields.tvl, step) };
+    }
+
+    const weights = weightsAt(step, latest);
+    if (!weights) continue;
+
+    let total = 0;
+    let covered = 0;
+    let weightedSum = 0;
+    const used = {};
+    for (const [protocol, weight] of Object.entries(weights)) {
+      if (!(weight > 0)) continue;
+      total += weight;
+      const apy = latest[protocol] && latest[protocol].apy;
+      if (apy === undefined) continue;
+      covered += weight;
+      weightedSum += apy * weight;
+      used[protocol] = weight;
+    }
+    if (covered === 0) continue;
+
+    points.push({
+      timestamp: step,
+      apy: weightedSum / covered,
+      coverage: (covered / total) * 100,
+      weights: Object.fromEntries(Object.entries(used).map(([protocol, weight]) => [protocol, (weight / covered) * 100])),
+    });
+  }
+  return points;
+}
+
+/**
+ * @notice Creates the index job.
+ * @param {Object} options - { index, protocols, source, cursorStore, sink }: the validated `index` section,
+ *        the protocol instances, a source exposing queryPoints (see api/influxSource.js), the cursor store and
+ *        a sink exposing writeIndex (see sinks/index.js). `compute` and `latest` only need the source.
+ */
+function createIndexJob({ index = {}, protocols, source, cursorStore, sink }) {
+  const settings = { ...DEFAULTS, ...index };
+  const interval = parseDuration(settings.interval);
+  const maxAge = parseDuration(settings.maxAge);
+  const recompute = parseDuration(settings.recompute);
+  const weightsAt = createWeights(settings.strategy, protocols);
+
+  /**
+   * @notice Computes the index at the given steps from the stored points.
+   * @param {Array<number>} steps - Ascending Unix timestamps in seconds.
+   * @param {string} basis - The field every protocol is read as.
+   */
+  async function computeAt(steps, basis) {
+    if (!steps.length) return [];
+    const rows = await source.queryPoints({
+      from: new Date((steps[0] - maxAge) * 1000),
+      // The range stop is exclusive
+      to: new Date((steps[steps.length - 1] + 1) * 1000),
+      basis,
+    });
+    return computeIndex(rows, steps, weightsAt, maxAge).map((point) => ({
+      ...point,
+      basis,
+      strategy: settings.strategy.type,
+    }));
+  }
+
+  /**
+   * @notice Computes the index points in (from, to].
+   * @param {number} from - Unix timestamp in seconds, exclusive.
+   * @param {number} to - Unix timestamp in seconds, inclusive.
+   * @param {Object} [options] - { basis, interval }: overrides of the section's basis and of its grid spacing, in
+   *        seconds.
+   */
+  async function compute(from, to, { basis = settings.basis, interval: spacing = interval } = {}) {
+    return computeAt(gridSteps(from, to, spacing), basis);
+  }
+
+  /**
+   * @notice Computes the index at a given time, off the grid, from the latest values at or before it.
+   * @param {number} [now] - Unix timestamp in seconds; defaults to the current time.
+   * @param {Object} [options] - { basis }: overrides the section's basis.
+   * @return {Promise<Object|null>} The index point, or null when no protocol contributes.
+   */
+  async function latest(now = Math.floor(Date.now() / 1000), { basis = settings.basis } = {}) {
+    const [point] = await computeAt([now], basis);
+    return point || null;
+  }
+
+  /**
+   * @notice Computes and writes the steps since the stored cursor, recomputing the last `recompute` window.
+   * @param {number} [now] - Unix timestamp in seconds; defaults to the current time.
+   * @param {Object} [options] - { signal }: an AbortSignal checked before writing (see jobs.js).
+   * @return {Promise<Object>} { ok, points, cursor, error }; errors are logged, never thrown.
+   */
+  async function run(now = Math.floor(Date.now() / 1000), { signal } = {}) {
+    try {
+      const stored = await cursorStore.get(INDEX_CURSOR_KEY);
+      const start = settings.startTime !== undefined
+        ? parseTimestamp(settings.startTime)
+        : now - parseDuration(settings.lookback);
+      const from = stored === undefined ? start : Math.max(start, stored - recompute);
+      const to = Math.floor(now / interval) * interval;
+      if (to <= from) {
+        return { ok: true, points: 0, cursor: stored };
+      }
+
+      const points = await compute(from, to);
+      if (signal) signal.throwIfAborted();
+      await sink.writeIndex(points);
+      await cursorStore.set(INDEX_CURSOR_KEY, to);
+      console.log(`Computed the Bento index (${points.length} point(s), ${settings.strategy.type} weights on ${settings.basis}).`);
+      return { ok: true, points: points.length, cursor: to };
+    } catch (error) {
+      console.error("Bento index error:", error);
+      return { ok: false, error };
+    }
+  }
+
+  return { schedule: settings.schedule, basis: settings.basis, strategy: settings.strategy.type, compute, latest, run };
+}
+
+module.exports = { createIndexJob, computeIndex, gridSteps, parseTimestamp, tvlProtocols, STRATEGY_TYPES, INDEX_CURSOR_KEY };
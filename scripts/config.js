@@ -0,0 +1,990 @@
+const fs = require("fs");
+const path = require("path");
+const cron = require("node-cron");
+const { isAddress } = require("ethers");
+const { getAdapterType } = require("./adapters");
+const { CURSOR_STORE_TYPES } = require("./utils/cursorStore");
+const { RULE_TYPES, CHANNEL_TYPES } = require("./alerts");
+const { parseDuration } = require("./utils/time");
+const { SINK_TYPES } = require("./sinks");
+const { METHODOLOGY_FIELDS } = require("./methodology");
+const { parseTimestamp, tvlProtocols, STRATEGY_TYPES, INDEX_CURSOR_KEY } = require("./bentoIndex");
+const { KNOWN_CHAINS, DEFAULT_CHAIN } = require("./utils/chains");
+const { INDEX_JOB, PEG_JOB, GAPS_JOB, ANALYTICS_JOB } = require("./jobs");
+const { pegCursorKey } = require("./peg");
+const { ALL_WINDOW } = require("./analytics");
+const { LOCK_TYPES } = require("./utils/jobLock");
+const { HISTORY_TYPES } = require("./utils/runHistory");
+
+/**
+ * @notice This module loads and validates the declarative collector configuration.
+ * @dev The config is a JSON file (config/bento.json by default, overridable with BENTO_CONFIG) that
+ *      lists every protocol instance:
+ *
+ *        {
+ *          "name": "morpho-USDC",        // unique, written as the `protocol` tag
+ *          "adapter": "morpho",          // adapter type in scripts/adapters
+ *          "enabled": true,              // optional, defaults to true
+ *          "chain": "base",              // optional chain name, defaults to ethereum, see utils/chains.js
+ *          "address": "0xBEEF...",       // contract or vault address
+ *                                        // (Morpho: or "vaults" / "curator", plus "interval", "apyType" and "maxHold")
+ *                                        // (ERC-4626: plus "interval" and "windows")
+ *          "weight": 12.5,               // index weight written with every point
+ *          "tvlUnit": "ETH",             // optional unit of the TVL, defaults to the adapter's (ERC-4626: none)
+ *          "schedule": "0 13 * * *",     // node-cron expression
+ *          "timeout": "30m",             // optional run timeout, defaults to jobs.timeout
+ *          "startCursor": 1706140800,    // first block or timestamp when nothing is tracked yet
+ *          "cursorKey": "USDC",          // optional cursor key, defaults to `name`
+ *          "confirmations": 12,          // block-cursor adapters: depth below the head, or "finalized"
+ *          "reorgWindow": 64,            // block-cursor adapters: blocks checked for reorgs, see reorg.js
+ *          "validation": {               // optional sanity bounds, see validation.js
+ *            "min": 0, "max": 50, "maxJump": 10
+ *          }
+ *        }
+ *
+ *      An optional top-level `chains` section declares chains beyond the built-in ethereum, base, arbitrum
+ *      and optimism, or overrides their settings; a chain's RPC URLs are read from its `rpcEnv` variables
+ *      (defaults to <NAME>_RPC_URLS):
+ *
+ *        "chains": { "polygon": { "chainId": 137, "rpcEnv": "POLYGON_RPC_URLS", "blockTime": 2, "multicallBlock": 25770160 } }
+ *
+ *      An optional top-level `cursorStore` selects where cursors are kept:
+ *
+ *        "cursorStore": { "type": "file" | "sqlite" | "influx", "path": "scripts/data/cursors.json" }
+ *
+ *      An optional top-level `alerts` section declares alert rules and delivery channels (see alerts.js):
+ *
+ *        "alerts": {
+ *          "cooldown": "6h",
+ *          "channels": [{ "name": "ops", "type": "webhook" | "slack", "url": "https://..." | "urlEnv": "ALERT_WEBHOOK_URL" }],
+ *          "rules": [{ "name": "spark-apy-move", "type": "apy_change", "protocol": "spark", "threshold": 1, "window": "24h" },
+ *                    { "name": "usde-depeg", "type": "depeg", "asset": "USDe", "threshold": 0.5 }]
+ *        }
+ *
+ *      An optional top-level `sinks` section lists where samples are written, every sample going to all of
+ *      them (InfluxDB only when omitted, see sinks/index.js):
+ *
+ *        "sinks": [
+ *          { "type": "influx" },
+ *          { "type": "postgres", "urlEnv": "DATABASE_URL", "table": "protocol_apy", "indexTable": "bento_index",
+ *            "pegTable": "stablecoin_peg", "resampledTable": "protocol_apy_resampled",
+ *            "analyticsTable": "protocol_apy_analytics", "timescale": true },
+ *          { "type": "file", "format": "ndjson" | "csv", "path": "data/apy.ndjson", "quarantinePath": "data/quarantine.ndjson" },
+ *          { "type": "stdout" }
+ *        ]
+ *
+ *      An optional top-level `index` section configures the composite index job (see bentoIndex.js); every
+ *      key is optional:
+ *
+ *        "index": {
+ *          "schedule": "30 0,8,16 * * *",   // node-cron expression of the job
+ *          "interval": "8h",                // grid spacing
+ *          "basis": "apy",                  // `apy` or a methodology field, see methodology.js
+ *          "strategy": { "type": "fixed", "weights": { "ethena": 25 } }
+ *                    | { "type": "tvl", "protocols": ["ethena", "mountain"] }
+ *                    | { "type": "allocation", "allocations": [{ "from": "2024-06-01", "weights": { "ethena": 30 } }] },
+ *          "startTime": "2024-06-01",       // first step when nothing is computed yet, defaults to 30 days ago
+ *          "maxAge": "7d",                  // oldest value a protocol may contribute
+ *          "recompute": "1d",               // window recomputed by every run for late data
+ *          "timeout": "10m"                 // run timeout, defaults to jobs.timeout
+ *        }
+ *
+ *      An optional top-level `peg` section tracks the price and supply of stablecoins (see peg.js); every asset
+ *      needs a Chainlink feed, a Curve pool or both, and lists the protocols whose yield it backs:
+ *
+ *        "peg": {
+ *          "schedule": "0 4,12,20 * * *",   // node-cron expression of the job
+ *          "interval": "8h",                // grid spacing
+ *          "threshold": 0.5,                // |deviation| in percent counted as depegged
+ *          "startTime": "2024-06-01",       // first step when nothing is collected yet, defaults to 30 days ago
+ *          "timeout": "10m",                // run timeout, defaults to jobs.timeout
+ *          "assets": [{
+ *            "name": "USDe", "chain": "ethereum", "token": "0x4c9E...", "peg": 1,
+ *            "chainlink": "0xa569...",      // USD price feed
+ *            "curve": { "pool": "0x0295...", "i": 0, "j": 1, "amount": 1000 },  // get_dy(i, j, amount)
+ *            "protocols": ["ethena"]
+ *          }]
+ *        }
+ *
+ *      An optional top-level `gaps` section enables the job finding and repairing holes in the stored series and
+ *      writing them resampled on a common grid (see gaps.js); every key is optional:
+ *
+ *        "gaps": {
+ *          "schedule": "45 1 * * *",        // node-cron expression of the job
+ *          "lookback": "30d",               // window scanned by every run
+ *          "tolerance": 1.5,                // a spacing over this multiple of the median spacing is a gap
+ *          "maxGap": { "mountain": "36h" }, // explicit largest spacing per series
+ *          "repair": true,                  // re-run the fetchers over the gaps
+ *          "interval": "8h",                // grid of the resampled series
+ *          "basis": "apy",                  // `apy` or a methodology field, see methodology.js
+ *          "maxAge": "7d",                  // oldest value forward-filled
+ *          "stateFile": "scripts/data/gap_state.json",
+ *          "timeout": "30m"                 // run timeout, defaults to jobs.timeout
+ *        }
+ *
+ *      An optional top-level `analytics` section enables the job writing the statistics of every series to
+ *      `protocol_apy_analytics` (see analytics.js); every key is optional:
+ *
+ *        "analytics": {
+ *          "schedule": "15 2 * * *",        // node-cron expression of the job
+ *          "windows": ["7d", "30d", "90d", "all"],
+ *          "basis": "apy",                  // `apy` or a methodology field, see methodology.js
+ *          "threshold": 4,                  // APY in percent the time below is measured against
+ *          "percentiles": [5, 25, 75, 95],
+ *          "drops": 3,                      // largest drops reported per series and window
+ *          "interval": "1d",                // grid of the correlations, and of the report time
+ *          "maxAge": "7d",                  // oldest value forward-filled on that grid
+ *          "startTime": "2024-06-01",       // start of the `all` window, defaults to the first stored point
+ *          "protocols": ["ethena", "spark", "mountain", "morpho"],  // defaults to every stored series
+ *          "timeout": "10m"                 // run timeout, defaults to jobs.timeout
+ *        }
+ *
+ *      An optional top-level `streaming` section enables the streaming mode for adapters supporting it (see
+ *      stream.js); `protocols` defaults to every enabled protocol whose adapter can be streamed:
+ *
+ *        "streaming": { "enabled": true, "confirmations": 12, "protocols": ["ethena", "spark"] }
+ *
+ *      An optional top-level `health` section sets when a fetcher counts as stale for GET /healthz:
+ *
+ *        "health": { "staleAfter": "26h" }
+ *
+ *      An optional top-level `jobs` section configures how the protocol, index, peg, gaps and analytics jobs are run
+ *      (see jobs.js):
+ *      the default run timeout, how long shutdown waits for running jobs, an optional lock keeping several
+ *      instances from running the same job (see utils/jobLock.js) and where runs are recorded (see
+ *      utils/runHistory.js, a JSON file by default):
+ *
+ *        "jobs": {
+ *          "timeout": "30m",
+ *          "shutdownTimeout": "1m",
+ *          "lock": { "type": "file" | "sqlite" | "postgres", "path": "scripts/data/locks", "urlEnv": "DATABASE_URL", "ttl": "2m" },
+ *          "history": { "type": "file" | "sqlite" | "postgres", "path": "scripts/data/job_history.json", "keep": 100 }
+ *        }
+ *
+ *      Relative paths are resolved from the project root. Every violation is collected and reported together in a single ConfigError.
+ */
+
+// The project root, against which relative paths in the config are resolved.
+const ROOT_DIR = path.join(__dirname, "..");
+
+// The default location of the config file.
+const DEFAULT_CONFIG_FILE = path.join(ROOT_DIR, "config", "bento.json");
+
+/**
+ * @notice Error raised when the config file is missing, unreadable or violates the schema.
+ */
+class ConfigError extends Error {
+  constructor(file, errors) {
+    super(`Invalid config ${file}:\n  - ${errors.join("\n  - ")}`);
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * @notice Validates a single protocol entry and returns the normalized instance.
+ * @param {Object} entry - The raw protocol entry.
+ * @param {string} at - The entry's location in the file, used as the error prefix.
+ * @param {Set<string>} chainNames - The names of the usable chains.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function validateProtocol(entry, at, chainNames, errors) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    errors.push(`${at}: expected an object`);
+    return null;
+  }
+
+  if (typeof entry.name !== "string" || !entry.name.trim()) {
+    errors.push(`${at}.name: expected a non-empty string`);
+  }
+  const definition = getAdapterType(entry.adapter);
+  if (!definition) {
+    errors.push(`${at}.adapter: unknown adapter '${entry.adapter}'`);
+  }
+  if (entry.enabled !== undefined && typeof entry.enabled !== "boolean") {
+    errors.push(`${at}.enabled: expected true or false`);
+  }
+  if (entry.chain !== undefined && !chainNames.has(entry.chain)) {
+    errors.push(`${at}.chain: unknown chain '${entry.chain}', expected one of ${[...chainNames].join(", ")}`);
+  }
+  if (definition && definition.validate) {
+    definition.validate(entry).forEach((error) => errors.push(`${at}.${error}`));
+  } else if (!isAddress(entry.address)) {
+    errors.push(`${at}.address: expected an Ethereum address`);
+  }
+  if (typeof entry.weight !== "number" || !Number.isFinite(entry.weight) || entry.weight < 0) {
+    errors.push(`${at}.weight: expected a non-negative number`);
+  }
+  if (typeof entry.schedule !== "string" || !cron.validate(entry.schedule)) {
+    errors.push(`${at}.schedule: expected a valid cron expression`);
+  }
+  if (!Number.isSafeInteger(entry.startCursor) || entry.startCursor < 0) {
+    errors.push(`${at}.startCursor: expected a non-negative integer block number or Unix timestamp`);
+  }
+  if (entry.tvlUnit !== undefined && (typeof entry.tvlUnit !== "string" || !entry.tvlUnit)) {
+    errors.push(`${at}.tvlUnit: expected a non-empty string such as USD`);
+  }
+  if (entry.cursorKey !== undefined && (typeof entry.cursorKey !== "string" || !entry.cursorKey)) {
+    errors.push(`${at}.cursorKey: expected a non-empty string`);
+  }
+  if (entry.confirmations !== undefined && entry.confirmations !== "finalized"
+    && (!Number.isSafeInteger(entry.confirmations) || entry.confirmations < 0)) {
+    errors.push(`${at}.confirmations: expected a non-negative integer or "finalized"`);
+  }
+  if (entry.reorgWindow !== undefined && (!Number.isSafeInteger(entry.reorgWindow) || entry.reorgWindow < 0)) {
+    errors.push(`${at}.reorgWindow: expected a non-negative integer`);
+  }
+  if (entry.timeout !== undefined && parseDuration(entry.timeout) === null) {
+    errors.push(`${at}.timeout: expected a duration such as 30m`);
+  }
+  if (entry.validation !== undefined) {
+    if (!entry.validation || typeof entry.validation !== "object" || Array.isArray(entry.validation)) {
+      errors.push(`${at}.validation: expected an object`);
+    } else {
+      for (const [key, value] of Object.entries(entry.validation)) {
+        if (!["min", "max", "maxJump"].includes(key)) {
+          errors.push(`${at}.validation.${key}: unknown bound, expected min, max or maxJump`);
+        } else if (typeof value !== "number" || !Number.isFinite(value)) {
+          errors.push(`${at}.validation.${key}: expected a number`);
+        }
+      }
+    }
+  }
+
+  return {
+    ...entry,
+    enabled: entry.enabled !== false,
+    chain: entry.chain || DEFAULT_CHAIN,
+    cursorKey: entry.cursorKey || entry.name,
+  };
+}
+
+/**
+ * @notice Validates the optional chains section.
+ * @param {Object|undefined} section - The raw `chains` section.
+ * @param {Array<string>} errors - Collected error messages.
+ * @return {Set<string>} The names of every usable chain, built in or configured.
+ */
+function validateChains(section, errors) {
+  const names = new Set(Object.keys(KNOWN_CHAINS));
+  if (section === undefined) return names;
+  if (!isObject(section)) {
+    errors.push("chains: expected an object of chain definitions");
+    return names;
+  }
+  for (const [name, chain] of Object.entries(section)) {
+    const at = `chains.${name}`;
+    const builtIn = names.has(name);
+    names.add(name);
+    if (!isObject(chain)) {
+      errors.push(`${at}: expected an object`);
+      continue;
+    }
+    if ((chain.chainId !== undefined || !builtIn) && (!Number.isSafeInteger(chain.chainId) || chain.chainId <= 0)) {
+      errors.push(`${at}.chainId: expected a positive integer`);
+    }
+    if (chain.rpcEnv !== undefined) {
+      const rpcEnv = [].concat(chain.rpcEnv);
+      if (!rpcEnv.length || rpcEnv.some((env) => typeof env !== "string" || !env)) {
+        errors.push(`${at}.rpcEnv: expected an environment variable name or an array of them`);
+      }
+    }
+    if (chain.blockTime !== undefined && !(typeof chain.blockTime === "number" && chain.blockTime > 0)) {
+      errors.push(`${at}.blockTime: expected a positive number of seconds`);
+    }
+    if (chain.multicallBlock !== undefined && (!Number.isSafeInteger(chain.multicallBlock) || chain.multicallBlock < 0)) {
+      errors.push(`${at}.multicallBlock: expected a non-negative integer block number`);
+    }
+  }
+  return names;
+}
+
+/**
+ * @notice Validates the optional cursor store section and resolves its path.
+ * @param {Object|undefined} section - The raw `cursorStore` section.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function validateCursorStore(section, errors) {
+  if (section === undefined) return undefined;
+  if (!section || typeof section !== "object" || Array.isArray(section)) {
+    errors.push("cursorStore: expected an object");
+    return undefined;
+  }
+  if (!CURSOR_STORE_TYPES.includes(section.type)) {
+    errors.push(`cursorStore.type: expected one of ${CURSOR_STORE_TYPES.join(", ")}`);
+  }
+  if (section.path !== undefined && (typeof section.path !== "string" || !section.path)) {
+    errors.push("cursorStore.path: expected a non-empty string");
+    return section;
+  }
+  return section.path ? { ...section, path: path.resolve(ROOT_DIR, section.path) } : section;
+}
+
+/**
+ * @notice Returns whether a value is a plain object.
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * @notice Validates a single alert rule.
+ * @param {Object} rule - The raw rule entry.
+ * @param {string} at - The entry's location in the file, used as the error prefix.
+ * @param {Set<string>} protocolNames - The names of the configured protocols.
+ * @param {Set<string>} assetNames - The names of the assets of the peg section.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function validateAlertRule(rule, at, protocolNames, assetNames, errors) {
+  if (!isObject(rule)) {
+    errors.push(`${at}: expected an object`);
+    return;
+  }
+  if (typeof rule.name !== "string" || !rule.name.trim()) {
+    errors.push(`${at}.name: expected a non-empty string`);
+  }
+  if (!RULE_TYPES.includes(rule.type)) {
+    errors.push(`${at}.type: expected one of ${RULE_TYPES.join(", ")}`);
+    return;
+  }
+  if (!["index_below", "depeg"].includes(rule.type) && !protocolNames.has(rule.protocol)) {
+    errors.push(`${at}.protocol: unknown protocol '${rule.protocol}'`);
+  }
+  if (rule.type === "depeg" && !assetNames.has(rule.asset)) {
+    errors.push(`${at}.asset: unknown peg asset '${rule.asset}'`);
+  }
+  if (["apy_change", "index_below"].includes(rule.type) && (typeof rule.threshold !== "number" || !Number.isFinite(rule.threshold))) {
+    errors.push(`${at}.threshold: expected a number`);
+  }
+  if (rule.type === "depeg" && !(typeof rule.threshold === "number" && rule.threshold > 0)) {
+    errors.push(`${at}.threshold: expected a positive percentage`);
+  }
+  if (rule.type === "apy_change" && parseDuration(rule.window) === null) {
+    errors.push(`${at}.window: expected a duration such as 24h`);
+  }
+  if (rule.type === "stale" && parseDuration(rule.maxAge) === null) {
+    errors.push(`${at}.maxAge: expected a duration such as 12h`);
+  }
+  if (rule.type === "consecutive_failures" && (!Number.isSafeInteger(rule.count) || rule.count < 1)) {
+    errors.push(`${at}.count: expected a positive integer`);
+  }
+  if (rule.cooldown !== undefined && parseDuration(rule.cooldown) === null) {
+    errors.push(`${at}.cooldown: expected a duration such as 6h`);
+  }
+}
+
+/**
+ * @notice Validates the optional alerts section.
+ * @param {Object|undefined} section - The raw `alerts` section.
+ * @param {Set<string>} protocolNames - The names of the configured protocols.
+ * @param {Set<string>} assetNames - The names of the assets of the peg section.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function validateAlerts(section, protocolNames, assetNames, errors) {
+  if (section === undefined) return undefined;
+  if (!isObject(section)) {
+    errors.push("alerts: expected an object");
+    return undefined;
+  }
+  if (section.cooldown !== undefined && parseDuration(section.cooldown) === null) {
+    errors.push("alerts.cooldown: expected a duration such as 6h");
+  }
+
+  const channels = section.channels || [];
+  if (!Array.isArray(channels)) {
+    errors.push("alerts.channels: expected an array");
+  } else {
+    channels.forEach((channel, i) => {
+      const at = `alerts.channels[${i}]`;
+      if (!isObject(channel)) {
+        errors.push(`${at}: expected an object`);
+        return;
+      }
+      if (!CHANNEL_TYPES.includes(channel.type)) {
+        errors.push(`${at}.type: expected one of ${CHANNEL_TYPES.join(", ")}`);
+      }
+      if (typeof channel.url !== "string" && typeof channel.urlEnv !== "string") {
+        errors.push(`${at}: expected a 'url' or an 'urlEnv' environment variable name`);
+      }
+    });
+  }
+
+  const rules = section.rules || [];
+  if (!Array.isArray(rules)) {
+    errors.push("alerts.rules: expected an array");
+  } else {
+    const seen = new Set();
+    rules.forEach((rule, i) => {
+      validateAlertRule(rule, `alerts.rules[${i}]`, protocolNames, assetNames, errors);
+      if (isObject(rule) && seen.has(rule.name)) {
+        errors.push(`alerts.rules[${i}].name: duplicate rule name '${rule.name}'`);
+      }
+      if (isObject(rule)) seen.add(rule.name);
+    });
+  }
+
+  return { ...section, channels, rules };
+}
+
+// SQL identifier accepted as a Postgres table name, since it is inlined in the queries.
+const TABLE_PATTERN = /^[a-z_][a-z0-9_]*$/;
+
+/**
+ * @notice Validates the optional sinks section and resolves file paths.
+ * @param {Array<Object>|undefined} section - The raw `sinks` section.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function validateSinks(section, errors) {
+  if (section === undefined) return undefined;
+  if (!Array.isArray(section) || !section.length) {
+    errors.push("sinks: expected a non-empty array");
+    return undefined;
+  }
+  return section.map((sink, i) => {
+    const at = `sinks[${i}]`;
+    if (!isObject(sink)) {
+      errors.push(`${at}: expected an object`);
+      return sink;
+    }
+    if (!SINK_TYPES.includes(sink.type)) {
+      errors.push(`${at}.type: expected one of ${SINK_TYPES.join(", ")}`);
+    }
+    if (sink.type === "postgres") {
+      if (sink.url !== undefined && typeof sink.url !== "string") {
+        errors.push(`${at}.url: expected a connection string`);
+      }
+      if (sink.urlEnv !== undefined && typeof sink.urlEnv !== "string") {
+        errors.push(`${at}.urlEnv: expected an environment variable name`);
+      }
+      for (const key of ["table", "indexTable", "pegTable", "resampledTable", "analyticsTable"]) {
+        if (sink[key] !== undefined && !TABLE_PATTERN.test(sink[key])) {
+          errors.push(`${at}.${key}: expected a lowercase SQL identifier`);
+        }
+      }
+      if (sink.timescale !== undefined && typeof sink.timescale !== "boolean") {
+        errors.push(`${at}.timescale: expected true or false`);
+      }
+    }
+    if (sink.type === "file") {
+      if (!["ndjson", "csv", undefined].includes(sink.format)) {
+        errors.push(`${at}.format: expected ndjson or csv`);
+      }
+      for (const key of ["path", "quarantinePath"]) {
+        if (sink[key] !== undefined && (typeof sink[key] !== "string" || !sink[key])) {
+          errors.push(`${at}.${key}: expected a non-empty string`);
+        }
+      }
+      if (sink.path === undefined) {
+        errors.push(`${at}.path: expected a non-empty string`);
+      }
+      if (typeof sink.path === "string" && sink.path) {
+        return {
+          ...sink,
+          path: path.resolve(ROOT_DIR, sink.path),
+          quarantinePath: sink.quarantinePath && path.resolve(ROOT_DIR, sink.quarantinePath),
+        };
+      }
+    }
+    return sink;
+  });
+}
+
+/**
+ * @notice Validates a map of protocol name to non-negative weight.
+ * @param {Object} weights - The raw weights.
+ * @param {string} at - The map's location in the file, used as the error prefix.
+ * @param {Set<string>} protocolNames - The names of the configured protocols.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function validateWeights(weights, at, protocolNames, errors) {
+  if (!isObject(weights)) {
+    errors.push(`${at}: expected an object of protocol weights`);
+    return;
+  }
+  for (const [protocol, weight] of Object.entries(weights)) {
+    if (!protocolNames.has(protocol)) {
+      errors.push(`${at}.${protocol}: unknown protocol`);
+    } else if (typeof weight !== "number" || !Number.isFinite(weight) || weight < 0) {
+      errors.push(`${at}.${protocol}: expected a non-negative number`);
+    }
+  }
+}
+
+/**
+ * @notice Checks that the instances weighed by TVL report it in a single unit.
+ * @param {Object} strategy - The raw tvl strategy.
+ * @param {Array<Object>} protocols - The validated protocol instances.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function validateTvlUnits(strategy, protocols, errors) {
+  const names = tvlProtocols(strategy, protocols);
+  const byUnit = new Map();
+  for (const protocol of protocols.filter((instance) => names.includes(instance.name))) {
+    const unit = protocol.tvlUnit || (getAdapterType(protocol.adapter) || {}).tvlUnit;
+    if (!unit) {
+      errors.push(`index.strategy: the TVL unit of '${protocol.name}' is unknown, set its tvlUnit to weigh it by TVL`);
+      continue;
+    }
+    if (!byUnit.has(unit)) byUnit.set(unit, []);
+    byUnit.get(unit).push(protocol.name);
+  }
+  if (byUnit.size > 1) {
+    const units = [...byUnit].map(([unit, unitNames]) => `${unit}: ${unitNames.join(", ")}`);
+    errors.push(`index.strategy: TVL weights cannot mix TVL units (${units.join("; ")})`);
+  }
+}
+
+/**
+ * @notice Validates the optional index section.
+ * @param {Object|undefined} section - The raw `index` section.
+ * @param {Array<Object>} protocols - The validated protocol instances.
+ * @param {Set<string>} protocolNames - The names of the configured protocols.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function validateIndex(section, protocols, protocolNames, errors) {
+  if (section === undefined) return;
+  if (!isObject(section)) {
+    errors.push("index: expected an object");
+    return;
+  }
+  if (section.schedule !== undefined && (typeof section.schedule !== "string" || !cron.validate(section.schedule))) {
+    errors.push("index.schedule: expected a valid cron expression");
+  }
+  for (const key of ["interval", "maxAge", "recompute", "timeout"]) {
+    if (section[key] !== undefined && !(parseDuration(section[key]) > 0)) {
+      errors.push(`index.${key}: expected a duration such as 8h`);
+    }
+  }
+  if (section.basis !== undefined && !["apy", ...METHODOLOGY_FIELDS].includes(section.basis)) {
+    errors.push(`index.basis: expected one of apy, ${METHODOLOGY_FIELDS.join(", ")}`);
+  }
+  if (section.startTime !== undefined && parseTimestamp(section.startTime) === null) {
+    errors.push("index.startTime: expected an ISO-8601 date or a Unix timestamp");
+  }
+
+  const { strategy } = section;
+  if (strategy === undefined) return;
+  if (!isObject(strategy) || !STRATEGY_TYPES.includes(strategy.type)) {
+    errors.push(`index.strategy.type: expected one of ${STRATEGY_TYPES.join(", ")}`);
+    return;
+  }
+  if (strategy.type === "fixed" && strategy.weights !== undefined) {
+    validateWeights(strategy.weights, "index.strategy.weights", protocolNames, errors);
+  }
+  if (strategy.type === "tvl") {
+    if (strategy.protocols !== undefined && !Array.isArray(strategy.protocols)) {
+      errors.push("index.strategy.protocols: expected an array of protocol names");
+      return;
+    }
+    (strategy.protocols || [])
+      .filter((protocol) => !protocolNames.has(protocol))
+      .forEach((protocol) => errors.push(`index.strategy.protocols: unknown protocol '${protocol}'`));
+    validateTvlUnits(strategy, protocols, errors);
+  }
+  if (strategy.type === "allocation") {
+    if (!Array.isArray(strategy.allocations) || !strategy.allocations.length) {
+      errors.push("index.strategy.allocations: expected a non-empty array");
+      return;
+    }
+    strategy.allocations.forEach((allocation, i) => {
+      const at = `index.strategy.allocations[${i}]`;
+      if (!isObject(allocation)) {
+        errors.push(`${at}: expected an object`);
+        return;
+      }
+      if (parseTimestamp(allocation.from) === null) {
+        errors.push(`${at}.from: expected an ISO-8601 date or a Unix timestamp`);
+      }
+      validateWeights(allocation.weights, `${at}.weights`, protocolNames, errors);
+    });
+  }
+}
+
+/**
+ * @notice Validates a single asset of the peg section and returns the normalized asset.
+ * @param {Object} asset - The raw asset entry.
+ * @param {string} at - The entry's location in the file, used as the error prefix.
+ * @param {Set<string>} chainNames - The names of the usable chains.
+ * @param {Set<string>} protocolNames - The names of the configured protocols.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function validatePegAsset(asset, at, chainNames, protocolNames, errors) {
+  if (!isObject(asset)) {
+    errors.push(`${at}: expected an object`);
+    return null;
+  }
+  if (typeof asset.name !== "string" || !asset.name.trim()) {
+    errors.push(`${at}.name: expected a non-empty string`);
+  }
+  if (asset.chain !== undefined && !chainNames.has(asset.chain)) {
+    errors.push(`${at}.chain: unknown chain '${asset.chain}', expected one of ${[...chainNames].join(", ")}`);
+  }
+  if (!isAddress(asset.token)) {
+    errors.push(`${at}.token: expected an Ethereum address`);
+  }
+  if (asset.peg !== undefined && !(typeof asset.peg === "number" && asset.peg > 0)) {
+    errors.push(`${at}.peg: expected a positive number`);
+  }
+  if (asset.chainlink === undefined && asset.curve === undefined) {
+    errors.push(`${at}: expected a 'chainlink' feed, a 'curve' pool or both`);
+  }
+  if (asset.chainlink !== undefined && !isAddress(asset.chainlink)) {
+    errors.push(`${at}.chainlink: expected an Ethereum address`);
+  }
+  if (asset.curve !== undefined) {
+    const { curve } = asset;
+    if (!isObject(curve)) {
+      errors.push(`${at}.curve: expected an object`);
+    } else {
+      if (!isAddress(curve.pool)) {
+        errors.push(`${at}.curve.pool: expected an Ethereum address`);
+      }
+      for (const key of ["i", "j"]) {
+        if (!Number.isSafeInteger(curve[key]) || curve[key] < 0) {
+          errors.push(`${at}.curve.${key}: expected a non-negative coin index`);
+        }
+      }
+      if (curve.i === curve.j) {
+        errors.push(`${at}.curve.j: expected a coin other than i`);
+      }
+      if (curve.amount !== undefined && !(typeof curve.amount === "number" && curve.amount > 0)) {
+        errors.push(`${at}.curve.amount: expected a positive number of tokens`);
+      }
+    }
+  }
+  const protocols = asset.protocols || [];
+  if (!Array.isArray(protocols)) {
+    errors.push(`${at}.protocols: expected an array of protocol names`);
+  } else {
+    protocols
+      .filter((protocol) => !protocolNames.has(protocol))
+      .forEach((protocol) => errors.push(`${at}.protocols: unknown protocol '${protocol}'`));
+  }
+  return { ...asset, chain: asset.chain || DEFAULT_CHAIN, peg: asset.peg || 1, protocols };
+}
+
+/**
+ * @notice Validates the optional peg section.
+ * @param {Object|undefined} section - The raw `peg` section.
+ * @param {Set<string>} chainNames - The names of the usable chains.
+ * @param {Set<string>} protocolNames - The names of the configured protocols.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function validatePeg(section, chainNames, protocolNames, errors) {
+  if (section === undefined) return undefined;
+  if (!isObject(section)) {
+    errors.push("peg: expected an object");
+    return undefined;
+  }
+  if (section.schedule !== undefined && (typeof section.schedule !== "string" || !cron.validate(section.schedule))) {
+    errors.push("peg.schedule: expected a valid cron expression");
+  }
+  for (const key of ["interval", "lookback", "timeout"]) {
+    if (section[key] !== undefined && parseDuration(section[key]) === null) {
+      errors.push(`peg.${key}: expected a duration such as 8h`);
+    }
+  }
+  if (section.threshold !== undefined && !(typeof section.threshold === "number" && section.threshold > 0)) {
+    errors.push("peg.threshold: expected a positive percentage");
+  }
+  if (section.startTime !== undefined && parseTimestamp(section.startTime) === null) {
+    errors.push("peg.startTime: expected an ISO-8601 date or a Unix timestamp");
+  }
+  if (!Array.isArray(section.assets) || !section.assets.length) {
+    errors.push("peg.assets: expected a non-empty array");
+    return { ...section, assets: [] };
+  }
+
+  const seen = new Set();
+  const assets = section.assets.map((entry, i) => {
+    const asset = validatePegAsset(entry, `peg.assets[${i}]`, chainNames, protocolNames, errors);
+    if (asset && seen.has(asset.name)) {
+      errors.push(`peg.assets[${i}].name: duplicate asset name '${asset.name}'`);
+    }
+    if (asset) seen.add(asset.name);
+    return asset;
+  });
+  return { ...section, assets: assets.filter(Boolean) };
+}
+
+/**
+ * @notice Validates the optional gaps section and resolves its state file.
+ * @param {Object|undefined} section - The raw `gaps` section.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function validateGaps(section, errors) {
+  if (section === undefined) return undefined;
+  if (!isObject(section)) {
+    errors.push("gaps: expected an object");
+    return undefined;
+  }
+  if (section.schedule !== undefined && (typeof section.schedule !== "string" || !cron.validate(section.schedule))) {
+    errors.push("gaps.schedule: expected a valid cron expression");
+  }
+  for (const key of ["lookback", "interval", "maxAge", "timeout"]) {
+    if (section[key] !== undefined && parseDuration(section[key]) === null) {
+      errors.push(`gaps.${key}: expected a duration such as 8h`);
+    }
+  }
+  if (section.tolerance !== undefined && !(typeof section.tolerance === "number" && section.tolerance > 1)) {
+    errors.push("gaps.tolerance: expected a number greater than 1");
+  }
+  if (section.maxGap !== undefined) {
+    if (!isObject(section.maxGap)) {
+      errors.push("gaps.maxGap: expected an object of series durations");
+    } else {
+      for (const [series, duration] of Object.entries(section.maxGap)) {
+        if (parseDuration(duration) === null) {
+          errors.push(`gaps.maxGap.${series}: expected a duration such as 36h`);
+        }
+      }
+    }
+  }
+  if (section.repair !== undefined && typeof section.repair !== "boolean") {
+    errors.push("gaps.repair: expected true or false");
+  }
+  if (section.basis !== undefined && !["apy", ...METHODOLOGY_FIELDS].includes(section.basis)) {
+    errors.push(`gaps.basis: expected one of apy, ${METHODOLOGY_FIELDS.join(", ")}`);
+  }
+  if (section.stateFile !== undefined) {
+    if (typeof section.stateFile !== "string" || !section.stateFile) {
+      errors.push("gaps.stateFile: expected a non-empty string");
+      return section;
+    }
+    return { ...section, stateFile: path.resolve(ROOT_DIR, section.stateFile) };
+  }
+  return section;
+}
+
+/**
+ * @notice Validates the optional analytics section.
+ * @param {Object|undefined} section - The raw `analytics` section.
+ * @param {Set<string>} protocolNames - The names of the configured protocols.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function validateAnalytics(section, protocolNames, errors) {
+  if (section === undefined) return;
+  if (!isObject(section)) {
+    errors.push("analytics: expected an object");
+    return;
+  }
+  if (section.schedule !== undefined && (typeof section.schedule !== "string" || !cron.validate(section.schedule))) {
+    errors.push("analytics.schedule: expected a valid cron expression");
+  }
+  if (section.windows !== undefined && (!Array.isArray(section.windows) || !section.windows.length
+    || !section.windows.every((window) => window === ALL_WINDOW || parseDuration(window) !== null))) {
+    errors.push(`analytics.windows: expected a non-empty array of durations such as 30d, or '${ALL_WINDOW}'`);
+  }
+  for (const key of ["interval", "maxAge", "timeout"]) {
+    if (section[key] !== undefined && parseDuration(section[key]) === null) {
+      errors.push(`analytics.${key}: expected a duration such as 1d`);
+    }
+  }
+  if (section.basis !== undefined && !["apy", ...METHODOLOGY_FIELDS].includes(section.basis)) {
+    errors.push(`analytics.basis: expected one of apy, ${METHODOLOGY_FIELDS.join(", ")}`);
+  }
+  if (section.threshold !== undefined && !Number.isFinite(section.threshold)) {
+    errors.push("analytics.threshold: expected an APY in percent");
+  }
+  if (section.percentiles !== undefined && (!Array.isArray(section.percentiles)
+    || !section.percentiles.every((p) => typeof p === "number" && p > 0 && p < 100))) {
+    errors.push("analytics.percentiles: expected an array of numbers between 0 and 100");
+  }
+  if (section.drops !== undefined && !(Number.isSafeInteger(section.drops) && section.drops > 0)) {
+    errors.push("analytics.drops: expected a positive integer");
+  }
+  if (section.startTime !== undefined && parseTimestamp(section.startTime) === null) {
+    errors.push("analytics.startTime: expected an ISO-8601 date or a Unix timestamp");
+  }
+  if (section.protocols !== undefined) {
+    if (!Array.isArray(section.protocols)) {
+      errors.push("analytics.protocols: expected an array of protocol names");
+    } else {
+      section.protocols
+        .filter((protocol) => !protocolNames.has(protocol))
+        .forEach((protocol) => errors.push(`analytics.protocols: unknown protocol '${protocol}'`));
+    }
+  }
+}
+
+/**
+ * @notice Validates the `lock` or `history` subsection of the jobs section and resolves its path.
+ * @param {Object|undefined} section - The raw subsection.
+ * @param {string} at - The subsection's location in the file, used as the error prefix.
+ * @param {Array<string>} types - The supported backend types.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function validateJobStore(section, at, types, errors) {
+  if (section === undefined) return undefined;
+  if (!isObject(section)) {
+    errors.push(`${at}: expected an object`);
+    return undefined;
+  }
+  if (!types.includes(section.type)) {
+    errors.push(`${at}.type: expected one of ${types.join(", ")}`);
+  }
+  for (const key of ["path", "url", "urlEnv"]) {
+    if (section[key] !== undefined && (typeof section[key] !== "string" || !section[key])) {
+      errors.push(`${at}.${key}: expected a non-empty string`);
+    }
+  }
+  if (section.table !== undefined && (typeof section.table !== "string" || !TABLE_PATTERN.test(section.table))) {
+    errors.push(`${at}.table: expected a lowercase SQL identifier`);
+  }
+  return typeof section.path === "string" && section.path
+    ? { ...section, path: path.resolve(ROOT_DIR, section.path) }
+    : section;
+}
+
+/**
+ * @notice Validates the optional jobs section.
+ * @param {Object|undefined} section - The raw `jobs` section.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function validateJobs(section, errors) {
+  if (section === undefined) return undefined;
+  if (!isObject(section)) {
+    errors.push("jobs: expected an object");
+    return undefined;
+  }
+  for (const key of ["timeout", "shutdownTimeout"]) {
+    if (section[key] !== undefined && parseDuration(section[key]) === null) {
+      errors.push(`jobs.${key}: expected a duration such as 30m`);
+    }
+  }
+  const lock = validateJobStore(section.lock, "jobs.lock", LOCK_TYPES, errors);
+  if (lock && lock.ttl !== undefined && parseDuration(lock.ttl) === null) {
+    errors.push("jobs.lock.ttl: expected a duration such as 2m");
+  }
+  const history = validateJobStore(section.history, "jobs.history", HISTORY_TYPES, errors);
+  if (history && history.keep !== undefined && (!Number.isSafeInteger(history.keep) || history.keep < 1)) {
+    errors.push("jobs.history.keep: expected a positive integer");
+  }
+  return { ...section, lock, history };
+}
+
+/**
+ * @notice Validates the optional streaming section.
+ * @param {Object|undefined} section - The raw `streaming` section.
+ * @param {Array<Object>} protocols - The validated protocol entries.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function validateStreaming(section, protocols, errors) {
+  if (section === undefined) return;
+  if (!isObject(section)) {
+    errors.push("streaming: expected an object");
+    return;
+  }
+  if (section.enabled !== undefined && typeof section.enabled !== "boolean") {
+    errors.push("streaming.enabled: expected true or false");
+  }
+  if (section.confirmations !== undefined && (!Number.isSafeInteger(section.confirmations) || section.confirmations < 0)) {
+    errors.push("streaming.confirmations: expected a non-negative integer");
+  }
+  if (section.protocols !== undefined) {
+    if (!Array.isArray(section.protocols)) {
+      errors.push("streaming.protocols: expected an array of protocol names");
+      return;
+    }
+    for (const name of section.protocols) {
+      const protocol = protocols.find((entry) => entry && entry.name === name);
+      if (!protocol) {
+        errors.push(`streaming.protocols: unknown protocol '${name}'`);
+      } else if (!(getAdapterType(protocol.adapter) || {}).subscription) {
+        errors.push(`streaming.protocols: the ${protocol.adapter} adapter of '${name}' does not support streaming`);
+      }
+    }
+  }
+}
+
+/**
+ * @notice Validates a parsed config object.
+ * @param {Object} raw - The parsed JSON content.
+ * @param {string} file - The file the config was read from, used in error messages.
+ */
+function validateConfig(raw, file) {
+  const errors = [];
+
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.protocols)) {
+    throw new ConfigError(file, ["protocols: expected an array of protocol entries"]);
+  }
+
+  const chainNames = validateChains(raw.chains, errors);
+  const protocols = raw.protocols.map((entry, i) => validateProtocol(entry, `protocols[${i}]`, chainNames, errors));
+  const cursorStore = validateCursorStore(raw.cursorStore, errors);
+
+  const seenNames = new Set();
+  const seenCursors = new Set();
+  protocols.forEach((protocol, i) => {
+    if (!protocol) return;
+    if (seenNames.has(protocol.name)) {
+      errors.push(`protocols[${i}].name: duplicate name '${protocol.name}'`);
+    }
+    if (seenCursors.has(protocol.cursorKey)) {
+      errors.push(`protocols[${i}].cursorKey: duplicate cursor key '${protocol.cursorKey}'`);
+    }
+    if (protocol.name === INDEX_JOB) {
+      errors.push(`protocols[${i}].name: '${INDEX_JOB}' is reserved for the composite index job`);
+    }
+    if (protocol.name === PEG_JOB) {
+      errors.push(`protocols[${i}].name: '${PEG_JOB}' is reserved for the stablecoin peg job`);
+    }
+    if (protocol.name === GAPS_JOB) {
+      errors.push(`protocols[${i}].name: '${GAPS_JOB}' is reserved for the gap repair job`);
+    }
+    if (protocol.name === ANALYTICS_JOB) {
+      errors.push(`protocols[${i}].name: '${ANALYTICS_JOB}' is reserved for the series analytics job`);
+    }
+    if (protocol.cursorKey === INDEX_CURSOR_KEY) {
+      errors.push(`protocols[${i}].cursorKey: '${INDEX_CURSOR_KEY}' is reserved for the composite index`);
+    }
+    seenNames.add(protocol.name);
+    seenCursors.add(protocol.cursorKey);
+  });
+
+  const peg = validatePeg(raw.peg, chainNames, seenNames, errors);
+  if (peg) {
+    peg.assets.forEach((asset, i) => {
+      if (seenCursors.has(pegCursorKey(asset))) {
+        errors.push(`peg.assets[${i}].name: its cursor key '${pegCursorKey(asset)}' is used by a protocol`);
+      }
+    });
+  }
+  const assetNames = new Set(peg ? peg.assets.map((asset) => asset.name) : []);
+
+  const alerts = validateAlerts(raw.alerts, seenNames, assetNames, errors);
+  const sinks = validateSinks(raw.sinks, errors);
+  validateIndex(raw.index, protocols.filter(Boolean), seenNames, errors);
+  const gaps = validateGaps(raw.gaps, errors);
+  validateAnalytics(raw.analytics, seenNames, errors);
+  validateStreaming(raw.streaming, protocols, errors);
+  const jobs = validateJobs(raw.jobs, errors);
+  if (raw.health !== undefined) {
+    if (!isObject(raw.health)) {
+      errors.push("health: expected an object");
+    } else if (raw.health.staleAfter !== undefined && parseDuration(raw.health.staleAfter) === null) {
+      errors.push("health.staleAfter: expected a duration such as 26h");
+    }
+  }
+
+  if (errors.length) {
+    throw new ConfigError(file, errors);
+  }
+  return { ...raw, protocols, cursorStore, alerts, sinks, jobs, peg, gaps };
+}
+
+/**
+ * @notice Reads and validates the config file.
+ * @param {string} [file] - Path to the config file; defaults to BENTO_CONFIG or config/bento.json.
+ */
+function loadConfig(file = process.env.BENTO_CONFIG || DEFAULT_CONFIG_FILE) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new ConfigError(file, [error.message]);
+  }
+  return validateConfig(raw, file);
+}
+
+module.exports = { loadConfig, validateConfig, ConfigError };
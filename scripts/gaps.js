@@ -0,0 +1,294 @@
+const path = require("path");
+const { parseDuration } = require("./utils/time");
+const { gridSteps } = require("./bentoIndex");
+const { timestampToCursor } = require("./backfill");
+const { checkSamples } = require("./runner");
+const { readJson, writeJsonAtomic } = require("./utils/jsonFile");
+
+/**
+ * @notice Finds and repairs holes in the stored APY series, then writes them resampled on a common UTC grid.
+ * @dev The protocols write on their own grids: Ethena at rewards events, Spark every 8h from its cursor, Mountain
+ *      daily and Morpho at API day or hour boundaries. An interval an adapter skips (an empty Spark ssr(), a
+ *      missing Mountain block) leaves a silent hole. Every run of the gaps job scans the last `lookback` of every
+ *      series of `protocol_apy_data`:
+ *        - a gap is two consecutive points further apart than the series' `maxGap`: the configured one, or
+ *          `tolerance` times the median spacing of its points, so every grid is judged against itself;
+ *        - with `repair`, the fetcher of the series is re-run over the gap only, like a backfill: samples go
+ *          through the same validation and the live cursor is not moved. A gap the fetcher reads in full without
+ *          finding anything (e.g. no Ethena rewards were paid) is recorded in the state file and not retried; one
+ *          it stopped short of after a failed read, or whose samples were all quarantined, is retried by the next
+ *          run;
+ *        - the series are then forward-filled on a grid of `interval` (multiples of `interval` since the Unix
+ *          epoch, like the composite index): every step carries the latest `basis` value at or before it, as
+ *          long as it is no older than `maxAge`, and is written to the `protocol_apy_resampled` series with its
+ *          age. The whole window is rewritten by every run; points are keyed by time, so it overwrites.
+ *      The tail of a series is left to the live runs, which pick up from their cursors.
+ */
+
+// Defaults of the `gaps` section.
+const DEFAULTS = {
+  schedule: "45 1 * * *",
+  lookback: "30d",
+  // A spacing over this multiple of a series' median spacing is a gap
+  tolerance: 1.5,
+  repair: true,
+  interval: "8h",
+  basis: "apy",
+  maxAge: "7d",
+};
+
+// The default state file of the gaps the fetchers found nothing in.
+const DEFAULT_STATE_FILE = path.join(__dirname, "data", "gap_state.json");
+
+// Points a series needs before its spacing can be inferred.
+const MIN_POINTS = 3;
+
+/**
+ * @notice Returns the median of a non-empty array of numbers.
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * @notice Finds the gaps of a series.
+ * @param {Array<number>} timestamps - The Unix timestamps of the series' points, in seconds.
+ * @param {Object} [options] - { maxGap, tolerance }: the largest spacing in seconds that is not a gap, or the
+ *        multiple of the median spacing it defaults to.
+ * @return {Array<Object>} The gaps as { from, to }, the timestamps of the points bordering them; none when the
+ *         spacing cannot be inferred from fewer than 3 points.
+ */
+function detectGaps(timestamps, { maxGap, tolerance = DEFAULTS.tolerance } = {}) {
+  const sorted = [...new Set(timestamps)].sort((a, b) => a - b);
+  const spacings = sorted.slice(1).map((timestamp, i) => timestamp - sorted[i]);
+  const limit = maxGap ?? (sorted.length >= MIN_POINTS ? median(spacings) * tolerance : undefined);
+  if (limit === undefined) return [];
+
+  const gaps = [];
+  spacings.forEach((spacing, i) => {
+    if (spacing > limit) gaps.push({ from: sorted[i], to: sorted[i + 1] });
+  });
+  return gaps;
+}
+
+/**
+ * @notice Forward-fills a series on grid steps.
+ * @param {Array<Object>} points - The series' points as { timestamp, value, tvl }, in any order.
+ * @param {Array<number>} steps - Ascending grid steps in Unix seconds.
+ * @param {number} maxAge - Oldest value, in seconds, a step may carry.
+ * @return {Array<Object>} { timestamp, value, tvl, age } per step with a value, `age` being the seconds since
+ *         the point it was taken from.
+ */
+function resample(points, steps, maxAge) {
+  const sorted = points.filter((point) => Number.isFinite(point.value)).sort((a, b) => a.timestamp - b.timestamp);
+  const resampled = [];
+  let next = 0;
+  let latest;
+  for (const step of steps) {
+    while (next < sorted.length && sorted[next].timestamp <= step) {
+      latest = sorted[next];
+      next += 1;
+    }
+    if (!latest || step - latest.timestamp > maxAge) continue;
+    resampled.push({ timestamp: step, value: latest.value, tvl: latest.tvl, age: step - latest.timestamp });
+  }
+  return resampled;
+}
+
+/**
+ * @notice Returns the adapter writing a series: the one named like it, or the Morpho instance it is a vault of
+ *         (`<instance>-<symbol>`, see adapters/morpho.js).
+ */
+function adapterOf(series, adapters) {
+  return adapters
+    .filter((adapter) => series === adapter.name || series.startsWith(`${adapter.name}-`))
+    .sort((a, b) => b.name.length - a.name.length)[0];
+}
+
+/**
+ * @notice Creates the gaps job.
+ * @param {Object} options - { gaps, adapters, source, sink, jobs, stateFile }: the validated `gaps` section, the
+ *        enabled adapters, a source exposing queryPoints (see api/influxSource.js), a sink exposing write and
+ *        writeResampled (see sinks/index.js), the job runner the protocols run on (see jobs.js), and the state
+ *        file (defaults to the section's `stateFile` or scripts/data/gap_state.json; pass null to keep it in
+ *        memory). With a job runner, a repair runs as a `gaps` run of the protocol's job, so it never overlaps
+ *        with a fetch of the same protocol, on this instance or, with a lock, on another.
+ */
+function createGapJob({ gaps = {}, adapters, source, sink, jobs, stateFile }) {
+  const settings = { ...DEFAULTS, ...gaps };
+  const lookback = parseDuration(settings.lookback);
+  const interval = parseDuration(settings.interval);
+  const maxAge = parseDuration(settings.maxAge);
+  const maxGaps = Object.fromEntries(
+    Object.entries(settings.maxGap || {}).map(([series, duration]) => [series, parseDuration(duration)])
+  );
+  const file = stateFile !== undefined ? stateFile : settings.stateFile || DEFAULT_STATE_FILE;
+  const state = { unrepairable: {}, ...((file && readJson(file)) || {}) };
+
+  /**
+   * @notice Reads the series of every enabled adapter over a range.
+   * @return {Promise<Map>} Series name -> points as { timestamp, value, tvl }.
+   */
+  async function readSeries(from, to) {
+    const rows = await source.queryPoints({
+      from: new Date(from * 1000),
+      // The range stop is exclusive
+      to: new Date((to + 1) * 1000),
+      basis: settings.basis,
+    });
+    const series = new Map();
+    for (const row of rows) {
+      if (!adapterOf(row.protocol, adapters)) continue;
+      if (!series.has(row.protocol)) series.set(row.protocol, []);
+      series.get(row.protocol).push({
+        timestamp: Math.floor(new Date(row.time).getTime() / 1000),
+        value: row.apy,
+        tvl: row.tvl,
+      });
+    }
+    return series;
+  }
+
+  /**
+   * @notice Finds the gaps of every series in (from, to].
+   * @return {Promise<Object>} { series, gaps }: the points read and the gaps as { series, from, to }.
+   */
+  async function scan(from, to) {
+    const series = await readSeries(from, to);
+    const found = [];
+    for (const [name, points] of series) {
+      const timestamps = points.filter((point) => Number.isFinite(point.value)).map((point) => point.timestamp);
+      detectGaps(timestamps, { maxGap: maxGaps[name], tolerance: settings.tolerance })
+        .forEach((gap) => found.push({ series: name, ...gap }));
+    }
+    return { series, gaps: found };
+  }
+
+  /**
+   * @notice Re-runs the fetcher of a series over a gap and writes what it finds inside it.
+   * @param {Object} adapter - The adapter writing the series.
+   * @param {Object} gap - { series, from, to }.
+   * @param {AbortSignal} [signal] - Checked before writing.
+   * @return {Promise<Object>} { accepted, quarantined, covered }: the accepted samples, how many were
+   *         quarantined, and whether the fetcher covered the whole gap, i.e. did not stop before a failed read.
+   */
+  async function fetchGap(adapter, gap, signal) {
+    const fromCursor = await timestampToCursor(adapter, gap.from);
+    const toCursor = await timestampToCursor(adapter, gap.to - 1);
+    if (toCursor <= fromCursor) return { accepted: [], quarantined: 0, covered: true };
+
+    const { samples, cursor } = await adapter.fetchRange(fromCursor, toCursor);
+    const covered = cursor >= toCursor;
+    const inside = samples.filter(
+      (sample) => sample.protocol === gap.series && sample.timestamp > gap.from && sample.timestamp < gap.to
+    );
+    if (!inside.length) return { accepted: [], quarantined: 0, covered };
+    const checked = await checkSamples(adapter, inside, sink);
+    if (signal) signal.throwIfAborted();
+    await sink.write(checked);
+    return { accepted: checked.accepted, quarantined: checked.quarantined.length, covered };
+  }
+
+  /**
+   * @notice Repairs a gap, as a run of the protocol's job when there is a job runner.
+   * @return {Promise<Object>} { accepted, quarantined, covered } as returned by fetchGap; rejects when the run
+   *         failed or was skipped.
+   */
+  async function repair(gap) {
+    const adapter = adapterOf(gap.series, adapters);
+    if (!jobs || !jobs.has(adapter.name)) {
+      return fetchGap(adapter, gap);
+    }
+    let fetched;
+    const run = await jobs.run(adapter.name, {
+      trigger: "gaps",
+      wait: true,
+      task: async (signal) => {
+        fetched = await fetchGap(adapter, gap, signal);
+        return { ok: true, accepted: fetched.accepted.length, quarantined: fetched.quarantined };
+      },
+    });
+    if (run.status !== "success") {
+      throw new Error(`The ${adapter.name} repair run ended with status ${run.status}${run.error ? `: ${run.error}` : ""}`);
+    }
+    return fetched;
+  }
+
+  /**
+   * @notice Scans the last `lookback`, repairs the gaps not known to be genuine and writes the resampled series.
+   * @param {number} [now] - Unix timestamp in seconds; defaults to the current time.
+   * @param {Object} [options] - { signal }: an AbortSignal checked before every repair and write (see jobs.js).
+   * @return {Promise<Object>} { ok, points, gaps, repaired, error }: the resampled points written, the gaps
+   *         found, the samples written into them; a gap whose repair fails is logged and retried by the next
+   *         run, the others are still repaired. Errors are logged, never thrown.
+   */
+  async function run(now = Math.floor(Date.now() / 1000), { signal } = {}) {
+    try {
+      const from = now - lookback;
+      // Read far enough back for the first step to be forward-filled
+      const { series, gaps: found } = await scan(from - maxAge, now);
+      const window = found.filter((gap) => gap.to > from);
+
+      let repaired = 0;
+      const failures = [];
+      if (settings.repair) {
+        for (const gap of window) {
+          const key = `${gap.series}:${gap.from}-${gap.to}`;
+          if (state.unrepairable[key]) continue;
+          if (signal) signal.throwIfAborted();
+          try {
+            const { accepted, quarantined, covered } = await repair(gap);
+            if (!accepted.length) {
+              // Only a fetch that read the whole gap and found nothing in it shows the hole is genuine
+              if (covered && !quarantined) {
+                state.unrepairable[key] = { to: gap.to, checkedAt: now };
+              } else {
+                console.log(`The ${gap.series} gap (${gap.from}, ${gap.to}) was not repaired (${quarantined} quarantined` +
+                  `${covered ? "" : ", reads failed"}); the next run retries it.`);
+              }
+              continue;
+            }
+            repaired += accepted.length;
+            const basis = (sample) => (settings.basis === "apy" ? sample.apy : (sample.rates || {})[settings.basis]);
+            series.get(gap.series).push(
+              ...accepted.map((sample) => ({ timestamp: sample.timestamp, value: basis(sample), tvl: sample.tvl }))
+            );
+            console.log(`Repaired the ${gap.series} gap (${gap.from}, ${gap.to}) with ${accepted.length} point(s).`);
+          } catch (error) {
+            if (signal && signal.aborted) throw error;
+            console.error(`Could not repair the ${gap.series} gap (${gap.from}, ${gap.to}):`, error);
+            failures.push(`${gap.series}: ${error.message}`);
+          }
+        }
+        // Forget gaps that left the window
+        for (const [key, known] of Object.entries(state.unrepairable)) {
+          if (known.to <= from) delete state.unrepairable[key];
+        }
+        if (file) writeJsonAtomic(file, state);
+      }
+
+      if (signal) signal.throwIfAborted();
+      const steps = gridSteps(from, now, interval);
+      const points = [];
+      for (const [name, seriesPoints] of series) {
+        resample(seriesPoints, steps, maxAge).forEach(({ timestamp, value, tvl, age }) =>
+          points.push({ protocol: name, basis: settings.basis, timestamp, apy: value, tvl, age, filled: age >= interval })
+        );
+      }
+      await sink.writeResampled(points);
+      console.log(`Found ${window.length} gap(s), repaired ${repaired} point(s), resampled ${series.size} series on ${settings.interval}.`);
+
+      const result = { ok: !failures.length, points: points.length, gaps: window.length, repaired };
+      return failures.length ? { ...result, error: new Error(`Gap repair failed (${failures.join("; ")})`) } : result;
+    } catch (error) {
+      console.error("Gaps error:", error);
+      return { ok: false, error };
+    }
+  }
+
+  return { schedule: settings.schedule, lookback, scan, repair, run };
+}
+
+module.exports = { createGapJob, detectGaps, resample, DEFAULTS };
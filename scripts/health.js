@@ -0,0 +1,95 @@
+const { parseDuration, withTimeout } = require("./utils/time");
+const { getProvider } = require("./utils/provider");
+const { DEFAULT_CHAIN } = require("./utils/chains");
+const { getRunStatus } = require("./utils/metrics");
+
+/**
+ * @notice Health and readiness checks served at GET /healthz and GET /readyz.
+ * @dev Readiness means the collector's dependencies answer: InfluxDB (through the source's ping(), skipped
+ *      when no source is configured) and the RPC of every chain the adapters use (eth_blockNumber on each
+ *      chain's shared provider). Health is readiness plus freshness: a fetcher whose last successful run is
+ *      older than `staleAfter` makes the collector unhealthy. A fetcher that never succeeded is measured from
+ *      the process start, so a fresh start is healthy. Dependency checks are cached for CHECK_CACHE_MS so
+ *      frequent probes do not hammer InfluxDB and the RPC.
+ */
+
+// How long a dependency check result is reused.
+const CHECK_CACHE_MS = 10000;
+
+// Timeout of a single dependency check.
+const CHECK_TIMEOUT_MS = 5000;
+
+// Default maximum age of a fetcher's last successful run; the slowest schedules run daily.
+const DEFAULT_STALE_AFTER = 26 * 3600;
+
+/**
+ * @notice Runs a check, turning its outcome into { ok, ...details } or { ok: false, error }.
+ */
+async function runCheck(check) {
+  try {
+    return { ok: true, ...(await withTimeout(check(), CHECK_TIMEOUT_MS)) };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * @notice Creates the health checks.
+ * @param {Object} options - { source, adapters, staleAfter }. `source` exposes ping() (see api/influxSource.js)
+ *        and may be null.
+ */
+function createHealthChecks({ source, adapters, staleAfter }) {
+  const maxAge = parseDuration(staleAfter) || DEFAULT_STALE_AFTER;
+  const startedAt = Math.floor(Date.now() / 1000);
+  const chains = [...new Set(adapters.map((adapter) => adapter.chain || DEFAULT_CHAIN))];
+  if (!chains.length) chains.push(DEFAULT_CHAIN);
+  let cached;
+
+  /**
+   * @notice Checks that InfluxDB and the RPC of every chain are reachable.
+   * @dev The rpc check reports the head of every chain as `blockNumbers: { [chain]: number }`.
+   * @return {Promise<Object>} { ok, checks: { influxdb, rpc } }.
+   */
+  async function readiness() {
+    if (!cached || Date.now() - cached.at > CHECK_CACHE_MS) {
+      const [influxdb, rpc] = await Promise.all([
+        runCheck(async () => {
+          if (!source) return { skipped: true };
+          await source.ping();
+          return {};
+        }),
+        runCheck(async () => {
+          const heads = await Promise.all(chains.map((chain) => getProvider(chain).getBlockNumber()));
+          return { blockNumbers: Object.fromEntries(chains.map((chain, i) => [chain, heads[i]])) };
+        }),
+      ]);
+      cached = { at: Date.now(), result: { ok: influxdb.ok && rpc.ok, checks: { influxdb, rpc } } };
+    }
+    return cached.result;
+  }
+
+  /**
+   * @notice Checks readiness plus the freshness of every fetcher.
+   * @return {Promise<Object>} { ok, checks: { influxdb, rpc }, fetchers: { [protocol]: { ok, lastSuccessAt, error } } }.
+   */
+  async function liveness() {
+    const ready = await readiness();
+    const now = Math.floor(Date.now() / 1000);
+    const fetchers = {};
+    for (const adapter of adapters) {
+      const status = getRunStatus(adapter.name) || {};
+      const age = now - (status.lastSuccessAt || startedAt);
+      fetchers[adapter.name] = {
+        ok: age <= maxAge,
+        lastSuccessAt: status.lastSuccessAt ? new Date(status.lastSuccessAt * 1000).toISOString() : null,
+        error: status.error,
+      };
+    }
+    const ok = ready.ok && Object.values(fetchers).every((fetcher) => fetcher.ok);
+    return { ok, checks: ready.checks, fetchers };
+  }
+
+  return { readiness, liveness };
+}
+
+module.exports = { createHealthChecks };
@@ -0,0 +1,277 @@
+const os = require("os");
+const crypto = require("crypto");
+const cron = require("node-cron");
+const { parseDuration } = require("./utils/time");
+
+/**
+ * @notice Runs the collector's jobs (one per protocol, plus the composite index) on their cron schedules, at
+ *         startup, from the streaming mode and on demand.
+ * @dev Every run of a job goes through `run`, which:
+ *   - skips the run when the job is already running in this process (or waits for it, for the streaming mode),
+ *     so a slow run never overlaps with the next tick of the same schedule;
+ *   - with a lock (see utils/jobLock.js), skips the run when another instance holds the job's lease, and renews
+ *     the lease every third of its `ttl` while the job runs;
+ *   - aborts the run's AbortSignal once the job's timeout has passed. Runs check the signal between their
+ *     steps (see runner.js), so a timed-out run stops before writing; it keeps the job busy until it returns;
+ *   - records the run in the history (see utils/runHistory.js): start, end, status (success, error, timeout or
+ *     skipped), points written and quarantined, cursor and error.
+ *   `stop` stops the schedules and waits up to `shutdownTimeout` for running jobs, then aborts them and closes the
+ *   lock and history; a run that ignores the abort and ends later is logged but no longer recorded.
+ */
+
+// Defaults of the `jobs` section, see config.js.
+const DEFAULT_TIMEOUT = 30 * 60;
+const DEFAULT_LOCK_TTL = 120;
+const DEFAULT_SHUTDOWN_TIMEOUT = 60;
+
+// The name of the composite index job, reserved among protocol names.
+const INDEX_JOB = "index";
+// The name of the stablecoin peg job, reserved among protocol names.
+const PEG_JOB = "peg";
+// The name of the gap repair and resampling job, reserved among protocol names.
+const GAPS_JOB = "gaps";
+// The name of the series analytics job, reserved among protocol names.
+const ANALYTICS_JOB = "analytics";
+
+// How long aborted jobs are still awaited on shutdown.
+const ABORT_GRACE_MS = 5000;
+
+/**
+ * @notice Resolves once a promise settled (true) or after `ms` (false), whichever comes first.
+ */
+function settledWithin(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), ms);
+  });
+  return Promise.race([promise.then(() => true, () => true), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * @notice Creates the job runner.
+ * @param {Object} options - { lock, history, timeout, lockTtl, shutdownTimeout }: a lock from createJobLock (or
+ *        null to only guard jobs within this process), a history from createRunHistory, and the default job
+ *        timeout, lease duration and shutdown grace period as durations such as 30m or seconds.
+ */
+function createJobRunner({ lock = null, history, timeout, lockTtl, shutdownTimeout } = {}) {
+  const defaultTimeout = parseDuration(timeout) || DEFAULT_TIMEOUT;
+  const ttl = parseDuration(lockTtl) || DEFAULT_LOCK_TTL;
+  const grace = parseDuration(shutdownTimeout) || DEFAULT_SHUTDOWN_TIMEOUT;
+  // Identifies this instance as the holder of a lease
+  const owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+  const jobs = new Map();
+  // The current run of every busy job: { trigger, startedAt, controller, done }
+  const running = new Map();
+  let stopping = false;
+  // Set once the lock and history are closed; runs ending later are only logged
+  let closed = false;
+
+  /**
+   * @notice Stores and logs the outcome of a run.
+   */
+  async function finish(name, current, outcome) {
+    const entry = {
+      job: name,
+      trigger: current.trigger,
+      startedAt: current.startedAt,
+      endedAt: Math.floor(Date.now() / 1000),
+      ...outcome,
+    };
+    if (entry.status !== "success") {
+      console.warn(`Job ${name} (${entry.trigger}) ended with status ${entry.status}${entry.error ? `: ${entry.error}` : ""}.`);
+    }
+    if (closed) {
+      console.warn(`Job ${name} ended after the shutdown; its run is not recorded.`);
+      return entry;
+    }
+    try {
+      await history.record(entry);
+    } catch (error) {
+      console.error(`Could not record the run of job ${name}:`, error.message);
+    }
+    return entry;
+  }
+
+  /**
+   * @notice Executes a run of a job once it holds the job: takes the lease, arms the timeout, runs the task.
+   */
+  async function execute(job, task, current) {
+    if (lock) {
+      let acquired;
+      try {
+        acquired = await lock.acquire(job.name, owner, ttl);
+      } catch (error) {
+        return finish(job.name, current, { status: "error", error: `Could not take the job lock: ${error.message}` });
+      }
+      if (!acquired) {
+        return finish(job.name, current, { status: "skipped", error: "Running on another instance" });
+      }
+    }
+
+    const { controller } = current;
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort(new Error(`Job ${job.name} timed out after ${job.timeout}s`));
+    }, job.timeout * 1000);
+    const heartbeat = lock && setInterval(async () => {
+      try {
+        if (!(await lock.renew(job.name, owner, ttl))) {
+          controller.abort(new Error(`Job ${job.name} lost its lock`));
+        }
+      } catch (error) {
+        console.warn(`Could not renew the lock of job ${job.name}:`, error.message);
+      }
+    }, (ttl * 1000) / 3);
+
+    let outcome;
+    try {
+      const result = (await task(controller.signal)) || { ok: true };
+      outcome = {
+        status: timedOut ? "timeout" : result.ok ? "success" : "error",
+        points: result.accepted ?? result.points,
+        quarantined: result.quarantined,
+        cursor: result.cursor,
+        error: result.error ? result.error.message : undefined,
+      };
+    } catch (error) {
+      outcome = { status: timedOut ? "timeout" : "error", error: error.message };
+    } finally {
+      clearTimeout(timer);
+      if (heartbeat) clearInterval(heartbeat);
+      if (lock && !closed) {
+        await lock.release(job.name, owner).catch((error) => {
+          console.warn(`Could not release the lock of job ${job.name}:`, error.message);
+        });
+      }
+    }
+    return finish(job.name, current, outcome);
+  }
+
+  /**
+   * @notice Runs a job now.
+   * @param {string} name - The job name.
+   * @param {Object} [options] - { trigger, task, wait }: what started the run (schedule, startup, manual, stream
+   *        or gaps), the function to run instead of the job's own (given the AbortSignal), and whether to wait
+   *        for a run already in progress in this process instead of skipping.
+   * @return {Promise<Object>} The recorded run.
+   */
+  async function run(name, { trigger = "manual", task, wait = false } = {}) {
+    const job = jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job '${name}'`);
+    }
+    while (running.has(name) && wait && !stopping) {
+      await running.get(name).done;
+    }
+    const skip = (error) =>
+      finish(name, { trigger, startedAt: Math.floor(Date.now() / 1000) }, { status: "skipped", error });
+    if (stopping) return skip("Shutting down");
+    if (running.has(name)) return skip(`Already running since ${new Date(running.get(name).startedAt * 1000).toISOString()}`);
+
+    let release;
+    const current = {
+      trigger,
+      startedAt: Math.floor(Date.now() / 1000),
+      controller: new AbortController(),
+      done: new Promise((resolve) => {
+        release = resolve;
+      }),
+    };
+    running.set(name, current);
+    try {
+      return await execute(job, task || job.run, current);
+    } finally {
+      running.delete(name);
+      release();
+    }
+  }
+
+  /**
+   * @notice Registers a job and schedules it.
+   * @param {Object} job - { name, schedule, timeout, run }: a unique name, an optional cron expression, an
+   *        optional timeout (duration or seconds) and the function running the job, given an AbortSignal and
+   *        returning a result such as runAdapter's ({ ok, accepted, quarantined, cursor, error }).
+   */
+  function register({ name, schedule, timeout: jobTimeout, run: task }) {
+    const job = { name, schedule, timeout: parseDuration(jobTimeout) || defaultTimeout, run: task };
+    if (schedule) {
+      job.task = cron.schedule(schedule, async () => {
+        console.log(`${name} schedule triggered at:`, new Date());
+        await run(name, { trigger: "schedule" });
+      });
+    }
+    jobs.set(name, job);
+  }
+
+  /**
+   * @notice Lists the jobs with their current and last run.
+   * @return {Promise<Array<Object>>} { name, schedule, timeout, running, lastRun } per job; `running` is
+   *         { trigger, startedAt } or null.
+   */
+  async function list() {
+    return Promise.all(
+      [...jobs.values()].map(async (job) => {
+        const current = running.get(job.name);
+        const [lastRun] = await history.list(job.name, 1);
+        return {
+          name: job.name,
+          schedule: job.schedule,
+          timeout: job.timeout,
+          running: current ? { trigger: current.trigger, startedAt: current.startedAt } : null,
+          lastRun: lastRun || null,
+        };
+      })
+    );
+  }
+
+  /**
+   * @notice Stops the schedules and waits for running jobs, aborting them after the shutdown timeout.
+   */
+  async function stop() {
+    stopping = true;
+    for (const job of jobs.values()) {
+      if (job.task) job.task.stop();
+    }
+    const inFlight = [...running.entries()];
+    if (inFlight.length) {
+      console.log(`Waiting up to ${grace}s for running job(s): ${inFlight.map(([name]) => name).join(", ")}`);
+      const done = Promise.all(inFlight.map(([, current]) => current.done));
+      if (!(await settledWithin(done, grace * 1000))) {
+        console.warn(`Aborting job(s) still running after ${grace}s.`);
+        for (const [, current] of running) {
+          current.controller.abort(new Error("The collector is shutting down"));
+        }
+        if (!(await settledWithin(done, ABORT_GRACE_MS))) {
+          console.warn(`Job(s) still running after the abort: ${[...running.keys()].join(", ")}. Their runs are not recorded.`);
+        }
+      }
+    }
+    closed = true;
+    await Promise.all([lock && lock.close(), history.close()]);
+  }
+
+  return {
+    register,
+    run,
+    list,
+    stop,
+
+    /**
+     * @notice Returns whether a job is registered.
+     */
+    has: (name) => jobs.has(name),
+
+    /**
+     * @notice Returns whether a job is running in this process.
+     */
+    isRunning: (name) => running.has(name),
+
+    /**
+     * @notice Returns the latest recorded runs of a job, newest first.
+     */
+    history: (name, limit) => history.list(name, limit),
+  };
+}
+
+module.exports = { createJobRunner, INDEX_JOB, PEG_JOB, GAPS_JOB, ANALYTICS_JOB };
@@ -0,0 +1,76 @@
+/**
+ * @notice Derives comparable yield figures from the raw rate of every sample.
+ * @dev Adapters report `apy` in the protocol's own convention: Ethena annualizes one 8-hour reward with
+ *      simple interest, Spark compounds the per-second savings rate, Mountain compares daily multipliers and
+ *      Morpho passes the API value through. To compare them, every adapter also reports its raw period
+ *      return as `rate: { value, period }` (`value` earned over `period` seconds), from which every sample
+ *      gets the same set of fields:
+ *        - apr:            spot APR, simple interest:  value * (YEAR / period) * 100
+ *        - apy_compounded: spot APY, compounded every period:  ((1 + value) ^ (YEAR / period) - 1) * 100
+ *        - apr_7d, apr_30d, apy_7d, apy_30d: the mean of the spot figure over the samples of the trailing
+ *          window ending at the sample (inclusive), read from stored history plus the current batch.
+ *      The composite index picks one of these fields as its basis (see api/server.js).
+ */
+
+const YEAR = 365 * 24 * 3600;
+
+// Trailing windows, in seconds, by field suffix.
+const TRAILING_WINDOWS = { "7d": 7 * 24 * 3600, "30d": 30 * 24 * 3600 };
+
+// The longest trailing window, i.e. how much history is needed before a batch.
+const MAX_WINDOW = Math.max(...Object.values(TRAILING_WINDOWS));
+
+// Every derived field, usable as an index basis next to the adapter's native `apy`.
+const METHODOLOGY_FIELDS = [
+  "apr",
+  "apy_compounded",
+  ...Object.keys(TRAILING_WINDOWS).flatMap((window) => [`apr_${window}`, `apy_${window}`]),
+];
+
+/**
+ * @notice Computes the spot APR and compounded APY of a period return.
+ * @param {Object} rate - { value, period }: the return earned over `period` seconds.
+ * @return {Object|null} { apr, apy_compounded } in percent, or null when the rate is unusable.
+ */
+function spotRates(rate) {
+  if (!rate || !Number.isFinite(rate.value) || !(rate.period > 0)) return null;
+  const periodsPerYear = YEAR / rate.period;
+  return {
+    apr: rate.value * periodsPerYear * 100,
+    apy_compounded: (Math.pow(1 + rate.value, periodsPerYear) - 1) * 100,
+  };
+}
+
+/**
+ * @notice Adds the methodology fields to samples.
+ * @param {Array<Object>} samples - Accepted samples of one protocol, with an optional `rate`.
+ * @param {Array<Object>} [history] - Stored spot figures before the batch: { timestamp, apr, apy_compounded }.
+ * @return {Array<Object>} The samples with a `rates` object holding the fields that could be derived.
+ */
+function applyMethodologies(samples, history = []) {
+  const points = history
+    .filter((point) => Number.isFinite(point.apr) && Number.isFinite(point.apy_compounded))
+    .map(({ timestamp, apr, apy_compounded }) => ({ timestamp, apr, apy_compounded }));
+
+  const withSpot = samples.map((sample) => {
+    const spot = spotRates(sample.rate);
+    if (spot) points.push({ timestamp: sample.timestamp, ...spot });
+    return { sample, spot };
+  });
+  points.sort((a, b) => a.timestamp - b.timestamp);
+
+  return withSpot.map(({ sample, spot }) => {
+    if (!spot) return sample;
+    const rates = { ...spot };
+    for (const [window, seconds] of Object.entries(TRAILING_WINDOWS)) {
+      const inWindow = points.filter(
+        (point) => point.timestamp > sample.timestamp - seconds && point.timestamp <= sample.timestamp
+      );
+      rates[`apr_${window}`] = inWindow.reduce((sum, point) => sum + point.apr, 0) / inWindow.length;
+      rates[`apy_${window}`] = inWindow.reduce((sum, point) => sum + point.apy_compounded, 0) / inWindow.length;
+    }
+    return { ...sample, rates };
+  });
+}
+
+module.exports = { applyMethodologies, spotRates, METHODOLOGY_FIELDS, MAX_WINDOW };
@@ -0,0 +1,274 @@
+const { ethers } = require("ethers");
+const { parseDuration } = require("./utils/time");
+const { gridSteps, parseTimestamp } = require("./bentoIndex");
+const { getProvider } = require("./utils/provider");
+const { getBlockNumberByTimestamp } = require("./utils/blockResolver");
+const { read, readAtBlock, readAtBlocks } = require("./utils/multicall");
+
+/**
+ * @notice Tracks the peg and supply of the basket's underlying stablecoins and stores them as the
+ *         `stablecoin_peg` series, next to the yield of the protocols built on them.
+ * @dev Every asset of the `peg` section is sampled on a UTC grid of `interval` (multiples of `interval` since the
+ *      Unix epoch, like the composite index), at the latest block at or before every step. A step reads, in one
+ *      multicall per block:
+ *        - the token's totalSupply(), in whole tokens;
+ *        - with `chainlink`, the feed's latestRoundData(): the answer and when it was last updated;
+ *        - with `curve`, the pool's get_dy(i, j, amount): the price of `amount` tokens i in tokens j, including
+ *          the pool fee, which measures what the peg is worth on-chain rather than what an oracle reports.
+ *      The point's `price` is the Chainlink price when available, else the Curve quote, and its `deviation` is
+ *      (price / peg - 1) * 100, in percent. Every asset keeps its own cursor (`peg_<name>`), so a failing asset
+ *      neither blocks the others nor loses its range. depegStats() summarizes a series for the API and alerts.
+ */
+
+// Defaults of the `peg` section; the schedule is the one of the 8-hourly Ethena and Spark fetchers.
+const DEFAULTS = {
+  schedule: "0 4,12,20 * * *",
+  interval: "8h",
+  // |deviation| in percent beyond which an asset counts as depegged
+  threshold: 0.5,
+  // How far back the first run starts when no startTime is configured
+  lookback: "30d",
+};
+
+// Cursor keys of the assets are this prefix followed by the asset name.
+const PEG_CURSOR_PREFIX = "peg_";
+
+// Tokens of coin i quoted on Curve when the asset sets no `amount`.
+const DEFAULT_CURVE_AMOUNT = 1000;
+
+const TOKEN_ABI = [
+  "function totalSupply() view returns (uint256)",
+  "function decimals() view returns (uint8)",
+];
+const FEED_ABI = [
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+  "function decimals() view returns (uint8)",
+];
+const CURVE_ABI = [
+  "function get_dy(int128 i, int128 j, uint256 dx) view returns (uint256)",
+  "function coins(uint256 i) view returns (address)",
+];
+
+// Decimals of the contracts read by every asset, per chain and asset name, read once
+const assetDecimals = new Map();
+
+/**
+ * @notice Returns the cursor key of an asset.
+ */
+function pegCursorKey(asset) {
+  return `${PEG_CURSOR_PREFIX}${asset.name}`;
+}
+
+/**
+ * @notice Reads the decimals of an asset's token, feed and Curve coins once.
+ * @param {Object} provider - The provider of the asset's chain.
+ * @param {Object} asset - A validated asset entry.
+ * @param {number} blockTag - A block every contract exists at.
+ * @return {Promise<Object>} { token, feed, coinIn, coinOut }; the last three only with the matching source.
+ */
+async function getDecimals(provider, asset, blockTag) {
+  const key = `${asset.chain}:${asset.name}`;
+  if (assetDecimals.has(key)) return assetDecimals.get(key);
+
+  const decimalsOf = (address, abi) => read(new ethers.Contract(address, abi), "decimals");
+  const calls = [decimalsOf(asset.token, TOKEN_ABI)];
+  if (asset.chainlink) calls.push(decimalsOf(asset.chainlink, FEED_ABI));
+  let coins = [];
+  if (asset.curve) {
+    const pool = new ethers.Contract(asset.curve.pool, CURVE_ABI);
+    coins = await readAtBlock(provider, [read(pool, "coins", asset.curve.i), read(pool, "coins", asset.curve.j)], blockTag);
+    if (coins.includes(null)) {
+      throw new Error(`Could not read coins ${asset.curve.i} and ${asset.curve.j} of the Curve pool ${asset.curve.pool}.`);
+    }
+    coins.forEach((coin) => calls.push(decimalsOf(coin, TOKEN_ABI)));
+  }
+
+  const values = await readAtBlock(provider, calls, blockTag);
+  if (values.includes(null)) {
+    throw new Error(`Could not read the decimals of the ${asset.name} contracts.`);
+  }
+  const [token, ...rest] = values.map(Number);
+  const decimals = {
+    token,
+    feed: asset.chainlink ? rest.shift() : undefined,
+    coinIn: asset.curve ? rest[0] : undefined,
+    coinOut: asset.curve ? rest[1] : undefined,
+  };
+  assetDecimals.set(key, decimals);
+  return decimals;
+}
+
+/**
+ * @notice Reads the price and supply of an asset at every grid step in (from, to].
+ * @param {Object} asset - A validated asset entry: { name, chain, token, peg, chainlink, curve, protocols }.
+ * @param {number} from - Unix timestamp in seconds, exclusive.
+ * @param {number} to - Unix timestamp in seconds, inclusive.
+ * @param {number} interval - Grid spacing in seconds.
+ * @return {Promise<Object>} { points, cursor }: points shaped as { asset, chain, timestamp, price, deviation,
+ *         supply, chainlinkPrice, chainlinkUpdatedAt, curvePrice, block }, steps without any price left out, and
+ *         the step to resume after: `to`, or the step before the first one whose reads failed.
+ */
+async function collectAsset(asset, from, to, interval) {
+  const steps = gridSteps(from, to, interval);
+  if (!steps.length) return { points: [], cursor: to };
+
+  const provider = getProvider(asset.chain);
+  const blocks = [];
+  for (const step of steps) {
+    blocks.push(await getBlockNumberByTimestamp(provider, step));
+  }
+  const decimals = await getDecimals(provider, asset, blocks[blocks.length - 1]);
+
+  const calls = [read(new ethers.Contract(asset.token, TOKEN_ABI), "totalSupply")];
+  if (asset.chainlink) calls.push(read(new ethers.Contract(asset.chainlink, FEED_ABI), "latestRoundData"));
+  let amountIn;
+  if (asset.curve) {
+    amountIn = ethers.parseUnits(String(asset.curve.amount || DEFAULT_CURVE_AMOUNT), decimals.coinIn);
+    calls.push(read(new ethers.Contract(asset.curve.pool, CURVE_ABI), "get_dy", asset.curve.i, asset.curve.j, amountIn));
+  }
+  const states = await readAtBlocks(provider, calls, blocks);
+
+  const peg = asset.peg || 1;
+  const points = [];
+  for (const [k, timestamp] of steps.entries()) {
+    const block = blocks[k];
+    const state = states.get(block);
+    if (!state) {
+      // Stop before the step, so the next run reads it again
+      console.log(`Could not read the ${asset.name} peg at block ${block} (${timestamp}). Stopping before it.`);
+      return { points, cursor: Math.max(from, timestamp - interval) };
+    }
+    const [totalSupply, ...quotes] = state;
+    const round = asset.chainlink ? quotes.shift() : null;
+    const dy = asset.curve ? quotes.shift() : null;
+
+    const chainlinkPrice = round ? Number(ethers.formatUnits(round[1], decimals.feed)) : undefined;
+    const curvePrice = dy !== null && dy !== undefined
+      ? Number(ethers.formatUnits(dy, decimals.coinOut)) / Number(ethers.formatUnits(amountIn, decimals.coinIn))
+      : undefined;
+    const price = chainlinkPrice ?? curvePrice;
+    if (price === undefined) {
+      console.log(`No ${asset.name} price at block ${block} (${timestamp}).`);
+      continue;
+    }
+
+    points.push({
+      asset: asset.name,
+      chain: asset.chain,
+      timestamp,
+      price,
+      deviation: (price / peg - 1) * 100,
+      supply: totalSupply === null ? undefined : Number(ethers.formatUnits(totalSupply, decimals.token)),
+      chainlinkPrice,
+      chainlinkUpdatedAt: round ? Number(round[3]) : undefined,
+      curvePrice,
+      block,
+    });
+  }
+  return { points, cursor: to };
+}
+
+/**
+ * @notice Summarizes the peg of a series.
+ * @param {Array<Object>} points - Points sorted by time, shaped as { timestamp, price, deviation }.
+ * @param {number} [threshold] - |deviation| in percent beyond which the asset counts as depegged.
+ * @return {Object|null} { points, current, maxDeviation, meanAbsDeviation, minPrice, maxPrice, depeggedShare,
+ *         longestDepeg, depegged }: the latest deviation, the deviation furthest from the peg (signed), the mean
+ *         absolute deviation, the share of points beyond the threshold in percent, the longest depeg in seconds
+ *         (from its first point to the first point back within the threshold, or the last point) and whether
+ *         the latest point is depegged; null without points.
+ */
+function depegStats(points, threshold = DEFAULTS.threshold) {
+  const usable = points.filter((point) => Number.isFinite(point.deviation));
+  if (!usable.length) return null;
+
+  let maxDeviation = 0;
+  let absSum = 0;
+  let depeggedCount = 0;
+  let longestDepeg = 0;
+  let depegStart = null;
+  for (const point of usable) {
+    const abs = Math.abs(point.deviation);
+    if (abs > Math.abs(maxDeviation)) maxDeviation = point.deviation;
+    absSum += abs;
+    if (abs > threshold) {
+      depeggedCount += 1;
+      if (depegStart === null) depegStart = point.timestamp;
+      longestDepeg = Math.max(longestDepeg, point.timestamp - depegStart);
+    } else if (depegStart !== null) {
+      longestDepeg = Math.max(longestDepeg, point.timestamp - depegStart);
+      depegStart = null;
+    }
+  }
+
+  const current = usable[usable.length - 1].deviation;
+  const prices = usable.map((point) => point.price).filter(Number.isFinite);
+  return {
+    points: usable.length,
+    current,
+    maxDeviation,
+    meanAbsDeviation: absSum / usable.length,
+    minPrice: prices.length ? Math.min(...prices) : undefined,
+    maxPrice: prices.length ? Math.max(...prices) : undefined,
+    depeggedShare: (depeggedCount / usable.length) * 100,
+    longestDepeg,
+    depegged: Math.abs(current) > threshold,
+  };
+}
+
+/**
+ * @notice Creates the peg job.
+ * @param {Object} options - { peg, cursorStore, sink }: the validated `peg` section, the cursor store and a sink
+ *        exposing writePeg (see sinks/index.js).
+ */
+function createPegJob({ peg, cursorStore, sink }) {
+  const settings = { ...DEFAULTS, ...peg };
+  const interval = parseDuration(settings.interval);
+
+  /**
+   * @notice Collects and writes the steps of every asset since its stored cursor.
+   * @param {number} [now] - Unix timestamp in seconds; defaults to the current time.
+   * @param {Object} [options] - { signal }: an AbortSignal checked before every asset and write (see jobs.js).
+   * @return {Promise<Object>} { ok, points, error }; an asset that fails is logged and retried by the next
+   *         run, the others still advance. An aborted run stops before its next asset or write.
+   */
+  async function run(now = Math.floor(Date.now() / 1000), { signal } = {}) {
+    const start = settings.startTime !== undefined
+      ? parseTimestamp(settings.startTime)
+      : now - parseDuration(settings.lookback);
+    const to = Math.floor(now / interval) * interval;
+    let written = 0;
+    const failures = [];
+
+    for (const asset of settings.assets) {
+      try {
+        if (signal) signal.throwIfAborted();
+        const stored = await cursorStore.get(pegCursorKey(asset));
+        const from = stored === undefined ? start : stored;
+        if (to <= from) continue;
+
+        const { points, cursor } = await collectAsset(asset, from, to, interval);
+        if (signal) signal.throwIfAborted();
+        await sink.writePeg(points);
+        if (cursor !== from) await cursorStore.set(pegCursorKey(asset), cursor);
+        written += points.length;
+        const stats = depegStats(points, settings.threshold);
+        console.log(`Collected the ${asset.name} peg (${points.length} point(s)` +
+          (stats ? `, latest deviation ${stats.current.toFixed(3)}%)` : ")") + ".");
+      } catch (error) {
+        if (signal && signal.aborted) return { ok: false, points: written, error };
+        console.error(`Peg ${asset.name} error:`, error);
+        failures.push(`${asset.name}: ${error.message}`);
+      }
+    }
+
+    if (failures.length) {
+      return { ok: false, points: written, error: new Error(`Peg collection failed (${failures.join("; ")})`) };
+    }
+    return { ok: true, points: written };
+  }
+
+  return { schedule: settings.schedule, threshold: settings.threshold, collectAsset, run };
+}
+
+module.exports = { createPegJob, collectAsset, depegStats, pegCursorKey, PEG_CURSOR_PREFIX, DEFAULTS };
@@ -0,0 +1,54 @@
+const { getProvider } = require("./utils/provider");
+
+/**
+ * @notice Detects chain reorganizations affecting points already written by block-cursor adapters.
+ * @dev Every point of a block-cursor adapter records the hash of its block. Before a run, the points written
+ *      since the last `reorgWindow` blocks below the cursor are read back from the sink (getBlockPoints) and
+ *      their hashes compared with the canonical chain of the adapter's `chain`; this includes points past the
+ *      cursor, left by a run that stopped short of the reorganized blocks it had to rewrite. When a hash no longer matches,
+ *      the run restarts just before the first mismatched block: the range is fetched again, the new samples
+ *      overwrite the old points, and points the new chain no longer produces are deleted (deletePoints).
+ *      Confirmations (see utils/finality.js) make this rare; the window covers reorgs deeper than the
+ *      configured depth.
+ */
+
+// Blocks below the cursor checked for reorgs when a protocol does not configure `reorgWindow`.
+const DEFAULT_REORG_WINDOW = 64;
+
+/**
+ * @notice Compares the block hashes of recently written points with the canonical chain.
+ * @param {Object} adapter - An adapter created from the config file.
+ * @param {number} cursor - The adapter's current cursor.
+ * @param {Object} sink - The sink; without getBlockPoints nothing is checked.
+ * @return {Promise<Object|null>} { from, stale } where `from` is the cursor to restart from and `stale` the
+ *         points ({ timestamp, block, blockHash }) at or after the first mismatched block; `from` never exceeds
+ *         the cursor. null without reorg.
+ */
+async function detectReorg(adapter, cursor, sink) {
+  const window = adapter.reorgWindow ?? DEFAULT_REORG_WINDOW;
+  if (adapter.cursorType !== "block" || !sink.getBlockPoints || window <= 0 || cursor <= 0) return null;
+
+  const provider = getProvider(adapter.chain);
+  const windowStart = Math.max(0, cursor - window);
+  const startBlock = await provider.getBlock(windowStart);
+  if (!startBlock) return null;
+
+  const points = (await sink.getBlockPoints(adapter.name, startBlock.timestamp)).filter(
+    (point) => point.block > windowStart && point.blockHash
+  );
+  const blocks = [...new Set(points.map((point) => point.block))].sort((a, b) => a - b);
+  const canonical = await Promise.all(blocks.map((block) => provider.getBlock(block)));
+
+  const firstMismatch = blocks.find((block, i) => {
+    const stored = points.find((point) => point.block === block).blockHash;
+    return !canonical[i] || canonical[i].hash !== stored;
+  });
+  if (firstMismatch === undefined) return null;
+
+  return {
+    from: Math.min(cursor, firstMismatch - 1),
+    stale: points.filter((point) => point.block >= firstMismatch),
+  };
+}
+
+module.exports = { detectReorg, DEFAULT_REORG_WINDOW };
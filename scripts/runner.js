@@ -0,0 +1,171 @@
+const { validateSamples } = require("./validation");
+const { applyMethodologies, MAX_WINDOW } = require("./methodology");
+const { detectReorg } = require("./reorg");
+const { withProtocol, recordRun } = require("./utils/metrics");
+
+/**
+ * @notice Runs protocol adapters and writes their samples to the configured sinks.
+ * @dev A run reads the adapter's cursor from the cursor store (falling back to the configured
+ *      `startCursor`), asks the adapter for the samples in (cursor, latest], validates them (see
+ *      validation.js), derives the methodology figures of the accepted ones (see methodology.js) and hands accepted and quarantined samples to the sink (see sinks/index.js), waiting
+ *      until every sink has confirmed the write. Only then is the cursor returned by the adapter persisted, so a
+ *      failed write is retried by the next run instead of being skipped. InfluxDB and Postgres key points by
+ *      protocol and timestamp, so re-processing a range overwrites rather than duplicates.
+ *      Block-cursor adapters first check the recently written blocks for reorgs (see reorg.js); after one, the
+ *      run restarts before the reorganized block and deletes the points the canonical chain no longer has.
+ */
+
+/**
+ * @notice Retrieves the stored cursor of an adapter, or its configured start cursor.
+ * @param {Object} adapter - An adapter created from the config file.
+ * @param {Object} cursorStore - The cursor store, see utils/cursorStore.js.
+ */
+async function getCursor(adapter, cursorStore) {
+  const stored = await cursorStore.get(adapter.cursorKey);
+  return stored ?? adapter.startCursor;
+}
+
+/**
+ * @notice Validates the samples of one series against the adapter's bounds, the last stored APY before them
+ *         and a jump quarantined since, then derives their methodology figures.
+ */
+async function checkSeries(adapter, protocol, samples, sink) {
+  const firstTimestamp = Math.min(...samples.map((sample) => sample.timestamp));
+
+  let previousApy;
+  if (sink.getLastApyBefore) {
+    try {
+      previousApy = await sink.getLastApyBefore(protocol, firstTimestamp);
+    } catch (error) {
+      console.warn(`Could not read the previous ${protocol} APY, skipping the jump check reference:`, error.message);
+    }
+  }
+  // A jump quarantined by an earlier run is confirmed by a first sample at the same level
+  let pendingJump;
+  if (previousApy !== undefined && sink.getPendingJump) {
+    try {
+      pendingJump = await sink.getPendingJump(protocol, firstTimestamp);
+    } catch (error) {
+      console.warn(`Could not read the pending ${protocol} jump, it needs a new confirmation:`, error.message);
+    }
+  }
+  const checked = validateSamples(samples, { bounds: adapter.validation, previousApy, pendingJump });
+
+  let history = [];
+  if (checked.accepted.length && sink.getRatesBetween) {
+    try {
+      history = await sink.getRatesBetween(protocol, firstTimestamp - MAX_WINDOW, firstTimestamp);
+    } catch (error) {
+      console.warn(`Could not read the stored ${protocol} rates, trailing averages only cover this batch:`, error.message);
+    }
+  }
+  return { ...checked, accepted: applyMethodologies(checked.accepted, history) };
+}
+
+/**
+ * @notice Validates samples against the adapter's bounds and the last stored APY before them, then derives
+ *         the methodology figures of the accepted ones.
+ * @dev Samples are checked per `protocol` series: an adapter instance covering several vaults (see
+ *      adapters/morpho.js) returns one series per vault.
+ * @param {Object} adapter - An adapter created from the config file.
+ * @param {Array<Object>} samples - Normalized samples returned by the adapter.
+ * @param {Object} sink - The sink the samples are written to; its getLastApyBefore, if any, provides the
+ *                        reference value of the jump check, its getPendingJump, if any, the jump a previous
+ *                        run quarantined, and its getRatesBetween, if any, the history the trailing averages
+ *                        start from.
+ * @return {Promise<Object>} { accepted, quarantined } as returned by validateSamples, accepted samples
+ *                           carrying their `rates`.
+ */
+async function checkSamples(adapter, samples, sink) {
+  const series = new Map();
+  for (const sample of samples) {
+    if (!series.has(sample.protocol)) series.set(sample.protocol, []);
+    series.get(sample.protocol).push(sample);
+  }
+
+  const accepted = [];
+  const quarantined = [];
+  for (const [protocol, protocolSamples] of series) {
+    const checked = await checkSeries(adapter, protocol, protocolSamples, sink);
+    accepted.push(...checked.accepted);
+    quarantined.push(...checked.quarantined);
+  }
+  return { accepted, quarantined };
+}
+
+/**
+ * @notice Fetches and stores all new samples of a single adapter.
+ * @param {Object} adapter - An adapter created from the config file.
+ * @param {Object} cursorStore - The cursor store, see utils/cursorStore.js.
+ * @param {Object} sink - The sink samples are written to, see sinks/index.js.
+ * @param {Object} [options] - { signal }: an AbortSignal from the job runner; once aborted, the run stops before
+ *        its next step and nothing more is written.
+ * @return {Promise<Object>} { ok, accepted, quarantined, reorged, cursor, error }; errors are logged, never thrown.
+ */
+async function runAdapter(adapter, cursorStore, sink, { signal } = {}) {
+  const startedAt = Date.now();
+  const result = await withProtocol(adapter.name, () => fetchAndStore(adapter, cursorStore, sink, signal));
+  recordRun(adapter, result, (Date.now() - startedAt) / 1000);
+  return result;
+}
+
+/**
+ * @notice The body of runAdapter: cursor -> reorg check -> fetchRange -> validation -> write -> cursor.
+ */
+async function fetchAndStore(adapter, cursorStore, sink, signal) {
+  try {
+    console.log(`Starting ${adapter.name} APY fetch...`);
+
+    const stored = await getCursor(adapter, cursorStore);
+    let from = stored;
+    const reorg = await detectReorg(adapter, from, sink);
+    if (reorg) {
+      console.warn(`Reorg detected for ${adapter.name}: ${reorg.stale.length} point(s) from block ${reorg.from + 1} are rewritten.`);
+      from = reorg.from;
+    }
+    if (signal) signal.throwIfAborted();
+    const to = await adapter.getLatestCursor();
+    console.log(`Last ${adapter.cursorType}: ${from}, Latest ${adapter.cursorType}: ${to}`);
+
+    if (to <= from) {
+      console.log(`No new data to process for ${adapter.name}. Skipping.`);
+      return { ok: true, accepted: 0, quarantined: 0, cursor: from };
+    }
+
+    const { samples, cursor } = await adapter.fetchRange(from, to);
+
+    const checked = await checkSamples(adapter, samples, sink);
+    if (signal) signal.throwIfAborted();
+    await sink.write(checked);
+
+    // Delete the points of reorganized blocks up to the cursor reached that the canonical chain did not produce
+    // again; those past it are rewritten, or found stale again, by the next run
+    if (reorg) {
+      const rewritten = new Set(checked.accepted.map((sample) => sample.timestamp));
+      const orphaned = reorg.stale
+        .filter((point) => point.block <= cursor && !rewritten.has(point.timestamp))
+        .map((point) => point.timestamp);
+      if (orphaned.length && sink.deletePoints) {
+        await sink.deletePoints(adapter.name, orphaned);
+      }
+    }
+
+    // Only move the cursor once the write has been confirmed; after a reorg it may move back
+    if (cursor !== stored) {
+      await cursorStore.set(adapter.cursorKey, cursor);
+    }
+    console.log(`Completed ${adapter.name} APY fetch (${checked.accepted.length} point(s), ${checked.quarantined.length} quarantined).`);
+    return {
+      ok: true,
+      accepted: checked.accepted.length,
+      quarantined: checked.quarantined.length,
+      reorged: reorg ? reorg.stale.length : 0,
+      cursor,
+    };
+  } catch (error) {
+    console.error(`${adapter.name} error:`, error);
+    return { ok: false, error };
+  }
+}
+
+module.exports = { runAdapter, checkSamples };
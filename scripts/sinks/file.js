@@ -0,0 +1,107 @@
+const fs = require("fs");
+const path = require("path");
+const { METHODOLOGY_FIELDS } = require("../methodology");
+
+// CSV column order of accepted and quarantined samples.
+const COLUMNS = [
+  "timestamp", "time", "protocol", "apy", "weight", "tvl",
+  "chain", "address", "block", "block_hash", "tx_hash", "source", "inputs",
+  ...METHODOLOGY_FIELDS,
+];
+const QUARANTINE_COLUMNS = [...COLUMNS, "reason", "detail", "previous_apy"];
+
+/**
+ * @notice Converts a sample into a flat record; raw inputs stay nested (a JSON column in CSV) and the
+ *         methodology figures become columns of their own.
+ */
+function toRecord(sample) {
+  const provenance = sample.provenance || {};
+  return {
+    timestamp: sample.timestamp,
+    time: new Date(sample.timestamp * 1000).toISOString(),
+    protocol: sample.protocol,
+    apy: sample.apy,
+    weight: sample.weight,
+    tvl: sample.tvl,
+    chain: provenance.chain,
+    address: provenance.address,
+    block: provenance.block,
+    block_hash: provenance.blockHash,
+    tx_hash: provenance.txHash,
+    source: provenance.source,
+    inputs: sample.inputs,
+    ...sample.rates,
+  };
+}
+
+/**
+ * @notice Converts a quarantined entry into a flat record.
+ */
+function toQuarantineRecord({ sample, reason, detail, previousApy }) {
+  return { ...toRecord(sample), reason, detail, previous_apy: previousApy };
+}
+
+/**
+ * @notice Formats a CSV field, quoting it when needed; objects are written as JSON.
+ */
+function csvField(value) {
+  if (value === undefined || value === null) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @notice Formats records as lines of the given format.
+ * @param {Array<Object>} records - Flat records.
+ * @param {string} format - "ndjson" or "csv".
+ * @param {Array<string>} columns - CSV column order.
+ */
+function formatLines(records, format, columns) {
+  return records
+    .map((record) =>
+      format === "csv" ? columns.map((column) => csvField(record[column])).join(",") : JSON.stringify(record)
+    )
+    .map((line) => `${line}\n`)
+    .join("");
+}
+
+/**
+ * @notice Appends lines to a file, writing the CSV header first when the file is new or empty.
+ */
+async function append(file, lines, format, columns) {
+  if (!lines) return;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  let header = "";
+  if (format === "csv") {
+    const size = await fs.promises.stat(file).then((stats) => stats.size, () => 0);
+    if (size === 0) header = `${columns.join(",")}\n`;
+  }
+  await fs.promises.appendFile(file, header + lines);
+}
+
+/**
+ * @notice Creates a sink appending samples to newline-delimited JSON or CSV files.
+ * @dev Accepted samples are appended to `path`; quarantined samples to `quarantinePath` when it is set and
+ *      are dropped otherwise. CSV files get a header line when they are created. Files are append-only, so a
+ *      range that is processed again (a run retried after another sink failed, a backfill, a reorg) is appended
+ *      again and points of reorganized blocks are not deleted; consumers should key rows by (protocol, timestamp)
+ *      and keep the last one.
+ * @param {Object} options - { path, format: "ndjson" | "csv", quarantinePath }.
+ */
+function createFileSink({ path: file, format = "ndjson", quarantinePath }) {
+  return {
+    name: `file:${path.basename(file)}`,
+
+    async write({ accepted, quarantined }) {
+      await append(file, formatLines(accepted.map(toRecord), format, COLUMNS), format, COLUMNS);
+      if (quarantinePath) {
+        const lines = formatLines(quarantined.map(toQuarantineRecord), format, QUARANTINE_COLUMNS);
+        await append(quarantinePath, lines, format, QUARANTINE_COLUMNS);
+      }
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = { createFileSink, toRecord, toQuarantineRecord, csvField };
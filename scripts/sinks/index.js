@@ -0,0 +1,134 @@
+const { createInfluxSink } = require("./influx");
+const { createPostgresSink } = require("./postgres");
+const { createFileSink } = require("./file");
+const { createStdoutSink } = require("./stdout");
+
+/**
+ * @notice Storage sinks receiving validated samples.
+ * @dev A sink exposes:
+ *        name                             -> used in log and error messages
+ *        write({ accepted, quarantined }) -> resolves once the samples are durably stored
+ *        writeIndex(points)               -> optional, stores composite index points (see bentoIndex.js)
+ *        writePeg(points)                 -> optional, stores stablecoin peg points (see peg.js)
+ *        writeResampled(points)           -> optional, stores series resampled on a common grid (see gaps.js)
+ *        writeAnalytics(points)           -> optional, stores series statistics (see analytics.js)
+ *        getLastApyBefore(protocol, ts)   -> optional, the reference value of the jump check
+ *        getPendingJump(protocol, ts)     -> optional, the APY of the latest quarantined entry before ts when it is
+ *                                            a jump newer than the last accepted point, see validation.js
+ *        getRatesBetween(protocol, from, to) -> optional, the stored spot figures trailing averages start from
+ *        getBlockPoints(protocol, since)  -> optional, block and block hash of recent points for the reorg check
+ *        deletePoints(protocol, timestamps) -> optional, deletes points of reorganized blocks
+ *        close()                          -> releases connections
+ *      `accepted` holds normalized samples { protocol, apy, weight, timestamp, metadata } and `quarantined`
+ *      the entries rejected by validation. The `sinks` section of the config file lists the sinks every
+ *      sample is fanned out to (InfluxDB alone by default). A write only succeeds when every sink succeeded,
+ *      so the cursor is not advanced past samples some sink is missing.
+ */
+
+const SINK_TYPES = ["influx", "postgres", "file", "stdout"];
+
+// The sinks used when the config file has no `sinks` section.
+const DEFAULT_SINKS = [{ type: "influx" }];
+
+/**
+ * @notice Creates a single sink.
+ * @param {Object} options - A validated entry of the `sinks` section.
+ */
+function createSink(options) {
+  if (options.type === "influx") {
+    return createInfluxSink();
+  }
+  if (options.type === "postgres") {
+    return createPostgresSink({ ...options, url: options.url || process.env[options.urlEnv || "DATABASE_URL"] });
+  }
+  if (options.type === "file") {
+    return createFileSink(options);
+  }
+  if (options.type === "stdout") {
+    return createStdoutSink();
+  }
+  throw new Error(`Unknown sink type '${options.type}'`);
+}
+
+/**
+ * @notice Runs a write on every given sink, rejecting with every failure once all of them settled.
+ * @param {Array<Object>} sinks - The sinks to write to.
+ * @param {Function} write - (sink) => Promise.
+ */
+async function writeAll(sinks, write) {
+  const results = await Promise.allSettled(sinks.map(write));
+  const failures = results
+    .map((result, i) => (result.status === "rejected" ? `${sinks[i].name}: ${result.reason.message}` : null))
+    .filter(Boolean);
+  if (failures.length) {
+    throw new Error(`Sink write failed (${failures.join("; ")})`);
+  }
+}
+
+/**
+ * @notice Writes the points of an optional measurement to every sink storing it.
+ * @param {Array<Object>} sinks - The configured sinks.
+ * @param {string} method - The write method of the measurement, e.g. writeIndex.
+ * @param {string} description - What the measurement is, for the error raised when no sink stores it.
+ * @param {Array<Object>} points - The points to write.
+ */
+async function writeMeasurement(sinks, method, description, points) {
+  const storing = sinks.filter((sink) => sink[method]);
+  if (!storing.length) {
+    throw new Error(`None of the configured sinks stores ${description}`);
+  }
+  await writeAll(storing, (sink) => sink[method](points));
+}
+
+/**
+ * @notice Creates the sink fanning samples out to every configured sink.
+ * @param {Array<Object>} [entries] - The validated `sinks` section; defaults to InfluxDB only.
+ */
+function createSinks(entries = DEFAULT_SINKS) {
+  const sinks = entries.map(createSink);
+  const reference = sinks.find((sink) => sink.getLastApyBefore && sink.getPendingJump);
+  const rateHistory = sinks.find((sink) => sink.getRatesBetween);
+  const blockHistory = sinks.find((sink) => sink.getBlockPoints);
+
+  return {
+    name: sinks.map((sink) => sink.name).join(", "),
+
+    async write(checked) {
+      await writeAll(sinks, (sink) => sink.write(checked));
+    },
+
+    async writeIndex(points) {
+      await writeMeasurement(sinks, "writeIndex", "the composite index", points);
+    },
+
+    async writePeg(points) {
+      await writeMeasurement(sinks, "writePeg", "the stablecoin peg", points);
+    },
+
+    async writeResampled(points) {
+      await writeMeasurement(sinks, "writeResampled", "the resampled series", points);
+    },
+
+    async writeAnalytics(points) {
+      await writeMeasurement(sinks, "writeAnalytics", "the series analytics", points);
+    },
+
+    getLastApyBefore: reference ? (protocol, timestamp) => reference.getLastApyBefore(protocol, timestamp) : undefined,
+
+    getPendingJump: reference ? (protocol, timestamp) => reference.getPendingJump(protocol, timestamp) : undefined,
+
+    getRatesBetween: rateHistory ? (protocol, from, to) => rateHistory.getRatesBetween(protocol, from, to) : undefined,
+
+    getBlockPoints: blockHistory ? (protocol, since) => blockHistory.getBlockPoints(protocol, since) : undefined,
+
+    async deletePoints(protocol, timestamps) {
+      await writeAll(sinks.filter((sink) => sink.deletePoints), (sink) => sink.deletePoints(protocol, timestamps));
+    },
+
+    async close() {
+      await Promise.allSettled(sinks.map((sink) => sink.close()));
+    },
+  };
+}
+
+module.exports = { createSink, createSinks, SINK_TYPES };
@@ -0,0 +1,74 @@
+const {
+  getWriteApi,
+  getLastApyBefore,
+  getPendingJump,
+  getRatesBetween,
+  getBlockPoints,
+  deletePoints,
+  toPoint,
+  toQuarantinePoint,
+  toIndexPoint,
+  toPegPoint,
+  toResampledPoint,
+  toAnalyticsPoint,
+} = require("../utils/influx");
+
+/**
+ * @notice Creates the InfluxDB sink.
+ * @dev Accepted samples go to the `protocol_apy_data` measurement and quarantined ones to
+ *      `protocol_apy_quarantine`, composite index points to `bento_index`, stablecoin peg points to
+ *      `stablecoin_peg`, resampled series to `protocol_apy_resampled` and series statistics to
+ *      `protocol_apy_analytics`, through the shared write API configured by the INFLUX_* variables.
+ *      Points are keyed by protocol and timestamp, so rewriting a range overwrites it.
+ */
+function createInfluxSink() {
+  /**
+   * @notice Writes InfluxDB points through the shared write API.
+   */
+  async function writePoints(points) {
+    const writeApi = getWriteApi();
+    for (const point of points) {
+      writeApi.writePoint(point);
+    }
+    // Flush the InfluxDB write buffer; rejects when the write failed
+    await writeApi.flush();
+  }
+
+  return {
+    name: "influx",
+
+    async write({ accepted, quarantined }) {
+      await writePoints([...accepted.map(toPoint), ...quarantined.map(toQuarantinePoint)]);
+    },
+
+    async writeIndex(points) {
+      await writePoints(points.map(toIndexPoint));
+    },
+
+    async writePeg(points) {
+      await writePoints(points.map(toPegPoint));
+    },
+
+    async writeResampled(points) {
+      await writePoints(points.map(toResampledPoint));
+    },
+
+    async writeAnalytics(points) {
+      await writePoints(points.map(toAnalyticsPoint));
+    },
+
+    getLastApyBefore,
+
+    getPendingJump,
+
+    getRatesBetween,
+
+    getBlockPoints,
+
+    deletePoints,
+
+    async close() {},
+  };
+}
+
+module.exports = { createInfluxSink };
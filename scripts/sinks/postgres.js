@@ -0,0 +1,397 @@
+const { METHODOLOGY_FIELDS } = require("../methodology");
+
+// Provenance, TVL and raw input columns of both tables.
+const DETAIL_COLUMNS = [
+  "tvl double precision",
+  "chain text",
+  "address text",
+  "block_number bigint",
+  "block_hash text",
+  "tx_hash text",
+  "source text",
+  "inputs jsonb",
+];
+
+// Column names of DETAIL_COLUMNS, in order.
+const DETAIL_NAMES = DETAIL_COLUMNS.map((column) => column.split(" ")[0]);
+
+/**
+ * @notice Returns the SQL placeholders $first, $first+1, ... for `count` parameters.
+ */
+function placeholders(first, count) {
+  return Array.from({ length: count }, (_, i) => `$${first + i}`).join(", ");
+}
+
+// Methodology columns of the main table, named after their field (see methodology.js).
+const RATE_COLUMNS = METHODOLOGY_FIELDS.map((field) => `${field} double precision`);
+
+/**
+ * @notice Returns the methodology column values of a sample, in METHODOLOGY_FIELDS order.
+ */
+function rateValues(sample) {
+  const rates = sample.rates || {};
+  return METHODOLOGY_FIELDS.map((field) => (Number.isFinite(rates[field]) ? rates[field] : null));
+}
+
+/**
+ * @notice Returns the detail column values of a sample, in DETAIL_COLUMNS order.
+ */
+function detailValues(sample) {
+  const provenance = sample.provenance || {};
+  return [
+    Number.isFinite(sample.tvl) ? sample.tvl : null,
+    provenance.chain || null,
+    provenance.address || null,
+    provenance.block ?? null,
+    provenance.blockHash || null,
+    provenance.txHash || null,
+    provenance.source || null,
+    sample.inputs || null,
+  ];
+}
+
+// NaN and Infinity would be stored as such in double precision columns; quarantine keeps them as NULL
+const finiteOrNull = (value) => (Number.isFinite(value) ? value : null);
+
+/**
+ * @notice The tables of the sink: the column definitions they are created with, their primary key (upserted
+ *         tables), the columns inserted (the created ones by default) and the row values of a point, in that
+ *         order. `time` always comes first and is given in Unix seconds.
+ */
+const SAMPLE_TABLE = {
+  columns: [
+    "time timestamptz NOT NULL",
+    "protocol text NOT NULL",
+    "apy double precision NOT NULL",
+    "weight double precision NOT NULL",
+  ],
+  key: ["protocol", "time"],
+  // The detail and methodology columns are added separately, see ensureSchema
+  names: ["time", "protocol", "apy", "weight", ...DETAIL_NAMES, ...METHODOLOGY_FIELDS],
+  row: (sample) => [sample.timestamp, sample.protocol, sample.apy, sample.weight, ...detailValues(sample), ...rateValues(sample)],
+};
+
+const QUARANTINE_TABLE = {
+  columns: [
+    "time timestamptz NOT NULL",
+    "protocol text NOT NULL",
+    "apy double precision",
+    "weight double precision",
+    "previous_apy double precision",
+    "reason text NOT NULL",
+    "detail text",
+    "recorded_at timestamptz NOT NULL DEFAULT now()",
+  ],
+  names: ["time", "protocol", "apy", "weight", "previous_apy", "reason", "detail", ...DETAIL_NAMES],
+  row: ({ sample, reason, detail, previousApy }) => [
+    sample.timestamp,
+    sample.protocol,
+    finiteOrNull(sample.apy),
+    finiteOrNull(sample.weight),
+    finiteOrNull(previousApy),
+    reason,
+    detail,
+    ...detailValues(sample),
+  ],
+};
+
+const INDEX_TABLE = {
+  columns: [
+    "time timestamptz NOT NULL",
+    "basis text NOT NULL",
+    "strategy text NOT NULL",
+    "apy double precision NOT NULL",
+    "coverage double precision NOT NULL",
+    "weights jsonb NOT NULL",
+  ],
+  key: ["basis", "strategy", "time"],
+  row: (point) => [point.timestamp, point.basis, point.strategy, point.apy, point.coverage, point.weights],
+};
+
+const PEG_TABLE = {
+  columns: [
+    "time timestamptz NOT NULL",
+    "asset text NOT NULL",
+    "chain text NOT NULL",
+    "price double precision NOT NULL",
+    "deviation double precision NOT NULL",
+    "supply double precision",
+    "chainlink_price double precision",
+    "chainlink_updated_at bigint",
+    "curve_price double precision",
+    "block_number bigint",
+  ],
+  key: ["asset", "time"],
+  row: (point) => [
+    point.timestamp,
+    point.asset,
+    point.chain,
+    point.price,
+    point.deviation,
+    finiteOrNull(point.supply),
+    finiteOrNull(point.chainlinkPrice),
+    point.chainlinkUpdatedAt ?? null,
+    finiteOrNull(point.curvePrice),
+    point.block ?? null,
+  ],
+};
+
+const RESAMPLED_TABLE = {
+  columns: [
+    "time timestamptz NOT NULL",
+    "protocol text NOT NULL",
+    "basis text NOT NULL",
+    "apy double precision NOT NULL",
+    "tvl double precision",
+    "age bigint NOT NULL",
+    "filled boolean NOT NULL",
+  ],
+  key: ["protocol", "basis", "time"],
+  row: (point) => [point.timestamp, point.protocol, point.basis, point.apy, finiteOrNull(point.tvl), point.age, point.filled],
+};
+
+const ANALYTICS_TABLE = {
+  columns: [
+    "time timestamptz NOT NULL",
+    "protocol text NOT NULL",
+    "time_window text NOT NULL",
+    "basis text NOT NULL",
+    "points integer NOT NULL",
+    "latest double precision NOT NULL",
+    "mean double precision NOT NULL",
+    "median double precision NOT NULL",
+    "min double precision NOT NULL",
+    "max double precision NOT NULL",
+    "std_dev double precision NOT NULL",
+    "percentiles jsonb NOT NULL",
+    "drops jsonb NOT NULL",
+    "max_drop double precision NOT NULL",
+    "time_below bigint NOT NULL",
+    "below_share double precision NOT NULL",
+    "correlation jsonb NOT NULL",
+  ],
+  key: ["protocol", "time_window", "basis", "time"],
+  row: (point) => [
+    point.timestamp,
+    point.protocol,
+    point.window,
+    point.basis,
+    point.points,
+    point.latest,
+    point.mean,
+    point.median,
+    point.min,
+    point.max,
+    point.stdDev,
+    point.percentiles,
+    JSON.stringify(point.drops),
+    point.maxDrop,
+    point.timeBelow,
+    point.belowShare,
+    point.correlation,
+  ],
+};
+
+/**
+ * @notice Returns the CREATE TABLE statement of a table.
+ * @param {string} name - The table name.
+ * @param {Object} table - One of the table definitions above.
+ */
+function createTableSql(name, { columns, key }) {
+  const definitions = key ? [...columns, `PRIMARY KEY (${key.join(", ")})`] : columns;
+  return `CREATE TABLE IF NOT EXISTS ${name} (\n  ${definitions.join(",\n  ")}\n)`;
+}
+
+/**
+ * @notice Returns the statement inserting a row into a table, upserting it on its primary key when it has one.
+ * @param {string} name - The table name.
+ * @param {Object} table - One of the table definitions above.
+ */
+function insertSql(name, { columns, key, names = columns.map((column) => column.split(" ")[0]) }) {
+  const sql = `INSERT INTO ${name} (${names.join(", ")}) VALUES (to_timestamp($1), ${placeholders(2, names.length - 1)})`;
+  if (!key) return sql;
+  const updates = names.filter((column) => !key.includes(column)).map((column) => `${column} = excluded.${column}`);
+  return `${sql} ON CONFLICT (${key.join(", ")}) DO UPDATE SET ${updates.join(", ")}`;
+}
+
+/**
+ * @notice Creates the PostgreSQL / TimescaleDB sink.
+ * @dev Requires the optional `pg` package. Accepted samples are upserted into `table` keyed by
+ *      (protocol, time), so rewriting a range overwrites it like InfluxDB does; quarantined samples are
+ *      appended to `<table>_quarantine`. The tables are created on first use, and with `timescale: true`
+ *      the main table is turned into a hypertable. Provenance and methodology figures are stored in columns
+ *      and raw inputs in a jsonb column; points of reorganized blocks are deleted (see reorg.js). Composite
+ *      index points are upserted into `indexTable`, keyed by (basis, strategy, time), with the weights used in
+ *      a jsonb column, stablecoin peg points into `pegTable`, keyed by (asset, time), and resampled series into
+ *      `resampledTable`, keyed by (protocol, basis, time), and series statistics into `analyticsTable`, keyed by
+ *      (protocol, time_window, basis, time), with percentiles, drops and correlations in jsonb columns. Table
+ *      names are validated by the config loader since they are inlined in the SQL.
+ * @param {Object} options - { url, table, indexTable, pegTable, resampledTable, analyticsTable, timescale }.
+ */
+function createPostgresSink({
+  url,
+  table = "protocol_apy",
+  indexTable = "bento_index",
+  pegTable = "stablecoin_peg",
+  resampledTable = "protocol_apy_resampled",
+  analyticsTable = "protocol_apy_analytics",
+  timescale = false,
+}) {
+  let Pool;
+  try {
+    ({ Pool } = require("pg"));
+  } catch (error) {
+    throw new Error("The postgres sink requires the optional 'pg' package to be installed.");
+  }
+
+  const pool = new Pool({ connectionString: url });
+  const quarantineTable = `${table}_quarantine`;
+  const tables = [
+    [table, SAMPLE_TABLE],
+    [quarantineTable, QUARANTINE_TABLE],
+    [indexTable, INDEX_TABLE],
+    [pegTable, PEG_TABLE],
+    [resampledTable, RESAMPLED_TABLE],
+    [analyticsTable, ANALYTICS_TABLE],
+  ];
+  let ready;
+
+  /**
+   * @notice Creates the tables once per process.
+   */
+  function ensureSchema() {
+    if (!ready) {
+      ready = (async () => {
+        for (const [name, definition] of tables) {
+          await pool.query(createTableSql(name, definition));
+        }
+        // Added separately so tables created by earlier versions are upgraded in place
+        for (const name of [table, quarantineTable]) {
+          await pool.query(`ALTER TABLE ${name} ${DETAIL_COLUMNS.map((column) => `ADD COLUMN IF NOT EXISTS ${column}`).join(", ")}`);
+        }
+        await pool.query(`ALTER TABLE ${table} ${RATE_COLUMNS.map((column) => `ADD COLUMN IF NOT EXISTS ${column}`).join(", ")}`);
+        if (timescale) {
+          await pool.query(`SELECT create_hypertable('${table}', 'time', if_not_exists => TRUE)`);
+        }
+      })().catch((error) => {
+        ready = undefined;
+        throw error;
+      });
+    }
+    return ready;
+  }
+
+  /**
+   * @notice Inserts the rows of every given table in a single transaction.
+   * @param {Array<Array>} batches - [name, definition, items] per table; the items are converted by its `row`.
+   */
+  async function insertAll(batches) {
+    if (batches.every(([, , items]) => !items.length)) return;
+    await ensureSchema();
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      for (const [name, definition, items] of batches) {
+        const sql = insertSql(name, definition);
+        for (const item of items) {
+          await client.query(sql, definition.row(item));
+        }
+      }
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  return {
+    name: "postgres",
+
+    async write({ accepted, quarantined }) {
+      await insertAll([
+        [table, SAMPLE_TABLE, accepted],
+        [quarantineTable, QUARANTINE_TABLE, quarantined],
+      ]);
+    },
+
+    async writeIndex(points) {
+      await insertAll([[indexTable, INDEX_TABLE, points]]);
+    },
+
+    async writePeg(points) {
+      await insertAll([[pegTable, PEG_TABLE, points]]);
+    },
+
+    async writeResampled(points) {
+      await insertAll([[resampledTable, RESAMPLED_TABLE, points]]);
+    },
+
+    async writeAnalytics(points) {
+      await insertAll([[analyticsTable, ANALYTICS_TABLE, points]]);
+    },
+
+    async getLastApyBefore(protocol, timestamp) {
+      await ensureSchema();
+      const { rows } = await pool.query(
+        `SELECT apy FROM ${table} WHERE protocol = $1 AND time < to_timestamp($2) ORDER BY time DESC LIMIT 1`,
+        [protocol, timestamp]
+      );
+      return rows.length ? rows[0].apy : undefined;
+    },
+
+    async getPendingJump(protocol, timestamp) {
+      await ensureSchema();
+      // The latest quarantined entry, duplicates aside, counts only when it is a jump newer than every accepted point
+      const { rows } = await pool.query(
+        `SELECT q.reason, q.apy FROM ${quarantineTable} q
+         WHERE q.protocol = $1 AND q.time < to_timestamp($2) AND q.reason <> 'duplicate'
+           AND NOT EXISTS (SELECT 1 FROM ${table} t WHERE t.protocol = $1 AND t.time >= q.time AND t.time < to_timestamp($2))
+         ORDER BY q.time DESC, q.recorded_at DESC LIMIT 1`,
+        [protocol, timestamp]
+      );
+      return rows.length && rows[0].reason === "jump" && rows[0].apy !== null ? rows[0].apy : undefined;
+    },
+
+    async getRatesBetween(protocol, from, to) {
+      await ensureSchema();
+      const { rows } = await pool.query(
+        `SELECT extract(epoch FROM time)::bigint AS timestamp, apr, apy_compounded FROM ${table}
+         WHERE protocol = $1 AND time >= to_timestamp($2) AND time < to_timestamp($3) AND apr IS NOT NULL
+         ORDER BY time`,
+        [protocol, from, to]
+      );
+      return rows.map((row) => ({ timestamp: Number(row.timestamp), apr: row.apr, apy_compounded: row.apy_compounded }));
+    },
+
+    async getBlockPoints(protocol, since) {
+      await ensureSchema();
+      const { rows } = await pool.query(
+        `SELECT extract(epoch FROM time)::bigint AS timestamp, block_number, block_hash FROM ${table}
+         WHERE protocol = $1 AND time >= to_timestamp($2) AND block_hash IS NOT NULL
+         ORDER BY time`,
+        [protocol, since]
+      );
+      return rows.map((row) => ({
+        timestamp: Number(row.timestamp),
+        block: Number(row.block_number),
+        blockHash: row.block_hash,
+      }));
+    },
+
+    async deletePoints(protocol, timestamps) {
+      await ensureSchema();
+      await pool.query(
+        `DELETE FROM ${table} WHERE protocol = $1 AND time = ANY(SELECT to_timestamp(unnest($2::bigint[])))`,
+        [protocol, timestamps]
+      );
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+}
+
+module.exports = { createPostgresSink };
@@ -0,0 +1,56 @@
+const { toRecord, toQuarantineRecord } = require("./file");
+
+/**
+ * @notice Prints records as NDJSON lines.
+ */
+function print(records) {
+  for (const record of records) {
+    process.stdout.write(`${JSON.stringify(record)}\n`);
+  }
+}
+
+/**
+ * @notice Tags the points of a measurement other than samples with their series and ISO time.
+ * @param {string} series - The measurement name.
+ * @param {Array<Object>} points - Points carrying a Unix `timestamp` in seconds.
+ */
+function seriesRecords(series, points) {
+  return points.map((point) => ({ series, time: new Date(point.timestamp * 1000).toISOString(), ...point }));
+}
+
+/**
+ * @notice Creates a sink printing samples to stdout as newline-delimited JSON, for local testing.
+ * @dev Quarantined samples are printed too, with their `reason`, `detail` and `previous_apy`, and composite
+ *      index points with `series: "bento_index"`, stablecoin peg points with `series: "stablecoin_peg"`,
+ *      resampled points with `series: "protocol_apy_resampled"` and series statistics with
+ *      `series: "protocol_apy_analytics"`.
+ */
+function createStdoutSink() {
+  return {
+    name: "stdout",
+
+    async write({ accepted, quarantined }) {
+      print([...accepted.map(toRecord), ...quarantined.map(toQuarantineRecord)]);
+    },
+
+    async writeIndex(points) {
+      print(seriesRecords("bento_index", points));
+    },
+
+    async writePeg(points) {
+      print(seriesRecords("stablecoin_peg", points));
+    },
+
+    async writeResampled(points) {
+      print(seriesRecords("protocol_apy_resampled", points));
+    },
+
+    async writeAnalytics(points) {
+      print(seriesRecords("protocol_apy_analytics", points));
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = { createStdoutSink };
@@ -0,0 +1,249 @@
+const { WebSocketProvider } = require("ethers");
+const { WebSocket } = require("ws");
+const { runAdapter, checkSamples } = require("./runner");
+const { getProvider } = require("./utils/provider");
+const { getChain, getRpcUrls, DEFAULT_CHAIN } = require("./utils/chains");
+
+/**
+ * @notice Streaming mode: processes adapter logs as they are emitted instead of waiting for the cron schedule.
+ * @dev Opens one WebSocket connection per chain, to the first ws(s):// URL among the chain's RPC URLs (see
+ *      utils/chains.js), and subscribes to new heads and to the `subscription` log filter of every streamed
+ *      adapter on that chain. A log is only processed once it has `confirmations` blocks on top of it on its
+ *      chain; logs removed by a reorg before that are simply never read, since processing always re-reads the
+ *      confirmed range with eth_getLogs on the chain's shared provider:
+ *        - block-cursor adapters (Ethena) get a regular run (see runner.js) whose latest cursor is the confirmed
+ *          head, or the protocol's own finality when stricter, so the block tracker decides what is processed and
+ *          the cursor never passes unconfirmed blocks;
+ *        - timestamp-cursor adapters (Spark) turn the logs into samples with `fetchLogs`, tracking the last
+ *          processed block under the `<cursorKey>:stream` cursor, starting at the confirmed head the first time.
+ *      Both go through the caller's `run`, e.g. the job runner, so they never overlap with a scheduled run of the
+ *      same protocol and are recorded like one.
+ *      After a reconnect (socket closed, or no new head for STALL_MS) every streamed adapter catches up from its
+ *      cursor, so logs emitted while disconnected are not lost. Runs of one adapter never overlap here; the cron
+ *      schedules keep running as a fallback.
+ */
+
+const DEFAULT_CONFIRMATIONS = 12;
+
+// Reconnection backoff after the WebSocket connection dropped.
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 60000;
+
+// A connection without a new head for this long is considered dead (mainnet produces one every 12s, L2s faster).
+const STALL_MS = 2 * 60 * 1000;
+
+/**
+ * @notice Returns whether an adapter can be streamed.
+ */
+function isStreamable(adapter) {
+  return Boolean(adapter.subscription) && (adapter.cursorType === "block" || Boolean(adapter.fetchLogs));
+}
+
+/**
+ * @notice Creates the streaming mode.
+ * @param {Object} options - { adapters, cursorStore, sink, confirmations, run }: the adapters to stream
+ *        (those without a subscription are ignored), the cursor store, the sink, the confirmation depth and the
+ *        function running the processing of an adapter, `run(adapter, task)`: it calls `task` with an
+ *        AbortSignal and returns once it settled; the task resolves to a result such as runAdapter's.
+ */
+function createStreamer({ adapters, cursorStore, sink, confirmations = DEFAULT_CONFIRMATIONS, run }) {
+  const streamed = adapters.filter(isStreamable);
+  const byChain = new Map();
+  for (const adapter of streamed) {
+    const chain = adapter.chain || DEFAULT_CHAIN;
+    byChain.set(chain, [...(byChain.get(chain) || []), adapter]);
+  }
+  const urls = new Map();
+  for (const chain of byChain.keys()) {
+    const url = getRpcUrls(chain).find((candidate) => /^wss?:/i.test(candidate));
+    if (!url) {
+      const envs = getChain(chain).rpcEnv.join(" or ");
+      throw new Error(`The streaming mode requires a WebSocket RPC URL (ws:// or wss://) for ${chain} in ${envs}.`);
+    }
+    urls.set(chain, url);
+  }
+
+  let stopped = false;
+  // The promise chain serializing the processing of every adapter
+  const queues = new Map();
+
+  /**
+   * @notice Turns the logs of a timestamp-cursor adapter up to a confirmed block into samples and writes them.
+   * @param {Object} adapter - The adapter, exposing `fetchLogs`.
+   * @param {number} confirmed - The last confirmed block.
+   * @param {AbortSignal} [signal] - Checked before writing.
+   * @return {Promise<Object>} { ok, accepted, quarantined, cursor, error }; errors are logged, never thrown.
+   */
+  async function streamLogs(adapter, confirmed, signal) {
+    const key = `${adapter.cursorKey}:stream`;
+    try {
+      const stored = await cursorStore.get(key);
+      if (stored !== undefined && confirmed <= stored) {
+        return { ok: true, accepted: 0, quarantined: 0, cursor: stored };
+      }
+      let checked = { accepted: [], quarantined: [] };
+      if (stored !== undefined) {
+        const logs = await getProvider(adapter.chain).getLogs({ ...adapter.subscription, fromBlock: stored + 1, toBlock: confirmed });
+        if (logs.length) {
+          console.log(`Streaming ${logs.length} ${adapter.name} log(s) up to block ${confirmed}.`);
+          checked = await checkSamples(adapter, await adapter.fetchLogs(logs), sink);
+          if (signal) signal.throwIfAborted();
+          await sink.write(checked);
+        }
+      }
+      await cursorStore.set(key, confirmed);
+      return { ok: true, accepted: checked.accepted.length, quarantined: checked.quarantined.length, cursor: confirmed };
+    } catch (error) {
+      console.error(`${adapter.name} streaming error:`, error);
+      return { ok: false, error };
+    }
+  }
+
+  /**
+   * @notice Processes everything an adapter has up to the confirmed head of its chain, through `run`.
+   */
+  async function catchUp(adapter, head) {
+    const confirmed = head - confirmations;
+    if (adapter.cursorType === "block") {
+      const bounded = { ...adapter, getLatestCursor: async () => Math.min(confirmed, await adapter.getLatestCursor()) };
+      await run(adapter, (signal) => runAdapter(bounded, cursorStore, sink, { signal }));
+      return;
+    }
+    await run(adapter, (signal) => streamLogs(adapter, confirmed, signal));
+  }
+
+  /**
+   * @notice Queues a catch-up of an adapter behind any catch-up already running for it.
+   */
+  function schedule(adapter, head) {
+    const previous = queues.get(adapter.name) || Promise.resolve();
+    const next = previous.then(() => catchUp(adapter, head)).catch((error) => {
+      console.error(`${adapter.name} streaming error:`, error);
+    });
+    queues.set(adapter.name, next);
+    return next;
+  }
+
+  /**
+   * @notice Creates the connection of one chain, tracking its heads and the logs of its adapters.
+   * @param {string} chain - The chain name.
+   * @param {Array<Object>} chainAdapters - The streamed adapters on that chain.
+   */
+  function createConnection(chain, chainAdapters) {
+    const url = urls.get(chain);
+    let wsProvider;
+    let connection = 0;
+    let attempts = 0;
+    let reconnectTimer;
+    let stallTimer;
+    // Lowest unprocessed log block per adapter
+    const pending = new Map();
+
+    /**
+     * @notice Handles a new head: processes every adapter whose pending logs are now confirmed.
+     */
+    function onBlock(head) {
+      clearTimeout(stallTimer);
+      stallTimer = setTimeout(() => reconnect("no new block"), STALL_MS);
+      for (const adapter of chainAdapters) {
+        const block = pending.get(adapter.name);
+        if (block !== undefined && head - confirmations >= block) {
+          pending.delete(adapter.name);
+          schedule(adapter, head);
+        }
+      }
+    }
+
+    /**
+     * @notice Opens the connection, subscribes, and catches up on everything missed so far.
+     */
+    function connect() {
+      const current = ++connection;
+      wsProvider = new WebSocketProvider(() => {
+        const socket = new WebSocket(url);
+        socket.on("error", (error) => console.error(`Streaming WebSocket error on ${chain}:`, error.message));
+        socket.on("close", () => {
+          if (current === connection) reconnect("connection closed");
+        });
+        return socket;
+      });
+
+      for (const adapter of chainAdapters) {
+        wsProvider.on(adapter.subscription, (log) => {
+          if (log.removed) return;
+          console.log(`New ${adapter.name} log at block ${log.blockNumber}, waiting for ${confirmations} confirmation(s).`);
+          pending.set(adapter.name, Math.min(pending.get(adapter.name) ?? Infinity, log.blockNumber));
+        });
+      }
+      wsProvider.on("block", onBlock);
+
+      wsProvider
+        .getBlockNumber()
+        .then((head) => {
+          if (current !== connection) return;
+          attempts = 0;
+          console.log(`Streaming ${chainAdapters.map((adapter) => adapter.name).join(", ")} from ${chain} block ${head}.`);
+          onBlock(head);
+          for (const adapter of chainAdapters) schedule(adapter, head);
+        })
+        .catch((error) => reconnect(error.message));
+    }
+
+    /**
+     * @notice Drops the current connection and opens a new one after a backoff delay.
+     */
+    function reconnect(reason) {
+      if (stopped || reconnectTimer) return;
+      connection++;
+      clearTimeout(stallTimer);
+      if (wsProvider) {
+        wsProvider.destroy();
+        wsProvider = undefined;
+      }
+      const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** attempts++);
+      console.warn(`Streaming connection to ${chain} lost (${reason}), reconnecting in ${delay}ms.`);
+      reconnectTimer = setTimeout(() => {
+        reconnectTimer = undefined;
+        connect();
+      }, delay);
+    }
+
+    return {
+      start: connect,
+
+      /**
+       * @notice Closes the connection and cancels any pending reconnection.
+       */
+      close() {
+        connection++;
+        clearTimeout(stallTimer);
+        clearTimeout(reconnectTimer);
+        if (wsProvider) wsProvider.destroy();
+      },
+    };
+  }
+
+  const connections = [...byChain].map(([chain, chainAdapters]) => createConnection(chain, chainAdapters));
+
+  return {
+    adapters: streamed,
+
+    /**
+     * @notice Starts streaming; does nothing when no adapter can be streamed.
+     */
+    start() {
+      for (const connection of connections) connection.start();
+    },
+
+    /**
+     * @notice Closes the connections and waits for the catch-ups in progress.
+     */
+    async stop() {
+      stopped = true;
+      for (const connection of connections) connection.close();
+      await Promise.all(queues.values());
+    },
+  };
+}
+
+module.exports = { createStreamer, isStreamable, DEFAULT_CONFIRMATIONS };
@@ -0,0 +1,264 @@
+const path = require("path");
+const { readJson, writeJsonAtomic } = require("./jsonFile");
+
+/**
+ * @notice This module resolves Unix timestamps to block numbers.
+ * @dev The resolver returns the latest block whose timestamp is <= the target timestamp (block 0 for
+ *      targets before genesis), like the binary search it replaces, but with far fewer getBlock calls:
+ *   - Every block header it sees is remembered, sorted by number, so a lookup starts from the closest known
+ *     block on each side of the target, found by binary search, instead of from [0, latest].
+ *   - Within that bracket it uses interpolation search. The first probe is seeded with the chain's average
+ *     block time from the nearest known block; post-merge slots are 12s, so it usually lands within a few blocks.
+ *     If a probe does not at least halve the bracket, the next probe bisects, bounding the worst case.
+ *   - Resolved (timestamp -> block) pairs and the headers seen are persisted to a JSON cache, so
+ *     restarts and backfills over already visited ranges need no RPC calls at all. Only headers at least
+ *     FINALITY_DEPTH blocks below the chain head are persisted, so reorged blocks never enter the cache.
+ *     Writes are batched: the file is written PERSIST_DELAY_MS after the first change, and by
+ *     flushBlockCaches() on shutdown.
+ *   - The cache holds at most `maxEntries` headers and as many resolved pairs. Past that, every other header
+ *     is dropped, which keeps brackets over the whole visited range, and the oldest resolved pairs go first.
+ *   Every chain has its own resolver and cache file, see cacheFileFor.
+ */
+
+// The default cache file; BLOCK_CACHE_DIR moves the cache files of every chain.
+const DEFAULT_CACHE_FILE = path.join(process.env.BLOCK_CACHE_DIR || path.join(__dirname, "..", "data"), "block_cache.json");
+
+/**
+ * @notice Returns the cache file of a chain: block_cache.json for Ethereum, block_cache_<chain>.json otherwise.
+ * @param {string} [chain] - The chain name.
+ */
+function cacheFileFor(chain) {
+  if (!chain || chain === "ethereum") return DEFAULT_CACHE_FILE;
+  return path.join(path.dirname(DEFAULT_CACHE_FILE), `block_cache_${chain}.json`);
+}
+
+// Average mainnet block time in seconds, used to seed the first probe.
+const DEFAULT_AVERAGE_BLOCK_TIME = 12;
+
+// Headers at least this many blocks below the head are considered final and may be persisted.
+const FINALITY_DEPTH = 64;
+
+// Default bound of the cached headers, and of the resolved pairs.
+const DEFAULT_MAX_ENTRIES = 100000;
+
+// Delay between the first change to the cache and the write of its file, in milliseconds.
+const PERSIST_DELAY_MS = 5000;
+
+// Every resolver with a cache file, as { cacheFile, flush }, see flushBlockCaches.
+const persisted = new Set();
+
+/**
+ * @notice Creates a block resolver bound to a provider.
+ * @param {Object} provider - An ethers.js provider; only getBlock() is used.
+ * @param {Object} [options] - { cacheFile, averageBlockTime, maxEntries, persistDelay }. Pass `cacheFile: null` to
+ *        keep the cache in memory; `persistDelay` is in milliseconds.
+ */
+function createBlockResolver(provider, options = {}) {
+  const cacheFile = options.cacheFile === undefined ? DEFAULT_CACHE_FILE : options.cacheFile;
+  const averageBlockTime = options.averageBlockTime || DEFAULT_AVERAGE_BLOCK_TIME;
+  const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+  const persistDelay = options.persistDelay ?? PERSIST_DELAY_MS;
+
+  // Start from the pending changes of the other resolvers over the same file
+  for (const other of persisted) {
+    if (other.cacheFile === cacheFile) other.flush();
+  }
+  const cached = (cacheFile && readJson(cacheFile)) || {};
+  // Every header seen as { number, timestamp }, ascending by number and therefore by timestamp
+  let headers = Object.entries(cached.blocks || {})
+    .map(([number, timestamp]) => ({ number: Number(number), timestamp }))
+    .sort((a, b) => a.number - b.number);
+  // target timestamp -> resolved block number, oldest first
+  const resolved = new Map(Object.entries(cached.resolved || {}).map(([timestamp, number]) => [Number(timestamp), number]));
+  // Highest block number that is safe to persist
+  let finalizedBlock = headers.length ? headers[headers.length - 1].number : -1;
+  let rpcCalls = 0;
+  let persistTimer = null;
+
+  /**
+   * @notice Returns the index of the first header matching `predicate`, which must be false for a prefix of the
+   *         headers and true for the rest.
+   */
+  function firstIndex(predicate) {
+    let low = 0;
+    let high = headers.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (predicate(headers[middle])) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * @notice Inserts or updates a header, thinning the cache when it grows past `maxEntries`.
+   */
+  function remember(number, timestamp) {
+    const i = firstIndex((header) => header.number >= number);
+    if (i < headers.length && headers[i].number === number) {
+      headers[i].timestamp = timestamp;
+      return;
+    }
+    headers.splice(i, 0, { number, timestamp });
+    if (headers.length > maxEntries) {
+      headers = headers.filter((header, j) => j % 2 === 0 || j === headers.length - 1);
+    }
+  }
+
+  /**
+   * @notice Fetches a header and remembers its timestamp.
+   * @param {number|string} blockTag - A block number or "latest".
+   */
+  async function fetchBlock(blockTag) {
+    rpcCalls++;
+    const block = await provider.getBlock(blockTag);
+    if (!block) {
+      throw new Error(`Block ${blockTag} not found`);
+    }
+    remember(block.number, block.timestamp);
+    if (blockTag === "latest") {
+      finalizedBlock = Math.max(finalizedBlock, block.number - FINALITY_DEPTH);
+    }
+    return { number: block.number, timestamp: block.timestamp };
+  }
+
+  /**
+   * @notice Finds the closest known headers around the target: the latest one at or before it and the
+   *         earliest one after it.
+   * @param {number} targetTimestamp - The target Unix timestamp in seconds.
+   */
+  function knownNeighbours(targetTimestamp) {
+    const i = firstIndex((header) => header.timestamp > targetTimestamp);
+    return { lower: headers[i - 1], upper: headers[i] };
+  }
+
+  /**
+   * @notice Writes the final part of the cache now, if it changed since the last write.
+   */
+  function flush() {
+    if (!persistTimer) return;
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    const finalBlocks = {};
+    for (const { number, timestamp } of headers) {
+      if (number <= finalizedBlock) finalBlocks[number] = timestamp;
+    }
+    const finalResolved = {};
+    for (const [timestamp, number] of resolved) {
+      if (number < finalizedBlock) finalResolved[timestamp] = number;
+    }
+    writeJsonAtomic(cacheFile, { blocks: finalBlocks, resolved: finalResolved });
+  }
+
+  /**
+   * @notice Schedules a write of the cache, unless one is pending.
+   */
+  function persist() {
+    if (!cacheFile || persistTimer) return;
+    persistTimer = setTimeout(flush, persistDelay);
+    // A pending write does not keep the process alive; flushBlockCaches() writes it on shutdown
+    persistTimer.unref();
+  }
+  if (cacheFile) persisted.add({ cacheFile, flush });
+
+  /**
+   * @notice Returns the latest block whose timestamp is <= targetTimestamp.
+   * @param {number} targetTimestamp - The target Unix timestamp in seconds.
+   */
+  async function resolve(targetTimestamp) {
+    if (resolved.has(targetTimestamp)) {
+      return resolved.get(targetTimestamp);
+    }
+
+    let { lower, upper } = knownNeighbours(targetTimestamp);
+    if (!upper) {
+      const head = await fetchBlock("latest");
+      if (head.timestamp <= targetTimestamp) {
+        return head.number;
+      }
+      upper = head;
+    }
+    if (!lower) {
+      lower = await fetchBlock(0);
+      if (lower.timestamp > targetTimestamp) {
+        return 0;
+      }
+    }
+
+    // Seed the first probe from the nearest known block using the average block time
+    let probe = targetTimestamp - lower.timestamp <= upper.timestamp - targetTimestamp
+      ? lower.number + Math.floor((targetTimestamp - lower.timestamp) / averageBlockTime)
+      : upper.number - Math.ceil((upper.timestamp - targetTimestamp) / averageBlockTime);
+
+    while (upper.number - lower.number > 1) {
+      probe = Math.min(Math.max(probe, lower.number + 1), upper.number - 1);
+      const width = upper.number - lower.number;
+
+      const block = await fetchBlock(probe);
+      if (block.timestamp <= targetTimestamp) {
+        lower = block;
+      } else {
+        upper = block;
+      }
+
+      if (upper.number - lower.number > width / 2) {
+        // Poor estimate: bisect next to guarantee progress
+        probe = Math.floor((lower.number + upper.number) / 2);
+      } else {
+        // Interpolate between the bracket ends
+        const ratio = (targetTimestamp - lower.timestamp) / (upper.timestamp - lower.timestamp);
+        probe = lower.number + Math.floor(ratio * (upper.number - lower.number));
+      }
+    }
+
+    resolved.set(targetTimestamp, lower.number);
+    if (resolved.size > maxEntries) {
+      resolved.delete(resolved.keys().next().value);
+    }
+    persist();
+    return lower.number;
+  }
+
+  return {
+    resolve,
+    flush,
+    /**
+     * @notice Returns the number of getBlock calls made so far.
+     */
+    get rpcCalls() {
+      return rpcCalls;
+    },
+  };
+}
+
+// One resolver per provider, using the cache file and block time of the provider's chain
+const resolvers = new WeakMap();
+
+/**
+ * @notice Finds the latest block whose timestamp is <= the target timestamp.
+ * @param {Object} provider - An ethers.js provider instance used to fetch blockchain data; a provider from
+ *                            getProvider() carries its `chain`.
+ * @param {number} targetTimestamp - The target Unix timestamp in seconds for which to find the closest block.
+ */
+async function getBlockNumberByTimestamp(provider, targetTimestamp) {
+  if (!resolvers.has(provider)) {
+    const { chain } = provider;
+    resolvers.set(provider, createBlockResolver(provider, {
+      cacheFile: cacheFileFor(chain && chain.name),
+      averageBlockTime: chain && chain.blockTime,
+    }));
+  }
+  return resolvers.get(provider).resolve(targetTimestamp);
+}
+
+/**
+ * @notice Writes the pending changes of every block cache; called on shutdown.
+ */
+function flushBlockCaches() {
+  for (const { flush } of persisted) flush();
+}
+
+module.exports = { createBlockResolver, getBlockNumberByTimestamp, cacheFileFor, flushBlockCaches };
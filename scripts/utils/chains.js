@@ -0,0 +1,73 @@
+/**
+ * @notice Registry of the chains protocol instances can live on.
+ * @dev Every protocol instance declares its `chain` (default "ethereum"); everything chain-specific is looked
+ *      up here by that name:
+ *        - chainId:        the EVM chain ID, checked against the RPC and passed to the Morpho API;
+ *        - rpcEnv:         environment variables holding the chain's RPC URLs (comma separated, in order);
+ *        - blockTime:      average block time in seconds, seeding the block-by-timestamp search;
+ *        - multicallBlock: first block where Multicall3 is deployed.
+ *      The built-in chains below can be extended or overridden by the config's top-level `chains` section
+ *      (see config.js), applied with configureChains().
+ */
+
+const DEFAULT_CHAIN = "ethereum";
+
+const KNOWN_CHAINS = {
+  ethereum: { chainId: 1, rpcEnv: ["ALCHEMY_URL", "RPC_URLS"], blockTime: 12, multicallBlock: 14353601 },
+  base: { chainId: 8453, rpcEnv: ["BASE_RPC_URLS"], blockTime: 2, multicallBlock: 5022 },
+  arbitrum: { chainId: 42161, rpcEnv: ["ARBITRUM_RPC_URLS"], blockTime: 0.25, multicallBlock: 7654707 },
+  optimism: { chainId: 10, rpcEnv: ["OPTIMISM_RPC_URLS"], blockTime: 2, multicallBlock: 4286263 },
+};
+
+// Defaults of chains only declared in the config.
+const CHAIN_DEFAULTS = { blockTime: 12, multicallBlock: 0 };
+
+let chains = KNOWN_CHAINS;
+
+/**
+ * @notice Applies the config's `chains` section on top of the built-in chains.
+ * @param {Object} [section] - The validated `chains` section: { name: { chainId, rpcEnv, blockTime, multicallBlock } }.
+ */
+function configureChains(section = {}) {
+  chains = { ...KNOWN_CHAINS };
+  for (const [name, chain] of Object.entries(section)) {
+    const rpcEnv = chain.rpcEnv === undefined ? undefined : [].concat(chain.rpcEnv);
+    chains[name] = {
+      ...CHAIN_DEFAULTS,
+      rpcEnv: [`${name.toUpperCase()}_RPC_URLS`],
+      ...KNOWN_CHAINS[name],
+      ...chain,
+      ...(rpcEnv && { rpcEnv }),
+    };
+  }
+}
+
+/**
+ * @notice Returns whether a chain is known, built in or configured.
+ */
+function isKnownChain(name) {
+  return Object.prototype.hasOwnProperty.call(chains, name);
+}
+
+/**
+ * @notice Returns the definition of a chain.
+ * @param {string} [name] - The chain name; defaults to ethereum.
+ * @return {Object} { name, chainId, rpcEnv, blockTime, multicallBlock }.
+ */
+function getChain(name = DEFAULT_CHAIN) {
+  if (!isKnownChain(name)) {
+    throw new Error(`Unknown chain '${name}'`);
+  }
+  return { name, ...chains[name] };
+}
+
+/**
+ * @notice Returns the RPC URLs of a chain from the environment, in the order of its `rpcEnv` variables.
+ * @param {string} [name] - The chain name; defaults to ethereum (ALCHEMY_URL first, then RPC_URLS).
+ */
+function getRpcUrls(name = DEFAULT_CHAIN) {
+  const urls = getChain(name).rpcEnv.flatMap((env) => (process.env[env] || "").split(","));
+  return [...new Set(urls.map((url) => url.trim()).filter(Boolean))];
+}
+
+module.exports = { configureChains, getChain, getRpcUrls, isKnownChain, KNOWN_CHAINS, DEFAULT_CHAIN };
@@ -0,0 +1,163 @@
+const path = require("path");
+const { InfluxDB, Point, flux } = require("@influxdata/influxdb-client");
+const { readJson, writeJsonAtomic } = require("./jsonFile");
+
+/**
+ * @notice This module provides the cursor stores that remember how far each protocol has been ingested.
+ * @dev A cursor store exposes two async methods:
+ *        get(key)        -> the stored block number / timestamp, or undefined if nothing is stored yet
+ *        set(key, value) -> resolves once the value is durably stored
+ *      Backends:
+ *        - file:   a single JSON map written atomically (temp file + fsync + rename)
+ *        - sqlite: a `cursors` table in a SQLite database (requires the optional better-sqlite3 package)
+ *        - influx: a `collector_cursor` measurement in the InfluxDB bucket, so cursors survive redeploys
+ *      Read errors are never swallowed: restarting from the start cursor after a corrupted read would
+ *      silently re-ingest the whole history.
+ */
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+
+// Legacy tracker files, imported once by the file store when it does not exist yet.
+const LEGACY_BLOCK_FILE = "ethena_last_block.json";
+const LEGACY_TIMESTAMP_FILE = "last_timestamp.json";
+
+// The InfluxDB measurement holding cursors for the influx backend.
+const CURSOR_MEASUREMENT = "collector_cursor";
+
+/**
+ * @notice Builds the initial cursor map from the legacy tracker files of a directory.
+ * @dev ethena_last_block.json held Ethena's block under `lastBlock`; last_timestamp.json is already keyed
+ *      by the cursor keys used in the config file (spark, mountain, USDC, USDT).
+ */
+function readLegacyCursors(dir) {
+  const cursors = { ...readJson(path.join(dir, LEGACY_TIMESTAMP_FILE)) };
+  const legacyBlock = readJson(path.join(dir, LEGACY_BLOCK_FILE));
+  if (legacyBlock && legacyBlock.lastBlock !== undefined) {
+    cursors.ethena = legacyBlock.lastBlock;
+  }
+  return cursors;
+}
+
+/**
+ * @notice Creates a cursor store backed by a JSON file.
+ * @param {string} file - The JSON file holding the cursor map.
+ * @param {string} [legacyDir] - The directory of the legacy tracker files; defaults to scripts/data.
+ */
+function createFileCursorStore(file, legacyDir = DATA_DIR) {
+  let cursors;
+
+  function load() {
+    if (!cursors) {
+      cursors = readJson(file);
+      if (cursors === undefined) {
+        cursors = readLegacyCursors(legacyDir);
+        if (Object.keys(cursors).length) {
+          console.log(`Imported legacy tracker cursors into ${file}.`);
+          writeJsonAtomic(file, cursors);
+        }
+      }
+    }
+    return cursors;
+  }
+
+  return {
+    async get(key) {
+      return load()[key];
+    },
+    async set(key, value) {
+      const next = { ...load(), [key]: value };
+      writeJsonAtomic(file, next);
+      cursors = next;
+      console.log(`Updated cursor for ${key} to: ${value}`);
+    },
+  };
+}
+
+/**
+ * @notice Creates a cursor store backed by a SQLite database.
+ * @param {string} file - The SQLite database file.
+ */
+function createSqliteCursorStore(file) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (error) {
+    throw new Error("The sqlite cursor store requires the optional 'better-sqlite3' package to be installed.");
+  }
+
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec("CREATE TABLE IF NOT EXISTS cursors (key TEXT PRIMARY KEY, value INTEGER NOT NULL, updated_at INTEGER NOT NULL)");
+  const select = db.prepare("SELECT value FROM cursors WHERE key = ?");
+  const upsert = db.prepare(
+    "INSERT INTO cursors (key, value, updated_at) VALUES (?, ?, ?) " +
+      "ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at"
+  );
+
+  return {
+    async get(key) {
+      const row = select.get(key);
+      return row ? row.value : undefined;
+    },
+    async set(key, value) {
+      upsert.run(key, value, Math.floor(Date.now() / 1000));
+      console.log(`Updated cursor for ${key} to: ${value}`);
+    },
+  };
+}
+
+/**
+ * @notice Creates a cursor store backed by the InfluxDB bucket itself.
+ * @param {Object} options - Connection settings: url, token, org and bucket.
+ */
+function createInfluxCursorStore({ url, token, org, bucket }) {
+  const client = new InfluxDB({ url, token });
+  const queryApi = client.getQueryApi(org);
+  const writeApi = client.getWriteApi(org, bucket, "s");
+
+  return {
+    async get(key) {
+      const rows = await queryApi.collectRows(flux`from(bucket: ${bucket})
+        |> range(start: 0)
+        |> filter(fn: (r) => r._measurement == ${CURSOR_MEASUREMENT} and r.key == ${key} and r._field == "value")
+        |> last()`);
+      return rows.length ? Number(rows[0]._value) : undefined;
+    },
+    async set(key, value) {
+      writeApi.writePoint(new Point(CURSOR_MEASUREMENT).tag("key", key).intField("value", value));
+      await writeApi.flush();
+      console.log(`Updated cursor for ${key} to: ${value}`);
+    },
+  };
+}
+
+/**
+ * @notice Creates the cursor store described by the `cursorStore` section of the config file.
+ * @param {Object} [options] - { type: "file" | "sqlite" | "influx", path }. Defaults to the JSON file store.
+ */
+function createCursorStore(options = {}) {
+  const type = options.type || "file";
+  if (type === "file") {
+    return createFileCursorStore(options.path || path.join(DATA_DIR, "cursors.json"));
+  }
+  if (type === "sqlite") {
+    return createSqliteCursorStore(options.path || path.join(DATA_DIR, "cursors.sqlite"));
+  }
+  if (type === "influx") {
+    return createInfluxCursorStore({
+      url: process.env.INFLUX_URL,
+      token: process.env.INFLUX_TOKEN,
+      org: process.env.INFLUX_ORG,
+      bucket: process.env.INFLUX_BUCKET,
+    });
+  }
+  throw new Error(`Unknown cursor store type '${type}'`);
+}
+
+module.exports = {
+  createCursorStore,
+  createFileCursorStore,
+  createSqliteCursorStore,
+  createInfluxCursorStore,
+  CURSOR_STORE_TYPES: ["file", "sqlite", "influx"],
+};
@@ -0,0 +1,28 @@
+/**
+ * @notice Finality helpers for block-cursor adapters.
+ * @dev A block-cursor adapter only processes blocks that are unlikely to be reorganized: either a fixed number
+ *      of confirmations below the head, or the block the node reports as `finalized`. Configured per protocol as
+ *      `confirmations` (a non-negative integer or "finalized"); see reorg.js for what happens when a processed
+ *      block is reorganized anyway.
+ */
+
+// Blocks kept below the head when a protocol does not configure `confirmations`.
+const DEFAULT_CONFIRMATIONS = 12;
+
+/**
+ * @notice Returns the latest block a block-cursor adapter may process.
+ * @param {Object} provider - An ethers provider.
+ * @param {number|string} [confirmations] - A confirmation depth, or "finalized" for the node's finalized block.
+ */
+async function getConfirmedBlock(provider, confirmations = DEFAULT_CONFIRMATIONS) {
+  if (confirmations === "finalized") {
+    const block = await provider.getBlock("finalized");
+    if (!block) {
+      throw new Error("The RPC node did not return a finalized block.");
+    }
+    return block.number;
+  }
+  return (await provider.getBlockNumber()) - confirmations;
+}
+
+module.exports = { getConfirmedBlock, DEFAULT_CONFIRMATIONS };
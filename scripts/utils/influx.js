@@ -0,0 +1,342 @@
+require("dotenv").config();
+const { InfluxDB, Point, flux } = require("@influxdata/influxdb-client");
+
+/**
+ * @notice Shared InfluxDB access for every protocol adapter.
+ * @dev The client is created lazily on first use from the INFLUX_* environment variables.
+ *      Accepted samples become points of the APY measurement, rejected ones points of the
+ *      quarantine measurement tagged with the rejection reason. Besides apy and weight, a point carries:
+ *        - fields: the provenance (chain, address, source rpc / graphql, block, block_hash and tx_hash), tvl and
+ *                  every raw input as `input_<name>`; big integers are written as strings so no digit is lost;
+ *        - fields: the methodology figures (apr, apy_compounded, apr_7d, ...) derived by methodology.js.
+ *      `protocol` stays the only tag of the APY measurement, so a point is keyed by protocol and time alone and a
+ *      backfill, reorg rewrite or gap repair overwrites the stored point whatever its provenance.
+ */
+
+//  The InfluxDB measurement name where APY data is stored.
+const MEASUREMENT = "protocol_apy_data";
+//  The InfluxDB measurement name where samples rejected by validation are stored.
+const QUARANTINE_MEASUREMENT = "protocol_apy_quarantine";
+//  The InfluxDB measurement name of the composite index, see bentoIndex.js.
+const INDEX_MEASUREMENT = "bento_index";
+//  The InfluxDB measurement name of the stablecoin peg and supply, see peg.js.
+const PEG_MEASUREMENT = "stablecoin_peg";
+//  The InfluxDB measurement name of the series resampled on a common grid, see gaps.js.
+const RESAMPLED_MEASUREMENT = "protocol_apy_resampled";
+//  The InfluxDB measurement name of the series statistics, see analytics.js.
+const ANALYTICS_MEASUREMENT = "protocol_apy_analytics";
+
+let clientInflux;
+let writeApi;
+let queryApi;
+
+function getClient() {
+  if (!clientInflux) {
+    clientInflux = new InfluxDB({
+      url: process.env.INFLUX_URL,
+      token: process.env.INFLUX_TOKEN,
+    });
+  }
+  return clientInflux;
+}
+
+/**
+ * @notice Returns the shared InfluxDB write API, creating it on first use.
+ */
+function getWriteApi() {
+  if (!writeApi) {
+    writeApi = getClient().getWriteApi(process.env.INFLUX_ORG, process.env.INFLUX_BUCKET);
+  }
+  return writeApi;
+}
+
+/**
+ * @notice Returns the last stored APY of a protocol strictly before a timestamp.
+ * @param {string} protocol - The protocol tag.
+ * @param {number} timestamp - Unix timestamp in seconds.
+ * @return {Promise<number|undefined>} The APY, or undefined when nothing is stored before it.
+ */
+async function getLastApyBefore(protocol, timestamp) {
+  if (!queryApi) {
+    queryApi = getClient().getQueryApi(process.env.INFLUX_ORG);
+  }
+  const rows = await queryApi.collectRows(flux`from(bucket: ${process.env.INFLUX_BUCKET})
+    |> range(start: 0, stop: ${new Date(timestamp * 1000)})
+    |> filter(fn: (r) => r._measurement == ${MEASUREMENT} and r.protocol == ${protocol} and r._field == "apy")
+    |> group()
+    |> sort(columns: ["_time"])
+    |> last()`);
+  return rows.length ? rows[0]._value : undefined;
+}
+
+/**
+ * @notice Returns the APY of a jump quarantined since a protocol's last accepted point, before a timestamp.
+ * @dev Only the latest quarantined entry counts, duplicates aside: a later rejection for another reason breaks
+ *      the confirmation, like within a batch (see validation.js).
+ * @param {string} protocol - The protocol tag.
+ * @param {number} timestamp - Unix timestamp in seconds.
+ * @return {Promise<number|undefined>} The APY of the pending jump, or undefined when there is none.
+ */
+async function getPendingJump(protocol, timestamp) {
+  if (!queryApi) {
+    queryApi = getClient().getQueryApi(process.env.INFLUX_ORG);
+  }
+  const stop = new Date(timestamp * 1000);
+  const [quarantined] = await queryApi.collectRows(flux`from(bucket: ${process.env.INFLUX_BUCKET})
+    |> range(start: 0, stop: ${stop})
+    |> filter(fn: (r) => r._measurement == ${QUARANTINE_MEASUREMENT} and r.protocol == ${protocol})
+    |> filter(fn: (r) => r.reason != "duplicate" and (r._field == "apy" or r._field == "detail"))
+    |> group()
+    |> pivot(rowKey: ["_time", "reason"], columnKey: ["_field"], valueColumn: "_value")
+    |> sort(columns: ["_time"])
+    |> tail(n: 1)`);
+  if (!quarantined || quarantined.reason !== "jump") return undefined;
+
+  const [accepted] = await queryApi.collectRows(flux`from(bucket: ${process.env.INFLUX_BUCKET})
+    |> range(start: ${new Date(quarantined._time)}, stop: ${stop})
+    |> filter(fn: (r) => r._measurement == ${MEASUREMENT} and r.protocol == ${protocol} and r._field == "apy")
+    |> group()
+    |> limit(n: 1)`);
+  return accepted ? undefined : quarantined.apy;
+}
+
+/**
+ * @notice Returns the stored spot methodology figures of a protocol in [from, to).
+ * @param {string} protocol - The protocol tag.
+ * @param {number} from - Unix timestamp in seconds, inclusive.
+ * @param {number} to - Unix timestamp in seconds, exclusive.
+ * @return {Promise<Array<Object>>} Rows shaped as { timestamp, apr, apy_compounded }.
+ */
+async function getRatesBetween(protocol, from, to) {
+  if (!queryApi) {
+    queryApi = getClient().getQueryApi(process.env.INFLUX_ORG);
+  }
+  const rows = await queryApi.collectRows(flux`from(bucket: ${process.env.INFLUX_BUCKET})
+    |> range(start: ${new Date(from * 1000)}, stop: ${new Date(to * 1000)})
+    |> filter(fn: (r) => r._measurement == ${MEASUREMENT} and r.protocol == ${protocol})
+    |> filter(fn: (r) => r._field == "apr" or r._field == "apy_compounded")
+    |> group()
+    |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")
+    |> sort(columns: ["_time"])`);
+  return rows.map((row) => ({
+    timestamp: Math.floor(new Date(row._time).getTime() / 1000),
+    apr: row.apr,
+    apy_compounded: row.apy_compounded,
+  }));
+}
+
+/**
+ * @notice Returns the block and block hash of a protocol's points since a timestamp, for the reorg check.
+ * @param {string} protocol - The protocol tag.
+ * @param {number} since - Unix timestamp in seconds, inclusive.
+ * @return {Promise<Array<Object>>} Rows shaped as { timestamp, block, blockHash }.
+ */
+async function getBlockPoints(protocol, since) {
+  if (!queryApi) {
+    queryApi = getClient().getQueryApi(process.env.INFLUX_ORG);
+  }
+  const rows = await queryApi.collectRows(flux`from(bucket: ${process.env.INFLUX_BUCKET})
+    |> range(start: ${new Date(since * 1000)})
+    |> filter(fn: (r) => r._measurement == ${MEASUREMENT} and r.protocol == ${protocol})
+    |> filter(fn: (r) => r._field == "block" or r._field == "block_hash")
+    |> group()
+    |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")
+    |> sort(columns: ["_time"])`);
+  return rows.map((row) => ({
+    timestamp: Math.floor(new Date(row._time).getTime() / 1000),
+    block: Number(row.block),
+    blockHash: row.block_hash,
+  }));
+}
+
+/**
+ * @notice Deletes a protocol's points at the given timestamps through the InfluxDB delete API.
+ * @param {string} protocol - The protocol tag.
+ * @param {Array<number>} timestamps - Unix timestamps in seconds.
+ */
+async function deletePoints(protocol, timestamps) {
+  const url = new URL("/api/v2/delete", process.env.INFLUX_URL);
+  url.searchParams.set("org", process.env.INFLUX_ORG);
+  url.searchParams.set("bucket", process.env.INFLUX_BUCKET);
+  for (const timestamp of timestamps) {
+    const time = new Date(timestamp * 1000).toISOString();
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { Authorization: `Token ${process.env.INFLUX_TOKEN}`, "Content-Type": "application/json" },
+      body: JSON.stringify({
+        start: time,
+        stop: time,
+        predicate: `_measurement="${MEASUREMENT}" AND protocol="${protocol.replace(/"/g, '\\"')}"`,
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`InfluxDB delete returned HTTP ${response.status}: ${await response.text()}`);
+    }
+  }
+}
+
+/**
+ * @notice Adds the provenance, TVL and raw inputs of a sample to a point.
+ * @param {Point} point - The point to complete.
+ * @param {Object} sample - A normalized sample.
+ */
+function addDetails(point, sample) {
+  const { chain, address, source, block, blockHash, txHash } = sample.provenance || {};
+  if (chain) point.stringField("chain", chain);
+  if (address) point.stringField("address", address.toLowerCase());
+  if (source) point.stringField("source", source);
+  if (Number.isFinite(sample.tvl)) point.floatField("tvl", sample.tvl);
+  if (Number.isSafeInteger(block)) point.intField("block", block);
+  if (blockHash) point.stringField("block_hash", blockHash);
+  if (txHash) point.stringField("tx_hash", txHash);
+  for (const [field, value] of Object.entries(sample.rates || {})) {
+    if (Number.isFinite(value)) point.floatField(field, value);
+  }
+  for (const [name, value] of Object.entries(sample.inputs || {})) {
+    if (typeof value === "number" && Number.isFinite(value)) {
+      point.floatField(`input_${name}`, value);
+    } else if (value !== undefined && value !== null) {
+      point.stringField(`input_${name}`, String(value));
+    }
+  }
+  return point;
+}
+
+/**
+ * @notice Converts a normalized sample into an InfluxDB point.
+ * @param {Object} sample - { protocol, apy, weight, timestamp, tvl, inputs, provenance } with the
+ *                          timestamp in Unix seconds; tvl, inputs and provenance are optional.
+ */
+function toPoint(sample) {
+  const point = new Point(MEASUREMENT)
+    .tag("protocol", sample.protocol)
+    .floatField("apy", sample.apy)
+    .floatField("weight", sample.weight)
+    .timestamp(new Date(sample.timestamp * 1000));
+  return addDetails(point, sample);
+}
+
+/**
+ * @notice Converts a quarantined sample into a point of the quarantine measurement.
+ * @param {Object} entry - { sample, reason, detail, previousApy } as returned by validateSamples.
+ */
+function toQuarantinePoint({ sample, reason, detail, previousApy }) {
+  const point = new Point(QUARANTINE_MEASUREMENT)
+    .tag("protocol", sample.protocol)
+    .tag("reason", reason)
+    .stringField("detail", detail)
+    .timestamp(new Date(sample.timestamp * 1000));
+  // Line protocol cannot carry NaN/Infinity, the detail keeps the raw value
+  if (Number.isFinite(sample.apy)) point.floatField("apy", sample.apy);
+  if (Number.isFinite(sample.weight)) point.floatField("weight", sample.weight);
+  if (Number.isFinite(previousApy)) point.floatField("previous_apy", previousApy);
+  return addDetails(point, sample);
+}
+
+/**
+ * @notice Converts a composite index point into a point of the index measurement.
+ * @param {Object} point - { timestamp, apy, coverage, weights, basis, strategy } as computed by bentoIndex.js;
+ *                         every weight becomes a `weight_<protocol>` field.
+ */
+function toIndexPoint({ timestamp, apy, coverage, weights, basis, strategy }) {
+  const point = new Point(INDEX_MEASUREMENT)
+    .tag("basis", basis)
+    .tag("strategy", strategy)
+    .floatField("apy", apy)
+    .floatField("coverage", coverage)
+    .timestamp(new Date(timestamp * 1000));
+  for (const [protocol, weight] of Object.entries(weights)) {
+    point.floatField(`weight_${protocol}`, weight);
+  }
+  return point;
+}
+
+/**
+ * @notice Converts a stablecoin peg point into a point of the peg measurement.
+ * @param {Object} point - { asset, chain, timestamp, price, deviation, supply, chainlinkPrice, chainlinkUpdatedAt,
+ *                         curvePrice, block } as collected by peg.js; the price sources an asset lacks are left out.
+ */
+function toPegPoint({ asset, chain, timestamp, price, deviation, supply, chainlinkPrice, chainlinkUpdatedAt, curvePrice, block }) {
+  const point = new Point(PEG_MEASUREMENT)
+    .tag("asset", asset)
+    .tag("chain", chain)
+    .floatField("price", price)
+    .floatField("deviation", deviation)
+    .timestamp(new Date(timestamp * 1000));
+  if (Number.isFinite(supply)) point.floatField("supply", supply);
+  if (Number.isFinite(chainlinkPrice)) point.floatField("chainlink_price", chainlinkPrice);
+  if (Number.isSafeInteger(chainlinkUpdatedAt)) point.intField("chainlink_updated_at", chainlinkUpdatedAt);
+  if (Number.isFinite(curvePrice)) point.floatField("curve_price", curvePrice);
+  if (Number.isSafeInteger(block)) point.intField("block", block);
+  return point;
+}
+
+/**
+ * @notice Converts a resampled point into a point of the resampled measurement.
+ * @param {Object} point - { protocol, basis, timestamp, apy, tvl, age, filled } as computed by gaps.js; `apy`
+ *                         holds the `basis` value carried to the step, `age` the seconds since it was stored.
+ */
+function toResampledPoint({ protocol, basis, timestamp, apy, tvl, age, filled }) {
+  const point = new Point(RESAMPLED_MEASUREMENT)
+    .tag("protocol", protocol)
+    .tag("basis", basis)
+    .floatField("apy", apy)
+    .intField("age", age)
+    .booleanField("filled", filled)
+    .timestamp(new Date(timestamp * 1000));
+  if (Number.isFinite(tvl)) point.floatField("tvl", tvl);
+  return point;
+}
+
+/**
+ * @notice Converts the statistics of a series over a window into a point of the analytics measurement.
+ * @param {Object} point - { protocol, window, basis, timestamp, points, latest, mean, median, min, max, stdDev,
+ *                         percentiles, maxDrop, timeBelow, belowShare, correlation } as computed by analytics.js;
+ *                         every percentile becomes a field of its own and every correlation a `corr_<series>`
+ *                         field, left out when it could not be computed.
+ */
+function toAnalyticsPoint(point) {
+  const analyticsPoint = new Point(ANALYTICS_MEASUREMENT)
+    .tag("protocol", point.protocol)
+    .tag("window", point.window)
+    .tag("basis", point.basis)
+    .intField("points", point.points)
+    .floatField("latest", point.latest)
+    .floatField("mean", point.mean)
+    .floatField("median", point.median)
+    .floatField("min", point.min)
+    .floatField("max", point.max)
+    .floatField("std_dev", point.stdDev)
+    .floatField("max_drop", point.maxDrop)
+    .intField("time_below", point.timeBelow)
+    .floatField("below_share", point.belowShare)
+    .timestamp(new Date(point.timestamp * 1000));
+  for (const [key, value] of Object.entries(point.percentiles)) {
+    analyticsPoint.floatField(key, value);
+  }
+  for (const [series, correlation] of Object.entries(point.correlation || {})) {
+    if (Number.isFinite(correlation)) analyticsPoint.floatField(`corr_${series}`, correlation);
+  }
+  return analyticsPoint;
+}
+
+module.exports = {
+  getWriteApi,
+  getLastApyBefore,
+  getPendingJump,
+  getRatesBetween,
+  getBlockPoints,
+  deletePoints,
+  toPoint,
+  toQuarantinePoint,
+  toIndexPoint,
+  toPegPoint,
+  toResampledPoint,
+  toAnalyticsPoint,
+  MEASUREMENT,
+  QUARANTINE_MEASUREMENT,
+  INDEX_MEASUREMENT,
+  PEG_MEASUREMENT,
+  RESAMPLED_MEASUREMENT,
+  ANALYTICS_MEASUREMENT,
+};
@@ -0,0 +1,241 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { readJson, writeJsonAtomic } = require("./jsonFile");
+
+/**
+ * @notice Locks keeping a job from running on several collector instances at once.
+ * @dev A lock is a lease: the instance holding it renews it while the job runs (see jobs.js), and a lease that
+ *      was not renewed for `ttl` seconds, e.g. because its process died, may be taken over. A lock exposes:
+ *        acquire(name, owner, ttl) -> true when `owner` now holds the lease of job `name`
+ *        renew(name, owner, ttl)   -> true when `owner` still held the lease and extended it
+ *        release(name, owner)      -> drops the lease if `owner` holds it
+ *        close()                   -> releases connections
+ *      Backends:
+ *        - file:     one lock file per job in a directory shared by the instances (e.g. a mounted volume)
+ *        - sqlite:   a `job_locks` table in a SQLite database on a shared disk (requires better-sqlite3)
+ *        - postgres: a `job_locks` table in PostgreSQL (requires pg)
+ *      Expiry is compared with each instance's clock, so the instances' clocks should be synchronized.
+ */
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+
+const LOCK_TYPES = ["file", "sqlite", "postgres"];
+
+/**
+ * @notice Creates a lock keeping the lease files of every job in a directory.
+ * @dev A lease file is numbered: `<job>.<generation>.lock`, the highest generation holding the current lease.
+ *      Taking a free or expired lease creates the next generation with link(), which fails when the file exists,
+ *      so of two instances taking over the same lease only one creates it; one that decided on an outdated
+ *      listing finds a newer generation afterwards and backs off. Only the holder rewrites its lease file, on
+ *      renewal and on release, which leaves it expired so generations keep increasing; older ones are removed.
+ * @param {string} dir - The directory holding the lock files.
+ */
+function createFileLock(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileOf = (name, generation) => path.join(dir, `${encodeURIComponent(name)}.${generation}.lock`);
+  const now = () => Math.floor(Date.now() / 1000);
+
+  function lease(owner, ttl) {
+    return { owner, expiresAt: now() + ttl };
+  }
+
+  /**
+   * @notice The generations of the lease files of a job, newest first.
+   */
+  function generations(name) {
+    const prefix = `${encodeURIComponent(name)}.`;
+    return fs
+      .readdirSync(dir)
+      .filter((file) => file.startsWith(prefix))
+      .map((file) => /^(\d+)\.lock$/.exec(file.slice(prefix.length)))
+      .filter(Boolean)
+      .map((match) => Number(match[1]))
+      .sort((a, b) => b - a);
+  }
+
+  /**
+   * @notice The current lease of a job: { generation, holder }, generation -1 when it never had one.
+   */
+  function current(name) {
+    const [generation = -1] = generations(name);
+    return { generation, holder: generation < 0 ? undefined : readJson(fileOf(name, generation)) };
+  }
+
+  /**
+   * @notice Creates the lease file of a generation unless it exists.
+   * @return {boolean} Whether this call created it.
+   */
+  function create(name, generation, value) {
+    const tempFile = path.join(dir, `.${process.pid}.${crypto.randomBytes(6).toString("hex")}.tmp`);
+    fs.writeFileSync(tempFile, JSON.stringify(value));
+    try {
+      fs.linkSync(tempFile, fileOf(name, generation));
+      return true;
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+      return false;
+    } finally {
+      fs.rmSync(tempFile, { force: true });
+    }
+  }
+
+  return {
+    async acquire(name, owner, ttl) {
+      const { generation, holder } = current(name);
+      if (generation >= 0 && !holder) return false;
+      if (holder && holder.expiresAt > now()) {
+        if (holder.owner !== owner) return false;
+        writeJsonAtomic(fileOf(name, generation), lease(owner, ttl));
+        return true;
+      }
+
+      const next = generation + 1;
+      if (!create(name, next, lease(owner, ttl))) return false;
+      const [newest, ...older] = generations(name);
+      if (newest !== next) {
+        fs.rmSync(fileOf(name, next), { force: true });
+        return false;
+      }
+      for (const old of older) {
+        fs.rmSync(fileOf(name, old), { force: true });
+      }
+      return true;
+    },
+
+    async renew(name, owner, ttl) {
+      const { generation, holder } = current(name);
+      if (!holder || holder.owner !== owner) return false;
+      writeJsonAtomic(fileOf(name, generation), lease(owner, ttl));
+      return true;
+    },
+
+    async release(name, owner) {
+      const { generation, holder } = current(name);
+      if (holder && holder.owner === owner) {
+        writeJsonAtomic(fileOf(name, generation), { owner, expiresAt: 0 });
+      }
+    },
+
+    async close() {},
+  };
+}
+
+/**
+ * @notice Creates a lock backed by a SQLite database.
+ * @param {string} file - The SQLite database file.
+ */
+function createSqliteLock(file) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (error) {
+    throw new Error("The sqlite job lock requires the optional 'better-sqlite3' package to be installed.");
+  }
+
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  db.exec("CREATE TABLE IF NOT EXISTS job_locks (name TEXT PRIMARY KEY, owner TEXT NOT NULL, expires_at INTEGER NOT NULL)");
+  // Takes the lease when it is free, expired or already ours
+  const take = db.prepare(
+    "INSERT INTO job_locks (name, owner, expires_at) VALUES (?, ?, ?) " +
+      "ON CONFLICT(name) DO UPDATE SET owner = excluded.owner, expires_at = excluded.expires_at " +
+      "WHERE job_locks.expires_at <= ? OR job_locks.owner = excluded.owner"
+  );
+  const extend = db.prepare("UPDATE job_locks SET expires_at = ? WHERE name = ? AND owner = ?");
+  const drop = db.prepare("DELETE FROM job_locks WHERE name = ? AND owner = ?");
+  const now = () => Math.floor(Date.now() / 1000);
+
+  return {
+    async acquire(name, owner, ttl) {
+      return take.run(name, owner, now() + ttl, now()).changes === 1;
+    },
+    async renew(name, owner, ttl) {
+      return extend.run(now() + ttl, name, owner).changes === 1;
+    },
+    async release(name, owner) {
+      drop.run(name, owner);
+    },
+    async close() {
+      db.close();
+    },
+  };
+}
+
+/**
+ * @notice Creates a lock backed by a PostgreSQL table, created on first use.
+ * @param {Object} options - { url, table }.
+ */
+function createPostgresLock({ url, table = "job_locks" }) {
+  let Pool;
+  try {
+    ({ Pool } = require("pg"));
+  } catch (error) {
+    throw new Error("The postgres job lock requires the optional 'pg' package to be installed.");
+  }
+
+  const pool = new Pool({ connectionString: url });
+  let ready;
+
+  function ensureSchema() {
+    if (!ready) {
+      ready = pool
+        .query(`CREATE TABLE IF NOT EXISTS ${table} (name text PRIMARY KEY, owner text NOT NULL, expires_at timestamptz NOT NULL)`)
+        .catch((error) => {
+          ready = undefined;
+          throw error;
+        });
+    }
+    return ready;
+  }
+
+  return {
+    async acquire(name, owner, ttl) {
+      await ensureSchema();
+      const { rowCount } = await pool.query(
+        `INSERT INTO ${table} (name, owner, expires_at) VALUES ($1, $2, now() + make_interval(secs => $3))
+         ON CONFLICT (name) DO UPDATE SET owner = excluded.owner, expires_at = excluded.expires_at
+         WHERE ${table}.expires_at <= now() OR ${table}.owner = excluded.owner`,
+        [name, owner, ttl]
+      );
+      return rowCount === 1;
+    },
+    async renew(name, owner, ttl) {
+      await ensureSchema();
+      const { rowCount } = await pool.query(
+        `UPDATE ${table} SET expires_at = now() + make_interval(secs => $3) WHERE name = $1 AND owner = $2`,
+        [name, owner, ttl]
+      );
+      return rowCount === 1;
+    },
+    async release(name, owner) {
+      await ensureSchema();
+      await pool.query(`DELETE FROM ${table} WHERE name = $1 AND owner = $2`, [name, owner]);
+    },
+    async close() {
+      await pool.end();
+    },
+  };
+}
+
+/**
+ * @notice Creates the lock described by the `jobs.lock` section of the config file.
+ * @param {Object} [options] - { type, path, url, urlEnv, table }; without a type no lock is used.
+ * @return {Object|null} The lock, or null when jobs are only guarded within this process.
+ */
+function createJobLock(options = {}) {
+  if (!options.type) return null;
+  if (options.type === "file") {
+    return createFileLock(options.path || path.join(DATA_DIR, "locks"));
+  }
+  if (options.type === "sqlite") {
+    return createSqliteLock(options.path || path.join(DATA_DIR, "jobs.sqlite"));
+  }
+  if (options.type === "postgres") {
+    return createPostgresLock({ url: options.url || process.env[options.urlEnv || "DATABASE_URL"], table: options.table });
+  }
+  throw new Error(`Unknown job lock type '${options.type}'`);
+}
+
+module.exports = { createJobLock, createFileLock, createSqliteLock, createPostgresLock, LOCK_TYPES };
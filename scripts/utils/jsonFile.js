@@ -0,0 +1,49 @@
+const fs = require("fs");
+
+/**
+ * @notice Helpers for the JSON state files under scripts/data.
+ * @dev Writes are atomic: the content is fsync'ed to a temp file that is then renamed over the target,
+ *      so a crash leaves either the previous or the new file, never a truncated one.
+ */
+
+/**
+ * @notice Reads a JSON file, returning undefined when it does not exist.
+ * @dev Any other error (unreadable file, invalid JSON) is thrown.
+ * @param {string} file - The file to read.
+ */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return undefined;
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * @notice Writes a file atomically.
+ * @param {string} file - The destination file.
+ * @param {string} content - The content to write.
+ */
+function writeFileAtomic(file, content) {
+  const tempFile = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempFile, "w");
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempFile, file);
+}
+
+/**
+ * @notice Serializes a value and writes it atomically as JSON.
+ * @param {string} file - The destination file.
+ * @param {*} value - The value to serialize.
+ */
+function writeJsonAtomic(file, value) {
+  writeFileAtomic(file, JSON.stringify(value, null, 2));
+}
+
+module.exports = { readJson, writeFileAtomic, writeJsonAtomic };
@@ -0,0 +1,182 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const client = require("prom-client");
+const { withTimeout } = require("./time");
+
+/**
+ * @notice Prometheus metrics of the collector.
+ * @dev Everything is registered on a single registry served at GET /metrics. Per protocol, the runner records
+ *      the outcome, duration and point counts of every run and the cursor it stored. Outgoing RPC and
+ *      GraphQL requests are attributed to the protocol whose run issued them through an AsyncLocalStorage
+ *      context (runner.js wraps every run in withProtocol), so the shared provider needs no extra argument;
+ *      requests made outside a run (health checks, startup) are counted under protocol="none".
+ *      The lag behind the chain head is computed on scrape from the adapters' latest cursor.
+ */
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: "bento_" });
+
+const context = new AsyncLocalStorage();
+
+// Last run status per protocol, also used by the health checks
+const runStatus = new Map();
+
+const runsTotal = new client.Counter({
+  name: "bento_runs_total",
+  help: "Adapter runs by outcome.",
+  labelNames: ["protocol", "status"],
+  registers: [registry],
+});
+
+const runDuration = new client.Histogram({
+  name: "bento_run_duration_seconds",
+  help: "Duration of adapter runs.",
+  labelNames: ["protocol"],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800],
+  registers: [registry],
+});
+
+const lastSuccess = new client.Gauge({
+  name: "bento_run_last_success_timestamp_seconds",
+  help: "Unix time of the last successful run.",
+  labelNames: ["protocol"],
+  registers: [registry],
+});
+
+const pointsWritten = new client.Counter({
+  name: "bento_points_written_total",
+  help: "APY points written to InfluxDB.",
+  labelNames: ["protocol"],
+  registers: [registry],
+});
+
+const pointsQuarantined = new client.Counter({
+  name: "bento_points_quarantined_total",
+  help: "Samples rejected by validation and written to the quarantine measurement.",
+  labelNames: ["protocol"],
+  registers: [registry],
+});
+
+const pointsReorged = new client.Counter({
+  name: "bento_points_reorged_total",
+  help: "Written points whose block was reorganized, rewritten or deleted.",
+  labelNames: ["protocol"],
+  registers: [registry],
+});
+
+const requestsTotal = new client.Counter({
+  name: "bento_requests_total",
+  help: "Outgoing RPC and GraphQL requests (a JSON-RPC batch counts each request).",
+  labelNames: ["protocol", "kind"],
+  registers: [registry],
+});
+
+const requestErrors = new client.Counter({
+  name: "bento_request_errors_total",
+  help: "Failed outgoing RPC and GraphQL requests, including rate-limited and retried ones.",
+  labelNames: ["protocol", "kind"],
+  registers: [registry],
+});
+
+const cursorGauge = new client.Gauge({
+  name: "bento_cursor",
+  help: "Stored cursor: a block number or a Unix timestamp depending on `type`.",
+  labelNames: ["protocol", "type"],
+  registers: [registry],
+});
+
+let trackedAdapters = [];
+
+// Lag is computed on scrape, each adapter's latest cursor being bounded by this timeout
+const LAG_TIMEOUT_MS = 5000;
+
+new client.Gauge({
+  name: "bento_cursor_lag",
+  help: "Distance between the latest cursor and the stored one, in blocks or seconds depending on `type`.",
+  labelNames: ["protocol", "type"],
+  registers: [registry],
+  async collect() {
+    this.reset();
+    await Promise.all(
+      trackedAdapters.map(async (adapter) => {
+        const status = runStatus.get(adapter.name);
+        if (!status || status.cursor === undefined) return;
+        try {
+          const latest = await withTimeout(adapter.getLatestCursor(), LAG_TIMEOUT_MS);
+          this.set({ protocol: adapter.name, type: adapter.cursorType }, Math.max(0, latest - status.cursor));
+        } catch (error) {
+          // Leave the series out when the head cannot be read; request errors are counted separately
+        }
+      })
+    );
+  },
+});
+
+/**
+ * @notice Registers the adapters whose cursor lag is reported on scrape.
+ * @param {Array<Object>} adapters - Adapters created from the config file.
+ */
+function trackAdapters(adapters) {
+  trackedAdapters = adapters;
+}
+
+/**
+ * @notice Runs `fn` with requests attributed to `protocol`.
+ */
+function withProtocol(protocol, fn) {
+  return context.run({ protocol }, fn);
+}
+
+function currentProtocol() {
+  const store = context.getStore();
+  return store ? store.protocol : "none";
+}
+
+/**
+ * @notice Counts outgoing requests of the current protocol.
+ * @param {string} kind - "rpc" or "graphql".
+ * @param {number} [count] - Number of requests, e.g. the size of a JSON-RPC batch.
+ * @param {boolean} [failed] - Whether the requests failed.
+ */
+function countRequests(kind, count = 1, failed = false) {
+  const labels = { protocol: currentProtocol(), kind };
+  requestsTotal.inc(labels, count);
+  if (failed) requestErrors.inc(labels, count);
+}
+
+/**
+ * @notice Records the outcome of an adapter run.
+ * @param {Object} adapter - The adapter that ran.
+ * @param {Object} result - { ok, accepted, quarantined, cursor } as returned by runAdapter.
+ * @param {number} durationSeconds - The run duration.
+ */
+function recordRun(adapter, result, durationSeconds) {
+  const protocol = adapter.name;
+  const now = Math.floor(Date.now() / 1000);
+  const previous = runStatus.get(protocol) || {};
+  runsTotal.inc({ protocol, status: result.ok ? "success" : "error" });
+  runDuration.observe({ protocol }, durationSeconds);
+  if (result.ok) {
+    lastSuccess.set({ protocol }, now);
+    pointsWritten.inc({ protocol }, result.accepted);
+    pointsQuarantined.inc({ protocol }, result.quarantined);
+    if (result.reorged) pointsReorged.inc({ protocol }, result.reorged);
+  }
+  if (result.cursor !== undefined) {
+    cursorGauge.set({ protocol, type: adapter.cursorType }, result.cursor);
+  }
+  runStatus.set(protocol, {
+    lastRunAt: now,
+    lastSuccessAt: result.ok ? now : previous.lastSuccessAt,
+    cursor: result.cursor ?? previous.cursor,
+    error: result.ok ? undefined : result.error && result.error.message,
+  });
+}
+
+/**
+ * @notice Returns the last run status of a protocol: { lastRunAt, lastSuccessAt, cursor, error }, or undefined.
+ */
+function getRunStatus(protocol) {
+  return runStatus.get(protocol);
+}
+
+module.exports = { registry, trackAdapters, withProtocol, countRequests, recordRun, getRunStatus };
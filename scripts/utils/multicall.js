@@ -0,0 +1,140 @@
+const { ethers } = require("ethers");
+
+/**
+ * @notice Batched historical contract reads through Multicall3.
+ * @dev All calls for one block go out as a single `aggregate3` eth_call, and the block timestamp can be
+ *      read in the same call (Multicall3.getCurrentBlockTimestamp), which saves a getBlock per block.
+ *      Reads for many blocks are issued concurrently; the shared provider coalesces concurrent requests
+ *      into JSON-RPC batches, so a chunk of blocks costs a single HTTP round trip.
+ *      Multicall3 lives at the same address on every chain it is deployed on. Blocks before its
+ *      deployment on the provider's chain (`multicallBlock`, see chains.js) fall back to one eth_call per read.
+ */
+
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+// First mainnet block where Multicall3 is deployed, for providers not bound to a chain.
+const MULTICALL3_DEPLOY_BLOCK = 14353601;
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+  "function getCurrentBlockTimestamp() view returns (uint256 timestamp)",
+];
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+// How many blocks are read concurrently by readAtBlocks.
+const DEFAULT_CONCURRENCY = 50;
+
+/**
+ * @notice Describes a contract read to batch.
+ * @param {Object} contract - An ethers.Contract (only its address and interface are used).
+ * @param {string} method - The view function to call.
+ * @param {...*} args - The function arguments.
+ */
+function read(contract, method, ...args) {
+  return { target: contract.target, iface: contract.interface, method, args };
+}
+
+/**
+ * @notice A read returning the timestamp of the block the batch is executed at.
+ */
+const BLOCK_TIMESTAMP = {
+  target: MULTICALL3_ADDRESS,
+  iface: multicallInterface,
+  method: "getCurrentBlockTimestamp",
+  args: [],
+};
+
+/**
+ * @notice Decodes a call result, unwrapping single return values.
+ */
+function decode(call, data) {
+  const result = call.iface.decodeFunctionResult(call.method, data);
+  return result.length === 1 ? result[0] : result;
+}
+
+/**
+ * @notice Executes reads one by one, for blocks before Multicall3 was deployed.
+ */
+async function readIndividually(provider, calls, blockTag) {
+  return Promise.all(
+    calls.map(async (call) => {
+      try {
+        if (call === BLOCK_TIMESTAMP) {
+          const block = await provider.getBlock(blockTag);
+          return block ? BigInt(block.timestamp) : null;
+        }
+        const data = await provider.call({
+          to: call.target,
+          data: call.iface.encodeFunctionData(call.method, call.args),
+          blockTag,
+        });
+        return decode(call, data);
+      } catch (error) {
+        return null;
+      }
+    })
+  );
+}
+
+/**
+ * @notice Executes several reads at one block in a single eth_call.
+ * @param {Object} provider - An ethers.js provider.
+ * @param {Array<Object>} calls - Reads built with read() or BLOCK_TIMESTAMP.
+ * @param {number} blockTag - The block to read at.
+ * @return {Promise<Array>} One decoded value per call, or null for a call that reverted.
+ */
+async function readAtBlock(provider, calls, blockTag) {
+  const deployBlock = provider.chain ? provider.chain.multicallBlock : MULTICALL3_DEPLOY_BLOCK;
+  if (blockTag < deployBlock) {
+    return readIndividually(provider, calls, blockTag);
+  }
+
+  const data = await provider.call({
+    to: MULTICALL3_ADDRESS,
+    data: multicallInterface.encodeFunctionData("aggregate3", [
+      calls.map((call) => ({
+        target: call.target,
+        allowFailure: true,
+        callData: call.iface.encodeFunctionData(call.method, call.args),
+      })),
+    ]),
+    blockTag,
+  });
+  const [results] = multicallInterface.decodeFunctionResult("aggregate3", data);
+
+  return results.map(({ success, returnData }, i) => {
+    if (!success || returnData === "0x") return null;
+    try {
+      return decode(calls[i], returnData);
+    } catch (error) {
+      return null;
+    }
+  });
+}
+
+/**
+ * @notice Executes the same reads at many blocks, `concurrency` blocks at a time.
+ * @param {Object} provider - An ethers.js provider.
+ * @param {Array<Object>} calls - Reads built with read() or BLOCK_TIMESTAMP.
+ * @param {Array<number>} blockNumbers - The blocks to read at.
+ * @param {Object} [options] - { concurrency }.
+ * @return {Promise<Map<number, Array|null>>} Results per block; null when the whole batch failed.
+ */
+async function readAtBlocks(provider, calls, blockNumbers, { concurrency = DEFAULT_CONCURRENCY } = {}) {
+  const unique = [...new Set(blockNumbers)];
+  const results = new Map();
+
+  for (let i = 0; i < unique.length; i += concurrency) {
+    const chunk = unique.slice(i, i + concurrency);
+    const chunkResults = await Promise.all(
+      chunk.map((blockNumber) =>
+        readAtBlock(provider, calls, blockNumber).catch((error) => {
+          console.error(`Error reading contract state at block ${blockNumber}:`, error.message);
+          return null;
+        })
+      )
+    );
+    chunk.forEach((blockNumber, j) => results.set(blockNumber, chunkResults[j]));
+  }
+  return results;
+}
+
+module.exports = { read, readAtBlock, readAtBlocks, BLOCK_TIMESTAMP, MULTICALL3_ADDRESS };
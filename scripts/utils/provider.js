@@ -0,0 +1,280 @@
+require("dotenv").config();
+const { JsonRpcApiProvider, JsonRpcProvider, WebSocketProvider } = require("ethers");
+const { WebSocket } = require("ws");
+const { countRequests } = require("./metrics");
+const { getChain, getRpcUrls, DEFAULT_CHAIN } = require("./chains");
+const { withTimeout } = require("./time");
+
+/**
+ * @notice Shared, resilient providers for the on-chain adapters, one per chain.
+ * @dev Every adapter uses the provider returned by getProvider(instance.chain), so runs no longer open (and
+ *      leak) a socket each. The provider is an ethers JsonRpcApiProvider bound to the chain's ID (a URL serving
+ *      another chain is rejected) whose transport layer:
+ *   - accepts a list of RPC URLs, WebSocket and HTTP mixed (the chain's `rpcEnv` variables, see chains.js;
+ *     ALCHEMY_URL then RPC_URLS on Ethereum), and fails over to the next one when the active endpoint errors out;
+ *   - retries rate-limited (HTTP 429 / JSON-RPC -32005) and failed requests with exponential backoff, staying on
+ *     the endpoint when it is only rate limiting;
+ *   - times out requests stuck on a dead socket and reconnects by opening a fresh socket;
+ *   - goes back to the primary URL once PRIMARY_RETRY_MS has passed since the last failover;
+ *   - checks once per connection that the endpoint serves the provider's chain (eth_chainId), treating an
+ *     endpoint of another chain as failed.
+ *      Requests are plain reads, so retrying a whole JSON-RPC batch is safe.
+ *      closeProvider() closes the sockets of every chain so the process can shut down cleanly.
+ */
+
+const DEFAULT_OPTIONS = {
+  // Retries after the first attempt of a request
+  maxRetries: 5,
+  // Backoff delay of the first retry, doubled on every further retry
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  // A request still pending after this long is treated as a dead connection
+  requestTimeoutMs: 30000,
+};
+
+// How long to stay on a fallback URL before trying the primary again.
+const PRIMARY_RETRY_MS = 5 * 60 * 1000;
+
+// JSON-RPC error codes used by providers to signal rate limiting.
+const RATE_LIMIT_CODES = [429, -32005, -32029];
+const RATE_LIMIT_PATTERN = /rate limit|too many requests|exceeded .*capacity|compute units/i;
+
+/**
+ * @notice Returns whether a JSON-RPC error object signals rate limiting.
+ * @param {Object} error - The `error` member of a JSON-RPC response.
+ */
+function isRateLimitError(error) {
+  return RATE_LIMIT_CODES.includes(error.code) || RATE_LIMIT_PATTERN.test(error.message || "");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @notice Strips credentials (API keys in the path or query) from a URL for logging.
+ */
+function redactUrl(url) {
+  try {
+    const { protocol, host } = new URL(url);
+    return `${protocol}//${host}`;
+  } catch (error) {
+    return "<invalid url>";
+  }
+}
+
+/**
+ * @notice Creates a raw JSON-RPC transport for a single URL.
+ * @dev A transport exposes send(payloads) -> results, `healthy` and destroy(). WebSocket transports
+ *      send batches as individual pipelined requests since sockets do not support batches.
+ * @param {string} url - A ws(s):// or http(s):// RPC URL.
+ */
+function createTransport(url) {
+  const label = redactUrl(url);
+
+  if (/^wss?:/i.test(url)) {
+    const transport = { label, healthy: true };
+    const provider = new WebSocketProvider(() => {
+      const socket = new WebSocket(url);
+      // Without listeners, a failed connection would throw an unhandled 'error' event
+      socket.on("error", (error) => {
+        console.error(`WebSocket error on ${label}:`, error.message);
+        transport.healthy = false;
+      });
+      socket.on("close", () => {
+        transport.healthy = false;
+      });
+      return socket;
+    });
+    // The inner provider numbers its own requests from 1; remap ours to a separate range so ids never collide
+    let nextId = 2 ** 30;
+    transport.send = (payloads) =>
+      Promise.all(
+        payloads.map(async (payload) => {
+          const [result] = await provider._send({ ...payload, id: nextId++ });
+          return { ...result, id: payload.id };
+        })
+      );
+    transport.destroy = () => provider.destroy().catch(() => {});
+    return transport;
+  }
+
+  const provider = new JsonRpcProvider(url, undefined, { staticNetwork: true });
+  return {
+    label,
+    healthy: true,
+    send: (payloads) => provider._send(payloads),
+    destroy: async () => provider.destroy(),
+  };
+}
+
+/**
+ * @notice JSON-RPC provider with retries, reconnection and failover across several URLs.
+ */
+class ResilientProvider extends JsonRpcApiProvider {
+  #urls;
+  #options;
+  #transport = null;
+  #activeIndex = 0;
+  #failedOverAt = 0;
+
+  /**
+   * @param {Array<string>} urls - RPC URLs in order of preference; the first one is the primary.
+   * @param {Object} [options] - Overrides for DEFAULT_OPTIONS, plus an optional ethers `network` and the
+   *        `chain` definition (see chains.js) the provider serves.
+   */
+  constructor(urls, options = {}) {
+    if (!urls.length) {
+      throw new Error("No RPC URL configured: set ALCHEMY_URL or RPC_URLS.");
+    }
+    super(options.network);
+    this.chain = options.chain;
+    this.#urls = urls;
+    this.#options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * @notice Returns the transport of the active URL, reconnecting if it is unhealthy.
+   */
+  #getTransport() {
+    if (this.#activeIndex !== 0 && Date.now() - this.#failedOverAt > PRIMARY_RETRY_MS) {
+      console.log("Retrying the primary RPC URL.");
+      this.#switchTo(0);
+    }
+    if (this.#transport && !this.#transport.healthy) {
+      console.log(`Reconnecting to ${this.#transport.label}.`);
+      this.#transport.destroy();
+      this.#transport = null;
+    }
+    if (!this.#transport) {
+      this.#transport = createTransport(this.#urls[this.#activeIndex]);
+    }
+    return this.#transport;
+  }
+
+  #switchTo(index) {
+    if (this.#transport) {
+      this.#transport.destroy();
+      this.#transport = null;
+    }
+    this.#activeIndex = index;
+  }
+
+  /**
+   * @notice Moves to the next URL after a failure; with a single URL this only reconnects.
+   */
+  #failover() {
+    const next = (this.#activeIndex + 1) % this.#urls.length;
+    if (next !== this.#activeIndex) {
+      console.warn(`Failing over to RPC URL ${redactUrl(this.#urls[next])}.`);
+      this.#failedOverAt = Date.now();
+    }
+    this.#switchTo(next);
+  }
+
+  /**
+   * @notice Checks, once per connection, that the endpoint serves the provider's chain.
+   */
+  async #verifyChain(transport) {
+    if (!this.chain || transport.verified) return;
+    const [result] = await transport.send([{ jsonrpc: "2.0", id: 0, method: "eth_chainId", params: [] }]);
+    if (result.error) {
+      const error = new Error(`eth_chainId failed on ${transport.label}: ${result.error.message}`);
+      // Retried on the same endpoint, like any rate-limited request
+      error.rateLimited = isRateLimitError(result.error);
+      throw error;
+    }
+    if (Number(result.result) !== this.chain.chainId) {
+      throw new Error(`${transport.label} serves chain ${Number(result.result)}, expected ${this.chain.name} (${this.chain.chainId})`);
+    }
+    transport.verified = true;
+  }
+
+  /**
+   * @notice Sends a JSON-RPC payload (or batch), retrying with exponential backoff.
+   * @dev Called by ethers for every request; see JsonRpcApiProvider._send.
+   */
+  async _send(payload) {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    const { maxRetries, baseDelayMs, maxDelayMs, requestTimeoutMs } = this.#options;
+    let lastError;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      const transport = this.#getTransport();
+      try {
+        const results = await withTimeout(
+          this.#verifyChain(transport).then(() => transport.send(payloads)),
+          requestTimeoutMs,
+          `Request to ${transport.label}`
+        );
+        const failed = results.filter((result) => result.error).length;
+        countRequests("rpc", payloads.length - failed);
+        if (failed) countRequests("rpc", failed, true);
+        const limited = results.find((result) => result.error && isRateLimitError(result.error));
+        if (!limited) {
+          return results;
+        }
+        lastError = new Error(`Rate limited by ${transport.label}: ${limited.error.message}`);
+      } catch (error) {
+        countRequests("rpc", payloads.length, true);
+        lastError = error;
+        if (!error.rateLimited) this.#failover();
+      }
+
+      if (attempt < maxRetries) {
+        const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+        console.warn(`RPC request failed (attempt ${attempt + 1}/${maxRetries + 1}): ${lastError.message}. Retrying in ${Math.round(delay)}ms.`);
+        await sleep(delay);
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * @notice Closes the active connection and stops the provider.
+   */
+  destroy() {
+    this.#switchTo(this.#activeIndex);
+    super.destroy();
+  }
+}
+
+// Providers by chain name
+const providers = new Map();
+
+/**
+ * @notice Returns the shared provider of a chain, creating it on first use.
+ * @param {string} [chain] - The chain name (see chains.js); defaults to ethereum.
+ */
+function getProvider(chain = DEFAULT_CHAIN) {
+  if (!providers.has(chain)) {
+    const definition = getChain(chain);
+    const urls = getRpcUrls(chain);
+    if (!urls.length) {
+      throw new Error(`No RPC URL configured for ${chain}: set ${definition.rpcEnv.join(" or ")}.`);
+    }
+    providers.set(chain, new ResilientProvider(urls, { network: definition.chainId, chain: definition }));
+  }
+  return providers.get(chain);
+}
+
+/**
+ * @notice Replaces the shared provider of a chain, e.g. with a fake serving recorded responses in tests.
+ * @param {string} chain - The chain name.
+ * @param {Object} provider - An ethers provider; getProvider(chain) returns it from now on.
+ */
+function setProvider(chain, provider) {
+  providers.set(chain, provider);
+}
+
+/**
+ * @notice Destroys the shared providers, closing their sockets so the process can exit.
+ */
+async function closeProvider() {
+  for (const provider of providers.values()) {
+    provider.destroy();
+  }
+  providers.clear();
+}
+
+module.exports = { getProvider, setProvider, closeProvider, ResilientProvider, getRpcUrls };
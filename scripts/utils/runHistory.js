@@ -0,0 +1,212 @@
+const path = require("path");
+const { readJson, writeJsonAtomic } = require("./jsonFile");
+
+/**
+ * @notice Persisted history of job runs, served at GET /jobs (see jobs.js).
+ * @dev A run is { job, trigger, startedAt, endedAt, status, points, quarantined, cursor, error }, with Unix
+ *      timestamps in seconds and a status of success, error, timeout or skipped. A history exposes:
+ *        record(run)         -> resolves once the run is stored
+ *        list(job, limit)    -> the latest runs of a job, newest first
+ *        close()             -> releases connections
+ *      Only the `keep` latest runs of every job are kept. Backends:
+ *        - file:     a JSON map of runs per job, written atomically (the default)
+ *        - sqlite:   a `job_runs` table in a SQLite database (requires better-sqlite3)
+ *        - postgres: a `job_runs` table in PostgreSQL (requires pg), shared by every instance
+ */
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+
+const HISTORY_TYPES = ["file", "sqlite", "postgres"];
+
+// Runs kept per job when the config does not set `keep`.
+const DEFAULT_KEEP = 100;
+
+// Columns of the run tables, in insertion order.
+const COLUMNS = ["job", "triggered_by", "started_at", "ended_at", "status", "points", "quarantined", "cursor", "error"];
+
+/**
+ * @notice Returns the column values of a run, in COLUMNS order.
+ */
+function runValues(run) {
+  return [
+    run.job,
+    run.trigger,
+    run.startedAt,
+    run.endedAt,
+    run.status,
+    run.points ?? null,
+    run.quarantined ?? null,
+    run.cursor ?? null,
+    run.error ?? null,
+  ];
+}
+
+/**
+ * @notice Converts a table row back into a run.
+ */
+function toRun(row) {
+  return {
+    job: row.job,
+    trigger: row.triggered_by,
+    startedAt: Number(row.started_at),
+    endedAt: Number(row.ended_at),
+    status: row.status,
+    points: row.points === null ? undefined : Number(row.points),
+    quarantined: row.quarantined === null ? undefined : Number(row.quarantined),
+    cursor: row.cursor === null ? undefined : Number(row.cursor),
+    error: row.error === null ? undefined : row.error,
+  };
+}
+
+/**
+ * @notice Creates a run history kept in a JSON file.
+ * @param {string} file - The JSON file holding the runs of every job.
+ * @param {number} [keep] - Runs kept per job.
+ */
+function createFileRunHistory(file, keep = DEFAULT_KEEP) {
+  let runs;
+
+  function load() {
+    if (!runs) runs = readJson(file) || {};
+    return runs;
+  }
+
+  return {
+    async record(run) {
+      const all = load();
+      all[run.job] = [...(all[run.job] || []), run].slice(-keep);
+      writeJsonAtomic(file, all);
+    },
+    async list(job, limit = keep) {
+      return (load()[job] || []).slice(-limit).reverse();
+    },
+    async close() {},
+  };
+}
+
+/**
+ * @notice Creates a run history backed by a SQLite database.
+ * @param {string} file - The SQLite database file.
+ * @param {number} [keep] - Runs kept per job.
+ */
+function createSqliteRunHistory(file, keep = DEFAULT_KEEP) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (error) {
+    throw new Error("The sqlite run history requires the optional 'better-sqlite3' package to be installed.");
+  }
+
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  db.exec(`CREATE TABLE IF NOT EXISTS job_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job TEXT NOT NULL, triggered_by TEXT NOT NULL, started_at INTEGER NOT NULL, ended_at INTEGER NOT NULL,
+    status TEXT NOT NULL, points INTEGER, quarantined INTEGER, cursor INTEGER, error TEXT
+  )`);
+  db.exec("CREATE INDEX IF NOT EXISTS job_runs_job ON job_runs (job, id)");
+  const insert = db.prepare(`INSERT INTO job_runs (${COLUMNS.join(", ")}) VALUES (${COLUMNS.map(() => "?").join(", ")})`);
+  const prune = db.prepare(
+    "DELETE FROM job_runs WHERE job = ? AND id NOT IN (SELECT id FROM job_runs WHERE job = ? ORDER BY id DESC LIMIT ?)"
+  );
+  const select = db.prepare("SELECT * FROM job_runs WHERE job = ? ORDER BY id DESC LIMIT ?");
+
+  return {
+    async record(run) {
+      insert.run(...runValues(run));
+      prune.run(run.job, run.job, keep);
+    },
+    async list(job, limit = keep) {
+      return select.all(job, limit).map(toRun);
+    },
+    async close() {
+      db.close();
+    },
+  };
+}
+
+/**
+ * @notice Creates a run history backed by a PostgreSQL table, created on first use.
+ * @param {Object} options - { url, table, keep }.
+ */
+function createPostgresRunHistory({ url, table = "job_runs", keep = DEFAULT_KEEP }) {
+  let Pool;
+  try {
+    ({ Pool } = require("pg"));
+  } catch (error) {
+    throw new Error("The postgres run history requires the optional 'pg' package to be installed.");
+  }
+
+  const pool = new Pool({ connectionString: url });
+  let ready;
+
+  function ensureSchema() {
+    if (!ready) {
+      ready = (async () => {
+        await pool.query(`CREATE TABLE IF NOT EXISTS ${table} (
+          id bigserial PRIMARY KEY,
+          job text NOT NULL, triggered_by text NOT NULL, started_at bigint NOT NULL, ended_at bigint NOT NULL,
+          status text NOT NULL, points integer, quarantined integer, cursor bigint, error text
+        )`);
+        await pool.query(`CREATE INDEX IF NOT EXISTS ${table}_job ON ${table} (job, id)`);
+      })().catch((error) => {
+        ready = undefined;
+        throw error;
+      });
+    }
+    return ready;
+  }
+
+  return {
+    async record(run) {
+      await ensureSchema();
+      await pool.query(
+        `INSERT INTO ${table} (${COLUMNS.join(", ")}) VALUES (${COLUMNS.map((_, i) => `$${i + 1}`).join(", ")})`,
+        runValues(run)
+      );
+      await pool.query(
+        `DELETE FROM ${table} WHERE job = $1 AND id NOT IN (SELECT id FROM ${table} WHERE job = $1 ORDER BY id DESC LIMIT $2)`,
+        [run.job, keep]
+      );
+    },
+    async list(job, limit = keep) {
+      await ensureSchema();
+      const { rows } = await pool.query(`SELECT * FROM ${table} WHERE job = $1 ORDER BY id DESC LIMIT $2`, [job, limit]);
+      return rows.map(toRun);
+    },
+    async close() {
+      await pool.end();
+    },
+  };
+}
+
+/**
+ * @notice Creates the run history described by the `jobs.history` section of the config file.
+ * @param {Object} [options] - { type, path, url, urlEnv, table, keep }. Defaults to the JSON file history.
+ */
+function createRunHistory(options = {}) {
+  const type = options.type || "file";
+  if (type === "file") {
+    return createFileRunHistory(options.path || path.join(DATA_DIR, "job_history.json"), options.keep);
+  }
+  if (type === "sqlite") {
+    return createSqliteRunHistory(options.path || path.join(DATA_DIR, "jobs.sqlite"), options.keep);
+  }
+  if (type === "postgres") {
+    return createPostgresRunHistory({
+      url: options.url || process.env[options.urlEnv || "DATABASE_URL"],
+      table: options.table,
+      keep: options.keep,
+    });
+  }
+  throw new Error(`Unknown run history type '${type}'`);
+}
+
+module.exports = {
+  createRunHistory,
+  createFileRunHistory,
+  createSqliteRunHistory,
+  createPostgresRunHistory,
+  HISTORY_TYPES,
+};
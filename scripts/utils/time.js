@@ -0,0 +1,34 @@
+/**
+ * @notice Time helpers shared by the config validation, the jobs, the alert rules, the RPC provider and the
+ *         health and metrics checks.
+ */
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * @notice Parses a duration such as 30m, 12h or 2d into seconds; numbers are taken as seconds.
+ * @return {number|null} The duration in seconds, or null when it is not a valid duration.
+ */
+function parseDuration(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value > 0 ? value : null;
+  }
+  const match = /^([1-9]\d*)(s|m|h|d|w)$/.exec(value || "");
+  return match ? Number(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+/**
+ * @notice Rejects with a timeout error if the promise does not settle in time.
+ * @param {Promise} promise - The promise to wait for; it is not cancelled on timeout.
+ * @param {number} ms - The timeout in milliseconds.
+ * @param {string} [label] - What timed out, prefixed to the error message.
+ */
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label ? `${label} timed out` : "Timed out"} after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = { parseDuration, withTimeout };
@@ -0,0 +1,83 @@
+/**
+ * @notice Data-quality checks applied to computed samples before they are written.
+ * @dev Every sample is checked, in order, for:
+ *   - duplicate: an earlier sample of the batch has the same timestamp;
+ *   - not_finite: the APY or weight is NaN or ±Infinity;
+ *   - below_min / above_max: the APY is outside the protocol's sanity bounds;
+ *   - jump: the APY moved more than `maxJump` percentage points from the previous accepted value.
+ *      A rejected sample goes to quarantine with its reason instead of the main series. To let a genuine
+ *      rate change through, a jump is accepted once a second consecutive sample confirms the new level
+ *      (it is within `maxJump` of the previously quarantined jump). The quarantined jump may come from an
+ *      earlier run: live runs often carry a single sample, so the runner passes the latest quarantined jump
+ *      stored since the last accepted point as `pendingJump` (see runner.js).
+ *      Bounds come from the protocol's `validation` entry in the config file, merged over DEFAULT_BOUNDS.
+ */
+
+// Default bounds, in APY percentage points.
+const DEFAULT_BOUNDS = {
+  min: 0,
+  max: 100,
+  maxJump: 10,
+};
+
+/**
+ * @notice Splits samples into accepted and quarantined ones.
+ * @param {Array<Object>} samples - Time-ordered samples { protocol, apy, weight, timestamp }.
+ * @param {Object} [options] - { bounds, previousApy, pendingJump } where `previousApy` is the last accepted APY
+ *                             before the first sample and `pendingJump` the APY of a jump quarantined after it,
+ *                             if any.
+ * @return {Object} { accepted: [sample], quarantined: [{ sample, reason, detail }] }
+ */
+function validateSamples(samples, { bounds = {}, previousApy, pendingJump: storedJump } = {}) {
+  const { min, max, maxJump } = { ...DEFAULT_BOUNDS, ...bounds };
+  const accepted = [];
+  const quarantined = [];
+  let reference = Number.isFinite(previousApy) ? previousApy : undefined;
+  let pendingJump = reference !== undefined && Number.isFinite(storedJump) ? storedJump : undefined;
+  const seen = new Set();
+
+  for (const sample of [...samples].sort((a, b) => a.timestamp - b.timestamp)) {
+    const { apy, weight } = sample;
+    let reason;
+    let detail;
+
+    if (seen.has(sample.timestamp)) {
+      reason = "duplicate";
+      detail = `another sample at ${sample.timestamp}`;
+    } else if (!Number.isFinite(apy) || !Number.isFinite(weight)) {
+      reason = "not_finite";
+      detail = `apy=${apy}, weight=${weight}`;
+    } else if (apy < min) {
+      reason = "below_min";
+      detail = `${apy} < ${min}`;
+    } else if (apy > max) {
+      reason = "above_max";
+      detail = `${apy} > ${max}`;
+    } else if (reference !== undefined && Math.abs(apy - reference) > maxJump) {
+      const confirmed = pendingJump !== undefined && Math.abs(apy - pendingJump) <= maxJump;
+      if (!confirmed) {
+        reason = "jump";
+        detail = `${reference} -> ${apy} exceeds ${maxJump}pp`;
+      }
+    }
+
+    seen.add(sample.timestamp);
+    if (reason === "duplicate") {
+      // The first sample at the timestamp stands; a duplicate confirms or breaks nothing
+      quarantined.push({ sample, reason, detail, previousApy: reference });
+      console.warn(`Quarantined ${sample.protocol} sample at ${sample.timestamp} (${reason}: ${detail}).`);
+    } else if (reason) {
+      quarantined.push({ sample, reason, detail, previousApy: reference });
+      pendingJump = reason === "jump" ? apy : undefined;
+      console.warn(`Quarantined ${sample.protocol} sample at ${sample.timestamp} (${reason}: ${detail}).`);
+    } else {
+      accepted.push(sample);
+      reference = apy;
+      pendingJump = undefined;
+    }
+  }
+
+  return { accepted, quarantined };
+}
+
+module.exports = { validateSamples, DEFAULT_BOUNDS };
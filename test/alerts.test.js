@@ -0,0 +1,200 @@
+require("./helpers/setup");
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createAlertEngine } = require("../scripts/alerts");
+
+const NOW = 1726704000;
+const HOUR = 3600;
+
+/**
+ * @notice Starts a local HTTP endpoint recording the JSON bodies posted to it.
+ * @return {Promise<Object>} { url, received, status, close() }; `status` is the HTTP status answered.
+ */
+async function startHttpSink() {
+  const state = { received: [], status: 200 };
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      state.received.push({ path: req.url, body: JSON.parse(body) });
+      res.statusCode = state.status;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  state.url = `http://127.0.0.1:${server.address().port}`;
+  state.close = () => new Promise((resolve) => server.close(resolve));
+  return state;
+}
+
+/**
+ * @notice A source answering from in-memory rows; `series` holds the rows of every protocol, oldest first.
+ */
+function stubSource({ series = {}, peg = [] } = {}) {
+  return {
+    async querySeries({ protocol, from, to }) {
+      return (series[protocol] || []).filter((row) => new Date(row.time) >= from && new Date(row.time) <= to);
+    },
+    async queryLatest() {
+      return Object.values(series).map((rows) => rows[rows.length - 1]);
+    },
+    async queryLatestPeg() {
+      return peg;
+    },
+  };
+}
+
+/**
+ * @notice A row of `protocol` stored `hoursAgo` hours before NOW.
+ */
+function row(protocol, apy, hoursAgo, weight = 25) {
+  return { protocol, time: new Date((NOW - hoursAgo * HOUR) * 1000).toISOString(), apy, weight };
+}
+
+describe("alerts", () => {
+  let sink;
+
+  before(async () => {
+    sink = await startHttpSink();
+  });
+
+  after(() => sink.close());
+
+  beforeEach(() => {
+    sink.received.length = 0;
+    sink.status = 200;
+  });
+
+  it("evaluates every rule type against the stored series", async () => {
+    const engine = createAlertEngine({
+      rules: [
+        { name: "spark-move", type: "apy_change", protocol: "spark", threshold: 1, window: "24h" },
+        { name: "ethena-move", type: "apy_change", protocol: "ethena", threshold: 1, window: "24h" },
+        { name: "spark-stale", type: "stale", protocol: "spark", maxAge: "12h" },
+        { name: "ethena-stale", type: "stale", protocol: "ethena", maxAge: "12h" },
+        { name: "mountain-stale", type: "stale", protocol: "mountain", maxAge: "12h" },
+        { name: "ethena-failing", type: "consecutive_failures", protocol: "ethena", count: 2 },
+        { name: "usde-depeg", type: "depeg", asset: "USDe", threshold: 0.5 },
+        { name: "usds-depeg", type: "depeg", asset: "USDS", threshold: 0.5 },
+      ],
+      source: stubSource({
+        series: {
+          spark: [row("spark", 5, 20), row("spark", 6.5, 1)],
+          ethena: [row("ethena", 12, 30), row("ethena", 12.4, 16)],
+        },
+        peg: [
+          { asset: "USDe", price: 0.992, deviation: -0.8 },
+          { asset: "USDS", price: 0.999, deviation: -0.1 },
+        ],
+      }),
+      stateFile: null,
+    });
+    engine.recordRun("ethena", { ok: false, error: new Error("RPC unavailable") });
+    engine.recordRun("ethena", { ok: false, error: new Error("RPC unavailable") });
+
+    const alerts = await engine.evaluate(NOW);
+
+    assert.deepEqual(alerts.map(({ rule }) => rule), ["spark-move", "ethena-stale", "mountain-stale", "ethena-failing", "usde-depeg"]);
+    assert.equal(alerts[0].message, "spark APY changed by +1.50pp over 24h (5.00% -> 6.50%)");
+    assert.equal(alerts[1].value, 16 * HOUR);
+    assert.equal(alerts[2].message, "No mountain point stored");
+    assert.equal(alerts[3].message, "ethena fetch failed 2 time(s) in a row, last error: RPC unavailable");
+    assert.deepEqual({ value: alerts[4].value, threshold: alerts[4].threshold }, { value: -0.8, threshold: 0.5 });
+  });
+
+  it("evaluates index_below on the index computed by the configured strategy", async () => {
+    const asked = [];
+    const index = {
+      async latest(now) {
+        asked.push(now);
+        return { timestamp: now, apy: 3.5, coverage: 100, weights: { spark: 100 } };
+      },
+    };
+    const rules = [{ name: "index-low", type: "index_below", threshold: 4 }];
+
+    const [alert] = await createAlertEngine({ rules, source: stubSource(), index, stateFile: null }).evaluate(NOW);
+
+    assert.deepEqual(asked, [NOW]);
+    assert.deepEqual({ value: alert.value, message: alert.message }, { value: 3.5, message: "Composite index at 3.50% (threshold 4%)" });
+    // Without an index calculator the rule cannot be evaluated
+    assert.deepEqual(await createAlertEngine({ rules, source: stubSource(), stateFile: null }).evaluate(NOW), []);
+  });
+
+  it("notifies when a rule starts firing, after the cooldown while it fires and once when it resolves", async () => {
+    const engine = createAlertEngine({
+      rules: [{ name: "ethena-failing", type: "consecutive_failures", protocol: "ethena", count: 1, cooldown: "6h" }],
+      stateFile: null,
+    });
+    const statuses = async (now) => (await engine.evaluate(now)).map(({ status }) => status);
+
+    engine.recordRun("ethena", { ok: false });
+    assert.deepEqual(await statuses(NOW), ["firing"]);
+    assert.deepEqual(await statuses(NOW + HOUR), []);
+    assert.deepEqual(await statuses(NOW + 6 * HOUR), ["firing"]);
+    engine.recordRun("ethena", { ok: true });
+    assert.deepEqual(await statuses(NOW + 7 * HOUR), ["resolved"]);
+    assert.deepEqual(await statuses(NOW + 8 * HOUR), []);
+  });
+
+  it("posts the alert to webhook channels and a text message to Slack channels", async () => {
+    process.env.TEST_ALERT_URL = `${sink.url}/slack`;
+    const engine = createAlertEngine({
+      rules: [{ name: "ethena-failing", type: "consecutive_failures", protocol: "ethena", count: 1 }],
+      channels: [
+        { name: "pager", type: "webhook", url: `${sink.url}/alerts` },
+        { name: "ops", type: "slack", urlEnv: "TEST_ALERT_URL" },
+        { name: "unset", type: "slack", urlEnv: "TEST_ALERT_UNSET_URL" },
+      ],
+      stateFile: null,
+    });
+    engine.recordRun("ethena", { ok: false, error: new Error("RPC unavailable") });
+
+    await engine.evaluate(NOW);
+
+    const received = Object.fromEntries(sink.received.map(({ path: url, body }) => [url, body]));
+    assert.deepEqual(Object.keys(received).sort(), ["/alerts", "/slack"]);
+    assert.deepEqual(received["/alerts"], {
+      rule: "ethena-failing",
+      type: "consecutive_failures",
+      status: "firing",
+      protocol: "ethena",
+      message: "ethena fetch failed 1 time(s) in a row, last error: RPC unavailable",
+      value: 1,
+      threshold: 1,
+      timestamp: new Date(NOW * 1000).toISOString(),
+    });
+    assert.deepEqual(received["/slack"], {
+      text: "[FIRING] ethena-failing: ethena fetch failed 1 time(s) in a row, last error: RPC unavailable",
+    });
+  });
+
+  it("retries an alert no channel accepted and keeps the rule states across restarts", async () => {
+    const stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "bento-alerts-")), "alert_state.json");
+    const options = {
+      rules: [{ name: "ethena-failing", type: "consecutive_failures", protocol: "ethena", count: 1 }],
+      channels: [{ name: "pager", type: "webhook", url: sink.url }],
+      stateFile,
+    };
+    const engine = createAlertEngine(options);
+    engine.recordRun("ethena", { ok: false });
+
+    sink.status = 500;
+    assert.deepEqual(await engine.evaluate(NOW), []);
+    sink.status = 200;
+    assert.equal((await engine.evaluate(NOW + 60)).length, 1);
+    assert.equal(sink.received.length, 2);
+
+    // A restarted engine neither re-sends the open alert nor forgets the failure
+    const restarted = createAlertEngine(options);
+    assert.deepEqual(await restarted.evaluate(NOW + 120), []);
+    restarted.recordRun("ethena", { ok: true });
+    assert.deepEqual((await restarted.evaluate(NOW + 180)).map(({ status }) => status), ["resolved"]);
+    fs.rmSync(path.dirname(stateFile), { recursive: true, force: true });
+  });
+});
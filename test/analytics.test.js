@@ -0,0 +1,136 @@
+require("./helpers/setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemorySink } = require("./helpers/memory");
+const { createAnalyticsJob, seriesStats, statsCsv, correlationCsv } = require("../scripts/analytics");
+
+const START = 1726617600;
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+
+// Daily values of the stored series over 10 days
+const SERIES = {
+  spark: [5, 5.2, 5.4, 5.1, 5.5, 5.6, 5.3, 5.8, 6, 5.9],
+  // Moves with Spark: every daily change doubled
+  mountain: [4, 4.4, 4.8, 4.2, 5, 5.2, 4.6, 5.6, 6, 5.8],
+  // Moves against Spark
+  ethena: [12, 11.8, 11.6, 11.9, 11.5, 11.4, 11.7, 11.2, 11, 11.1],
+  "morpho-USDC": [7, 7, 7, 7, 7, 7, 7, 7, 7, 7],
+  // Not a configured protocol
+  legacy: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+};
+
+/**
+ * @notice A source answering queryPoints from SERIES, the points of day i stored at START + i days + 1 hour.
+ */
+function stubSource() {
+  const rows = [];
+  for (const [protocol, values] of Object.entries(SERIES)) {
+    values.forEach((apy, i) => rows.push({ protocol, time: new Date((START + i * DAY + HOUR) * 1000).toISOString(), apy, tvl: 1000000 }));
+  }
+  return {
+    async queryPoints({ from, to }) {
+      return rows.filter((row) => new Date(row.time) >= from && new Date(row.time) < to);
+    },
+  };
+}
+
+describe("analytics", () => {
+  it("summarizes the level, spread, drops and time below the threshold of a series", () => {
+    const points = [5, 6, 4, 3, 5, 7, 2].map((value, i) => ({ timestamp: START + i * DAY, value }));
+
+    const stats = seriesStats(points, { end: START + 7 * DAY, threshold: 4.5, percentiles: [25, 75], drops: 3 });
+
+    assert.equal(stats.points, 7);
+    assert.equal(stats.latest, 2);
+    assert.equal(stats.mean.toFixed(4), "4.5714");
+    assert.equal(stats.median, 5);
+    assert.equal(stats.min, 2);
+    assert.equal(stats.max, 7);
+    // Sample standard deviation
+    assert.equal(stats.stdDev.toFixed(4), "1.7182");
+    assert.deepEqual(stats.percentiles, { p25: 3.5, p75: 5.5 });
+    // From every peak to the lowest point before the value rose above it again, deepest first
+    assert.deepEqual(stats.drops, [
+      { from: START + 5 * DAY, to: START + 6 * DAY, peak: 7, trough: 2, drop: 5 },
+      { from: START + DAY, to: START + 3 * DAY, peak: 6, trough: 3, drop: 3 },
+    ]);
+    assert.equal(stats.maxDrop, 5);
+    // 4 and 3 hold for a day each, 2 until the end of the window
+    assert.equal(stats.timeBelow, 3 * DAY);
+    assert.equal(stats.belowShare.toFixed(2), "42.86");
+    assert.equal(seriesStats([], { end: START }), null);
+  });
+
+  it("computes every window and correlates the configured series on a daily grid", async () => {
+    const job = createAnalyticsJob({
+      analytics: { windows: ["2d", "all"], protocols: ["spark", "mountain", "ethena", "morpho"] },
+      source: stubSource(),
+    });
+
+    const report = await job.compute(START + 9 * DAY + 5 * HOUR);
+
+    assert.equal(report.timestamp, START + 9 * DAY);
+    const [recent, all] = report.windows;
+    assert.deepEqual({ window: recent.window, from: recent.from, to: recent.to }, { window: "2d", from: START + 7 * DAY, to: START + 9 * DAY });
+    assert.deepEqual(Object.keys(all.protocols).sort(), ["ethena", "morpho-USDC", "mountain", "spark"]);
+    // The point of day 9 is stored after the end of the report
+    assert.deepEqual(
+      { points: all.protocols.spark.points, latest: all.protocols.spark.latest, max: all.protocols.spark.max },
+      { points: 9, latest: 6, max: 6 }
+    );
+    // The points of days 7 and 8
+    assert.equal(recent.protocols.spark.points, 2);
+
+    assert.equal(all.correlation.spark.mountain.toFixed(4), "1.0000");
+    assert.equal(all.correlation.spark.ethena, -1);
+    assert.equal(all.correlation.spark.spark, 1);
+    // A flat series does not correlate
+    assert.equal(all.correlation.spark["morpho-USDC"], null);
+    // Fewer than 3 common steps in the window
+    assert.equal(recent.correlation.spark.mountain, null);
+  });
+
+  it("formats the report as CSV", async () => {
+    const job = createAnalyticsJob({ analytics: { windows: ["all"], percentiles: [50], protocols: ["spark", "ethena"] }, source: stubSource() });
+    const report = await job.compute(START + 10 * DAY);
+
+    assert.deepEqual(statsCsv(report).split("\n").slice(0, 2), [
+      "window,protocol,points,latest,mean,median,min,max,std_dev,p50,max_drop,time_below,below_share",
+      `all,ethena,10,11.1,${report.windows[0].protocols.ethena.mean},11.55,11,12,${report.windows[0].protocols.ethena.stdDev},11.55,${report.windows[0].protocols.ethena.maxDrop},0,0`,
+    ]);
+    assert.equal(correlationCsv(report).split("\n")[0], "window,protocol,ethena,spark");
+    assert.deepEqual(correlationCsv(report).split("\n").slice(1), ["all,ethena,1,-1", "all,spark,-1,1", ""]);
+  });
+
+  it("writes one point per window and series", async () => {
+    const sink = createMemorySink();
+    const job = createAnalyticsJob({ analytics: { windows: ["7d", "all"], protocols: ["spark", "mountain"] }, source: stubSource(), sink });
+
+    const result = await job.run(START + 10 * DAY);
+
+    assert.deepEqual(result, { ok: true, points: 4 });
+    assert.deepEqual(sink.analytics.map(({ window, protocol, timestamp }) => `${window}/${protocol}@${timestamp}`), [
+      `7d/mountain@${START + 10 * DAY}`,
+      `7d/spark@${START + 10 * DAY}`,
+      `all/mountain@${START + 10 * DAY}`,
+      `all/spark@${START + 10 * DAY}`,
+    ]);
+    // Every point carries its row of the correlation matrix
+    assert.deepEqual(Object.keys(sink.analytics[3].correlation), ["mountain"]);
+    assert.equal(sink.analytics[3].basis, "apy");
+  });
+
+  it("does not write once the job was aborted", async () => {
+    const sink = createMemorySink();
+    const job = createAnalyticsJob({ analytics: { windows: ["all"] }, source: stubSource(), sink });
+    const controller = new AbortController();
+    controller.abort(new Error("Job analytics timed out after 600s"));
+
+    const result = await job.run(START + 10 * DAY, { signal: controller.signal });
+
+    assert.equal(result.ok, false);
+    assert.equal(result.error.message, "Job analytics timed out after 600s");
+    assert.deepEqual(sink.analytics, []);
+  });
+});
@@ -0,0 +1,72 @@
+require("./helpers/setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createIndexJob } = require("../scripts/bentoIndex");
+
+const START = 1726617600;
+const HOUR = 3600;
+
+const PROTOCOLS = [
+  { name: "spark", adapter: "spark", enabled: true, weight: 50 },
+  // A curator instance, written as morpho-<vault symbol>
+  { name: "morpho", adapter: "morpho", enabled: true, weight: 50 },
+  // A cross-check reading a vault of the morpho instance again
+  { name: "morpho-USDC-onchain", adapter: "erc4626", enabled: true, weight: 0 },
+];
+
+/**
+ * @notice A source answering queryPoints from the given rows, recording the bases it was asked for.
+ */
+function stubSource(rows) {
+  const bases = [];
+  return {
+    bases,
+    async queryPoints({ from, to, basis }) {
+      bases.push(basis);
+      return rows.filter((row) => new Date(row.time) >= from && new Date(row.time) < to);
+    },
+  };
+}
+
+/**
+ * @notice A row of `protocol` stored `hours` hours after START.
+ */
+function row(protocol, hours, apy, tvl) {
+  return { protocol, time: new Date((START + hours * HOUR) * 1000).toISOString(), apy, tvl };
+}
+
+describe("bento index", () => {
+  it("weighs the vault series of a Morpho instance by TVL under the instance name", async () => {
+    const source = stubSource([
+      row("spark", 1, 6, 200),
+      row("morpho-USDC", 1, 8, 100),
+      row("morpho-USDT", 1, 10, 100),
+      row("morpho-USDC-onchain", 1, 20, 100),
+    ]);
+
+    const [point] = await createIndexJob({ index: { strategy: { type: "tvl" } }, protocols: PROTOCOLS, source }).compute(START, START + 8 * HOUR);
+
+    assert.equal(point.timestamp, START + 8 * HOUR);
+    // The weight-0 instance morpho-USDC-onchain is neither part of the morpho instance nor weighed by default
+    assert.deepEqual(point.weights, { spark: 50, "morpho-USDC": 25, "morpho-USDT": 25 });
+    assert.equal(point.apy, 7.5);
+
+    const restricted = createIndexJob({ index: { strategy: { type: "tvl", protocols: ["morpho"] } }, protocols: PROTOCOLS, source });
+    const [morpho] = await restricted.compute(START, START + 8 * HOUR);
+    assert.deepEqual(morpho.weights, { "morpho-USDC": 50, "morpho-USDT": 50 });
+  });
+
+  it("computes on another grid and basis on request, and off the grid at a given time", async () => {
+    const source = stubSource([row("spark", 1, 6), row("spark", 5, 7), row("morpho", 2, 8)]);
+    const job = createIndexJob({ index: { basis: "apy_7d" }, protocols: PROTOCOLS, source });
+
+    const points = await job.compute(START, START + 8 * HOUR, { basis: "apr", interval: 4 * HOUR });
+    assert.deepEqual(points.map(({ timestamp, apy }) => [timestamp - START, apy]), [[4 * HOUR, 7], [8 * HOUR, 7.5]]);
+    assert.deepEqual(points.map(({ basis, strategy }) => `${basis}/${strategy}`), ["apr/fixed", "apr/fixed"]);
+
+    const latest = await job.latest(START + 90 * 60);
+    assert.deepEqual({ timestamp: latest.timestamp, apy: latest.apy, coverage: latest.coverage }, { timestamp: START + 90 * 60, apy: 6, coverage: 50 });
+    assert.deepEqual(source.bases, ["apr", "apy_7d"]);
+    assert.equal(await job.latest(START), null);
+  });
+});
@@ -0,0 +1,70 @@
+require("./helpers/setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createBlockResolver } = require("../scripts/utils/blockResolver");
+
+const GENESIS = 1600000000;
+const HEAD = 1000000;
+
+/**
+ * @notice A provider over a chain of HEAD + 1 blocks, 12 seconds apart except for a 10 minute gap after block
+ *         500000; `calls` counts the getBlock calls.
+ */
+function fakeProvider() {
+  const timestampOf = (number) => GENESIS + number * 12 + (number > 500000 ? 600 : 0);
+  return {
+    calls: 0,
+    async getBlock(tag) {
+      this.calls++;
+      const number = tag === "latest" ? HEAD : tag;
+      return number <= HEAD ? { number, timestamp: timestampOf(number) } : null;
+    },
+  };
+}
+
+describe("block resolver", () => {
+  it("resolves the latest block at or before a timestamp, from the known headers once seen", async () => {
+    const provider = fakeProvider();
+    const resolver = createBlockResolver(provider, { cacheFile: null });
+
+    assert.equal(await resolver.resolve(GENESIS + 120000 * 12 + 5), 120000);
+    // Inside the gap, the block before it
+    assert.equal(await resolver.resolve(GENESIS + 500000 * 12 + 300), 500000);
+    assert.equal(await resolver.resolve(GENESIS + 500001 * 12 + 600), 500001);
+    assert.equal(await resolver.resolve(GENESIS - 1), 0);
+    assert.equal(await resolver.resolve(GENESIS + HEAD * 12 + 3600), HEAD);
+    assert.equal(resolver.rpcCalls, provider.calls);
+
+    // Bracketed by the headers of the first lookup, a neighbouring block takes a few calls
+    const calls = provider.calls;
+    assert.equal(await resolver.resolve(GENESIS + 120003 * 12), 120003);
+    assert.ok(provider.calls - calls <= 3, `${provider.calls - calls} calls`);
+    // A resolved timestamp needs none
+    assert.equal(await resolver.resolve(GENESIS + 120000 * 12 + 5), 120000);
+    assert.equal(provider.calls - calls, resolver.rpcCalls - calls);
+  });
+
+  it("batches the writes of the cache and keeps it bounded", async () => {
+    const cacheFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "bento-blocks-")), "block_cache.json");
+    const resolver = createBlockResolver(fakeProvider(), { cacheFile, maxEntries: 20, persistDelay: 60000 });
+
+    const targets = Array.from({ length: 30 }, (_, i) => GENESIS + (100000 + i * 1000) * 12);
+    for (const target of targets) await resolver.resolve(target);
+    assert.equal(fs.existsSync(cacheFile), false);
+
+    resolver.flush();
+    const cache = JSON.parse(fs.readFileSync(cacheFile, "utf8"));
+    assert.ok(Object.keys(cache.blocks).length <= 20, `${Object.keys(cache.blocks).length} headers`);
+    assert.deepEqual(Object.keys(cache.resolved).map(Number), targets.slice(10));
+
+    // A restarted resolver answers the persisted timestamps without RPC calls
+    const provider = fakeProvider();
+    const restarted = createBlockResolver(provider, { cacheFile });
+    assert.equal(await restarted.resolve(targets[29]), 129000);
+    assert.equal(provider.calls, 0);
+    fs.rmSync(path.dirname(cacheFile), { recursive: true, force: true });
+  });
+});
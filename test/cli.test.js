@@ -0,0 +1,162 @@
+require("./helpers/setup");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const adapters = require("../scripts/adapters");
+
+const START = 1726617600;
+const HOUR = 3600;
+
+/**
+ * @notice A timestamp-cursor adapter sampling every 8 hours in (from, to], 60% APY at `spikeAt`, recording the
+ *         ranges it was asked for.
+ */
+function stubAdapter(instance) {
+  return {
+    name: instance.name,
+    cursorKey: instance.name,
+    cursorType: "timestamp",
+    validation: { min: 0, max: 50, maxJump: 100 },
+    ranges: [],
+    async getLatestCursor() {
+      return START + 48 * HOUR;
+    },
+    async fetchRange(from, to) {
+      this.ranges.push([from, to]);
+      const samples = [];
+      for (let timestamp = (Math.floor(from / (8 * HOUR)) + 1) * 8 * HOUR; timestamp <= to; timestamp += 8 * HOUR) {
+        const apy = timestamp === instance.spikeAt ? 60 : 5;
+        samples.push({ protocol: instance.name, apy, weight: 25, timestamp, provenance: { chain: "ethereum", source: "rpc" } });
+      }
+      return { samples, cursor: to };
+    },
+  };
+}
+
+// backfill.js binds createAdapter when loaded: route the `stub` adapter type to stubAdapter, keeping the instances
+const stubs = [];
+const { createAdapter } = adapters;
+adapters.createAdapter = (instance) => {
+  if (instance.adapter !== "stub") return createAdapter(instance);
+  stubs.push(stubAdapter(instance));
+  return stubs[stubs.length - 1];
+};
+const { backfill } = require("../scripts/backfill");
+
+/**
+ * @notice Runs bin/bento.js with the given arguments and config file.
+ * @return {Object} { status, stdout, stderr }.
+ */
+function bento(args, config) {
+  return spawnSync(process.execPath, [path.join(__dirname, "..", "bin", "bento.js"), ...args], {
+    env: { ...process.env, BENTO_CONFIG: config },
+    encoding: "utf8",
+    timeout: 30000,
+  });
+}
+
+/**
+ * @notice Reads the NDJSON records of a file.
+ */
+function records(file) {
+  return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+}
+
+describe("command line", () => {
+  let dir;
+  let config;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bento-cli-"));
+    config = path.join(dir, "bento.json");
+    fs.writeFileSync(config, JSON.stringify({
+      protocols: [{
+        name: "spark",
+        adapter: "spark",
+        address: "0xa3931d71877C0E7a3148CB7Eb4463524FEc27fbD",
+        weight: 25,
+        schedule: "0 4,12,20 * * *",
+        startCursor: 1726628400,
+      }],
+    }));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("prints the usage and fails on an unknown command", () => {
+    for (const args of [[], ["reindex"]]) {
+      const { status, stdout, stderr } = bento(args, config);
+      assert.equal(status, 1);
+      assert.equal(stdout, "");
+      assert.match(stderr, /^Usage:\n {2}bento backfill --protocol <name> --from <date\|cursor>/);
+    }
+  });
+
+  it("rejects missing, unknown and malformed options before loading the config", () => {
+    const missing = path.join(dir, "missing.json");
+    const cases = [
+      [["backfill", "--from", "2024-09-18"], /^--protocol and --from are required\.\nUsage:/],
+      [["backfill", "--protocol", "spark", "--from", "2024-09-18", "--since", "1d"], /^Unknown option '--since'/],
+      [["index", "--from", "last week"], /^--from \(and --to\) must be dates or Unix timestamps\./],
+      [["analytics", "--window", "fortnight"], /^--window must be a duration such as 30d, or 'all'\./],
+      [["analytics", "--format", "xml"], /^--format must be json or csv\./],
+    ];
+    for (const [args, message] of cases) {
+      const { status, stderr } = bento(args, missing);
+      assert.equal(status, 1, args.join(" "));
+      assert.match(stderr, message);
+    }
+  });
+
+  it("fails on an unknown protocol or an empty backfill range", () => {
+    let result = bento(["backfill", "--protocol", "ethena", "--from", "2024-09-18"], config);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Unknown protocol 'ethena'\. Configured protocols: spark\n$/);
+
+    result = bento(["backfill", "--protocol", "spark", "--from", "2024-09-19", "--to", "2024-09-18"], config);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Empty range: --from \(1726704000\) must be before --to \(1726617600\)\.\n$/);
+
+    result = bento(["backfill", "--protocol", "spark", "--from", "soon"], config);
+    assert.match(result.stderr, /Invalid --from 'soon': expected a date, block number or Unix timestamp\.\n$/);
+  });
+
+  it("backfills a range into the sinks, quarantining out-of-bounds samples", async () => {
+    const file = path.join(dir, "backfill", "apy.ndjson");
+    const quarantinePath = path.join(dir, "backfill", "quarantine.ndjson");
+    const backfillConfig = {
+      protocols: [{ name: "stub", adapter: "stub", spikeAt: START + 16 * HOUR }],
+      sinks: [{ type: "file", path: file, quarantinePath }],
+    };
+
+    const samples = await backfill(backfillConfig, { protocol: "stub", from: "2024-09-18", to: String(START + 24 * HOUR) });
+
+    assert.deepEqual(stubs[0].ranges, [[START, START + 24 * HOUR]]);
+    assert.equal(samples.length, 3);
+    assert.deepEqual(records(file).map(({ timestamp, apy }) => [timestamp - START, apy]), [[8 * HOUR, 5], [24 * HOUR, 5]]);
+    assert.deepEqual(records(quarantinePath).map(({ timestamp, reason }) => [timestamp - START, reason]), [[16 * HOUR, "above_max"]]);
+
+    // Without --to the range ends at the adapter's latest cursor
+    await backfill(backfillConfig, { protocol: "stub", from: String(START + 24 * HOUR) });
+    assert.deepEqual(stubs[1].ranges, [[START + 24 * HOUR, START + 48 * HOUR]]);
+  });
+
+  it("prints a dry run as line protocol instead of writing it", async () => {
+    const file = path.join(dir, "dry-run", "apy.ndjson");
+    const lines = [];
+    const output = { write: (chunk) => lines.push(chunk) };
+
+    await backfill(
+      { protocols: [{ name: "stub", adapter: "stub", spikeAt: START + 8 * HOUR }], sinks: [{ type: "file", path: file }] },
+      { protocol: "stub", from: String(START), to: String(START + 16 * HOUR), dryRun: true, output }
+    );
+
+    assert.equal(lines.length, 2);
+    assert.match(lines[0], /^protocol_apy_data,protocol=stub apy=5,/);
+    assert.match(lines[1], /^protocol_apy_quarantine,protocol=stub,reason=above_max /);
+    assert.equal(fs.existsSync(file), false);
+  });
+});
@@ -0,0 +1,152 @@
+require("./helpers/setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { loadConfig, validateConfig, ConfigError } = require("../scripts/config");
+
+const ROOT_DIR = path.join(__dirname, "..");
+
+const SPARK = {
+  name: "spark",
+  adapter: "spark",
+  address: "0xa3931d71877C0E7a3148CB7Eb4463524FEc27fbD",
+  weight: 25,
+  schedule: "0 4,12,20 * * *",
+  startCursor: 1726628400,
+};
+const SDAI = {
+  name: "sdai",
+  adapter: "erc4626",
+  address: "0x83F20F44975D03b1b09e64809B757c47f942BEeA",
+  weight: 25,
+  schedule: "0 1 * * *",
+  startCursor: 1704067200,
+};
+
+/**
+ * @notice Returns the error messages of a config, or [] when it is valid.
+ */
+function errorsOf(raw) {
+  try {
+    validateConfig(raw, "bento.json");
+    return [];
+  } catch (error) {
+    return error.errors;
+  }
+}
+
+describe("config", () => {
+  it("loads the shipped config and fills in the defaults", () => {
+    const config = loadConfig(path.join(ROOT_DIR, "config", "bento.json"));
+    const byName = Object.fromEntries(config.protocols.map((protocol) => [protocol.name, protocol]));
+
+    assert.deepEqual(
+      { enabled: byName.ethena.enabled, chain: byName.ethena.chain, cursorKey: byName.ethena.cursorKey },
+      { enabled: true, chain: "ethereum", cursorKey: "ethena" }
+    );
+    assert.equal(byName["morpho-USDC"].cursorKey, "USDC");
+    assert.deepEqual({ enabled: byName["morpho-base-USDC"].enabled, chain: byName["morpho-base-USDC"].chain }, { enabled: false, chain: "base" });
+    // Relative paths are resolved from the project root
+    assert.equal(config.cursorStore.path, path.join(ROOT_DIR, "scripts", "data", "cursors.json"));
+  });
+
+  it("accepts a minimal config, leaving every optional section out", () => {
+    const config = validateConfig({ protocols: [SPARK] }, "bento.json");
+
+    assert.deepEqual(config.protocols, [{ ...SPARK, enabled: true, chain: "ethereum", cursorKey: "spark" }]);
+    for (const section of ["cursorStore", "alerts", "sinks", "jobs", "peg", "gaps"]) {
+      assert.equal(config[section], undefined, section);
+    }
+  });
+
+  it("reports every problem of a config in one ConfigError", () => {
+    assert.throws(() => validateConfig({ protocols: {} }, "bento.json"), {
+      name: "ConfigError",
+      message: "Invalid config bento.json:\n  - protocols: expected an array of protocol entries",
+    });
+    assert.throws(() => loadConfig(path.join(ROOT_DIR, "config", "missing.json")), (error) => {
+      assert.ok(error instanceof ConfigError);
+      assert.match(error.errors[0], /^ENOENT: no such file or directory/);
+      return true;
+    });
+
+    assert.deepEqual(
+      errorsOf({
+        protocols: [
+          "spark",
+          { name: " ", adapter: "aave", weight: -1, schedule: "daily", startCursor: 1.5 },
+          { ...SPARK, enabled: "yes", chain: "solana", tvlUnit: "", confirmations: -1, timeout: "soon", validation: { floor: 0, max: "50" } },
+        ],
+      }),
+      [
+        "protocols[0]: expected an object",
+        "protocols[1].name: expected a non-empty string",
+        "protocols[1].adapter: unknown adapter 'aave'",
+        "protocols[1].address: expected an Ethereum address",
+        "protocols[1].weight: expected a non-negative number",
+        "protocols[1].schedule: expected a valid cron expression",
+        "protocols[1].startCursor: expected a non-negative integer block number or Unix timestamp",
+        "protocols[2].enabled: expected true or false",
+        "protocols[2].chain: unknown chain 'solana', expected one of ethereum, base, arbitrum, optimism",
+        "protocols[2].tvlUnit: expected a non-empty string such as USD",
+        "protocols[2].confirmations: expected a non-negative integer or \"finalized\"",
+        "protocols[2].timeout: expected a duration such as 30m",
+        "protocols[2].validation.floor: unknown bound, expected min, max or maxJump",
+        "protocols[2].validation.max: expected a number",
+      ]
+    );
+  });
+
+  it("rejects duplicate names and cursor keys, and the names of the built-in jobs", () => {
+    assert.deepEqual(
+      errorsOf({
+        protocols: [SPARK, { ...SDAI, name: "spark" }, { ...SDAI, name: "index", cursorKey: "spark" }],
+      }),
+      [
+        "protocols[1].name: duplicate name 'spark'",
+        // The cursor key defaults to the name
+        "protocols[1].cursorKey: duplicate cursor key 'spark'",
+        "protocols[2].cursorKey: duplicate cursor key 'spark'",
+        "protocols[2].name: 'index' is reserved for the composite index job",
+      ]
+    );
+  });
+
+  it("validates the optional sections against the protocols they refer to", () => {
+    assert.deepEqual(
+      errorsOf({
+        protocols: [SPARK, SDAI],
+        chains: { polygon: { rpcEnv: "POLYGON_RPC_URLS" }, base: { blockTime: 0 } },
+        cursorStore: { type: "redis" },
+        alerts: { rules: [{ name: "ethena-stale", type: "stale", protocol: "ethena", maxAge: "12h" }] },
+        streaming: { enabled: true, protocols: ["sdai"] },
+        health: { staleAfter: "a day" },
+      }),
+      [
+        "chains.polygon.chainId: expected a positive integer",
+        "chains.base.blockTime: expected a positive number of seconds",
+        "cursorStore.type: expected one of file, sqlite, influx",
+        "alerts.rules[0].protocol: unknown protocol 'ethena'",
+        "streaming.protocols: the erc4626 adapter of 'sdai' does not support streaming",
+        "health.staleAfter: expected a duration such as 26h",
+      ]
+    );
+    // A configured chain can be used by the protocols
+    assert.deepEqual(errorsOf({ protocols: [{ ...SDAI, chain: "polygon" }], chains: { polygon: { chainId: 137 } } }), []);
+  });
+
+  it("weighs by TVL only protocols reporting it in one unit", () => {
+    const index = { strategy: { type: "tvl" } };
+
+    assert.deepEqual(errorsOf({ protocols: [SPARK, SDAI], index }), [
+      "index.strategy: the TVL unit of 'sdai' is unknown, set its tvlUnit to weigh it by TVL",
+    ]);
+    assert.deepEqual(errorsOf({ protocols: [SPARK, { ...SDAI, tvlUnit: "ETH" }], index }), [
+      "index.strategy: TVL weights cannot mix TVL units (USD: spark; ETH: sdai)",
+    ]);
+    assert.deepEqual(errorsOf({ protocols: [SPARK, { ...SDAI, tvlUnit: "USD" }], index }), []);
+    // A weight-0 cross-check is left out of the basket unless listed
+    assert.deepEqual(errorsOf({ protocols: [SPARK, { ...SDAI, weight: 0 }], index }), []);
+    assert.equal(errorsOf({ protocols: [SPARK, { ...SDAI, weight: 0 }], index: { strategy: { type: "tvl", protocols: ["spark", "sdai"] } } }).length, 1);
+  });
+});
@@ -0,0 +1,90 @@
+require("./helpers/setup");
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { readJson, writeJsonAtomic } = require("../scripts/utils/jsonFile");
+const { createFileCursorStore } = require("../scripts/utils/cursorStore");
+
+describe("state files", () => {
+  let dir;
+  const { renameSync, fsyncSync } = fs;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bento-state-"));
+  });
+
+  afterEach(() => {
+    fs.renameSync = renameSync;
+    fs.fsyncSync = fsyncSync;
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("reads a missing file as undefined and refuses a corrupted one", () => {
+    const file = path.join(dir, "corrupted.json");
+    fs.writeFileSync(file, '{"spark": 17266');
+
+    assert.equal(readJson(path.join(dir, "missing.json")), undefined);
+    assert.throws(() => readJson(file), { message: new RegExp(`^Cannot read ${file}: `) });
+  });
+
+  it("replaces a file only once the new content is synced, leaving the previous one on a crash", () => {
+    const file = path.join(dir, "cursors.json");
+    writeJsonAtomic(file, { spark: 1726628400 });
+    const calls = [];
+    fs.fsyncSync = (fd) => {
+      calls.push("fsync");
+      return fsyncSync(fd);
+    };
+    fs.renameSync = (from, to) => {
+      calls.push(`rename ${path.basename(from)}`);
+      throw Object.assign(new Error("ENOSPC: no space left on device"), { code: "ENOSPC" });
+    };
+
+    assert.throws(() => writeJsonAtomic(file, { spark: 1726657200 }), /ENOSPC/);
+    assert.deepEqual(calls, ["fsync", `rename cursors.json.${process.pid}.tmp`]);
+    assert.deepEqual(readJson(file), { spark: 1726628400 });
+
+    // The next write replaces the leftover temp file
+    fs.renameSync = renameSync;
+    writeJsonAtomic(file, { spark: 1726686000 });
+    assert.deepEqual(readJson(file), { spark: 1726686000 });
+    assert.deepEqual(fs.readdirSync(dir).filter((name) => name.startsWith("cursors")), ["cursors.json"]);
+  });
+
+  it("imports the legacy tracker files once, when the cursor file does not exist yet", async () => {
+    const legacyDir = path.join(dir, "legacy");
+    fs.mkdirSync(legacyDir);
+    fs.writeFileSync(path.join(legacyDir, "ethena_last_block.json"), JSON.stringify({ lastBlock: 20206857 }));
+    fs.writeFileSync(path.join(legacyDir, "last_timestamp.json"), JSON.stringify({ spark: 1726628400, USDC: 1706140800 }));
+    const file = path.join(legacyDir, "cursors.json");
+
+    const store = createFileCursorStore(file, legacyDir);
+
+    assert.equal(await store.get("ethena"), 20206857);
+    assert.deepEqual(readJson(file), { spark: 1726628400, USDC: 1706140800, ethena: 20206857 });
+    await store.set("spark", 1726657200);
+
+    // The legacy files are no longer read once the cursor file exists
+    fs.writeFileSync(path.join(legacyDir, "ethena_last_block.json"), JSON.stringify({ lastBlock: 1 }));
+    const reopened = createFileCursorStore(file, legacyDir);
+    assert.deepEqual(
+      [await reopened.get("ethena"), await reopened.get("spark"), await reopened.get("USDT")],
+      [20206857, 1726657200, undefined]
+    );
+  });
+
+  it("starts empty without legacy files, and never over a cursor file it cannot read", async () => {
+    const emptyDir = path.join(dir, "empty");
+    fs.mkdirSync(emptyDir);
+    const store = createFileCursorStore(path.join(emptyDir, "cursors.json"), emptyDir);
+
+    assert.equal(await store.get("ethena"), undefined);
+    assert.deepEqual(fs.readdirSync(emptyDir), []);
+
+    fs.writeFileSync(path.join(emptyDir, "broken.json"), "{");
+    await assert.rejects(createFileCursorStore(path.join(emptyDir, "broken.json"), emptyDir).get("ethena"), /^Error: Cannot read/);
+  });
+});
@@ -0,0 +1,78 @@
+require("./helpers/setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { useFixtureProvider } = require("./helpers/fixtureProvider");
+const erc4626 = require("../scripts/adapters/erc4626");
+
+// sUSDS read as a plain ERC-4626 vault, to cross-check the Spark adapter
+const INSTANCE = {
+  name: "susds-4626",
+  chain: "ethereum",
+  address: "0xa3931d71877C0E7a3148CB7Eb4463524FEc27fbD",
+  weight: 0,
+};
+const START = 1726617600;
+const DAY = 24 * 3600;
+
+describe("erc4626 adapter", () => {
+  it("derives realized APYs over every window from the share price on a daily grid", async () => {
+    useFixtureProvider("erc4626");
+    const { samples, cursor } = await erc4626.fetchRange(INSTANCE, START, START + 3 * DAY + 3600);
+
+    assert.equal(cursor, START + 3 * DAY);
+    assert.deepEqual(
+      samples.map(({ apy, timestamp, tvl, provenance }) => ({ apy, timestamp, tvl, block: provenance.block })),
+      [
+        { apy: 5.931665975055611, timestamp: START + DAY, tvl: 1503900000, block: 20785216 },
+        { apy: 5.000000000002136, timestamp: START + 2 * DAY, tvl: 1511100000, block: 20792416 },
+        { apy: 5.000000000002136, timestamp: START + 3 * DAY, tvl: 1518300000, block: 20799616 },
+      ]
+    );
+    // The vault is younger than 30 days, so that window is left out
+    assert.deepEqual(samples[0].inputs, {
+      sharePrice: "1018444739824798438",
+      totalAssets: "1503900000000000000000000000",
+      realized_apy_1d: 5.931665975055611,
+      realized_apy_7d: 6.4186231216454726,
+    });
+    assert.deepEqual(samples[0].rate, { value: 0.00015788654394205016, period: DAY });
+  });
+
+  it("matches the Spark adapter once the savings rate is 5%", async () => {
+    useFixtureProvider("erc4626");
+    const { samples } = await erc4626.fetchRange({ ...INSTANCE, interval: "8h", windows: ["8h"] }, START + DAY, START + 2 * DAY);
+
+    assert.deepEqual(samples.map(({ timestamp }) => timestamp), [START + DAY + 8 * 3600, START + DAY + 16 * 3600, START + 2 * DAY]);
+    samples.forEach((sample) => assert.equal(sample.apy.toFixed(6), "5.000000"));
+  });
+
+  it("skips grid points without a share price one window earlier and still advances", async () => {
+    useFixtureProvider("erc4626");
+    const { samples, cursor } = await erc4626.fetchRange({ ...INSTANCE, windows: ["30d"] }, START, START + DAY);
+
+    assert.deepEqual(samples, []);
+    assert.equal(cursor, START + DAY);
+  });
+
+  it("stops before the first grid point whose reads failed", async () => {
+    const provider = useFixtureProvider("erc4626");
+    provider.failCallsAt(20792416);
+    const { samples, cursor } = await erc4626.fetchRange(INSTANCE, START, START + 3 * DAY + 3600);
+
+    assert.deepEqual(samples.map(({ timestamp }) => timestamp), [START + DAY]);
+    assert.equal(cursor, START + DAY);
+
+    // A failed read one interval earlier holds the grid point back as well
+    provider.failCallsAt(20785216);
+    assert.deepEqual(await erc4626.fetchRange(INSTANCE, START + DAY, START + 3 * DAY + 3600), { samples: [], cursor: START + DAY });
+  });
+
+  it("validates the ERC-4626 keys of a protocol entry", () => {
+    assert.deepEqual(erc4626.validate({ address: INSTANCE.address, interval: "8h", windows: ["1d", "7d"] }), []);
+    assert.deepEqual(erc4626.validate({ address: "0x1234", interval: "daily", windows: [604800] }), [
+      "address: expected an Ethereum address",
+      "interval: expected a duration such as 1d",
+      "windows: expected a non-empty array of durations such as 7d",
+    ]);
+  });
+});
@@ -0,0 +1,64 @@
+require("./helpers/setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { useFixtureProvider } = require("./helpers/fixtureProvider");
+const ethena = require("../scripts/adapters/ethena");
+
+const INSTANCE = {
+  name: "ethena",
+  chain: "ethereum",
+  address: "0x9D39A5DE30e57443BfF2A8307A4256c8797A3497",
+  weight: 25,
+  confirmations: 12,
+};
+
+describe("ethena adapter", () => {
+  it("computes the APY of every rewards log at its block", async () => {
+    useFixtureProvider("ethena");
+    const { samples, cursor } = await ethena.fetchRange(INSTANCE, 20206857, 20214057);
+
+    assert.equal(cursor, 20214057);
+    assert.deepEqual(
+      samples.map(({ apy, timestamp, tvl }) => ({ apy, timestamp, tvl })),
+      [
+        { apy: 10.944782986776303, timestamp: 1719765407, tvl: 3001430000 },
+        { apy: 10.134096640808083, timestamp: 1719794207, tvl: 3025430000 },
+        { apy: 11.13158852638034, timestamp: 1719823007, tvl: 3049430000 },
+      ]
+    );
+    assert.deepEqual(samples[0].inputs, { rewardsAmount: "300000000000000000000000", totalAssets: "3001430000000000000000000000" });
+    assert.deepEqual(samples[0].rate, { value: 0.00009995235604361921, period: 8 * 3600 });
+    assert.equal(samples[0].provenance.block, 20207000);
+    assert.equal(samples[0].provenance.chain, "ethereum");
+  });
+
+  it("stops before the block of a log whose state could not be read", async () => {
+    const provider = useFixtureProvider("ethena");
+    provider.failCallsAt(20209400);
+    const { samples, cursor } = await ethena.fetchRange(INSTANCE, 20206857, 20214057);
+
+    assert.deepEqual(samples.map(({ provenance }) => provenance.block), [20207000]);
+    assert.equal(cursor, 20209399);
+  });
+
+  it("returns the range end as cursor when no rewards were distributed", async () => {
+    useFixtureProvider("ethena");
+    const { samples, cursor } = await ethena.fetchRange(INSTANCE, 20214057, 20216457);
+
+    assert.deepEqual(samples, []);
+    assert.equal(cursor, 20216457);
+  });
+
+  it("returns the latest block below the confirmation depth", async () => {
+    useFixtureProvider("ethena");
+    assert.equal(await ethena.getLatestCursor(INSTANCE), 20999988);
+  });
+
+  it("matches the README example: 500 USDe distributed over 2,000,000 USDe", async () => {
+    useFixtureProvider("ethena-readme");
+    const { samples } = await ethena.fetchRange(INSTANCE, 19000000, 19000200);
+
+    assert.equal(samples.length, 1);
+    assert.equal(samples[0].apy, 27.375);
+  });
+});
@@ -0,0 +1,201 @@
+require("./helpers/setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemorySink } = require("./helpers/memory");
+const { createGapJob, detectGaps, resample } = require("../scripts/gaps");
+const { createJobRunner } = require("../scripts/jobs");
+
+const START = 1726617600;
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+const NOW = START + 10 * DAY;
+
+// Spark's 8-hour points, two of them missing from the stored series
+const REPAIRABLE = START + 3 * DAY + 8 * HOUR;
+const EMPTY = START + 6 * DAY;
+
+/**
+ * @notice A Spark-like sample: 8-hourly, 5% APY with a small drift.
+ */
+function sparkSample(timestamp) {
+  return { protocol: "spark", apy: 5 + (timestamp - START) / (100 * DAY), weight: 25, timestamp, tvl: 1500000000 };
+}
+
+/**
+ * @notice A timestamp-cursor adapter serving Spark samples, without any at `EMPTY` (an empty ssr()).
+ */
+function sparkAdapter() {
+  const adapter = {
+    name: "spark",
+    cursorType: "timestamp",
+    validation: { min: 0, max: 50, maxJump: 10 },
+    ranges: [],
+    async fetchRange(from, to) {
+      adapter.ranges.push([from, to]);
+      const samples = [];
+      for (let timestamp = (Math.floor(from / (8 * HOUR)) + 1) * 8 * HOUR; timestamp <= to; timestamp += 8 * HOUR) {
+        if (timestamp !== EMPTY) samples.push(sparkSample(timestamp));
+      }
+      return { samples, cursor: to };
+    },
+  };
+  return adapter;
+}
+
+/**
+ * @notice Returns a sink holding the stored series: Spark with two holes and a complete daily Mountain series.
+ */
+async function storedSeries() {
+  const sink = createMemorySink();
+  const accepted = [];
+  for (let timestamp = START; timestamp <= NOW; timestamp += 8 * HOUR) {
+    if (timestamp !== REPAIRABLE && timestamp !== EMPTY) accepted.push(sparkSample(timestamp));
+  }
+  for (let timestamp = START; timestamp <= NOW; timestamp += DAY) {
+    accepted.push({ protocol: "mountain", apy: 5, weight: 25, timestamp, tvl: 36500000 });
+  }
+  await sink.write({ accepted, quarantined: [] });
+  return sink;
+}
+
+/**
+ * @notice A source answering queryPoints from a memory sink, like InfluxDB would.
+ */
+function sourceOf(sink) {
+  return {
+    async queryPoints({ from, to }) {
+      return sink.points
+        .filter((sample) => sample.timestamp * 1000 >= from.getTime() && sample.timestamp * 1000 < to.getTime())
+        .map(({ protocol, timestamp, apy, tvl }) => ({ protocol, time: new Date(timestamp * 1000).toISOString(), apy, tvl }));
+    },
+  };
+}
+
+describe("gaps", () => {
+  it("finds spacings over the tolerance times the median spacing, or over an explicit maxGap", () => {
+    const timestamps = [0, 8, 16, 32, 40, 72].map((hours) => START + hours * HOUR);
+
+    assert.deepEqual(detectGaps(timestamps), [
+      { from: START + 16 * HOUR, to: START + 32 * HOUR },
+      { from: START + 40 * HOUR, to: START + 72 * HOUR },
+    ]);
+    assert.deepEqual(detectGaps(timestamps, { maxGap: DAY }), [{ from: START + 40 * HOUR, to: START + 72 * HOUR }]);
+    // Two points tell nothing about the grid
+    assert.deepEqual(detectGaps([START, START + 5 * DAY]), []);
+  });
+
+  it("forward-fills a series on the grid, up to maxAge", () => {
+    const points = [
+      { timestamp: START + HOUR, value: 5, tvl: 100 },
+      { timestamp: START + 9 * HOUR, value: 6, tvl: 110 },
+    ];
+    const steps = [0, 8, 16, 24, 32].map((hours) => START + hours * HOUR);
+
+    assert.deepEqual(resample(points, steps, 16 * HOUR), [
+      { timestamp: START + 8 * HOUR, value: 5, tvl: 100, age: 7 * HOUR },
+      { timestamp: START + 16 * HOUR, value: 6, tvl: 110, age: 7 * HOUR },
+      { timestamp: START + 24 * HOUR, value: 6, tvl: 110, age: 15 * HOUR },
+    ]);
+  });
+
+  it("re-runs the fetcher over the gaps, remembers the empty ones and writes the resampled series", async () => {
+    const sink = await storedSeries();
+    const adapter = sparkAdapter();
+    const job = createGapJob({ gaps: { lookback: "10d" }, adapters: [adapter, { name: "mountain" }], source: sourceOf(sink), sink, stateFile: null });
+
+    const result = await job.run(NOW);
+
+    assert.deepEqual(result, { ok: true, points: 60, gaps: 2, repaired: 1 });
+    assert.deepEqual(adapter.ranges, [
+      [REPAIRABLE - 8 * HOUR, REPAIRABLE + 8 * HOUR - 1],
+      [EMPTY - 8 * HOUR, EMPTY + 8 * HOUR - 1],
+    ]);
+    assert.equal(sink.points.find((sample) => sample.protocol === "spark" && sample.timestamp === REPAIRABLE).apy, sparkSample(REPAIRABLE).apy);
+
+    // The hole left by the empty interval is forward-filled, Mountain is carried between its daily points
+    const at = (protocol, timestamp) => sink.resampled.find((point) => point.protocol === protocol && point.timestamp === timestamp);
+    assert.deepEqual(at("spark", EMPTY), {
+      protocol: "spark",
+      basis: "apy",
+      timestamp: EMPTY,
+      apy: sparkSample(EMPTY - 8 * HOUR).apy,
+      tvl: 1500000000,
+      age: 8 * HOUR,
+      filled: true,
+    });
+    assert.equal(at("spark", REPAIRABLE).filled, false);
+    assert.deepEqual(
+      [0, 8, 16].map((hours) => at("mountain", START + 5 * DAY + hours * HOUR).age),
+      [0, 8 * HOUR, 16 * HOUR]
+    );
+
+    // The empty gap is not fetched again
+    assert.deepEqual(await job.run(NOW), { ok: true, points: 60, gaps: 1, repaired: 0 });
+    assert.equal(adapter.ranges.length, 2);
+  });
+
+  it("retries the gaps whose reads failed or whose samples were all quarantined", async () => {
+    const sink = await storedSeries();
+    const adapter = sparkAdapter();
+    const fetchRange = adapter.fetchRange;
+    let failing = true;
+    adapter.fetchRange = async (from, to) => {
+      const { samples, cursor } = await fetchRange(from, to);
+      if (!failing) return { samples, cursor };
+      // At first the empty gap stops before its range, like an adapter after a failed read, and the samples of
+      // the other one are out of bounds
+      if (from === EMPTY - 8 * HOUR) return { samples: [], cursor: from };
+      return { samples: samples.map((sample) => ({ ...sample, apy: 60 })), cursor };
+    };
+    const job = createGapJob({ gaps: { lookback: "10d" }, adapters: [adapter, { name: "mountain" }], source: sourceOf(sink), sink, stateFile: null });
+
+    assert.deepEqual(await job.run(NOW), { ok: true, points: 60, gaps: 2, repaired: 0 });
+    failing = false;
+    assert.deepEqual(await job.run(NOW), { ok: true, points: 60, gaps: 2, repaired: 1 });
+    assert.equal(adapter.ranges.length, 4);
+    // Only the gap read in full without a sample is remembered
+    assert.deepEqual(await job.run(NOW), { ok: true, points: 60, gaps: 1, repaired: 0 });
+    assert.equal(adapter.ranges.length, 4);
+  });
+
+  it("repairs a gap as a run of the protocol's job, after the fetch in progress", async () => {
+    const sink = await storedSeries();
+    const adapter = sparkAdapter();
+    const recorded = [];
+    const jobs = createJobRunner({ history: { record: async (run) => recorded.push(run), close: async () => {} } });
+    let release;
+    let fetching = false;
+    jobs.register({
+      name: "spark",
+      run: async () => {
+        fetching = true;
+        await new Promise((resolve) => {
+          release = resolve;
+        });
+        fetching = false;
+        return { ok: true };
+      },
+    });
+    const fetch = jobs.run("spark", { trigger: "schedule" });
+    const repairedWhileFetching = [];
+    const fetchRange = adapter.fetchRange;
+    adapter.fetchRange = (from, to) => {
+      repairedWhileFetching.push(fetching);
+      return fetchRange(from, to);
+    };
+    const job = createGapJob({ gaps: { lookback: "10d" }, adapters: [adapter, { name: "mountain" }], source: sourceOf(sink), sink, jobs, stateFile: null });
+
+    const result = job.run(NOW);
+    setTimeout(() => release(), 20);
+
+    assert.deepEqual(await result, { ok: true, points: 60, gaps: 2, repaired: 1 });
+    await fetch;
+    assert.deepEqual(repairedWhileFetching, [false, false]);
+    assert.deepEqual(recorded.map(({ trigger, status, points }) => `${trigger}:${status}:${points}`), [
+      "schedule:success:undefined",
+      "gaps:success:1",
+      "gaps:success:0",
+    ]);
+    await jobs.stop();
+  });
+});
@@ -0,0 +1,129 @@
+require("./helpers/setup");
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { setProvider } = require("../scripts/utils/provider");
+const { recordRun } = require("../scripts/utils/metrics");
+const { createHealthChecks } = require("../scripts/health");
+const { createApp } = require("../api/server");
+
+const HEAD = 20000000;
+
+/**
+ * @notice A source whose ping() succeeds unless `failing` is set, counting the pings.
+ */
+function stubSource() {
+  return {
+    pings: 0,
+    failing: false,
+    async ping() {
+      this.pings++;
+      if (this.failing) throw new Error("InfluxDB health returned HTTP 503");
+    },
+  };
+}
+
+/**
+ * @notice A chain provider answering eth_blockNumber with HEAD, or never when `hang` is set.
+ */
+function stubProvider() {
+  return {
+    calls: 0,
+    hang: false,
+    getBlockNumber() {
+      this.calls++;
+      return this.hang ? new Promise(() => {}) : Promise.resolve(HEAD);
+    },
+  };
+}
+
+describe("health checks", () => {
+  let provider;
+
+  before(() => {
+    provider = stubProvider();
+    setProvider("ethereum", provider);
+  });
+
+  it("flips /healthz to 503 once a fetcher has not succeeded for staleAfter", async (t) => {
+    const adapter = { name: "health-spark", chain: "ethereum", cursorType: "timestamp" };
+    const health = createHealthChecks({ source: stubSource(), adapters: [adapter], staleAfter: "1h" });
+    const server = createApp(null, { health }).listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+    const get = async (path) => {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+      return { status: response.status, body: await response.json() };
+    };
+
+    // A fetcher that never ran is measured from the start
+    let { status, body } = await get("/healthz");
+    assert.equal(status, 200);
+    assert.deepEqual(body.fetchers["health-spark"], { ok: true, lastSuccessAt: null });
+    assert.deepEqual(body.checks.rpc, { ok: true, blockNumbers: { ethereum: HEAD } });
+
+    recordRun(adapter, { ok: true, accepted: 1, quarantined: 0, cursor: 1726617600 }, 1);
+    const succeededAt = Date.now();
+    recordRun(adapter, { ok: false, error: new Error("missing trie node") }, 1);
+    const now = Date.now;
+    t.mock.method(Date, "now", () => now() + 3601 * 1000);
+
+    ({ status, body } = await get("/healthz"));
+    assert.equal(status, 503);
+    assert.equal(body.ok, false);
+    assert.equal(body.fetchers["health-spark"].ok, false);
+    assert.equal(body.fetchers["health-spark"].error, "missing trie node");
+    assert.ok(Math.abs(Date.parse(body.fetchers["health-spark"].lastSuccessAt) - succeededAt) < 2000);
+    // Staleness does not affect readiness
+    assert.equal((await get("/readyz")).status, 200);
+  });
+
+  it("marks readiness false when a dependency check fails or times out", async (t) => {
+    const source = stubSource();
+    source.failing = true;
+    const health = createHealthChecks({ source, adapters: [{ name: "ready-spark", chain: "ethereum" }] });
+
+    assert.deepEqual(await health.readiness(), {
+      ok: false,
+      checks: {
+        influxdb: { ok: false, error: "InfluxDB health returned HTTP 503" },
+        rpc: { ok: true, blockNumbers: { ethereum: HEAD } },
+      },
+    });
+
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: Date.now() });
+    provider.hang = true;
+    t.after(() => {
+      provider.hang = false;
+    });
+    source.failing = false;
+    const hanging = createHealthChecks({ source, adapters: [{ name: "ready-spark", chain: "ethereum" }] });
+    const result = hanging.readiness();
+    // Let the ping settle before the clock reaches the timeout
+    await new Promise((resolve) => setImmediate(resolve));
+    t.mock.timers.tick(5000);
+
+    assert.deepEqual(await result, {
+      ok: false,
+      checks: { influxdb: { ok: true }, rpc: { ok: false, error: "Timed out after 5000ms" } },
+    });
+  });
+
+  it("reuses the dependency checks for CHECK_CACHE_MS, and skips InfluxDB without a source", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+    const source = stubSource();
+    const health = createHealthChecks({ source, adapters: [] });
+    const calls = provider.calls;
+
+    await health.readiness();
+    source.failing = true;
+    t.mock.timers.tick(10000);
+    assert.equal((await health.liveness()).ok, true);
+    assert.deepEqual([source.pings, provider.calls - calls], [1, 1]);
+
+    t.mock.timers.tick(1);
+    assert.equal((await health.readiness()).ok, false);
+    assert.deepEqual([source.pings, provider.calls - calls], [2, 2]);
+
+    assert.deepEqual((await createHealthChecks({ source: null, adapters: [] }).readiness()).checks.influxdb, { ok: true, skipped: true });
+  });
+});
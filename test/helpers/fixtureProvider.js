@@ -0,0 +1,99 @@
+const { Interface, JsonRpcApiProvider, Network, toQuantity } = require("ethers");
+const { getChain, getRpcUrls } = require("../../scripts/utils/chains");
+const { setProvider } = require("../../scripts/utils/provider");
+const { loadFixture } = require("./fixtures");
+
+const multicall = new Interface([
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+]);
+
+/**
+ * @notice Forwards a JSON-RPC request to the chain's first HTTP RPC URL, when recording fixtures.
+ */
+async function forwardRpc(chain, method, params) {
+  const url = getRpcUrls(chain).find((candidate) => /^https?:/i.test(candidate));
+  if (!url) {
+    throw new Error(`Recording ${chain} fixtures requires an http(s) RPC URL, see utils/chains.js.`);
+  }
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+  });
+  const { result, error } = await response.json();
+  return error ? { error } : { result };
+}
+
+/**
+ * @notice ethers provider answering every JSON-RPC request from a fixture (see fixtures.js).
+ * @dev Stands in for the shared ResilientProvider: it carries the chain definition like getProvider() does, so
+ *      multicall and the block resolver behave as on the real chain. `requests` lists every method called.
+ *      `failCallsAt` simulates failed reads, `revertCallsAt` reads that revert.
+ */
+class FixtureProvider extends JsonRpcApiProvider {
+  /**
+   * @param {string} name - The fixture file name in test/fixtures, without extension.
+   * @param {string} [chain] - The chain the fixture was recorded on; defaults to ethereum.
+   */
+  constructor(name, chain = "ethereum") {
+    const definition = getChain(chain);
+    super(definition.chainId, { staticNetwork: Network.from(definition.chainId) });
+    this.chain = definition;
+    this.fixture = loadFixture(name);
+    this.requests = [];
+    this.failing = new Set();
+    this.reverting = new Set();
+  }
+
+  /**
+   * @notice Makes every eth_call at a block fail, like a node that lost the state of that block.
+   * @param {number} blockNumber - The block number.
+   */
+  failCallsAt(blockNumber) {
+    this.failing.add(toQuantity(blockNumber));
+  }
+
+  /**
+   * @notice Makes every call of a multicall batch at a block revert, like a contract not deployed yet.
+   * @param {number} blockNumber - The block number.
+   */
+  revertCallsAt(blockNumber) {
+    this.reverting.add(toQuantity(blockNumber));
+  }
+
+  async _send(payload) {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    return Promise.all(
+      payloads.map(async ({ id, method, params }) => {
+        this.requests.push(method);
+        if (method === "eth_chainId") {
+          return { id, result: toQuantity(this.chain.chainId) };
+        }
+        if (method === "eth_call" && this.failing.has(params[1])) {
+          return { id, error: { code: -32000, message: `missing trie node at block ${params[1]}` } };
+        }
+        if (method === "eth_call" && this.reverting.has(params[1])) {
+          const [calls] = multicall.decodeFunctionData("aggregate3", params[0].data);
+          return { id, result: multicall.encodeFunctionResult("aggregate3", [calls.map(() => [false, "0x"])]) };
+        }
+        const key = `${method} ${JSON.stringify(params)}`;
+        const exchange = await this.fixture.resolve(key, () => forwardRpc(this.chain.name, method, params));
+        return { id, ...exchange };
+      })
+    );
+  }
+}
+
+/**
+ * @notice Installs a fixture provider as the shared provider of its chain.
+ * @param {string} name - The fixture file name in test/fixtures, without extension.
+ * @param {string} [chain] - The chain name; defaults to ethereum.
+ * @return {FixtureProvider} The installed provider.
+ */
+function useFixtureProvider(name, chain = "ethereum") {
+  const provider = new FixtureProvider(name, chain);
+  setProvider(chain, provider);
+  return provider;
+}
+
+module.exports = { FixtureProvider, useFixtureProvider };
@@ -0,0 +1,56 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @notice Recorded request/response fixtures shared by the fake RPC provider and the mock GraphQL endpoint.
+ * @dev A fixture is a JSON file in test/fixtures holding a description and the exchanges of one test:
+ *
+ *        {
+ *          "description": "...",
+ *          "exchanges": { "<request key>": { "result": ... } | { "error": { code, message } } }
+ *        }
+ *
+ *      The request key is the JSON-RPC method and its JSON params ("eth_call [{...},\"0x...\"]"), or the
+ *      GraphQL operation name and its JSON variables. A request without a recorded exchange fails the test,
+ *      unless RECORD_FIXTURES is set: it is then forwarded upstream and its response added to the file.
+ */
+
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures");
+
+// Whether missing exchanges are recorded from the upstream endpoints instead of failing.
+const RECORDING = Boolean(process.env.RECORD_FIXTURES);
+
+/**
+ * @notice Loads a fixture.
+ * @param {string} name - The fixture file name in test/fixtures, without extension.
+ */
+function loadFixture(name) {
+  const file = path.join(FIXTURES_DIR, `${name}.json`);
+  const fixture = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, "utf8"))
+    : { description: "", exchanges: {} };
+
+  return {
+    name,
+
+    /**
+     * @notice Returns the recorded exchange of a request, recording it first in recording mode.
+     * @param {string} key - The request key.
+     * @param {Function} forward - Sends the request upstream and returns { result } or { error }.
+     */
+    async resolve(key, forward) {
+      if (Object.prototype.hasOwnProperty.call(fixture.exchanges, key)) {
+        return fixture.exchanges[key];
+      }
+      if (!RECORDING) {
+        throw new Error(`No recorded response in fixture '${name}' for ${key}; run the tests with RECORD_FIXTURES=1 to record it.`);
+      }
+      fixture.exchanges[key] = await forward();
+      fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+      fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+      return fixture.exchanges[key];
+    },
+  };
+}
+
+module.exports = { loadFixture, RECORDING };
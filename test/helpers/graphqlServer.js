@@ -0,0 +1,56 @@
+const http = require("http");
+const { loadFixture } = require("./fixtures");
+
+// The endpoint GraphQL requests are forwarded to when recording fixtures; MORPHO_RECORD_URL overrides it.
+const MORPHO_UPSTREAM = process.env.MORPHO_RECORD_URL || "https://blue-api.morpho.org/graphql";
+
+/**
+ * @notice Starts a local GraphQL endpoint answering from a fixture (see fixtures.js).
+ * @dev Requests are keyed by operation name and variables. `requests` lists every operation received, and
+ *      `failures` makes the next requests answer HTTP 503, to exercise retries.
+ * @param {string} name - The fixture file name in test/fixtures, without extension.
+ * @return {Promise<Object>} { url, requests, failures, close() }; `failures` can be set by the test.
+ */
+async function startGraphqlServer(name) {
+  const fixture = loadFixture(name);
+  const state = { requests: [], failures: 0 };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", async () => {
+      const { operationName, variables, query } = JSON.parse(body);
+      state.requests.push({ operationName, variables });
+      res.setHeader("Content-Type", "application/json");
+      if (state.failures > 0) {
+        state.failures--;
+        res.statusCode = 503;
+        res.end(JSON.stringify({ errors: [{ message: "Service unavailable" }] }));
+        return;
+      }
+      try {
+        const exchange = await fixture.resolve(`${operationName} ${JSON.stringify(variables)}`, async () => {
+          const response = await fetch(MORPHO_UPSTREAM, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ operationName, variables, query }),
+          });
+          return { result: await response.json() };
+        });
+        res.end(JSON.stringify(exchange.result));
+      } catch (error) {
+        res.statusCode = 500;
+        res.end(JSON.stringify({ errors: [{ message: error.message }] }));
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  state.url = `http://127.0.0.1:${server.address().port}/graphql`;
+  state.close = () => new Promise((resolve) => server.close(resolve));
+  return state;
+}
+
+module.exports = { startGraphqlServer };
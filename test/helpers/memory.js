@@ -0,0 +1,147 @@
+/**
+ * @notice In-memory sink and cursor store, implementing the interfaces of sinks/index.js and
+ *         utils/cursorStore.js.
+ * @dev Points are keyed by protocol and timestamp like InfluxDB and Postgres, so rewrites overwrite.
+ */
+
+/**
+ * @notice Creates an in-memory sink.
+ * @return {Object} The sink, exposing the stored `points`, `quarantined` entries, `index`, `peg`, `resampled`
+ *         and `analytics` points.
+ */
+function createMemorySink() {
+  const points = new Map();
+  const quarantined = [];
+  const index = new Map();
+  const peg = new Map();
+  const resampled = new Map();
+  const analytics = new Map();
+
+  const series = (protocol) =>
+    [...points.values()].filter((sample) => sample.protocol === protocol).sort((a, b) => a.timestamp - b.timestamp);
+
+  return {
+    name: "memory",
+    quarantined,
+
+    /**
+     * @notice The stored points, in protocol and time order.
+     */
+    get points() {
+      return [...points.values()].sort((a, b) => a.protocol.localeCompare(b.protocol) || a.timestamp - b.timestamp);
+    },
+
+    /**
+     * @notice The stored index points, in time order.
+     */
+    get index() {
+      return [...index.values()].sort((a, b) => a.timestamp - b.timestamp);
+    },
+
+    /**
+     * @notice The stored peg points, in asset and time order.
+     */
+    get peg() {
+      return [...peg.values()].sort((a, b) => a.asset.localeCompare(b.asset) || a.timestamp - b.timestamp);
+    },
+
+    async write(checked) {
+      for (const sample of checked.accepted) {
+        points.set(`${sample.protocol}@${sample.timestamp}`, sample);
+      }
+      quarantined.push(...checked.quarantined);
+    },
+
+    async writeIndex(indexPoints) {
+      for (const point of indexPoints) {
+        index.set(`${point.basis}/${point.strategy}@${point.timestamp}`, point);
+      }
+    },
+
+    /**
+     * @notice The stored resampled points, in protocol and time order.
+     */
+    get resampled() {
+      return [...resampled.values()].sort((a, b) => a.protocol.localeCompare(b.protocol) || a.timestamp - b.timestamp);
+    },
+
+    async writePeg(pegPoints) {
+      for (const point of pegPoints) {
+        peg.set(`${point.asset}@${point.timestamp}`, point);
+      }
+    },
+
+    async writeResampled(resampledPoints) {
+      for (const point of resampledPoints) {
+        resampled.set(`${point.protocol}/${point.basis}@${point.timestamp}`, point);
+      }
+    },
+
+    /**
+     * @notice The stored analytics points, in window, protocol and time order.
+     */
+    get analytics() {
+      return [...analytics.values()].sort((a, b) =>
+        a.window.localeCompare(b.window) || a.protocol.localeCompare(b.protocol) || a.timestamp - b.timestamp);
+    },
+
+    async writeAnalytics(analyticsPoints) {
+      for (const point of analyticsPoints) {
+        analytics.set(`${point.protocol}/${point.window}/${point.basis}@${point.timestamp}`, point);
+      }
+    },
+
+    async getLastApyBefore(protocol, timestamp) {
+      const before = series(protocol).filter((sample) => sample.timestamp < timestamp);
+      return before.length ? before[before.length - 1].apy : undefined;
+    },
+
+    async getPendingJump(protocol, timestamp) {
+      const [latest] = quarantined
+        .filter((entry) => entry.sample.protocol === protocol && entry.sample.timestamp < timestamp && entry.reason !== "duplicate")
+        .sort((a, b) => b.sample.timestamp - a.sample.timestamp);
+      if (!latest || latest.reason !== "jump") return undefined;
+      const acceptedSince = series(protocol).some((sample) => sample.timestamp >= latest.sample.timestamp && sample.timestamp < timestamp);
+      return acceptedSince ? undefined : latest.sample.apy;
+    },
+
+    async getRatesBetween(protocol, from, to) {
+      return series(protocol)
+        .filter((sample) => sample.timestamp >= from && sample.timestamp < to && sample.rates)
+        .map((sample) => ({ timestamp: sample.timestamp, apr: sample.rates.apr, apy_compounded: sample.rates.apy_compounded }));
+    },
+
+    async getBlockPoints(protocol, since) {
+      return series(protocol)
+        .filter((sample) => sample.timestamp >= since && sample.provenance && sample.provenance.block !== undefined)
+        .map((sample) => ({ timestamp: sample.timestamp, block: sample.provenance.block, blockHash: sample.provenance.blockHash }));
+    },
+
+    async deletePoints(protocol, timestamps) {
+      for (const timestamp of timestamps) {
+        points.delete(`${protocol}@${timestamp}`);
+      }
+    },
+
+    async close() {},
+  };
+}
+
+/**
+ * @notice Creates an in-memory cursor store.
+ * @param {Object} [initial] - Initial cursors by key.
+ */
+function createMemoryCursorStore(initial = {}) {
+  const cursors = { ...initial };
+  return {
+    cursors,
+    async get(key) {
+      return cursors[key];
+    },
+    async set(key, value) {
+      cursors[key] = value;
+    },
+  };
+}
+
+module.exports = { createMemorySink, createMemoryCursorStore };
@@ -0,0 +1,69 @@
+const http = require("http");
+const { toQuantity } = require("ethers");
+
+/**
+ * @notice Starts a local JSON-RPC endpoint serving a fake chain, to exercise the transport of ResilientProvider.
+ * @dev Answers eth_chainId with `chainId` and eth_blockNumber with `blockNumber`; other methods fail with
+ *      -32601. Batches are supported. The test can set, on the returned state:
+ *        - `failures`: the next requests answer HTTP 503;
+ *        - `rateLimits`: the next requests answer the JSON-RPC rate limit error -32005;
+ *        - `hang`: requests are never answered.
+ *      `requests` lists every method received, answered or not.
+ * @param {Object} [options] - { chainId, blockNumber }; defaults to Ethereum mainnet at block 20000000.
+ * @return {Promise<Object>} { url, requests, failures, rateLimits, hang, chainId, blockNumber, close() }.
+ */
+async function startRpcServer({ chainId = 1, blockNumber = 20000000 } = {}) {
+  const state = { requests: [], failures: 0, rateLimits: 0, hang: false, chainId, blockNumber };
+  const pending = new Set();
+
+  /**
+   * @notice Answers a single JSON-RPC request.
+   */
+  function answer({ id, method }) {
+    if (method === "eth_chainId") return { jsonrpc: "2.0", id, result: toQuantity(state.chainId) };
+    if (method === "eth_blockNumber") return { jsonrpc: "2.0", id, result: toQuantity(state.blockNumber) };
+    return { jsonrpc: "2.0", id, error: { code: -32601, message: `Method ${method} not found` } };
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const payload = JSON.parse(body);
+      const payloads = Array.isArray(payload) ? payload : [payload];
+      state.requests.push(...payloads.map(({ method }) => method));
+      if (state.hang) {
+        pending.add(res);
+        return;
+      }
+      res.setHeader("Content-Type", "application/json");
+      if (state.failures > 0) {
+        state.failures--;
+        res.statusCode = 503;
+        res.end(JSON.stringify({ error: "Service unavailable" }));
+        return;
+      }
+      let results;
+      if (state.rateLimits > 0) {
+        state.rateLimits--;
+        results = payloads.map(({ id }) => ({ jsonrpc: "2.0", id, error: { code: -32005, message: "Too many requests" } }));
+      } else {
+        results = payloads.map(answer);
+      }
+      res.end(JSON.stringify(Array.isArray(payload) ? results : results[0]));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  state.url = `http://127.0.0.1:${server.address().port}`;
+  state.close = () => {
+    for (const res of pending) res.destroy();
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  };
+  return state;
+}
+
+module.exports = { startRpcServer };
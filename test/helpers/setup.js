@@ -0,0 +1,13 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * @notice Keeps a test file away from the collector's data directory. Required before any module of scripts/.
+ * @dev Block caches are written to a temporary directory, removed when the test process exits.
+ */
+if (!process.env.BLOCK_CACHE_DIR) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bento-test-"));
+  process.env.BLOCK_CACHE_DIR = dir;
+  process.on("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+}
@@ -0,0 +1,87 @@
+const { toQuantity } = require("ethers");
+const { WebSocketServer } = require("ws");
+
+/**
+ * @notice Starts a local WebSocket JSON-RPC endpoint serving a fake chain, to exercise the streaming mode.
+ * @dev Answers eth_chainId, eth_blockNumber, eth_subscribe (`newHeads` and `logs` with an address filter) and
+ *      eth_unsubscribe; other methods fail with -32601. The test drives the chain through the returned state:
+ *        - `mine(number, logs)`: notifies the log subscriptions whose address matches, then every `newHeads`
+ *          subscription of the new head;
+ *        - `drop()`: closes every open socket, like a node going away.
+ *      `requests` lists every method received.
+ * @param {Object} [options] - { chainId, blockNumber }; defaults to Ethereum mainnet at block 20000000.
+ * @return {Promise<Object>} { url, requests, blockNumber, mine(), drop(), connected(), close() }.
+ */
+async function startWsServer({ chainId = 1, blockNumber = 20000000 } = {}) {
+  const state = { requests: [], blockNumber };
+  const server = new WebSocketServer({ host: "127.0.0.1", port: 0 });
+  // Subscriptions by id: { socket, kind, filter }
+  const subscriptions = new Map();
+  let nextId = 1;
+
+  /**
+   * @notice Answers a single JSON-RPC request.
+   */
+  function answer(socket, { id, method, params }) {
+    if (method === "eth_chainId") return { jsonrpc: "2.0", id, result: toQuantity(chainId) };
+    if (method === "eth_blockNumber") return { jsonrpc: "2.0", id, result: toQuantity(state.blockNumber) };
+    if (method === "eth_subscribe") {
+      const subscription = toQuantity(nextId++);
+      subscriptions.set(subscription, { socket, kind: params[0], filter: params[1] || {} });
+      return { jsonrpc: "2.0", id, result: subscription };
+    }
+    if (method === "eth_unsubscribe") {
+      return { jsonrpc: "2.0", id, result: subscriptions.delete(params[0]) };
+    }
+    return { jsonrpc: "2.0", id, error: { code: -32601, message: `Method ${method} not found` } };
+  }
+
+  /**
+   * @notice Sends a subscription notification.
+   */
+  function notify(subscription, { socket }, result) {
+    socket.send(JSON.stringify({ jsonrpc: "2.0", method: "eth_subscription", params: { subscription, result } }));
+  }
+
+  server.on("connection", (socket) => {
+    socket.on("message", (data) => {
+      const payload = JSON.parse(data);
+      state.requests.push(payload.method);
+      socket.send(JSON.stringify(answer(socket, payload)));
+    });
+    socket.on("close", () => {
+      for (const [id, subscription] of subscriptions) {
+        if (subscription.socket === socket) subscriptions.delete(id);
+      }
+    });
+  });
+  await new Promise((resolve) => server.once("listening", resolve));
+
+  state.url = `ws://127.0.0.1:${server.address().port}`;
+  state.mine = (number, logs = []) => {
+    state.blockNumber = number;
+    for (const [id, subscription] of subscriptions) {
+      if (subscription.kind !== "logs") continue;
+      for (const log of logs) {
+        const addresses = [].concat(subscription.filter.address || []).map((address) => address.toLowerCase());
+        if (addresses.length && !addresses.includes(log.address.toLowerCase())) continue;
+        notify(id, subscription, log);
+      }
+    }
+    const hash = toQuantity(number).padEnd(66, "0");
+    for (const [id, subscription] of subscriptions) {
+      if (subscription.kind === "newHeads") notify(id, subscription, { number: toQuantity(number), hash });
+    }
+  };
+  state.connected = () => [...subscriptions.values()].some((subscription) => subscription.kind === "newHeads");
+  state.drop = () => {
+    for (const socket of server.clients) socket.terminate();
+  };
+  state.close = () => {
+    state.drop();
+    return new Promise((resolve) => server.close(resolve));
+  };
+  return state;
+}
+
+module.exports = { startWsServer };
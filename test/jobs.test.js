@@ -0,0 +1,298 @@
+require("./helpers/setup");
+const fs = require("fs");
+const path = require("path");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createJobRunner } = require("../scripts/jobs");
+const { createFileLock, createSqliteLock } = require("../scripts/utils/jobLock");
+const { createFileRunHistory, createSqliteRunHistory } = require("../scripts/utils/runHistory");
+const { createApp } = require("../api/server");
+
+/**
+ * @notice Returns a promise with its resolve function, to hold a job until the test releases it.
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+/**
+ * @notice Resolves once the signal is aborted, rejecting with its reason like a fetch would.
+ */
+function untilAborted(signal) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener("abort", () => reject(signal.reason));
+  });
+}
+
+describe("job runner", () => {
+  let dir;
+  let runners;
+
+  function createRunner(options = {}) {
+    const runner = createJobRunner({ history: createFileRunHistory(path.join(dir, "history.json")), ...options });
+    runners.push(runner);
+    return runner;
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(process.env.BLOCK_CACHE_DIR, "jobs-"));
+    runners = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(runners.map((runner) => runner.stop()));
+  });
+
+  it("records a run with the points written and the cursor", async () => {
+    const jobs = createRunner();
+    jobs.register({ name: "ethena", run: async () => ({ ok: true, accepted: 3, quarantined: 1, cursor: 20999988 }) });
+
+    const run = await jobs.run("ethena", { trigger: "startup" });
+
+    assert.equal(run.status, "success");
+    assert.deepEqual(
+      (await jobs.history("ethena")).map(({ job, trigger, status, points, quarantined, cursor }) => ({
+        job,
+        trigger,
+        status,
+        points,
+        quarantined,
+        cursor,
+      })),
+      [{ job: "ethena", trigger: "startup", status: "success", points: 3, quarantined: 1, cursor: 20999988 }]
+    );
+  });
+
+  it("skips a run while the same job is running and queues one that waits", async () => {
+    const jobs = createRunner();
+    const gate = deferred();
+    let calls = 0;
+    jobs.register({
+      name: "spark",
+      run: async () => {
+        calls += 1;
+        await gate.promise;
+        return { ok: true, accepted: 1 };
+      },
+    });
+
+    const first = jobs.run("spark", { trigger: "startup" });
+    const skipped = await jobs.run("spark", { trigger: "schedule" });
+    const queued = jobs.run("spark", { trigger: "stream", wait: true });
+    assert.equal(skipped.status, "skipped");
+    assert.match(skipped.error, /^Already running since/);
+    assert.equal(jobs.isRunning("spark"), true);
+
+    gate.resolve();
+    assert.equal((await first).status, "success");
+    assert.equal((await queued).status, "success");
+    assert.equal(calls, 2);
+    assert.deepEqual(
+      (await jobs.history("spark")).map(({ trigger, status }) => `${trigger}:${status}`),
+      ["stream:success", "startup:success", "schedule:skipped"]
+    );
+  });
+
+  it("aborts a run after its timeout and records it as timed out", async () => {
+    const jobs = createRunner({ timeout: 60 });
+    jobs.register({ name: "mountain", timeout: 0.05, run: (signal) => untilAborted(signal) });
+
+    const run = await jobs.run("mountain");
+
+    assert.equal(run.status, "timeout");
+    assert.equal(run.error, "Job mountain timed out after 0.05s");
+    assert.equal(jobs.isRunning("mountain"), false);
+  });
+
+  it("records a failed run with its error", async () => {
+    const jobs = createRunner();
+    jobs.register({ name: "morpho", run: async () => ({ ok: false, error: new Error("RPC unavailable") }) });
+
+    const run = await jobs.run("morpho");
+
+    assert.equal(run.status, "error");
+    assert.equal(run.error, "RPC unavailable");
+  });
+
+  it("runs a job on one instance only when they share a lock", async () => {
+    const lockDir = path.join(dir, "locks");
+    const gate = deferred();
+    const first = createRunner({ lock: createFileLock(lockDir) });
+    const second = createRunner({ lock: createFileLock(lockDir) });
+    first.register({ name: "ethena", run: () => gate.promise.then(() => ({ ok: true })) });
+    second.register({ name: "ethena", run: async () => ({ ok: true }) });
+
+    const running = first.run("ethena");
+    // Let the first instance take the lease
+    await new Promise((resolve) => setImmediate(resolve));
+    const skipped = await second.run("ethena");
+    gate.resolve();
+    await running;
+
+    assert.equal(skipped.status, "skipped");
+    assert.equal(skipped.error, "Running on another instance");
+    assert.equal((await second.run("ethena")).status, "success");
+  });
+
+  it("takes over an expired lease of a SQLite lock", async () => {
+    const lock = createSqliteLock(path.join(dir, "jobs.sqlite"));
+    try {
+      assert.equal(await lock.acquire("spark", "a", 60), true);
+      assert.equal(await lock.acquire("spark", "b", 60), false);
+      assert.equal(await lock.renew("spark", "b", 60), false);
+      await lock.release("spark", "a");
+      assert.equal(await lock.acquire("spark", "b", -1), true);
+      // Expired: the lease of b was not renewed
+      assert.equal(await lock.acquire("spark", "a", 60), true);
+    } finally {
+      await lock.close();
+    }
+  });
+
+  it("lets only one of the instances racing for an expired file lease take it over", async () => {
+    const lockDir = path.join(dir, "race");
+    const [a, b, c, d] = [1, 2, 3, 4].map(() => createFileLock(lockDir));
+    const { linkSync } = fs;
+    // Runs `race` when `lock` is about to create its lease file, after it found the lease expired
+    async function racing(lock, owner, race) {
+      fs.linkSync = (...args) => {
+        fs.linkSync = linkSync;
+        race();
+        return linkSync(...args);
+      };
+      try {
+        return await lock.acquire("spark", owner, 60);
+      } finally {
+        fs.linkSync = linkSync;
+      }
+    }
+
+    assert.equal(await a.acquire("spark", "a", -1), true);
+    let taken;
+    assert.equal(await racing(c, "c", () => (taken = b.acquire("spark", "b", 60))), false);
+    assert.equal(await taken, true);
+    assert.deepEqual([await a.renew("spark", "a", 60), await b.renew("spark", "b", 60), await c.renew("spark", "c", 60)], [false, true, false]);
+
+    // c decides on a listing two takeovers old: the generation it creates was already removed
+    await b.release("spark", "b");
+    const takeovers = [];
+    assert.equal(await racing(c, "c", () => takeovers.push(b.acquire("spark", "b", -1), d.acquire("spark", "d", 60))), false);
+    assert.deepEqual(await Promise.all(takeovers), [true, true]);
+    assert.equal(await d.renew("spark", "d", 60), true);
+    assert.equal(await c.renew("spark", "c", 60), false);
+    assert.deepEqual(fs.readdirSync(lockDir), ["spark.3.lock"]);
+  });
+
+  it("keeps the latest runs of every job in a SQLite history", async () => {
+    const history = createSqliteRunHistory(path.join(dir, "jobs.sqlite"), 2);
+    try {
+      for (const startedAt of [1, 2, 3]) {
+        await history.record({ job: "ethena", trigger: "schedule", startedAt, endedAt: startedAt, status: "success", points: 1 });
+      }
+      await history.record({ job: "spark", trigger: "manual", startedAt: 4, endedAt: 5, status: "error", error: "boom" });
+
+      assert.deepEqual((await history.list("ethena")).map((run) => run.startedAt), [3, 2]);
+      assert.deepEqual(await history.list("spark"), [
+        { job: "spark", trigger: "manual", startedAt: 4, endedAt: 5, status: "error", points: undefined, quarantined: undefined, cursor: undefined, error: "boom" },
+      ]);
+    } finally {
+      await history.close();
+    }
+  });
+
+  it("waits for running jobs on stop and refuses new runs", async () => {
+    const jobs = createRunner();
+    const gate = deferred();
+    let finished = false;
+    jobs.register({
+      name: "ethena",
+      run: async () => {
+        await gate.promise;
+        finished = true;
+        return { ok: true };
+      },
+    });
+
+    const running = jobs.run("ethena");
+    const stopped = jobs.stop();
+    assert.equal((await jobs.run("ethena")).error, "Shutting down");
+    setTimeout(gate.resolve, 20);
+    await stopped;
+
+    assert.equal(finished, true);
+    assert.equal((await running).status, "success");
+  });
+
+  it("aborts running jobs once the shutdown timeout has passed", async () => {
+    const jobs = createRunner({ shutdownTimeout: 0.05 });
+    jobs.register({ name: "mountain", run: (signal) => untilAborted(signal) });
+
+    const running = jobs.run("mountain");
+    await jobs.stop();
+
+    assert.deepEqual(
+      await running.then(({ status, error }) => ({ status, error })),
+      { status: "error", error: "The collector is shutting down" }
+    );
+  });
+
+  it("does not record a run that ends after the history was closed", async () => {
+    const history = createFileRunHistory(path.join(dir, "history.json"));
+    let closed = false;
+    const recordedAfterClose = [];
+    const jobs = createJobRunner({
+      shutdownTimeout: 0.05,
+      history: {
+        ...history,
+        record: async (entry) => (closed ? recordedAfterClose.push(entry) : history.record(entry)),
+        close: async () => {
+          closed = true;
+          await history.close();
+        },
+      },
+    });
+    const gate = deferred();
+    // Ignores the abort
+    jobs.register({ name: "mountain", run: () => gate.promise.then(() => ({ ok: true })) });
+
+    const running = jobs.run("mountain");
+    await jobs.stop();
+    gate.resolve();
+
+    assert.equal((await running).status, "success");
+    assert.deepEqual(recordedAfterClose, []);
+  });
+
+  it("lists and triggers jobs over HTTP", async () => {
+    const jobs = createRunner();
+    const gate = deferred();
+    jobs.register({ name: "spark", schedule: "0 4,12,20 * * *", run: () => gate.promise.then(() => ({ ok: true, accepted: 2 })) });
+    const server = createApp(null, { jobs, jobsToken: "secret" }).listen(0);
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const post = (name, token) => fetch(`${url}/jobs/${name}/run`, { method: "POST", headers: { Authorization: `Bearer ${token}` } });
+    try {
+      assert.equal((await post("spark", "wrong")).status, 401);
+      assert.equal((await post("aave", "secret")).status, 404);
+      assert.equal((await post("spark", "secret")).status, 202);
+      assert.equal((await post("spark", "secret")).status, 409);
+
+      const listed = await (await fetch(`${url}/jobs`)).json();
+      assert.equal(listed.jobs[0].name, "spark");
+      assert.equal(listed.jobs[0].running.trigger, "manual");
+
+      gate.resolve();
+      while (jobs.isRunning("spark")) await new Promise((resolve) => setTimeout(resolve, 5));
+      const { runs } = await (await fetch(`${url}/jobs/spark/runs?limit=5`)).json();
+      assert.deepEqual(runs.map(({ trigger, status, points }) => ({ trigger, status, points })), [
+        { trigger: "manual", status: "success", points: 2 },
+      ]);
+      assert.equal((await fetch(`${url}/jobs/spark/runs?limit=0`)).status, 400);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,72 @@
+require("./helpers/setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { registry, trackAdapters, withProtocol, countRequests, recordRun, getRunStatus } = require("../scripts/utils/metrics");
+
+const CURSOR = 1726617600;
+
+/**
+ * @notice Returns the value of a series in the Prometheus text exposition, or undefined when it is absent.
+ */
+async function valueOf(series) {
+  const line = (await registry.metrics()).split("\n").find((candidate) => candidate.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+describe("metrics", () => {
+  it("records the outcome, points and cursor of every run", async () => {
+    const adapter = { name: "metrics-spark", cursorType: "timestamp" };
+
+    recordRun(adapter, { ok: true, accepted: 3, quarantined: 1, reorged: 2, cursor: CURSOR }, 2);
+    recordRun(adapter, { ok: false, error: new Error("RPC unavailable") }, 40);
+
+    assert.equal(await valueOf('bento_runs_total{protocol="metrics-spark",status="success"}'), 1);
+    assert.equal(await valueOf('bento_runs_total{protocol="metrics-spark",status="error"}'), 1);
+    assert.equal(await valueOf('bento_points_written_total{protocol="metrics-spark"}'), 3);
+    assert.equal(await valueOf('bento_points_quarantined_total{protocol="metrics-spark"}'), 1);
+    assert.equal(await valueOf('bento_points_reorged_total{protocol="metrics-spark"}'), 2);
+    assert.equal(await valueOf('bento_run_duration_seconds_count{protocol="metrics-spark"}'), 2);
+    assert.equal(await valueOf('bento_run_duration_seconds_bucket{le="5",protocol="metrics-spark"}'), 1);
+    assert.equal(await valueOf('bento_cursor{protocol="metrics-spark",type="timestamp"}'), CURSOR);
+    // A failed run keeps the cursor and the last success of the one before
+    const status = getRunStatus("metrics-spark");
+    assert.deepEqual({ cursor: status.cursor, error: status.error }, { cursor: CURSOR, error: "RPC unavailable" });
+    assert.equal(await valueOf('bento_run_last_success_timestamp_seconds{protocol="metrics-spark"}'), status.lastSuccessAt);
+  });
+
+  it("attributes requests to the protocol whose run issued them", async () => {
+    await withProtocol("metrics-ethena", async () => {
+      await Promise.resolve();
+      countRequests("rpc", 3);
+      countRequests("rpc", 1, true);
+    });
+    countRequests("graphql");
+
+    assert.equal(await valueOf('bento_requests_total{protocol="metrics-ethena",kind="rpc"}'), 4);
+    assert.equal(await valueOf('bento_request_errors_total{protocol="metrics-ethena",kind="rpc"}'), 1);
+    assert.equal(await valueOf('bento_requests_total{protocol="none",kind="graphql"}'), 1);
+  });
+
+  it("computes the cursor lag on scrape, leaving out the adapters whose head cannot be read", async () => {
+    const adapter = (name, latest) => ({ name, cursorType: "block", getLatestCursor: latest });
+    const tracked = [
+      adapter("lag-ethena", async () => 20000012),
+      adapter("lag-behind", async () => 19999990),
+      adapter("lag-down", async () => {
+        throw new Error("RPC unavailable");
+      }),
+      adapter("lag-never-ran", async () => 20000012),
+    ];
+    for (const { name } of tracked.slice(0, 3)) {
+      recordRun({ name, cursorType: "block" }, { ok: true, accepted: 0, quarantined: 0, cursor: 20000000 }, 1);
+    }
+    trackAdapters(tracked);
+
+    assert.equal(await valueOf('bento_cursor_lag{protocol="lag-ethena",type="block"}'), 12);
+    // A head behind the cursor is no lag
+    assert.equal(await valueOf('bento_cursor_lag{protocol="lag-behind",type="block"}'), 0);
+    assert.equal(await valueOf('bento_cursor_lag{protocol="lag-down",type="block"}'), undefined);
+    assert.equal(await valueOf('bento_cursor_lag{protocol="lag-never-ran",type="block"}'), undefined);
+    trackAdapters([]);
+  });
+});
@@ -0,0 +1,121 @@
+require("./helpers/setup");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startGraphqlServer } = require("./helpers/graphqlServer");
+
+const START = 1706140800;
+const DAY = 24 * 3600;
+const USDC_VAULT = "0xBEEF01735c132Ada46AA9aA4c54623cAA92A64CB";
+
+describe("morpho adapter", () => {
+  let server;
+  let morpho;
+
+  before(async () => {
+    server = await startGraphqlServer("morpho");
+    // The adapter reads its endpoint when it is loaded
+    process.env.MORPHO_API_URL = server.url;
+    morpho = require("../scripts/adapters/morpho");
+  });
+
+  after(() => server.close());
+
+  it("reads the daily gross APY of a vault", async () => {
+    const instance = { name: "morpho-USDC", chain: "ethereum", address: USDC_VAULT, weight: 12.5 };
+    const { samples, cursor } = await morpho.fetchRange(instance, START, START + 5 * DAY);
+
+    assert.equal(cursor, START + 5 * DAY);
+    assert.deepEqual(
+      samples.map(({ protocol, apy, timestamp, tvl }) => ({ protocol, apy, timestamp, tvl })),
+      [
+        { protocol: "morpho-USDC", apy: 6.536599999999999, timestamp: START + DAY, tvl: 250074990 },
+        { protocol: "morpho-USDC", apy: 6.5637, timestamp: START + 2 * DAY, tvl: 250174980 },
+        { protocol: "morpho-USDC", apy: 6.256399999999999, timestamp: START + 3 * DAY, tvl: 250274970 },
+        { protocol: "morpho-USDC", apy: 5.8972999999999995, timestamp: START + 4 * DAY, tvl: 250374960 },
+        { protocol: "morpho-USDC", apy: 5.8164, timestamp: START + 5 * DAY, tvl: 250474950 },
+      ]
+    );
+    assert.deepEqual(samples[0].inputs, { apy: "0.065366", netApy: "0.060829", totalAssets: "250100000000000" });
+    assert.deepEqual(samples[0].rate, { value: 0.00017349012190370772, period: DAY });
+    assert.deepEqual(samples[0].provenance, { chain: "ethereum", address: USDC_VAULT, source: "graphql" });
+  });
+
+  it("reads the hourly net APY of a vault", async () => {
+    const instance = {
+      name: "morpho-USDC",
+      chain: "ethereum",
+      address: USDC_VAULT,
+      weight: 12.5,
+      interval: "HOUR",
+      apyType: "net",
+    };
+    const { samples, cursor } = await morpho.fetchRange(instance, START, START + 3 * 3600);
+
+    assert.equal(cursor, START + 3 * 3600);
+    assert.deepEqual(
+      samples.map(({ apy, timestamp }) => ({ apy, timestamp })),
+      [
+        { apy: 6.0829, timestamp: START + 3600 },
+        { apy: 6.1073, timestamp: START + 2 * 3600 },
+        { apy: 5.8308, timestamp: START + 3 * 3600 },
+      ]
+    );
+    assert.equal(samples[0].rate.period, 3600);
+  });
+
+  it("retries a failed request", async () => {
+    const instance = { name: "morpho-USDC", chain: "ethereum", address: USDC_VAULT, weight: 12.5 };
+    const received = server.requests.length;
+    server.failures = 1;
+    const { samples } = await morpho.fetchRange(instance, START, START + 5 * DAY);
+
+    assert.equal(samples.length, 5);
+    assert.equal(server.requests.length - received, 2);
+  });
+
+  it("writes every vault of a curator as its own series and holds the cursor while one fails", async () => {
+    const instance = {
+      name: "steakhouse",
+      chain: "ethereum",
+      curator: "0x1111111111111111111111111111111111111111",
+      weight: 30,
+    };
+    const { samples, cursor } = await morpho.fetchRange(instance, START, START + 2 * DAY);
+
+    assert.deepEqual(
+      samples.map(({ protocol, apy, weight, timestamp }) => ({ protocol, apy, weight, timestamp })),
+      [
+        { protocol: "steakhouse-steakUSDC", apy: 6.536599999999999, weight: 10, timestamp: START + DAY },
+        { protocol: "steakhouse-steakUSDC", apy: 6.5637, weight: 10, timestamp: START + 2 * DAY },
+        { protocol: "steakhouse-steakUSDT", apy: 7.4366, weight: 10, timestamp: START + DAY },
+        { protocol: "steakhouse-steakUSDT", apy: 7.463699999999999, weight: 10, timestamp: START + 2 * DAY },
+      ]
+    );
+    // The steakPYUSD vault is not found, so the range is read again next run
+    assert.equal(cursor, START);
+  });
+
+  it("moves the cursor past a vault that failed for longer than maxHold", async () => {
+    const instance = {
+      name: "steakhouse",
+      chain: "ethereum",
+      curator: "0x1111111111111111111111111111111111111111",
+      maxHold: "1d",
+      weight: 30,
+    };
+    const { samples, cursor } = await morpho.fetchRange(instance, START, START + 2 * DAY);
+
+    assert.equal(samples.length, 4);
+    // The other vaults are read again from one day before the range end, steakPYUSD's hole is left to the gaps job
+    assert.equal(cursor, START + DAY);
+  });
+
+  it("validates the Morpho keys of a protocol entry", () => {
+    assert.deepEqual(morpho.validate({ address: USDC_VAULT }), []);
+    assert.deepEqual(morpho.validate({ address: USDC_VAULT, curator: USDC_VAULT, interval: "WEEK" }), [
+      "address: expected exactly one of address, vaults or curator",
+      "interval: expected one of HOUR, DAY",
+    ]);
+    assert.deepEqual(morpho.validate({ curator: USDC_VAULT, maxHold: "soon" }), ["maxHold: expected a duration such as 3d"]);
+  });
+});
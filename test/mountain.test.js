@@ -0,0 +1,77 @@
+require("./helpers/setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { useFixtureProvider } = require("./helpers/fixtureProvider");
+const mountain = require("../scripts/adapters/mountain");
+
+const INSTANCE = {
+  name: "mountain",
+  chain: "ethereum",
+  address: "0x59D9356E565Ab3A36dD77763Fc0d87fEaf85508C",
+  weight: 25,
+};
+const START = 1716559200;
+const DAY = 24 * 3600;
+
+describe("mountain adapter", () => {
+  it("derives the APY from the rewardMultiplier growth of every 24-hour interval", async () => {
+    useFixtureProvider("mountain");
+    const { samples, cursor } = await mountain.fetchRange(INSTANCE, START, START + 2 * DAY);
+
+    assert.equal(cursor, START + 2 * DAY);
+    assert.deepEqual(
+      samples.map(({ apy, timestamp, tvl, provenance }) => ({ apy, timestamp, tvl, block: provenance.block })),
+      [
+        { apy: 4.999999999998562, timestamp: START + DAY, tvl: 36500000, block: 19947016 },
+        { apy: 4.999999999998562, timestamp: START + 2 * DAY, tvl: 36500000, block: 19954216 },
+      ]
+    );
+    assert.deepEqual(samples[0].inputs, {
+      rewardMultiplier: "1000136986301369863",
+      previousRewardMultiplier: "1000000000000000000",
+      totalSupply: "36500000000000000000000000",
+    });
+    assert.deepEqual(samples[0].rate, { value: 0.000136986301369863, period: DAY });
+  });
+
+  it("stops before an interval whose state could not be read", async () => {
+    const provider = useFixtureProvider("mountain");
+    provider.failCallsAt(19954216);
+    const { samples, cursor } = await mountain.fetchRange(INSTANCE, START, START + 2 * DAY);
+
+    assert.deepEqual(samples.map(({ timestamp }) => timestamp), [START + DAY]);
+    assert.equal(cursor, START + DAY);
+
+    provider.failCallsAt(19939816);
+    assert.deepEqual(await mountain.fetchRange(INSTANCE, START, START + 2 * DAY), { samples: [], cursor: START });
+  });
+
+  it("skips intervals without a previous multiplier and spans the APY over reverted ones", async () => {
+    const provider = useFixtureProvider("mountain");
+    provider.revertCallsAt(19947016);
+    const { samples, cursor } = await mountain.fetchRange(INSTANCE, START, START + 2 * DAY);
+
+    assert.equal(cursor, START + 2 * DAY);
+    assert.deepEqual(samples.map(({ timestamp }) => timestamp), [START + 2 * DAY]);
+    assert.equal(samples[0].inputs.previousRewardMultiplier, "1000000000000000000");
+    assert.deepEqual(samples[0].rate, { value: 0.000273991367986488, period: 2 * DAY });
+    assert.equal(samples[0].apy.toFixed(4), "5.0003");
+
+    // Without the initial multiplier, the first interval only provides the next one's
+    const unseeded = useFixtureProvider("mountain");
+    unseeded.revertCallsAt(19939816);
+    const seeded = await mountain.fetchRange(INSTANCE, START, START + 2 * DAY);
+    assert.deepEqual(seeded.samples.map(({ timestamp, inputs }) => [timestamp, inputs.previousRewardMultiplier]), [
+      [START + 2 * DAY, "1000136986301369863"],
+    ]);
+  });
+
+  // The APY is scaled by totalSupply() / 1e23, so the README's plain multiplier growth holds at 100,000 USDM
+  it("matches the README example: a multiplier going from 1.00 to 1.047 is 4.7%", async () => {
+    useFixtureProvider("mountain-readme");
+    const { samples } = await mountain.fetchRange(INSTANCE, START + DAY, START + 2 * DAY);
+
+    assert.equal(samples[0].inputs.totalSupply, "100000000000000000000000");
+    assert.equal(samples[0].apy.toFixed(9), "4.700000000");
+  });
+});
@@ -0,0 +1,137 @@
+require("./helpers/setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { useFixtureProvider } = require("./helpers/fixtureProvider");
+const { createMemorySink, createMemoryCursorStore } = require("./helpers/memory");
+const { createPegJob, collectAsset, depegStats } = require("../scripts/peg");
+const { createAlertEngine } = require("../scripts/alerts");
+
+// USDe priced by its Chainlink feed and its Curve pool against USDC
+const USDE = {
+  name: "USDe",
+  chain: "ethereum",
+  token: "0x4c9EDD5852cd905f086C759E8383e09bff1E68B3",
+  peg: 1,
+  chainlink: "0xa569d910839Ae8865Da8F8e70FfFb0cBA869F961",
+  curve: { pool: "0x02950460E2b9529D0E00284A5fA2d7bDF3fA4d72", i: 0, j: 1 },
+  protocols: ["ethena"],
+};
+const START = 1726617600;
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+
+describe("stablecoin peg", () => {
+  it("reads the Chainlink price, the Curve quote and the supply on an 8-hour grid", async () => {
+    useFixtureProvider("peg");
+    const { points, cursor } = await collectAsset(USDE, START + DAY + 16 * HOUR, START + 3 * DAY, 8 * HOUR);
+
+    assert.deepEqual(points[0], {
+      asset: "USDe",
+      chain: "ethereum",
+      timestamp: START + 2 * DAY,
+      price: 0.985,
+      deviation: -1.5000000000000013,
+      supply: 2600000000,
+      chainlinkPrice: 0.985,
+      chainlinkUpdatedAt: START + 2 * DAY - HOUR,
+      // 1000 USDe quoted in USDC, the pool fee included
+      curvePrice: 0.98362139,
+      block: 20792416,
+    });
+    assert.deepEqual(
+      points.map(({ timestamp, price, supply }) => ({ timestamp, price, supply })),
+      [
+        { timestamp: START + 2 * DAY, price: 0.985, supply: 2600000000 },
+        { timestamp: START + 2 * DAY + 8 * HOUR, price: 0.993, supply: 2596000000 },
+        { timestamp: START + 2 * DAY + 16 * HOUR, price: 0.9965, supply: 2592000000 },
+        { timestamp: START + 3 * DAY, price: 1.0001, supply: 2588000000 },
+      ]
+    );
+    assert.equal(cursor, START + 3 * DAY);
+  });
+
+  it("stops before the first step whose reads failed", async () => {
+    const provider = useFixtureProvider("peg");
+    provider.failCallsAt(20797216);
+    const sink = createMemorySink();
+    const cursorStore = createMemoryCursorStore();
+    const job = createPegJob({ peg: { startTime: START + DAY + 16 * HOUR, assets: [USDE] }, cursorStore, sink });
+
+    const result = await job.run(START + 3 * DAY);
+
+    assert.deepEqual(result, { ok: true, points: 2 });
+    assert.deepEqual(sink.peg.map(({ timestamp }) => timestamp), [START + 2 * DAY, START + 2 * DAY + 8 * HOUR]);
+    assert.deepEqual(cursorStore.cursors, { peg_USDe: START + 2 * DAY + 8 * HOUR });
+  });
+
+  it("prices an asset from its Curve pool alone", async () => {
+    useFixtureProvider("peg");
+    const { points } = await collectAsset({ ...USDE, name: "USDe-curve", chainlink: undefined }, START + 2 * DAY, START + 2 * DAY + 8 * HOUR, 8 * HOUR);
+
+    assert.deepEqual(
+      points.map(({ price, deviation, chainlinkPrice, curvePrice }) => ({ price, deviation, chainlinkPrice, curvePrice })),
+      [{ price: 0.9916102, deviation: -0.8389800000000003, chainlinkPrice: undefined, curvePrice: 0.9916102 }]
+    );
+  });
+
+  it("advances every asset on its own cursor, a failing asset leaving the others", async () => {
+    useFixtureProvider("peg");
+    const sink = createMemorySink();
+    const cursorStore = createMemoryCursorStore();
+    // No token contract at this address: its decimals cannot be read
+    const broken = { ...USDE, name: "USDx", token: "0x0000000000000000000000000000000000000001", curve: undefined };
+    const job = createPegJob({ peg: { startTime: START + 2 * DAY, assets: [broken, USDE] }, cursorStore, sink });
+
+    const result = await job.run(START + 3 * DAY + 5 * HOUR);
+
+    assert.equal(result.ok, false);
+    assert.equal(result.points, 3);
+    assert.match(result.error.message, /^Peg collection failed \(USDx: /);
+    assert.deepEqual(cursorStore.cursors, { peg_USDe: START + 3 * DAY });
+    assert.deepEqual(sink.peg.map(({ asset, timestamp }) => `${asset}@${timestamp}`), [
+      `USDe@${START + 2 * DAY + 8 * HOUR}`,
+      `USDe@${START + 2 * DAY + 16 * HOUR}`,
+      `USDe@${START + 3 * DAY}`,
+    ]);
+  });
+
+  it("summarizes the deviation and the longest depeg of a series", () => {
+    const series = [1.0001, 0.985, 0.993, 0.9965, 0.999, 0.994, 1].map((price, i) => ({
+      timestamp: START + i * 8 * HOUR,
+      price,
+      deviation: (price - 1) * 100,
+    }));
+
+    const stats = depegStats(series, 0.5);
+
+    assert.equal(stats.points, 7);
+    assert.equal(stats.maxDeviation.toFixed(2), "-1.50");
+    assert.equal(stats.meanAbsDeviation.toFixed(4), "0.4657");
+    assert.equal(stats.depeggedShare.toFixed(2), "42.86");
+    // From the first depegged point to the first point back within 0.5%
+    assert.equal(stats.longestDepeg, 16 * HOUR);
+    assert.equal(stats.minPrice, 0.985);
+    assert.equal(stats.maxPrice, 1.0001);
+    assert.equal(stats.depegged, false);
+    assert.equal(depegStats([]), null);
+  });
+
+  it("fires a depeg alert while the latest deviation exceeds the threshold", async () => {
+    let latest = [{ asset: "USDe", chain: "ethereum", time: "2024-09-20T00:00:00Z", price: 0.985, deviation: -1.5 }];
+    const engine = createAlertEngine({
+      rules: [{ name: "usde-depeg", type: "depeg", asset: "USDe", threshold: 0.5 }],
+      source: { queryLatestPeg: async () => latest },
+      stateFile: null,
+    });
+
+    const [firing] = await engine.evaluate(START + 2 * DAY);
+    latest = [{ ...latest[0], price: 0.9998, deviation: -0.02 }];
+    const [resolved] = await engine.evaluate(START + 3 * DAY);
+
+    assert.deepEqual(
+      { status: firing.status, asset: firing.asset, value: firing.value, message: firing.message },
+      { status: "firing", asset: "USDe", value: -1.5, message: "USDe at 0.9850, -1.50% from its peg (threshold 0.5%)" }
+    );
+    assert.equal(resolved.status, "resolved");
+  });
+});
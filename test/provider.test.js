@@ -0,0 +1,74 @@
+require("./helpers/setup");
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startRpcServer } = require("./helpers/rpcServer");
+const { ResilientProvider } = require("../scripts/utils/provider");
+const { getChain } = require("../scripts/utils/chains");
+
+// Retry quickly so the tests do not wait on the production backoff
+const FAST = { maxRetries: 3, baseDelayMs: 1, maxDelayMs: 5, requestTimeoutMs: 200 };
+
+describe("resilient provider", () => {
+  let servers = [];
+  let provider;
+
+  /**
+   * @notice Starts one fake endpoint per option set and returns a provider over their URLs, in order.
+   */
+  async function providerOver(...endpoints) {
+    servers = await Promise.all(endpoints.map((options) => startRpcServer(options)));
+    const ethereum = getChain("ethereum");
+    provider = new ResilientProvider(servers.map((server) => server.url), { ...FAST, network: ethereum.chainId, chain: ethereum });
+    return servers;
+  }
+
+  afterEach(async () => {
+    provider.destroy();
+    await Promise.all(servers.map((server) => server.close()));
+  });
+
+  it("retries a rate-limited request on the same endpoint", async () => {
+    const [primary, fallback] = await providerOver({}, { blockNumber: 1 });
+    const blockNumberRequests = () => primary.requests.filter((method) => method === "eth_blockNumber").length;
+
+    // The chain check of the new connection is rate limited too
+    primary.rateLimits = 2;
+    assert.equal(await provider.getBlockNumber(), 20000000);
+    assert.equal(blockNumberRequests(), 1);
+
+    primary.rateLimits = 2;
+    assert.equal(await provider.send("eth_blockNumber", []), "0x1312d00");
+    assert.equal(blockNumberRequests(), 4);
+    assert.deepEqual(fallback.requests, []);
+  });
+
+  it("fails over to the next URL when the active endpoint errors out", async () => {
+    const [primary, fallback] = await providerOver({}, { blockNumber: 20000001 });
+    primary.failures = 10;
+
+    assert.equal(await provider.getBlockNumber(), 20000001);
+    assert.ok(fallback.requests.includes("eth_blockNumber"));
+  });
+
+  it("fails over when a request times out on a dead connection", async () => {
+    const [primary] = await providerOver({}, { blockNumber: 20000001 });
+    primary.hang = true;
+
+    assert.equal(await provider.getBlockNumber(), 20000001);
+  });
+
+  it("treats an endpoint serving another chain as failed", async () => {
+    const [optimism, ethereum] = await providerOver({ chainId: 10 }, { blockNumber: 20000001 });
+
+    assert.equal(await provider.getBlockNumber(), 20000001);
+    // The wrong endpoint is never asked for chain data
+    assert.deepEqual(optimism.requests.filter((method) => method !== "eth_chainId"), []);
+    assert.ok(ethereum.requests.includes("eth_chainId"));
+  });
+
+  it("gives up after the last retry when no endpoint serves the chain", async () => {
+    await providerOver({ chainId: 10 });
+
+    await assert.rejects(provider.send("eth_blockNumber", []), /serves chain 10, expected ethereum \(1\)/);
+  });
+});
@@ -0,0 +1,122 @@
+require("./helpers/setup");
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { setProvider } = require("../scripts/utils/provider");
+const { createMemorySink, createMemoryCursorStore } = require("./helpers/memory");
+const { detectReorg } = require("../scripts/reorg");
+const { runAdapter } = require("../scripts/runner");
+
+const GENESIS = 1719700000;
+
+// Blocks from this one on were replaced by the reorg
+const REORGED_AT = 98;
+
+const timestampOf = (block) => GENESIS + block * 12;
+
+/**
+ * @notice A provider over the canonical chain: blocks from `reorgedAt` on carry new hashes.
+ */
+function canonicalProvider(reorgedAt = REORGED_AT) {
+  return {
+    async getBlock(number) {
+      return { number, timestamp: timestampOf(number), hash: number >= reorgedAt ? `0xnew${number}` : `0x${number}` };
+    },
+  };
+}
+
+/**
+ * @notice A sample of block `block`, with the hash of the old chain unless given.
+ */
+function sample(block, apy, blockHash = `0x${block}`) {
+  return { protocol: "ethena", apy, weight: 25, timestamp: timestampOf(block), provenance: { chain: "ethereum", block, blockHash } };
+}
+
+/**
+ * @notice A block-cursor adapter answering fetchRange from the queued { samples, cursor } results, recording
+ *         the ranges it was asked for.
+ */
+function queuedAdapter(results) {
+  return {
+    name: "ethena",
+    cursorKey: "ethena",
+    cursorType: "block",
+    chain: "ethereum",
+    startCursor: 0,
+    reorgWindow: 64,
+    validation: { min: 0, max: 80, maxJump: 15 },
+    ranges: [],
+    async getLatestCursor() {
+      return 110;
+    },
+    async fetchRange(from, to) {
+      this.ranges.push([from, to]);
+      return results.shift();
+    },
+  };
+}
+
+describe("reorg detection", () => {
+  let sink;
+
+  beforeEach(async () => {
+    setProvider("ethereum", canonicalProvider());
+    sink = createMemorySink();
+    await sink.write({ accepted: [sample(95, 10), sample(98, 10.1), sample(100, 10.2)], quarantined: [] });
+  });
+
+  it("finds the first block whose stored hash is no longer canonical", async () => {
+    const adapter = queuedAdapter([]);
+
+    assert.deepEqual(await detectReorg(adapter, 100, sink), {
+      from: 97,
+      stale: [
+        { timestamp: timestampOf(98), block: 98, blockHash: "0x98" },
+        { timestamp: timestampOf(100), block: 100, blockHash: "0x100" },
+      ],
+    });
+    // Stale points past the cursor are found without moving the cursor forward
+    assert.deepEqual((await detectReorg(adapter, 96, sink)).from, 96);
+    // Timestamp cursors are not checked
+    assert.equal(await detectReorg({ ...adapter, cursorType: "timestamp" }, 100, sink), null);
+  });
+
+  it("returns null while the stored hashes match", async () => {
+    setProvider("ethereum", canonicalProvider(Infinity));
+    assert.equal(await detectReorg(queuedAdapter([]), 100, sink), null);
+  });
+
+  it("rewrites the reorganized blocks and deletes the points the canonical chain no longer has", async () => {
+    const adapter = queuedAdapter([{ samples: [sample(98, 10.3, "0xnew98"), sample(105, 10.4, "0xnew105")], cursor: 110 }]);
+    const cursorStore = createMemoryCursorStore({ ethena: 100 });
+
+    const result = await runAdapter(adapter, cursorStore, sink);
+
+    assert.deepEqual(result, { ok: true, accepted: 2, quarantined: 0, reorged: 2, cursor: 110 });
+    assert.deepEqual(adapter.ranges, [[97, 110]]);
+    assert.deepEqual(sink.points.map(({ provenance }) => `${provenance.block}:${provenance.blockHash}`), ["95:0x95", "98:0xnew98", "105:0xnew105"]);
+    assert.equal(cursorStore.cursors.ethena, 110);
+  });
+
+  it("keeps the cursor lowered when the run stops before the reorganized blocks", async () => {
+    // The first run reads nothing past the restart block, like Ethena when its first read fails
+    const adapter = queuedAdapter([
+      { samples: [], cursor: 97 },
+      { samples: [sample(98, 10.3, "0xnew98")], cursor: 110 },
+    ]);
+    const cursorStore = createMemoryCursorStore({ ethena: 100 });
+
+    const first = await runAdapter(adapter, cursorStore, sink);
+
+    assert.deepEqual(first, { ok: true, accepted: 0, quarantined: 0, reorged: 2, cursor: 97 });
+    assert.equal(cursorStore.cursors.ethena, 97);
+    // Nothing was deleted past the cursor reached
+    assert.deepEqual(sink.points.map(({ provenance }) => provenance.block), [95, 98, 100]);
+
+    const second = await runAdapter(adapter, cursorStore, sink);
+
+    assert.deepEqual(adapter.ranges, [[97, 110], [97, 110]]);
+    assert.equal(second.reorged, 2);
+    assert.deepEqual(sink.points.map(({ provenance }) => `${provenance.block}:${provenance.blockHash}`), ["95:0x95", "98:0xnew98"]);
+    assert.equal(cursorStore.cursors.ethena, 110);
+  });
+});
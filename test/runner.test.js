@@ -0,0 +1,114 @@
+require("./helpers/setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { useFixtureProvider } = require("./helpers/fixtureProvider");
+const { createMemorySink, createMemoryCursorStore } = require("./helpers/memory");
+const { createAdapter } = require("../scripts/adapters");
+const { runAdapter } = require("../scripts/runner");
+
+/**
+ * @notice The ethena entry of config/bento.json, as returned by the config loader.
+ */
+function ethenaInstance(validation = { min: 0, max: 80, maxJump: 15 }) {
+  return {
+    name: "ethena",
+    adapter: "ethena",
+    enabled: true,
+    chain: "ethereum",
+    address: "0x9D39A5DE30e57443BfF2A8307A4256c8797A3497",
+    weight: 25,
+    cursorKey: "ethena",
+    startCursor: 20206857,
+    confirmations: 12,
+    reorgWindow: 64,
+    validation,
+  };
+}
+
+/**
+ * @notice A timestamp-cursor Spark adapter returning one sample per run, from the queued APYs.
+ */
+function queuedAdapter(apys) {
+  let cursor = 1726617600;
+  return {
+    name: "spark",
+    cursorKey: "spark",
+    cursorType: "timestamp",
+    startCursor: cursor,
+    validation: { min: 0, max: 50, maxJump: 3 },
+    async getLatestCursor() {
+      return cursor + 8 * 3600;
+    },
+    async fetchRange(from, to) {
+      cursor = to;
+      return { samples: [{ protocol: "spark", apy: apys.shift(), weight: 25, timestamp: to }], cursor: to };
+    },
+  };
+}
+
+describe("runner", () => {
+  it("writes validated samples with their methodology figures and advances the cursor", async () => {
+    useFixtureProvider("runner");
+    const adapter = createAdapter(ethenaInstance());
+    const sink = createMemorySink();
+    const cursorStore = createMemoryCursorStore();
+
+    const result = await runAdapter(adapter, cursorStore, sink);
+
+    assert.deepEqual(result, { ok: true, accepted: 3, quarantined: 0, reorged: 0, cursor: 20999988 });
+    assert.equal(cursorStore.cursors.ethena, 20999988);
+    assert.deepEqual(
+      sink.points.map(({ apy, timestamp }) => ({ apy, timestamp })),
+      [
+        { apy: 10.944782986776303, timestamp: 1719765407 },
+        { apy: 10.134096640808083, timestamp: 1719794207 },
+        { apy: 11.13158852638034, timestamp: 1719823007 },
+      ]
+    );
+    assert.equal(sink.points[0].rates.apr.toFixed(6), "10.944783");
+    assert.equal(sink.points[2].rates.apy_compounded.toFixed(6), "11.774161");
+  });
+
+  it("skips a run without new confirmed blocks", async () => {
+    const provider = useFixtureProvider("runner");
+    const adapter = createAdapter(ethenaInstance());
+    const sink = createMemorySink();
+    const cursorStore = createMemoryCursorStore({ ethena: 20999988 });
+
+    const result = await runAdapter(adapter, cursorStore, sink);
+
+    assert.deepEqual(result, { ok: true, accepted: 0, quarantined: 0, cursor: 20999988 });
+    assert.deepEqual(sink.points, []);
+    assert.ok(!provider.requests.includes("eth_getLogs"));
+  });
+
+  it("quarantines samples outside the validation bounds", async () => {
+    useFixtureProvider("runner");
+    const adapter = createAdapter(ethenaInstance({ min: 0, max: 11, maxJump: 15 }));
+    const sink = createMemorySink();
+
+    const result = await runAdapter(adapter, createMemoryCursorStore(), sink);
+
+    assert.equal(result.accepted, 2);
+    assert.equal(result.quarantined, 1);
+    assert.equal(sink.quarantined[0].reason, "above_max");
+    assert.equal(sink.quarantined[0].sample.timestamp, 1719823007);
+  });
+
+  it("accepts a rate change beyond maxJump once the next run confirms it", async () => {
+    const adapter = queuedAdapter([6.5, 12.5, 12.5, 12.6, 20, 12.7]);
+    const sink = createMemorySink();
+    const cursorStore = createMemoryCursorStore();
+
+    const results = [];
+    for (let run = 0; run < 6; run += 1) {
+      const { accepted, quarantined } = await runAdapter(adapter, cursorStore, sink);
+      results.push(`${accepted}/${quarantined}`);
+    }
+
+    // The spike to 20 is not confirmed by the run after it, which falls back to the accepted level
+    assert.deepEqual(results, ["1/0", "0/1", "1/0", "1/0", "0/1", "1/0"]);
+    assert.deepEqual(sink.points.map((sample) => sample.apy), [6.5, 12.5, 12.6, 12.7]);
+    assert.deepEqual(sink.quarantined.map(({ sample, reason }) => `${sample.apy}:${reason}`), ["12.5:jump", "20:jump"]);
+  });
+});
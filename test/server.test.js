@@ -0,0 +1,152 @@
+require("./helpers/setup");
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createApp } = require("../api/server");
+const { createIndexJob } = require("../scripts/bentoIndex");
+
+const START = 1726617600;
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+
+const PROTOCOLS = [
+  { name: "spark", adapter: "spark", enabled: true, weight: 50 },
+  { name: "ethena", adapter: "ethena", enabled: true, weight: 50 },
+];
+
+// Stored points, two per protocol
+const ROWS = [
+  { protocol: "spark", time: new Date((START + HOUR) * 1000).toISOString(), apy: 6, weight: 50 },
+  { protocol: "ethena", time: new Date((START + 2 * HOUR) * 1000).toISOString(), apy: 10, weight: 50 },
+  { protocol: "spark", time: new Date((START + DAY + HOUR) * 1000).toISOString(), apy: 5, weight: 50 },
+  { protocol: "ethena", time: new Date((START + DAY + 2 * HOUR) * 1000).toISOString(), apy: 12, weight: 50 },
+];
+
+/**
+ * @notice A source answering from ROWS, recording every query; `failing` makes querySeries reject.
+ */
+function stubSource() {
+  const inRange = (row, from, to) => new Date(row.time) >= from && new Date(row.time) < to;
+  return {
+    queries: [],
+    failing: false,
+    async querySeries(params) {
+      this.queries.push({ method: "querySeries", ...params });
+      if (this.failing) throw new Error("InfluxDB unavailable");
+      return ROWS.filter((row) => (!params.protocol || row.protocol === params.protocol) && inRange(row, params.from, params.to));
+    },
+    async queryLatest(params) {
+      this.queries.push({ method: "queryLatest", ...params });
+      return [ROWS[3], ROWS[2]];
+    },
+    async queryPoints(params) {
+      this.queries.push({ method: "queryPoints", ...params });
+      return ROWS.filter((row) => inRange(row, params.from, params.to));
+    },
+  };
+}
+
+describe("HTTP API", () => {
+  let server;
+  let url;
+  let source;
+
+  before(async () => {
+    source = stubSource();
+    const index = createIndexJob({ index: { basis: "apy_7d" }, protocols: PROTOCOLS, source });
+    server = createApp(source, { index }).listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    source.queries.length = 0;
+    source.failing = false;
+  });
+
+  /**
+   * @notice GETs a path and returns { status, body }.
+   */
+  async function get(path) {
+    const response = await fetch(`${url}${path}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  it("serves the series of a protocol over the requested range and basis", async () => {
+    const { status, body } = await get(`/apy/spark?from=${START}&to=2024-09-20T00:00:00Z&interval=8h&basis=apr`);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, {
+      protocol: "spark",
+      from: "2024-09-18T00:00:00.000Z",
+      to: "2024-09-20T00:00:00.000Z",
+      interval: "8h",
+      basis: "apr",
+      series: [
+        { time: ROWS[0].time, apy: 6, weight: 50 },
+        { time: ROWS[2].time, apy: 5, weight: 50 },
+      ],
+    });
+    assert.deepEqual(source.queries.map(({ protocol, interval, basis }) => `${protocol}/${interval}/${basis}`), ["spark/8h/apr"]);
+    assert.equal((await get(`/apy/morpho-USDC?from=${START}&to=${START + DAY}`)).status, 404);
+  });
+
+  it("rejects malformed parameters with 400", async () => {
+    const cases = {
+      "/apy/spark?from=yesterday": "Invalid 'from': expected an ISO-8601 date or a Unix timestamp.",
+      [`/apy/spark?from=${START + DAY}&to=${START}`]: "'from' must be earlier than 'to'.",
+      "/apy/spark?interval=8hours": "Invalid 'interval': '8hours' is not a duration such as 8h or 1d.",
+      "/apy/latest?basis=apr_1y": "Invalid 'basis': 'apr_1y' is not one of apy, apr, apy_compounded, apr_7d, apy_7d, apr_30d, apy_30d.",
+      "/index?interval=1mo": "Invalid 'interval': the index needs a duration in s, m, h, d or w, not '1mo'.",
+      [`/index?from=${START}&to=${START + 30 * DAY}&interval=1m`]: "'interval' 1m gives more than 10000 index points over the range.",
+    };
+
+    for (const [path, error] of Object.entries(cases)) {
+      assert.deepEqual(await get(path), { status: 400, body: { error } }, path);
+    }
+    assert.deepEqual(source.queries, []);
+  });
+
+  it("serves the index computed by the configured strategy, on the basis of the index section by default", async () => {
+    const { status, body } = await get(`/index?from=${START}&to=${START + 2 * DAY}&interval=1d`);
+
+    assert.equal(status, 200);
+    assert.equal(body.basis, "apy_7d");
+    assert.equal(body.strategy, "fixed");
+    assert.deepEqual(body.index, [
+      { time: "2024-09-19T00:00:00.000Z", apy: 8, coverage: 100, weights: { spark: 50, ethena: 50 } },
+      { time: "2024-09-20T00:00:00.000Z", apy: 8.5, coverage: 100, weights: { spark: 50, ethena: 50 } },
+    ]);
+    assert.deepEqual(Object.keys(body.protocols).sort(), ["ethena", "spark"]);
+    assert.deepEqual(source.queries.map(({ method, basis }) => `${method}/${basis}`).sort(), ["queryPoints/apy_7d", "querySeries/apy_7d"]);
+
+    source.queries.length = 0;
+    assert.equal((await get(`/index?from=${START}&to=${START + 2 * DAY}&basis=apr`)).body.basis, "apr");
+    assert.deepEqual(source.queries.map(({ basis }) => basis), ["apr", "apr"]);
+  });
+
+  it("serves the latest point of every protocol with the index now", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: (START + DAY + 3 * HOUR) * 1000 });
+    const { status, body } = await get("/apy/latest?basis=apy_30d");
+
+    assert.equal(status, 200);
+    assert.equal(body.basis, "apy_30d");
+    assert.deepEqual(body.protocols.map(({ protocol, apy }) => `${protocol}:${apy}`), ["ethena:12", "spark:5"]);
+    assert.deepEqual(body.index, { time: "2024-09-19T03:00:00.000Z", apy: 8.5, coverage: 100, weights: { spark: 50, ethena: 50 } });
+    assert.deepEqual(source.queries.map(({ method, basis }) => `${method}/${basis}`), ["queryLatest/apy_30d", "queryPoints/apy_30d"]);
+  });
+
+  it("answers 500 without details when the source fails", async () => {
+    source.failing = true;
+    const { error } = console;
+    const logged = [];
+    console.error = (...args) => logged.push(args);
+    try {
+      assert.deepEqual(await get(`/apy/spark?from=${START}`), { status: 500, body: { error: "Internal server error" } });
+    } finally {
+      console.error = error;
+    }
+    assert.equal(logged[0][1].message, "InfluxDB unavailable");
+  });
+});
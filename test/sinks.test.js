@@ -0,0 +1,202 @@
+require("./helpers/setup");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createSinks } = require("../scripts/sinks");
+const { createPostgresSink } = require("../scripts/sinks/postgres");
+
+const START = 1726617600;
+
+const SAMPLE = {
+  protocol: "spark",
+  apy: 6.5,
+  weight: 25,
+  timestamp: START,
+  tvl: 1000000,
+  inputs: { ssr: "1000000001996917783620820123" },
+  rates: { apr: 6.3, apy_7d: 6.4 },
+  provenance: { chain: "ethereum", address: "0xa3931d71877C0E7a3148CB7Eb4463524FEc27fbD", block: 20774567, source: "rpc" },
+};
+const QUARANTINED = { sample: { ...SAMPLE, apy: 101, timestamp: START + 3600 }, reason: "above_max", detail: "101 > 100", previousApy: 6.5 };
+
+/**
+ * @notice Stands in for the `pg` module: every pool records the queries it is sent, in order.
+ */
+function fakePg() {
+  const queries = [];
+  class Pool {
+    async query(sql, params) {
+      queries.push({ sql: sql.replace(/\s+/g, " ").trim(), params });
+      return { rows: [] };
+    }
+
+    async connect() {
+      return { query: (sql, params) => this.query(sql, params), release() {} };
+    }
+  }
+  return { queries, Pool };
+}
+
+/**
+ * @notice Reads the lines of a file.
+ */
+function lines(file) {
+  return fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
+}
+
+describe("sinks", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bento-sinks-"));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("writes to every sink and fails once all settled when one of them fails", async () => {
+    // A file where the failing sink expects a directory
+    fs.writeFileSync(path.join(dir, "blocked"), "");
+    const sink = createSinks([
+      { type: "file", path: path.join(dir, "fanout", "apy.ndjson") },
+      { type: "file", path: path.join(dir, "blocked", "apy.ndjson") },
+      { type: "file", path: path.join(dir, "fanout", "copy.ndjson") },
+    ]);
+
+    assert.equal(sink.name, "file:apy.ndjson, file:apy.ndjson, file:copy.ndjson");
+    await assert.rejects(sink.write({ accepted: [SAMPLE], quarantined: [] }), { message: /^Sink write failed \(file:apy\.ndjson: EEXIST: file already exists/ });
+    // The other sinks wrote the samples nonetheless
+    assert.equal(lines(path.join(dir, "fanout", "apy.ndjson")).length, 1);
+    assert.equal(lines(path.join(dir, "fanout", "copy.ndjson")).length, 1);
+    // No configured sink stores the other measurements
+    await assert.rejects(sink.writeIndex([]), /None of the configured sinks stores the composite index/);
+    await sink.close();
+  });
+
+  it("appends flat NDJSON records, and quarantined entries to their own file", async () => {
+    const file = path.join(dir, "ndjson", "apy.ndjson");
+    const quarantinePath = path.join(dir, "ndjson", "quarantine.ndjson");
+    const sink = createSinks([{ type: "file", path: file, quarantinePath }]);
+
+    await sink.write({ accepted: [SAMPLE], quarantined: [QUARANTINED] });
+    await sink.write({ accepted: [SAMPLE], quarantined: [] });
+
+    const records = lines(file).map((line) => JSON.parse(line));
+    assert.equal(records.length, 2);
+    assert.deepEqual(records[0], {
+      timestamp: START,
+      time: "2024-09-18T00:00:00.000Z",
+      protocol: "spark",
+      apy: 6.5,
+      weight: 25,
+      tvl: 1000000,
+      chain: "ethereum",
+      address: "0xa3931d71877C0E7a3148CB7Eb4463524FEc27fbD",
+      block: 20774567,
+      source: "rpc",
+      inputs: { ssr: "1000000001996917783620820123" },
+      apr: 6.3,
+      apy_7d: 6.4,
+    });
+    const [quarantined] = lines(quarantinePath).map((line) => JSON.parse(line));
+    assert.deepEqual(
+      { apy: quarantined.apy, reason: quarantined.reason, detail: quarantined.detail, previous_apy: quarantined.previous_apy },
+      { apy: 101, reason: "above_max", detail: "101 > 100", previous_apy: 6.5 }
+    );
+  });
+
+  it("writes a CSV header once and quotes the fields that need it", async () => {
+    const file = path.join(dir, "csv", "apy.csv");
+    const sink = createSinks([{ type: "file", path: file, format: "csv" }]);
+
+    await sink.write({ accepted: [SAMPLE], quarantined: [QUARANTINED] });
+    await sink.write({ accepted: [{ ...SAMPLE, timestamp: START + 7200, inputs: undefined, rates: undefined }], quarantined: [] });
+
+    const [header, first, second, ...rest] = lines(file);
+    assert.equal(header, "timestamp,time,protocol,apy,weight,tvl,chain,address,block,block_hash,tx_hash,source,inputs,apr,apy_compounded,apr_7d,apy_7d,apr_30d,apy_30d");
+    assert.equal(first, `${START},2024-09-18T00:00:00.000Z,spark,6.5,25,1000000,ethereum,0xa3931d71877C0E7a3148CB7Eb4463524FEc27fbD,20774567,,,rpc,"{""ssr"":""1000000001996917783620820123""}",6.3,,,6.4,,`);
+    assert.equal(second, `${START + 7200},2024-09-18T02:00:00.000Z,spark,6.5,25,1000000,ethereum,0xa3931d71877C0E7a3148CB7Eb4463524FEc27fbD,20774567,,,rpc,,,,,,,`);
+    // Quarantined entries are dropped without a quarantinePath
+    assert.deepEqual(rest, []);
+  });
+
+  it("creates the Postgres tables once and upserts every measurement in a transaction", async () => {
+    const pg = fakePg();
+    const resolved = require.resolve("pg");
+    const cached = require.cache[resolved];
+    require.cache[resolved] = { id: resolved, filename: resolved, loaded: true, exports: pg };
+    let sink;
+    try {
+      sink = createPostgresSink({ url: "postgres://localhost/bento" });
+    } finally {
+      if (cached) require.cache[resolved] = cached;
+      else delete require.cache[resolved];
+    }
+
+    await sink.write({ accepted: [SAMPLE], quarantined: [QUARANTINED] });
+    await sink.writeIndex([{ timestamp: START, basis: "apy", strategy: "fixed", apy: 7, coverage: 100, weights: { spark: 100 } }]);
+    await sink.writePeg([]);
+
+    const created = pg.queries.filter(({ sql }) => sql.startsWith("CREATE TABLE")).map(({ sql }) => sql.split(" ")[5]);
+    assert.deepEqual(created, [
+      "protocol_apy",
+      "protocol_apy_quarantine",
+      "bento_index",
+      "stablecoin_peg",
+      "protocol_apy_resampled",
+      "protocol_apy_analytics",
+    ]);
+    const writes = pg.queries.slice(pg.queries.findIndex(({ sql }) => sql === "BEGIN"));
+    assert.deepEqual(writes.map(({ sql }) => sql.split(" (")[0]), [
+      "BEGIN",
+      "INSERT INTO protocol_apy",
+      "INSERT INTO protocol_apy_quarantine",
+      "COMMIT",
+      "BEGIN",
+      "INSERT INTO bento_index",
+      "COMMIT",
+    ]);
+    assert.match(writes[1].sql, /ON CONFLICT \(protocol, time\) DO UPDATE SET apy = excluded\.apy, weight = excluded\.weight, tvl = excluded\.tvl,/);
+    assert.deepEqual(writes[1].params.slice(0, 6), [START, "spark", 6.5, 25, 1000000, "ethereum"]);
+    assert.deepEqual(writes[2].params.slice(0, 7), [START + 3600, "spark", 101, 25, 6.5, "above_max", "101 > 100"]);
+    assert.equal(writes[5].sql, "INSERT INTO bento_index (time, basis, strategy, apy, coverage, weights) VALUES (to_timestamp($1), $2, $3, $4, $5, $6) ON CONFLICT (basis, strategy, time) DO UPDATE SET apy = excluded.apy, coverage = excluded.coverage, weights = excluded.weights");
+    assert.deepEqual(writes[5].params, [START, "apy", "fixed", 7, 100, { spark: 100 }]);
+  });
+
+  it("prints samples, quarantined entries and every other measurement to stdout", async () => {
+    const sink = createSinks([{ type: "stdout" }]);
+    const printed = [];
+    const { write } = process.stdout;
+    process.stdout.write = (chunk) => printed.push(JSON.parse(chunk));
+    try {
+      await sink.write({ accepted: [SAMPLE], quarantined: [QUARANTINED] });
+      await sink.writeIndex([{ timestamp: START, apy: 7, coverage: 100, weights: { spark: 100 }, basis: "apy", strategy: "fixed" }]);
+      await sink.writePeg([{ asset: "USDe", timestamp: START, price: 0.999 }]);
+      await sink.writeResampled([{ protocol: "spark", timestamp: START, value: 6.5 }]);
+      await sink.writeAnalytics([{ protocol: "spark", window: "7d", timestamp: START, mean: 6.5 }]);
+    } finally {
+      process.stdout.write = write;
+    }
+
+    assert.deepEqual(printed.map((record) => record.series || `${record.protocol}:${record.reason || "accepted"}`), [
+      "spark:accepted",
+      "spark:above_max",
+      "bento_index",
+      "stablecoin_peg",
+      "protocol_apy_resampled",
+      "protocol_apy_analytics",
+    ]);
+    assert.deepEqual(printed[2], {
+      series: "bento_index",
+      time: "2024-09-18T00:00:00.000Z",
+      timestamp: START,
+      apy: 7,
+      coverage: 100,
+      weights: { spark: 100 },
+      basis: "apy",
+      strategy: "fixed",
+    });
+    assert.equal(printed[3].time, "2024-09-18T00:00:00.000Z");
+  });
+});
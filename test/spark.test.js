@@ -0,0 +1,80 @@
+require("./helpers/setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const { useFixtureProvider } = require("./helpers/fixtureProvider");
+const spark = require("../scripts/adapters/spark");
+
+const INSTANCE = {
+  name: "spark",
+  chain: "ethereum",
+  address: "0xa3931d71877C0E7a3148CB7Eb4463524FEc27fbD",
+  weight: 25,
+};
+const START = 1726628400;
+// 5% per year as a per-second rate scaled by 1e27, the README example
+const SSR_5_PERCENT = 1000000001547125957863212448n;
+
+describe("spark adapter", () => {
+  it("samples the savings rate at the block of every 8-hour interval", async () => {
+    const provider = useFixtureProvider("spark");
+    const { samples, cursor } = await spark.fetchRange(INSTANCE, START, START + 24 * 3600);
+
+    assert.equal(cursor, START + 24 * 3600);
+    assert.deepEqual(
+      samples.map(({ apy, timestamp, tvl, provenance }) => ({ apy, timestamp, tvl, block: provenance.block })),
+      [
+        { apy: 6.499999861137162, timestamp: START + 8 * 3600, tvl: 1500000000, block: 20781316 },
+        { apy: 5.000000082842315, timestamp: START + 16 * 3600, tvl: 1502400000, block: 20783716 },
+        { apy: 5.000000082842315, timestamp: START + 24 * 3600, tvl: 1504800000, block: 20786116 },
+      ]
+    );
+    assert.deepEqual(samples[0].inputs, { ssr: "1000000001996917783620820123" });
+    assert.deepEqual(samples[0].rate, { value: 1.9969177836208204e-9, period: 1 });
+    // One multicall per interval, for both reads
+    assert.equal(provider.requests.filter((method) => method === "eth_call").length, 3);
+  });
+
+  it("matches the README example: an ssr of 1.000000001547125957863212448 is 5% a year", async () => {
+    useFixtureProvider("spark");
+    const { samples } = await spark.fetchRange(INSTANCE, START + 16 * 3600, START + 24 * 3600);
+
+    assert.equal(samples[0].inputs.ssr, SSR_5_PERCENT.toString());
+    assert.equal(samples[0].apy.toFixed(6), "5.000000");
+  });
+
+  it("stops before an interval whose state could not be read", async () => {
+    const provider = useFixtureProvider("spark");
+    provider.failCallsAt(20783716);
+    const { samples, cursor } = await spark.fetchRange(INSTANCE, START, START + 24 * 3600);
+
+    assert.deepEqual(samples.map(({ timestamp }) => timestamp), [START + 8 * 3600]);
+    assert.equal(cursor, START + 8 * 3600);
+  });
+
+  it("skips partial intervals without reading the chain", async () => {
+    const provider = useFixtureProvider("spark");
+    const { samples, cursor } = await spark.fetchRange(INSTANCE, START, START + 3600);
+
+    assert.deepEqual(samples, []);
+    assert.equal(cursor, START);
+    assert.deepEqual(provider.requests, []);
+  });
+
+  it("samples an ssr change at the block of its log", async () => {
+    useFixtureProvider("spark");
+    const samples = await spark.fetchLogs(INSTANCE, [
+      {
+        blockNumber: 20782500,
+        blockHash: "0x3c6b0bb8d1b53b0bd1b1f6a4f3f1d5b6f2f5c7a8e9d0c1b2a3f4e5d6c7b8a9f0",
+        transactionHash: "0x8f2a1c3e5d7b9a0c2e4f6a8b0d2c4e6f8a0b2c4d6e8f0a1b3c5d7e9f1a2b3c4d",
+        data: ethers.toBeHex(SSR_5_PERCENT, 32),
+      },
+    ]);
+
+    assert.equal(samples.length, 1);
+    assert.equal(samples[0].timestamp, 1726671407);
+    assert.equal(samples[0].tvl, 1501184000);
+    assert.equal(samples[0].provenance.txHash, "0x8f2a1c3e5d7b9a0c2e4f6a8b0d2c4e6f8a0b2c4d6e8f0a1b3c5d7e9f1a2b3c4d");
+  });
+});
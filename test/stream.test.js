@@ -0,0 +1,275 @@
+require("./helpers/setup");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers, toQuantity } = require("ethers");
+const { setProvider } = require("../scripts/utils/provider");
+const { useFixtureProvider } = require("./helpers/fixtureProvider");
+const { createMemorySink, createMemoryCursorStore } = require("./helpers/memory");
+const { startWsServer } = require("./helpers/wsServer");
+const { createAdapter } = require("../scripts/adapters");
+const { createJobRunner } = require("../scripts/jobs");
+const { runAdapter } = require("../scripts/runner");
+const { createStreamer } = require("../scripts/stream");
+
+const ADDRESS = "0x9D39A5DE30e57443BfF2A8307A4256c8797A3497";
+const TOPIC = ethers.id("RewardsReceived(uint256)");
+const GENESIS = 1719700000;
+
+const timestampOf = (block) => GENESIS + block * 12;
+
+/**
+ * @notice A log of the fake chain, as eth_getLogs and the log subscription return it.
+ */
+function logAt(block, { address = ADDRESS, data = "0x", removed = false } = {}) {
+  const hash = (prefix) => `0x${prefix}${block.toString(16).padStart(64 - prefix.length, "0")}`;
+  return {
+    address,
+    topics: [TOPIC],
+    data,
+    blockNumber: toQuantity(block),
+    blockHash: hash("b"),
+    transactionHash: hash("f"),
+    transactionIndex: "0x0",
+    logIndex: "0x0",
+    removed,
+  };
+}
+
+/**
+ * @notice A provider answering eth_getLogs from the canonical logs of the fake chain, recording the ranges read.
+ */
+function logsProvider(canonical) {
+  return {
+    ranges: [],
+    async getLogs({ fromBlock, toBlock }) {
+      this.ranges.push([fromBlock, toBlock]);
+      return canonical
+        .filter((log) => Number(log.blockNumber) >= fromBlock && Number(log.blockNumber) <= toBlock)
+        .map((log) => ({ ...log, blockNumber: Number(log.blockNumber) }));
+    },
+  };
+}
+
+/**
+ * @notice A timestamp-cursor adapter turning every log into a sample, recording the blocks of the logs it got.
+ */
+function loggingAdapter() {
+  return {
+    name: "spark",
+    cursorKey: "spark",
+    cursorType: "timestamp",
+    chain: "ethereum",
+    subscription: { address: ADDRESS, topics: [TOPIC] },
+    validation: { min: 0, max: 50, maxJump: 10 },
+    processed: [],
+    async fetchLogs(logs) {
+      this.processed.push(logs.map((log) => log.blockNumber));
+      return logs.map((log) => ({ protocol: "spark", apy: 5, weight: 25, timestamp: timestampOf(log.blockNumber) }));
+    },
+  };
+}
+
+/**
+ * @notice The spark entry of config/bento.json, as an adapter.
+ */
+function spark() {
+  return createAdapter({
+    name: "spark",
+    adapter: "spark",
+    enabled: true,
+    chain: "ethereum",
+    address: "0xa3931d71877C0E7a3148CB7Eb4463524FEc27fbD",
+    weight: 25,
+    cursorKey: "spark",
+    startCursor: 1726628400,
+    validation: { min: 0, max: 50, maxJump: 3 },
+  });
+}
+
+/**
+ * @notice Resolves once `predicate` holds, polling every 10ms; rejects after `timeout` ms.
+ */
+async function until(predicate, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (!(await predicate())) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting for the streamer");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+describe("streaming mode", () => {
+  let server;
+  let streamer;
+  let rpcUrls;
+
+  beforeEach(async () => {
+    server = await startWsServer({ blockNumber: 100 });
+    rpcUrls = process.env.RPC_URLS;
+    process.env.RPC_URLS = server.url;
+  });
+
+  afterEach(async () => {
+    if (streamer) await streamer.stop();
+    streamer = undefined;
+    await server.close();
+    if (rpcUrls === undefined) delete process.env.RPC_URLS;
+    else process.env.RPC_URLS = rpcUrls;
+  });
+
+  it("processes a log once it has the confirmations on top of it, and never a removed one", async () => {
+    const canonical = [logAt(101)];
+    const provider = logsProvider(canonical);
+    setProvider("ethereum", provider);
+    const adapter = loggingAdapter();
+    const cursorStore = createMemoryCursorStore();
+    const sink = createMemorySink();
+    const runs = [];
+    streamer = createStreamer({
+      adapters: [adapter, { ...adapter, name: "mountain", subscription: undefined }],
+      cursorStore,
+      sink,
+      confirmations: 3,
+      run: async (streamed, task) => runs.push(await task()),
+    });
+
+    assert.deepEqual(streamer.adapters.map(({ name }) => name), ["spark"]);
+    streamer.start();
+    // The first catch-up starts from the confirmed head
+    await until(() => cursorStore.cursors["spark:stream"] === 97 && server.connected());
+
+    server.mine(101, [logAt(101)]);
+    for (const block of [102, 103]) server.mine(block);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepEqual(adapter.processed, []);
+
+    server.mine(104);
+    await until(() => cursorStore.cursors["spark:stream"] === 101);
+    assert.deepEqual(adapter.processed, [[101]]);
+    assert.deepEqual(provider.ranges, [[98, 101]]);
+    assert.deepEqual(sink.points.map(({ timestamp }) => timestamp), [timestampOf(101)]);
+
+    // A log removed by a reorg before its confirmations never triggers a run
+    server.mine(105, [logAt(105, { removed: true })]);
+    for (const block of [106, 107, 108, 109]) server.mine(block);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(runs.length, 2);
+    assert.deepEqual(adapter.processed, [[101]]);
+  });
+
+  it("catches up on the logs emitted while disconnected", async () => {
+    const canonical = [];
+    const provider = logsProvider(canonical);
+    setProvider("ethereum", provider);
+    const adapter = loggingAdapter();
+    const cursorStore = createMemoryCursorStore({ "spark:stream": 97 });
+    streamer = createStreamer({
+      adapters: [adapter],
+      cursorStore,
+      sink: createMemorySink(),
+      confirmations: 3,
+      run: (streamed, task) => task(),
+    });
+
+    streamer.start();
+    await until(() => server.connected());
+    server.drop();
+    // Mined while the streamer waits to reconnect
+    canonical.push(logAt(103));
+    server.blockNumber = 120;
+
+    await until(() => cursorStore.cursors["spark:stream"] === 117);
+    assert.deepEqual(adapter.processed, [[103]]);
+    assert.deepEqual(provider.ranges, [[98, 117]]);
+  });
+
+  it("runs a streamed catch-up after the scheduled run in progress, from the cursor it reached", async () => {
+    setProvider("ethereum", logsProvider([]));
+    let latest = 120;
+    let release;
+    const held = new Promise((resolve) => {
+      release = resolve;
+    });
+    const adapter = {
+      name: "ethena",
+      cursorKey: "ethena",
+      cursorType: "block",
+      chain: "ethereum",
+      startCursor: 0,
+      reorgWindow: 0,
+      subscription: { address: ADDRESS, topics: [TOPIC] },
+      validation: { min: 0, max: 80, maxJump: 15 },
+      ranges: [],
+      async getLatestCursor() {
+        return latest;
+      },
+      async fetchRange(from, to) {
+        this.ranges.push([from, to]);
+        if (this.ranges.length === 1) await held;
+        return { samples: [{ protocol: "ethena", apy: 10, weight: 25, timestamp: timestampOf(to) }], cursor: to };
+      },
+    };
+    const cursorStore = createMemoryCursorStore({ ethena: 100 });
+    const sink = createMemorySink();
+    const recorded = [];
+    const jobs = createJobRunner({ history: { record: async (run) => recorded.push(run), close: async () => {} } });
+    jobs.register({ name: "ethena", run: (signal) => runAdapter(adapter, cursorStore, sink, { signal }) });
+    streamer = createStreamer({
+      adapters: [adapter],
+      cursorStore,
+      sink,
+      confirmations: 3,
+      run: (streamed, task) => jobs.run(streamed.name, { trigger: "stream", wait: true, task }),
+    });
+
+    // The scheduled run holds the job while the streamer connects and a log gets confirmed
+    const scheduled = jobs.run("ethena", { trigger: "schedule" });
+    await until(() => adapter.ranges.length === 1);
+    latest = 200;
+    server.blockNumber = 120;
+    streamer.start();
+    await until(() => server.connected());
+    server.mine(121, [logAt(121)]);
+    server.mine(124);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepEqual(adapter.ranges, [[100, 120]]);
+
+    release();
+    await scheduled;
+    await until(() => cursorStore.cursors.ethena === 121);
+    // Neither the startup catch-up nor the confirmed log reads a block the scheduled run wrote again
+    assert.deepEqual(adapter.ranges, [[100, 120], [120, 121]]);
+    assert.deepEqual(sink.points.map(({ timestamp }) => timestamp), [timestampOf(120), timestampOf(121)]);
+    assert.deepEqual(recorded.map(({ trigger, status }) => `${trigger}:${status}`), ["schedule:success", "stream:success", "stream:success"]);
+    await jobs.stop();
+  });
+
+  it("writes a Spark rate change at the block of its log, between the points of the 8-hour grid", async () => {
+    const START = 1726628400;
+    const log = {
+      ...logAt(20782500, { address: "0xa3931d71877C0E7a3148CB7Eb4463524FEc27fbD", data: ethers.toBeHex(1000000001547125957863212448n, 32) }),
+      topics: spark().subscription.topics,
+    };
+    const provider = useFixtureProvider("spark");
+    const logs = logsProvider([log]);
+    provider.getLogs = (filter) => logs.getLogs(filter);
+    server.blockNumber = 20782400;
+    const adapter = spark();
+    const cursorStore = createMemoryCursorStore({ spark: START });
+    const sink = createMemorySink();
+    await runAdapter({ ...adapter, getLatestCursor: async () => START + 24 * 3600 }, cursorStore, sink);
+    streamer = createStreamer({ adapters: [adapter], cursorStore, sink, run: (streamed, task) => task() });
+
+    streamer.start();
+    await until(() => cursorStore.cursors["spark:stream"] === 20782388 && server.connected());
+    server.mine(20782500, [log]);
+    server.mine(20782512);
+    await until(() => cursorStore.cursors["spark:stream"] === 20782500);
+
+    assert.deepEqual(
+      sink.points.map(({ timestamp, provenance }) => `${timestamp - START}:${provenance.block}`),
+      ["28800:20781316", "43007:20782500", "57600:20783716", "86400:20786116"]
+    );
+    // The grid cursor is left to the scheduled runs
+    assert.equal(cursorStore.cursors.spark, START + 24 * 3600);
+  });
+});
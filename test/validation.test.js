@@ -0,0 +1,71 @@
+require("./helpers/setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateSamples } = require("../scripts/validation");
+
+const START = 1726617600;
+const HOUR = 3600;
+
+/**
+ * @notice Spark samples every 8 hours with the given APYs.
+ */
+function samples(...apys) {
+  return apys.map((apy, i) => ({ protocol: "spark", apy, weight: 25, timestamp: START + i * 8 * HOUR }));
+}
+
+/**
+ * @notice Returns the reasons of the quarantined entries, by timestamp offset in hours.
+ */
+function reasons(checked) {
+  return checked.quarantined.map(({ sample, reason }) => `${(sample.timestamp - START) / HOUR}h:${reason}`);
+}
+
+describe("validation", () => {
+  it("quarantines values outside the bounds and non-finite values", () => {
+    const checked = validateSamples(samples(6.5, -0.1, 101, NaN, Infinity, 6.6), { bounds: { min: 0, max: 100 } });
+
+    assert.deepEqual(checked.accepted.map((sample) => sample.apy), [6.5, 6.6]);
+    assert.deepEqual(reasons(checked), ["8h:below_min", "16h:above_max", "24h:not_finite", "32h:not_finite"]);
+    assert.equal(checked.quarantined[0].detail, "-0.1 < 0");
+    assert.equal(checked.quarantined[0].previousApy, 6.5);
+  });
+
+  it("quarantines a non-finite weight", () => {
+    const checked = validateSamples([{ protocol: "spark", apy: 6.5, weight: NaN, timestamp: START }]);
+
+    assert.deepEqual(reasons(checked), ["0h:not_finite"]);
+    assert.equal(checked.quarantined[0].detail, "apy=6.5, weight=NaN");
+  });
+
+  it("keeps the first of several samples at the same timestamp", () => {
+    const [first, second] = samples(6.5, 6.6);
+    const checked = validateSamples([first, { ...second, timestamp: first.timestamp, apy: 7 }, second]);
+
+    assert.deepEqual(checked.accepted.map((sample) => sample.apy), [6.5, 6.6]);
+    assert.deepEqual(reasons(checked), ["0h:duplicate"]);
+  });
+
+  it("quarantines a jump from the previous accepted value until a second sample confirms it", () => {
+    const checked = validateSamples(samples(12.5, 12.4, 12.6), { bounds: { maxJump: 3 }, previousApy: 6.5 });
+
+    assert.deepEqual(checked.accepted.map((sample) => sample.apy), [12.4, 12.6]);
+    assert.deepEqual(reasons(checked), ["0h:jump"]);
+    assert.equal(checked.quarantined[0].detail, "6.5 -> 12.5 exceeds 3pp");
+  });
+
+  it("does not confirm a jump with a sample at another level, nor across another rejection", () => {
+    const spike = validateSamples(samples(12.5, 20, 6.6), { bounds: { maxJump: 3 }, previousApy: 6.5 });
+    assert.deepEqual(spike.accepted.map((sample) => sample.apy), [6.6]);
+    assert.deepEqual(reasons(spike), ["0h:jump", "8h:jump"]);
+
+    const broken = validateSamples(samples(12.5, NaN, 12.5), { bounds: { maxJump: 3 }, previousApy: 6.5 });
+    assert.deepEqual(reasons(broken), ["0h:jump", "8h:not_finite", "16h:jump"]);
+  });
+
+  it("confirms a jump quarantined by an earlier run", () => {
+    const checked = validateSamples(samples(12.5), { bounds: { maxJump: 3 }, previousApy: 6.5, pendingJump: 12.4 });
+
+    assert.deepEqual(checked.accepted.map((sample) => sample.apy), [12.5]);
+    assert.deepEqual(checked.quarantined, []);
+  });
+});